@@ -0,0 +1,34 @@
+/**
+ * 文本分析器注册入口
+ * 分析器声明 name、description 和 analyze(text, { language, options })，在本地同步计算，不调用外部服务
+ * 新增分析器只需在此注册，即可通过 /text/analyze 的 analyses 参数选择
+ */
+
+const analyzers = new Map();
+
+/**
+ * 注册分析器
+ */
+exports.registerAnalyzer = (analyzer) => {
+  if (!analyzer || !analyzer.name || typeof analyzer.analyze !== 'function') {
+    throw new Error('Text analyzer must declare a name and an analyze function');
+  }
+  analyzers.set(analyzer.name, analyzer);
+  return analyzer;
+};
+
+/**
+ * 按名称获取分析器
+ */
+exports.getAnalyzer = (name) => analyzers.get(name) || null;
+
+/**
+ * 已注册的分析器列表
+ */
+exports.listAnalyzers = () => [...analyzers.values()].map(({ name, description }) => ({ name, description }));
+
+exports.registerAnalyzer(require('./language.analyzer'));
+exports.registerAnalyzer(require('./statistics.analyzer'));
+exports.registerAnalyzer(require('./readability.analyzer'));
+exports.registerAnalyzer(require('./sentiment.analyzer'));
+exports.registerAnalyzer(require('./keywords.analyzer'));
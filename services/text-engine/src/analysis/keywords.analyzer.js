@@ -0,0 +1,184 @@
+/**
+ * 关键词提取
+ * 支持 TF-IDF（以句子为文档计算逆文档频率）和 TextRank（共现窗口图上的 PageRank）两种方法
+ * 英文按单词并去除停用词；中文不依赖词典，从汉字串中取 2-4 字的重复片段作为候选词，并去掉被更长片段完全覆盖的子串
+ */
+
+const { splitSentences, splitWords } = require('./segmentation');
+const { LATIN_PROFILES } = require('./language.analyzer');
+
+const METHODS = ['tfidf', 'textrank'];
+const DEFAULT_LIMIT = 10;
+const MAX_LIMIT = 50;
+
+const EN_STOPWORDS = new Set((
+  'a about above after again against all am an and any are as at be because been before being below between both but by ' +
+  'can could did do does doing down during each few for from further had has have having he her here hers herself him ' +
+  'himself his how i if in into is it its itself just me more most my myself no nor not now of off on once only or other ' +
+  'our ours ourselves out over own same she should so some such than that the their theirs them themselves then there ' +
+  'these they this those through to too under until up very was we were what when where which while who whom why will ' +
+  'with would you your yours yourself yourselves also may might must shall us one two get got like make made many much ' +
+  'use used using via within without'
+).split(' '));
+
+// 切分中文候选词的虚词（只选不会出现在实词中间的字）
+const ZH_BREAK_CHARS = /[的了是在和与及或也就都而把被让给着过吗呢吧啊呀嘛很还又这那些]/u;
+
+// 常见但没有主题信息的双字词
+const ZH_STOPWORDS = new Set([
+  '我们', '你们', '他们', '她们', '它们', '一个', '没有', '因为', '所以', '但是', '如果', '可以', '自己', '什么', '这个', '那个',
+  '已经', '进行', '通过', '以及', '其中', '之后', '之前', '时候', '这样', '那样', '然后', '还是', '就是', '不是', '可能', '需要',
+  '一些', '一种', '能够', '如何', '为了', '对于', '关于', '由于', '不会', '不能', '一样', '这种', '那种', '非常', '一起', '而且'
+]);
+
+// 候选词首尾不应是的字（代词、量词、否定词等）
+const ZH_WEAK_EDGES = /^[我你他她它们个一不有为以会对到上中款种位件条次]|[我你他她它们个一不有为以会对到上]$/u;
+
+// 中文候选词长度和最少出现次数
+const ZH_MIN_GRAM = 2;
+const ZH_MAX_GRAM = 4;
+const ZH_MIN_COUNT = 2;
+
+// TextRank 参数
+const WINDOW_SIZE = 4;
+const DAMPING = 0.85;
+const MAX_ITERATIONS = 50;
+const CONVERGENCE = 1e-4;
+
+/**
+ * 从句子中切出中文 n-gram 候选
+ */
+function hanGrams(sentence) {
+  const runs = sentence.split(/[^\p{Script=Han}]+/u).flatMap(run => run.split(ZH_BREAK_CHARS)).filter(run => run.length >= ZH_MIN_GRAM);
+  const grams = [];
+
+  for (const run of runs) {
+    for (let size = ZH_MIN_GRAM; size <= ZH_MAX_GRAM; size++) {
+      for (let start = 0; start + size <= run.length; start++) {
+        const gram = run.slice(start, start + size);
+        if (!ZH_STOPWORDS.has(gram) && !ZH_WEAK_EDGES.test(gram)) {
+          grams.push(gram);
+        }
+      }
+    }
+  }
+
+  return grams;
+}
+
+/**
+ * 将文本切分为按句组织的候选词序列
+ * 返回 string[][]，中文只保留出现次数达到阈值、且未被等频的更长候选覆盖的片段
+ */
+function tokenize(sentences, language) {
+  // 其他拉丁字母语言额外去除该语言的高频功能词
+  const stopwords = new Set(LATIN_PROFILES[language] || []);
+  const english = sentences.map(sentence => splitWords(sentence)
+    .map(word => word.toLowerCase())
+    .filter(word => /\p{Script=Latin}/u.test(word) && word.length > 2 && !EN_STOPWORDS.has(word) && !stopwords.has(word)));
+
+  const grams = sentences.map(hanGrams);
+  const counts = new Map();
+  grams.flat().forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+
+  const frequent = [...counts.entries()].filter(([, count]) => count >= ZH_MIN_COUNT);
+  const kept = new Set(frequent
+    .filter(([term, count]) => !frequent.some(([other, otherCount]) => other.length > term.length && otherCount === count && other.includes(term)))
+    .map(([term]) => term));
+
+  return english.map((words, index) => [...words, ...grams[index].filter(term => kept.has(term))]);
+}
+
+/**
+ * TF-IDF 打分：词频 × 以句子为文档的平滑逆文档频率
+ */
+function scoreTfidf(documents) {
+  const termCounts = new Map();
+  const documentFrequency = new Map();
+
+  for (const tokens of documents) {
+    tokens.forEach(token => termCounts.set(token, (termCounts.get(token) || 0) + 1));
+    new Set(tokens).forEach(token => documentFrequency.set(token, (documentFrequency.get(token) || 0) + 1));
+  }
+
+  const total = [...termCounts.values()].reduce((sum, count) => sum + count, 0);
+  return [...termCounts.entries()].map(([term, count]) => ({
+    term,
+    count,
+    score: (count / total) * (Math.log((documents.length + 1) / (documentFrequency.get(term) + 1)) + 1)
+  }));
+}
+
+/**
+ * TextRank 打分：同一句内窗口范围内共现的候选词之间连边，迭代计算 PageRank
+ */
+function scoreTextRank(documents) {
+  const edges = new Map();
+  const counts = new Map();
+  const link = (a, b) => {
+    if (a === b) {
+      return;
+    }
+    if (!edges.has(a)) {
+      edges.set(a, new Map());
+    }
+    edges.get(a).set(b, (edges.get(a).get(b) || 0) + 1);
+  };
+
+  for (const tokens of documents) {
+    tokens.forEach((token, index) => {
+      counts.set(token, (counts.get(token) || 0) + 1);
+      for (let offset = 1; offset < WINDOW_SIZE && index + offset < tokens.length; offset++) {
+        link(token, tokens[index + offset]);
+        link(tokens[index + offset], token);
+      }
+    });
+  }
+
+  const nodes = [...counts.keys()];
+  const outWeight = new Map(nodes.map(node => [node, [...(edges.get(node) || new Map()).values()].reduce((sum, weight) => sum + weight, 0)]));
+  let scores = new Map(nodes.map(node => [node, 1]));
+
+  for (let iteration = 0; iteration < MAX_ITERATIONS; iteration++) {
+    const next = new Map(nodes.map(node => [node, 1 - DAMPING]));
+    for (const [source, targets] of edges) {
+      for (const [target, weight] of targets) {
+        next.set(target, next.get(target) + DAMPING * (weight / outWeight.get(source)) * scores.get(source));
+      }
+    }
+
+    const delta = nodes.reduce((max, node) => Math.max(max, Math.abs(next.get(node) - scores.get(node))), 0);
+    scores = next;
+    if (delta < CONVERGENCE) {
+      break;
+    }
+  }
+
+  return nodes.map(term => ({ term, count: counts.get(term), score: scores.get(term) }));
+}
+
+/**
+ * 提取关键词
+ * 返回 { method, keywords: [{ term, score, count }] }，score 归一化为最高分 1
+ */
+function extractKeywords(text, { method = 'tfidf', limit = DEFAULT_LIMIT, language } = {}) {
+  const documents = tokenize(splitSentences(text), language).filter(tokens => tokens.length > 0);
+  const scored = method === 'textrank' ? scoreTextRank(documents) : scoreTfidf(documents);
+  const max = scored.reduce((highest, entry) => Math.max(highest, entry.score), 0);
+
+  return {
+    method,
+    keywords: scored
+      .sort((a, b) => b.score - a.score || b.count - a.count)
+      .slice(0, Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT))
+      .map(entry => ({ term: entry.term, score: max > 0 ? Math.round((entry.score / max) * 1000) / 1000 : 0, count: entry.count }))
+  };
+}
+
+module.exports = {
+  name: 'keywords',
+  description: 'Keyword extraction by TF-IDF or TextRank (options.keywordMethod, options.keywordLimit)',
+  analyze: (text, { language, options = {} } = {}) => extractKeywords(text, { method: options.keywordMethod, limit: options.keywordLimit, language }),
+  extractKeywords,
+  METHODS
+};
@@ -0,0 +1,113 @@
+/**
+ * 语言检测
+ * 先按文字系统判断（汉字、假名、谚文、西里尔字母等），拉丁字母文本再按常见停用词的命中率区分语言
+ * 返回 ISO 639-1 代码；无法判断时为 und
+ */
+
+const { splitWords } = require('./segmentation');
+
+// 文字系统 -> 语言
+const SCRIPTS = [
+  { script: 'han', pattern: /\p{Script=Han}/gu },
+  { script: 'kana', pattern: /[\p{Script=Hiragana}\p{Script=Katakana}]/gu },
+  { script: 'hangul', pattern: /\p{Script=Hangul}/gu },
+  { script: 'cyrillic', pattern: /\p{Script=Cyrillic}/gu, language: 'ru' },
+  { script: 'arabic', pattern: /\p{Script=Arabic}/gu, language: 'ar' },
+  { script: 'devanagari', pattern: /\p{Script=Devanagari}/gu, language: 'hi' },
+  { script: 'thai', pattern: /\p{Script=Thai}/gu, language: 'th' },
+  { script: 'greek', pattern: /\p{Script=Greek}/gu, language: 'el' },
+  { script: 'hebrew', pattern: /\p{Script=Hebrew}/gu, language: 'he' },
+  { script: 'latin', pattern: /\p{Script=Latin}/gu }
+];
+
+// 拉丁字母语言的高频功能词
+const LATIN_PROFILES = {
+  en: ['the', 'and', 'of', 'to', 'a', 'in', 'is', 'it', 'that', 'for', 'you', 'was', 'with', 'on', 'are', 'this', 'be', 'have', 'not', 'but'],
+  es: ['de', 'la', 'que', 'el', 'en', 'y', 'los', 'se', 'del', 'las', 'un', 'por', 'con', 'no', 'una', 'su', 'para', 'es', 'al', 'lo'],
+  fr: ['de', 'la', 'le', 'et', 'les', 'des', 'en', 'un', 'du', 'une', 'que', 'est', 'pour', 'qui', 'dans', 'par', 'pas', 'au', 'sur', 'ne'],
+  de: ['der', 'die', 'und', 'in', 'den', 'von', 'zu', 'das', 'mit', 'sich', 'des', 'auf', 'für', 'ist', 'im', 'dem', 'nicht', 'ein', 'eine', 'als'],
+  pt: ['de', 'a', 'o', 'que', 'e', 'do', 'da', 'em', 'um', 'para', 'com', 'não', 'uma', 'os', 'no', 'se', 'na', 'por', 'mais', 'as'],
+  it: ['di', 'e', 'il', 'la', 'che', 'è', 'per', 'un', 'in', 'non', 'una', 'del', 'si', 'della', 'le', 'con', 'sono', 'gli', 'da', 'lo'],
+  nl: ['de', 'en', 'van', 'het', 'een', 'in', 'is', 'dat', 'op', 'te', 'zijn', 'met', 'voor', 'niet', 'die', 'aan', 'er', 'ook', 'als', 'maar']
+};
+
+const PROFILE_SETS = Object.fromEntries(Object.entries(LATIN_PROFILES).map(([language, words]) => [language, new Set(words)]));
+
+/**
+ * 按停用词命中率为拉丁字母文本打分
+ */
+function scoreLatin(text) {
+  const words = splitWords(text).map(word => word.toLowerCase());
+  if (words.length === 0) {
+    return [];
+  }
+
+  return Object.entries(PROFILE_SETS)
+    .map(([language, set]) => ({
+      language,
+      score: words.filter(word => set.has(word)).length / words.length
+    }))
+    .filter(candidate => candidate.score > 0)
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * 检测语言
+ * 返回 { language, confidence, scripts, candidates, mixed }
+ * scripts 为各文字系统字符占比，mixed 表示第二文字系统占比超过 20%
+ */
+function detectLanguage(text) {
+  const counts = SCRIPTS.map(({ script, pattern }) => ({ script, count: (text.match(pattern) || []).length }));
+  const total = counts.reduce((sum, entry) => sum + entry.count, 0);
+
+  if (total === 0) {
+    return { language: 'und', confidence: 0, scripts: {}, candidates: [], mixed: false };
+  }
+
+  const scripts = Object.fromEntries(counts
+    .filter(entry => entry.count > 0)
+    .map(entry => [entry.script, Math.round((entry.count / total) * 1000) / 1000]));
+  const ranked = counts.filter(entry => entry.count > 0).sort((a, b) => b.count - a.count);
+  const mixed = ranked.length > 1 && ranked[1].count / total > 0.2;
+
+  // 日文混用汉字和假名，假名达到一定比例即视为日文
+  if ((scripts.kana || 0) > 0.1) {
+    return { language: 'ja', confidence: Math.min(scripts.kana + (scripts.han || 0), 1), scripts, candidates: [], mixed };
+  }
+
+  const dominant = ranked[0].script;
+  if (dominant === 'han') {
+    return { language: 'zh', confidence: scripts.han, scripts, candidates: [], mixed };
+  }
+  if (dominant === 'hangul') {
+    return { language: 'ko', confidence: scripts.hangul, scripts, candidates: [], mixed };
+  }
+  if (dominant !== 'latin') {
+    const { language } = SCRIPTS.find(entry => entry.script === dominant);
+    return { language, confidence: scripts[dominant], scripts, candidates: [], mixed };
+  }
+
+  const candidates = scoreLatin(text);
+  if (candidates.length === 0) {
+    return { language: 'und', confidence: 0, scripts, candidates, mixed };
+  }
+
+  // 置信度取决于领先幅度：与第二名相差越大越可信
+  const [best, second] = candidates;
+  const margin = second ? (best.score - second.score) / best.score : 1;
+  return {
+    language: best.language,
+    confidence: Math.round(Math.min(best.score * 4, 1) * (0.5 + margin / 2) * scripts.latin * 1000) / 1000,
+    scripts,
+    candidates: candidates.slice(0, 3).map(candidate => ({ ...candidate, score: Math.round(candidate.score * 1000) / 1000 })),
+    mixed
+  };
+}
+
+module.exports = {
+  name: 'language',
+  description: 'Language detection by script and function-word profile',
+  analyze: (text) => detectLanguage(text),
+  detectLanguage,
+  LATIN_PROFILES
+};
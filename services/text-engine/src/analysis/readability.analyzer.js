@@ -0,0 +1,119 @@
+/**
+ * 可读性评分
+ * 英文使用 Flesch、Flesch-Kincaid、Gunning Fog、SMOG、Coleman-Liau 和 ARI 公式
+ * 中文没有通用的音节类公式，改用平均句长、分句长度和常用字覆盖率，并给出启发式的难度评分
+ * 中英文内容分别计算，混排文本两部分都会返回
+ */
+
+const { splitSentences, splitWords, hanCharacters, countSyllables } = require('./segmentation');
+
+// 计算指标所需的最少内容，过短的文本结果没有意义
+const MIN_ENGLISH_WORDS = 10;
+const MIN_HAN_CHARACTERS = 20;
+
+// 常用字表（现代汉语高频字，约前1000字）
+const COMMON_HAN = new Set(
+  '的一是不了在人有我他这个们中来上大为和国地到以说时要就出会可也你对生能而子那得于着下自之年过发后作里用道行所然家种事成方多经么去法学如都同现当没动面起看定天分还进好小部其些主样理心她本前开但因只从想实日军者意无力它与长把机十民第公此已工使情明性知全三又关点正业外将两高间由问很最重并物手应战向头文体政美相见被利什二等产或新己制身果加西斯月话合回特代内信表化老给世位次度门任常先海通教儿原东声提立及比员解水名真论处走义各入几口认条平系气题活尔更别打女变四神总何电数安少报才结反受目太量再感建务做接必场件计管期市直德资命山金指克许统区保至队形社便空决治展马科司五基眼书非则听白却界达光放强即像难且权思王象完设式色路记南品住告类求据程北边死张该交规万取拉格望觉术领共确传师观清今切院让识候带导争运笑飞风步改收根干造言联持组每济车亲极林服快办议往元英士证近失转夫令准布始怎呢存未远叫台单影具罗字爱击流备兵连调深商算质团集百需价花党华城石级整府离况亚请技际约示复病息究线似官火断精满支视消越器容照须九增研写称企八功吗包片史委乎查轻易早曾除农找装广显吧阿李标谈吃图念六引历首医局突专费号尽另周较注语仅考落青随选列武红响虽推势参希古众构房半节土投某案黑维革划敌致陈律足态护七兴派孩验责营星够章音跟志底站严巴例防族供效续施留讲型料终答紧黄绝奇察母京段依批群项故按河米围江织害斗双境客纪采举杀攻父苏密低朝友诉止细愿千值仍男钱破网热助倒育属坐帝限船脸职速刻乐否刚威毛状率甚独球般普怕弹校苦创假久错承印晚兰试股拿脑预谁益阳若哪微尼继送急血惊伤素药适波夜省初喜卫源食险待述陆习置居劳财环排福纳欢雷警获模充负云停木游龙树疑层冷洲冲射略范竟句室异激汉村哈策演简卡罪判担州静退既衣您宗积余痛检差富灵协角占配征修皮挥胜降阶审沉坚善妈刘读啊超免压银买皇养伊怀执副乱抗犯追帮宣佛岁航优怪香著田铁控税左右份穿艺背阵草脚概恶块顿敢守酒岛托央户烈洋哥索胡款靠评版宝座释景顾弟登货互付伯慢欧换闻危忙核暗姐介坏讨丽良序升监临亮露永呼味野架域沙掉括舰鱼杂误湾吉减编楚肯测败屋跑梦散温困剑渐封救贵枪缺楼县尚毫移娘朋画班智亦耳恩短掌恐遗固席松秘谢鲁遇康虑幸均销钟诗藏赶剧票损忽巨炮旧端探湖录叶春乡附吸予礼港雨呀板庭妇归睛饭额含顺输摇招婚脱补谓督毒油疗旅泽材灭逐莫笔亡鲜词圣择寻厂睡博勒烟授诺伦岸奥唐卖俄炸载洛健堂旁宫喝借君禁阴园谋宋避抓荣姑孙逃牙束跳顶玉镇雪午练迫爷篇肉嘴馆遍凡础洞卷坦牛宁纸诸训私庄祖丝翻暴森塔默握戏隐熟骨访弱蒙歌店鬼软典欲萨伙遭盘爸扩盖弄雄稳忘亿刺拥徒姆杨齐赛趣曲刀床迎冰虚玩析窗醒妻透购替塞努休虎扬途侵刑绿兄迅套贸毕唯谷轮库迹尤竞街促延震弃甲伟麻川申缓潜闪售灯针哲络抵朱埃抱鼓植纯夏忍页杰筑折郑贝尊吴秀混臣雅振染盛怒舞圆搞狂措姓残秋培迷诚宽宇猛摆梅毁伸摩盟末乃悲拍丁赵尺爆梁鸡'
+);
+
+// 中文分句（逗号、分号、顿号等切分出的小句）
+const CLAUSE_PATTERN = /[，,；;、：:。！？!?\n]+/u;
+
+const round = (value, digits = 1) => Math.round(value * 10 ** digits) / 10 ** digits;
+const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+
+// 评分（越高越易读）对应的难度等级，英文 Flesch 分数和中文难度评分共用
+const LEVELS = [
+  { min: 80, level: 'easy' },
+  { min: 60, level: 'standard' },
+  { min: 30, level: 'difficult' }
+];
+
+const levelOf = (score) => (LEVELS.find(entry => score >= entry.min) || { level: 'very_difficult' }).level;
+
+/**
+ * 英文可读性
+ */
+function englishReadability(sentences, words) {
+  const sentenceCount = Math.max(sentences, 1);
+  const wordCount = words.length;
+  const syllables = words.map(countSyllables);
+  const totalSyllables = syllables.reduce((sum, count) => sum + count, 0);
+  const polysyllables = syllables.filter(count => count >= 3).length;
+  const letters = words.reduce((sum, word) => sum + word.replace(/[^\p{L}]/gu, '').length, 0);
+
+  const wordsPerSentence = wordCount / sentenceCount;
+  const syllablesPerWord = totalSyllables / wordCount;
+  const fleschReadingEase = 206.835 - 1.015 * wordsPerSentence - 84.6 * syllablesPerWord;
+
+  return {
+    fleschReadingEase: round(fleschReadingEase),
+    fleschKincaidGrade: round(0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59),
+    gunningFog: round(0.4 * (wordsPerSentence + 100 * (polysyllables / wordCount))),
+    smogIndex: round(1.043 * Math.sqrt(polysyllables * (30 / sentenceCount)) + 3.1291),
+    colemanLiauIndex: round(0.0588 * (letters / wordCount * 100) - 0.296 * (sentenceCount / wordCount * 100) - 15.8),
+    automatedReadabilityIndex: round(4.71 * (letters / wordCount) + 0.5 * wordsPerSentence - 21.43),
+    averageWordsPerSentence: round(wordsPerSentence),
+    averageSyllablesPerWord: round(syllablesPerWord, 2),
+    level: levelOf(fleschReadingEase)
+  };
+}
+
+/**
+ * 中文可读性
+ * 难度评分（0-100，越高越易读）由平均句长和非常用字比例估算，仅用于相对比较，不对应正式的年级标准
+ */
+function chineseReadability(sentences, han) {
+  const sentenceHan = sentences.map(sentence => hanCharacters(sentence).length).filter(count => count > 0);
+  const clauses = sentences
+    .flatMap(sentence => sentence.split(CLAUSE_PATTERN))
+    .map(clause => hanCharacters(clause).length)
+    .filter(count => count > 0);
+
+  const averageSentenceLength = han.length / Math.max(sentenceHan.length, 1);
+  const averageClauseLength = han.length / Math.max(clauses.length, 1);
+  const commonRatio = han.filter(char => COMMON_HAN.has(char)).length / han.length;
+
+  // 句长超过 15 字、小句超过 8 字后逐步扣分；非常用字比例对难度影响最大
+  const score = clamp(
+    100
+      - 1.5 * Math.max(averageSentenceLength - 15, 0)
+      - 2 * Math.max(averageClauseLength - 8, 0)
+      - 150 * Math.max(1 - commonRatio - 0.1, 0),
+    0,
+    100
+  );
+
+  return {
+    averageSentenceLength: round(averageSentenceLength),
+    averageClauseLength: round(averageClauseLength),
+    commonCharacterRatio: round(commonRatio, 3),
+    difficultyScore: round(score),
+    level: levelOf(score)
+  };
+}
+
+/**
+ * 计算可读性
+ * 返回 { english, chinese }，内容不足的部分为null
+ */
+function computeReadability(text) {
+  const sentences = splitSentences(text);
+  const words = splitWords(text).filter(word => /\p{Script=Latin}/u.test(word));
+  const han = hanCharacters(text);
+
+  // 英文句数只计含拉丁字母单词的句子，避免中文句子拉低平均句长
+  const englishSentences = sentences.filter(sentence => /\p{Script=Latin}{2,}/u.test(sentence)).length;
+
+  return {
+    english: words.length >= MIN_ENGLISH_WORDS ? englishReadability(englishSentences, words) : null,
+    chinese: han.length >= MIN_HAN_CHARACTERS ? chineseReadability(sentences, han) : null
+  };
+}
+
+module.exports = {
+  name: 'readability',
+  description: 'English readability formulas and Chinese sentence-length / common-character metrics',
+  analyze: (text) => computeReadability(text),
+  computeReadability
+};
@@ -0,0 +1,56 @@
+/**
+ * 文本切分工具
+ * 供各分析器共用：分句、分段、拉丁字母单词切分、汉字统计和英文音节估算
+ * 中文不做词典分词，需要词语的分析器自行按字的 n-gram 处理
+ */
+
+const HAN_PATTERN = /\p{Script=Han}/u;
+const HAN_GLOBAL = /\p{Script=Han}/gu;
+const WORD_PATTERN = /[\p{L}\p{M}]+(?:['’-][\p{L}\p{M}]+)*/gu;
+
+// 句末标点（中英文），英文句点后需跟空白或结尾且不在常见缩写之后，避免切开缩写和小数
+const SENTENCE_PATTERN = /[^。！？!?\n]+?(?:[。！？!?]+["'”’」』)）]*|(?<!\b(?:Mr|Mrs|Ms|Dr|Prof|Sr|Jr|St|vs|etc|e\.g|i\.e|No))\.(?=\s|$)["'”’)]*|\n|$)/gu;
+
+/**
+ * 按空行分段
+ */
+exports.splitParagraphs = (text) => text.split(/\n\s*\n/).map(paragraph => paragraph.trim()).filter(Boolean);
+
+/**
+ * 分句，返回去除首尾空白后的非空句子
+ */
+exports.splitSentences = (text) => (text.match(SENTENCE_PATTERN) || [])
+  .map(sentence => sentence.trim())
+  .filter(sentence => /[\p{L}\p{N}]/u.test(sentence));
+
+/**
+ * 切分非汉字的单词（含拉丁、西里尔等字母文字），保留原始大小写
+ */
+exports.splitWords = (text) => (text.match(WORD_PATTERN) || [])
+  .flatMap(word => (HAN_PATTERN.test(word) ? word.split(HAN_GLOBAL).filter(Boolean) : [word]));
+
+/**
+ * 文本中的全部汉字
+ */
+exports.hanCharacters = (text) => text.match(HAN_GLOBAL) || [];
+
+/**
+ * 估算英文单词的音节数
+ * 按元音组计数，去掉词尾不发音的 e、es、ed
+ */
+exports.countSyllables = (word) => {
+  const normalized = word.toLowerCase().replace(/[^a-z]/g, '');
+  if (normalized.length === 0) {
+    return 0;
+  }
+  if (normalized.length <= 3) {
+    return 1;
+  }
+
+  const trimmed = normalized
+    .replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '')
+    .replace(/^y/, '');
+  return Math.max((trimmed.match(/[aeiouy]{1,2}/g) || []).length, 1);
+};
+
+exports.isHan = (char) => HAN_PATTERN.test(char);
@@ -0,0 +1,239 @@
+/**
+ * 基于词典的情感分析
+ * 中英文各用一份带权重的情感词典，考虑否定词（翻转并减弱）和程度副词（放大或减弱）
+ * 总分按 VADER 的方式归一化到 [-1, 1]；options.sentences 为true时附带逐句得分
+ */
+
+const { splitSentences, splitWords, isHan } = require('./segmentation');
+
+const EN_LEXICON = {
+  good: 2, great: 3, excellent: 3, amazing: 3, awesome: 3, wonderful: 3, fantastic: 3, love: 3, loved: 3, like: 1.5,
+  liked: 1.5, nice: 2, happy: 2.5, glad: 2, pleased: 2, enjoy: 2, enjoyed: 2, best: 3, better: 1.5, perfect: 3,
+  beautiful: 2.5, helpful: 2, useful: 1.5, easy: 1.5, fast: 1, clear: 1, recommend: 2, impressive: 2.5, satisfied: 2,
+  success: 2, successful: 2, win: 2, improve: 1.5, improved: 1.5, reliable: 2, friendly: 2, thanks: 1.5, thank: 1.5,
+  bad: -2.5, terrible: -3, awful: -3, horrible: -3, worst: -3, hate: -3, hated: -3, dislike: -2, poor: -2, sad: -2,
+  angry: -2.5, annoying: -2, annoyed: -2, disappointed: -2.5, disappointing: -2.5, slow: -1, broken: -2, bug: -1.5,
+  bugs: -1.5, fail: -2, failed: -2, failure: -2.5, problem: -1.5, problems: -1.5, difficult: -1, hard: -0.5,
+  confusing: -2, useless: -2.5, expensive: -1, wrong: -2, worse: -2, ugly: -2.5, crash: -2, crashed: -2, error: -1.5,
+  errors: -1.5, waste: -2.5, unfortunately: -1.5, sorry: -1, risk: -1, pain: -2, painful: -2.5
+};
+
+const EN_NEGATORS = new Set(['not', 'no', 'never', 'none', 'nobody', 'nothing', 'neither', 'nor', 'without', 'hardly', 'barely', 'cannot']);
+
+const EN_INTENSIFIERS = {
+  very: 1.5, really: 1.3, extremely: 2, so: 1.3, too: 1.3, incredibly: 1.8, absolutely: 1.8, totally: 1.5,
+  quite: 1.2, highly: 1.5, most: 1.3, slightly: 0.5, somewhat: 0.6, barely: 0.4, kinda: 0.6, little: 0.6
+};
+
+const ZH_LEXICON = {
+  好: 1.5, 很好: 2.5, 优秀: 3, 出色: 3, 精彩: 3, 完美: 3, 喜欢: 2, 喜爱: 2.5, 热爱: 3, 满意: 2, 开心: 2.5, 高兴: 2.5,
+  快乐: 2.5, 幸福: 2.5, 感谢: 2, 谢谢: 1.5, 推荐: 2, 赞: 2, 棒: 2.5, 不错: 2, 方便: 1.5, 好用: 2, 实用: 1.5,
+  清晰: 1.5, 流畅: 2, 稳定: 1.5, 成功: 2, 进步: 1.5, 改善: 1.5, 惊喜: 2.5, 舒服: 2, 美丽: 2.5, 漂亮: 2.5, 可靠: 2,
+  值得: 1.5, 支持: 1, 顺利: 2, 放心: 1.5, 贴心: 2, 高效: 2,
+  差: -2, 坏: -2, 糟糕: -3, 很差: -3, 失望: -2.5, 讨厌: -3, 恨: -3, 难过: -2.5, 伤心: -2.5, 生气: -2.5, 愤怒: -3,
+  烦: -2, 麻烦: -1.5, 困难: -1, 问题: -1, 错误: -1.5, 失败: -2, 崩溃: -2.5, 卡顿: -2, 缓慢: -1, 慢: -1, 贵: -1,
+  垃圾: -3, 难用: -2.5, 后悔: -2.5, 担心: -1.5, 痛苦: -2.5, 遗憾: -1.5, 可惜: -1.5, 浪费: -2, 复杂: -1, 混乱: -2,
+  故障: -2, 抱怨: -2, 投诉: -2, 危险: -2, 不满: -2.5
+};
+
+// 否定词，排除"非常""无论"等非否定用法
+const ZH_NEGATOR_PATTERN = /没有|不是|并不|从不|不|没|别|未|无(?!论)|非(?!常)/u;
+
+const ZH_INTENSIFIERS = {
+  非常: 1.8, 特别: 1.6, 十分: 1.6, 极其: 2, 极: 1.8, 太: 1.5, 很: 1.3, 挺: 1.2, 真: 1.3, 超: 1.5, 更: 1.2, 最: 1.6,
+  有点: 0.6, 有些: 0.6, 稍微: 0.5, 略: 0.6
+};
+
+// 转折词之后的内容通常代表真实态度，权重提高，之前的内容权重降低
+const EN_CONTRAST = new Set(['but', 'however', 'although', 'though', 'yet']);
+const ZH_CONTRAST = ['但是', '可是', '不过', '然而', '但'];
+const CONTRAST_BEFORE = 0.5;
+const CONTRAST_AFTER = 1.5;
+
+// 否定后的情感值：翻转并减弱（"not good" 不等于 "bad"）
+const NEGATION_FACTOR = -0.74;
+
+// VADER 归一化常数
+const NORMALIZATION_ALPHA = 15;
+
+// 按长度降序，实现最长匹配
+const ZH_TERMS = Object.keys(ZH_LEXICON).sort((a, b) => b.length - a.length);
+
+// 英文否定词的作用范围：前三个词内，遇到连词或其他情感词即终止
+const EN_NEGATION_SCOPE = 3;
+const EN_SCOPE_BREAKS = new Set(['and', 'or', ...EN_CONTRAST]);
+
+/**
+ * 判断英文情感词是否处于否定范围内
+ */
+function negatedAt(words, index) {
+  for (let cursor = index - 1; cursor >= Math.max(index - EN_NEGATION_SCOPE, 0); cursor--) {
+    const word = words[cursor];
+    if (EN_NEGATORS.has(word) || /n['’]t$/.test(word)) {
+      return true;
+    }
+    if (EN_SCOPE_BREAKS.has(word) || word in EN_LEXICON) {
+      return false;
+    }
+  }
+  return false;
+}
+
+/**
+ * 英文片段评分
+ */
+function scoreEnglish(text, matches) {
+  const words = splitWords(text).map(word => word.toLowerCase());
+  const scores = [];
+  let contrastAt = null;
+
+  words.forEach((word, index) => {
+    if (EN_CONTRAST.has(word)) {
+      contrastAt = scores.length;
+      return;
+    }
+    if (!(word in EN_LEXICON)) {
+      return;
+    }
+
+    let value = EN_LEXICON[word];
+    const previous = words[index - 1];
+    if (previous in EN_INTENSIFIERS) {
+      value *= EN_INTENSIFIERS[previous];
+    }
+    if (negatedAt(words, index)) {
+      value *= NEGATION_FACTOR;
+    }
+
+    scores.push({ term: word, value });
+  });
+
+  return finishScores(scores, contrastAt, matches);
+}
+
+/**
+ * 中文片段评分：在每个位置按最长匹配查找情感词，并检查前面三个字内的否定词和程度副词
+ */
+function scoreChinese(text, matches) {
+  const scores = [];
+  let contrastAt = null;
+  let index = 0;
+
+  while (index < text.length) {
+    const contrast = ZH_CONTRAST.find(word => text.startsWith(word, index));
+    if (contrast) {
+      contrastAt = scores.length;
+      index += contrast.length;
+      continue;
+    }
+
+    const term = isHan(text[index]) && ZH_TERMS.find(candidate => text.startsWith(candidate, index));
+    if (!term) {
+      index += 1;
+      continue;
+    }
+
+    let value = ZH_LEXICON[term];
+    const before = text.slice(Math.max(index - 3, 0), index);
+    const intensifier = Object.keys(ZH_INTENSIFIERS).find(word => before.endsWith(word));
+    if (intensifier) {
+      value *= ZH_INTENSIFIERS[intensifier];
+    }
+    if (ZH_NEGATOR_PATTERN.test(before)) {
+      value *= NEGATION_FACTOR;
+    }
+
+    scores.push({ term, value });
+    index += term.length;
+  }
+
+  return finishScores(scores, contrastAt, matches);
+}
+
+/**
+ * 应用转折权重并汇总：最后一个转折词之前的情感词减弱，之后的加强
+ */
+function finishScores(scores, contrastAt, matches) {
+  return scores.reduce((sum, entry, index) => {
+    let weight = 1;
+    if (contrastAt !== null) {
+      weight = index < contrastAt ? CONTRAST_BEFORE : CONTRAST_AFTER;
+    }
+    const weighted = entry.value * weight;
+    matches.push({ term: entry.term, value: Math.round(weighted * 100) / 100 });
+    return sum + weighted;
+  }, 0);
+}
+
+/**
+ * 归一化到 [-1, 1]
+ */
+const normalize = (sum) => (sum === 0 ? 0 : Math.round((sum / Math.sqrt(sum * sum + NORMALIZATION_ALPHA)) * 1000) / 1000);
+
+const labelOf = (score) => {
+  if (score >= 0.05) {
+    return 'positive';
+  }
+  return score <= -0.05 ? 'negative' : 'neutral';
+};
+
+/**
+ * 单句评分，中英文内容分别计算后相加
+ */
+function scoreSentence(sentence, matches) {
+  return scoreEnglish(sentence, matches) + scoreChinese(sentence, matches);
+}
+
+/**
+ * 情感分析
+ * 返回 { score, label, positive, negative, terms, sentences? }
+ * positive/negative 为正负情感词的加权强度占比
+ */
+function analyzeSentiment(text, { sentences: perSentence = false } = {}) {
+  const sentences = splitSentences(text);
+  const matches = [];
+  const sentenceScores = sentences.map(sentence => {
+    const own = [];
+    const sum = scoreSentence(sentence, own);
+    matches.push(...own);
+    return { sentence, sum };
+  });
+
+  const total = sentenceScores.reduce((sum, entry) => sum + entry.sum, 0);
+  const positive = matches.filter(match => match.value > 0).reduce((sum, match) => sum + match.value, 0);
+  const negative = -matches.filter(match => match.value < 0).reduce((sum, match) => sum + match.value, 0);
+  const magnitude = positive + negative;
+  const score = normalize(total);
+
+  // 按绝对强度汇总出现最多的情感词
+  const terms = [...matches.reduce((map, match) => {
+    const entry = map.get(match.term) || { term: match.term, count: 0, value: 0 };
+    entry.count += 1;
+    entry.value = Math.round((entry.value + match.value) * 100) / 100;
+    return map.set(match.term, entry);
+  }, new Map()).values()]
+    .sort((a, b) => Math.abs(b.value) - Math.abs(a.value))
+    .slice(0, 20);
+
+  return {
+    score,
+    label: labelOf(score),
+    positive: magnitude > 0 ? Math.round((positive / magnitude) * 1000) / 1000 : 0,
+    negative: magnitude > 0 ? Math.round((negative / magnitude) * 1000) / 1000 : 0,
+    terms,
+    ...(perSentence && {
+      sentences: sentenceScores.slice(0, 200).map(({ sentence, sum }) => ({
+        text: sentence,
+        score: normalize(sum),
+        label: labelOf(normalize(sum))
+      }))
+    })
+  };
+}
+
+module.exports = {
+  name: 'sentiment',
+  description: 'Lexicon-based sentiment with negation, intensifiers and contrast handling (English and Chinese)',
+  analyze: (text, { options = {} } = {}) => analyzeSentiment(text, { sentences: options.sentences }),
+  analyzeSentiment
+};
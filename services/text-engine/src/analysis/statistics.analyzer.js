@@ -0,0 +1,50 @@
+/**
+ * 句子和词语统计
+ * 中文按汉字计数（每个汉字视为一个词单位），其他文字按单词计数
+ */
+
+const { splitParagraphs, splitSentences, splitWords, hanCharacters } = require('./segmentation');
+
+// 阅读速度：英文每分钟单词数、中文每分钟字数
+const WORDS_PER_MINUTE = 230;
+const HAN_CHARACTERS_PER_MINUTE = 400;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+/**
+ * 计算文本统计
+ */
+function computeStatistics(text) {
+  const sentences = splitSentences(text);
+  const words = splitWords(text);
+  const han = hanCharacters(text);
+  const units = words.length + han.length;
+
+  const sentenceLengths = sentences.map(sentence => splitWords(sentence).length + hanCharacters(sentence).length);
+  const distinctWords = new Set(words.map(word => word.toLowerCase()));
+  const distinctHan = new Set(han);
+
+  return {
+    characters: text.length,
+    charactersExcludingSpaces: text.replace(/\s/g, '').length,
+    hanCharacters: han.length,
+    words: words.length,
+    // 词单位：单词数 + 汉字数，用于中英文混排时的长度比较
+    wordUnits: units,
+    sentences: sentences.length,
+    paragraphs: splitParagraphs(text).length,
+    averageSentenceLength: sentences.length > 0 ? round(units / sentences.length) : 0,
+    longestSentenceLength: sentenceLengths.length > 0 ? Math.max(...sentenceLengths) : 0,
+    averageWordLength: words.length > 0 ? round(words.reduce((sum, word) => sum + word.length, 0) / words.length) : 0,
+    // 类符/形符比，衡量用词丰富程度
+    lexicalDiversity: units > 0 ? round((distinctWords.size + distinctHan.size) / units, 3) : 0,
+    readingTimeSeconds: Math.ceil((words.length / WORDS_PER_MINUTE + han.length / HAN_CHARACTERS_PER_MINUTE) * 60)
+  };
+}
+
+module.exports = {
+  name: 'statistics',
+  description: 'Character, word, sentence and paragraph statistics',
+  analyze: (text) => computeStatistics(text),
+  computeStatistics
+};
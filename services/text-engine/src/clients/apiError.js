@@ -0,0 +1,36 @@
+/**
+ * 构造与 OpenAI SDK 一致的错误
+ * 录制回放和模拟客户端抛出的错误与真实调用相同，重试、熔断和错误映射的判断路径不变
+ */
+
+const { APIError, APIUserAbortError } = require('openai');
+
+/**
+ * HTTP错误，body 为 OpenAI 的错误响应 { error: { message, type, code, param } }
+ */
+exports.createApiError = ({ status, body = {}, message, headers = {} }) => APIError.generate(status, body, message, headers);
+
+/**
+ * 网络错误（无HTTP响应），如 ECONNRESET
+ */
+exports.createNetworkError = ({ message, code }) => Object.assign(new Error(message), { code });
+
+/**
+ * 请求被调用方中止
+ */
+exports.createAbortError = () => new APIUserAbortError();
+
+/**
+ * 序列化错误以写入录制文件
+ * HTTP错误的消息由 SDK 根据状态码和错误体生成，不单独保存
+ */
+exports.serializeError = (error) => (typeof error.status === 'number'
+  ? { status: error.status, headers: error.headers || {}, body: error.error ? { error: error.error } : {} }
+  : { message: error.message, code: error.code });
+
+/**
+ * 从录制文件还原错误
+ */
+exports.deserializeError = (recorded) => (typeof recorded.status === 'number'
+  ? exports.createApiError(recorded)
+  : exports.createNetworkError(recorded));
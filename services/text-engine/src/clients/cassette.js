@@ -0,0 +1,66 @@
+/**
+ * 录制文件（cassette）
+ * 按请求内容的摘要保存 OpenAI 请求与响应，回放时按相同摘要查找
+ * 同一请求录制多次时按调用顺序依次回放，用完后重复最后一次，以便回放重试序列（如先429后成功）
+ *
+ * 文件格式：{ version, interactions: [{ key, operation, request, response | stream | error, recordedAt }] }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { hashParams } = require('../utils/cacheKey');
+
+const CASSETTE_VERSION = 1;
+
+/**
+ * 请求的匹配键
+ */
+exports.requestKey = (operation, request) => hashParams({ operation, request });
+
+/**
+ * 打开录制文件，不存在时为空
+ */
+exports.openCassette = (dir, name) => {
+  const file = path.join(dir, `${name}.json`);
+  const interactions = fs.existsSync(file)
+    ? JSON.parse(fs.readFileSync(file, 'utf8')).interactions || []
+    : [];
+
+  // 键 -> 下一次回放的序号
+  const cursors = new Map();
+  let writing = Promise.resolve();
+
+  return {
+    file,
+    interactions,
+
+    /**
+     * 查找下一条匹配的录制，没有时返回 null
+     */
+    next(key) {
+      const matches = interactions.filter(interaction => interaction.key === key);
+      if (matches.length === 0) {
+        return null;
+      }
+
+      const cursor = cursors.get(key) || 0;
+      cursors.set(key, cursor + 1);
+      return matches[Math.min(cursor, matches.length - 1)];
+    },
+
+    /**
+     * 追加录制并写入文件；写入串行进行，先写临时文件再替换，避免中途失败留下损坏的文件
+     */
+    append(interaction) {
+      interactions.push({ ...interaction, recordedAt: new Date().toISOString() });
+      const content = JSON.stringify({ version: CASSETTE_VERSION, interactions }, null, 2);
+
+      writing = writing.then(async () => {
+        await fs.promises.mkdir(dir, { recursive: true });
+        await fs.promises.writeFile(`${file}.tmp`, content);
+        await fs.promises.rename(`${file}.tmp`, file);
+      });
+      return writing;
+    }
+  };
+};
@@ -0,0 +1,264 @@
+/**
+ * 可编排的模拟客户端
+ * 按脚本规则返回响应或注入故障，不访问网络；未匹配规则时返回可预测的默认回复
+ *
+ * 规则：{ match?, times?, respond }
+ *   match    { operation: 'chat' | 'moderations' | 'models', model, stream, contains }，省略的条件不参与匹配；
+ *            contains 匹配任一消息内容或审核输入中的子串
+ *   times    规则可命中的次数，用完后跳过（如前两次返回429、之后成功），省略时不限次数
+ *   respond  { text, toolCalls: [{ name, arguments }], usage, finishReason, categories, latencyMs, chunkDelayMs, error, status, message }
+ *            error 可为 rate_limit、server_error、unavailable、timeout（挂起直到调用方中止）、
+ *            context_length_exceeded、connection_reset
+ *
+ * 规则按顺序匹配，第一条可用的规则生效；所有调用记录在 getCalls() 中，供测试断言
+ */
+
+const fs = require('fs');
+const { createApiError, createNetworkError, createAbortError } = require('./apiError');
+
+// 预置故障：HTTP状态和 OpenAI 错误体
+const FAULTS = {
+  rate_limit: { status: 429, type: 'requests', code: 'rate_limit_exceeded', message: 'Rate limit reached for requests' },
+  server_error: { status: 500, type: 'server_error', code: null, message: 'The server had an error while processing your request' },
+  unavailable: { status: 503, type: 'server_error', code: null, message: 'The engine is currently overloaded, please try again later' },
+  context_length_exceeded: {
+    status: 400,
+    type: 'invalid_request_error',
+    code: 'context_length_exceeded',
+    message: "This model's maximum context length has been exceeded. Please reduce the length of the messages."
+  }
+};
+
+const FAKE_MODELS = ['gpt-4', 'gpt-4-turbo', 'gpt-3.5-turbo', 'gpt-3.5-turbo-16k'];
+
+let rules = [];
+let calls = [];
+let sequence = 0;
+
+// 粗略估算令牌数：每4个字符记1个令牌
+const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+/**
+ * 替换脚本规则并清空调用记录
+ */
+exports.script = (nextRules = []) => {
+  rules = nextRules.map(rule => ({ ...rule, remaining: rule.times ?? Infinity }));
+  calls = [];
+  sequence = 0;
+};
+
+/**
+ * 清空脚本和调用记录
+ */
+exports.reset = () => exports.script([]);
+
+/**
+ * 已收到的调用 [{ operation, request }]
+ */
+exports.getCalls = () => calls.map(call => ({ ...call }));
+
+/**
+ * 从JSON文件加载脚本，文件为规则数组或 { rules }
+ */
+exports.loadScript = (file) => {
+  const content = JSON.parse(fs.readFileSync(file, 'utf8'));
+  exports.script(Array.isArray(content) ? content : content.rules);
+};
+
+/**
+ * 请求中可供 contains 匹配的文本
+ */
+function requestText(request) {
+  if (request.messages) {
+    return request.messages.map(message => message.content || '').join('\n');
+  }
+  return [].concat(request.input || []).join('\n');
+}
+
+/**
+ * 查找并消耗第一条匹配的规则
+ */
+function takeRule(operation, request) {
+  const rule = rules.find(candidate => {
+    const match = candidate.match || {};
+    return candidate.remaining > 0
+      && (!match.operation || match.operation === operation)
+      && (!match.model || match.model === request.model)
+      && (match.stream === undefined || match.stream === Boolean(request.stream))
+      && (!match.contains || requestText(request).includes(match.contains));
+  });
+
+  if (rule) {
+    rule.remaining -= 1;
+  }
+  return rule?.respond || {};
+}
+
+/**
+ * 可中止的等待
+ */
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) {
+      reject(createAbortError());
+      return;
+    }
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(createAbortError());
+    };
+    const timer = ms === Infinity ? null : setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+/**
+ * 按规则注入故障
+ */
+async function injectFault(respond, signal) {
+  if (respond.error === 'timeout') {
+    // 挂起直到调用方按超时中止；未传入 signal 时永不返回
+    await wait(Infinity, signal);
+  }
+  if (respond.error === 'connection_reset') {
+    throw createNetworkError({ message: 'socket hang up', code: 'ECONNRESET' });
+  }
+
+  const fault = FAULTS[respond.error] || (respond.status && {
+    status: respond.status,
+    type: 'api_error',
+    code: null,
+    message: respond.message || `Fake error ${respond.status}`
+  });
+  if (fault) {
+    throw createApiError({
+      status: fault.status,
+      body: { error: { message: respond.message || fault.message, type: fault.type, code: fault.code, param: null } }
+    });
+  }
+}
+
+/**
+ * 默认回复：JSON模式返回空对象，否则回显最后一条用户消息
+ */
+function defaultText(request) {
+  if (request.response_format?.type === 'json_object') {
+    return '{}';
+  }
+  const lastUser = [...(request.messages || [])].reverse().find(message => message.role === 'user');
+  return `[fake] ${lastUser?.content || ''}`;
+}
+
+/**
+ * 构建聊天补全响应
+ */
+function buildCompletion(request, respond) {
+  sequence += 1;
+  const text = respond.text ?? (respond.toolCalls ? null : defaultText(request));
+  const promptTokens = estimateTokens(requestText(request));
+  const completionTokens = estimateTokens(text || JSON.stringify(respond.toolCalls || []));
+
+  return {
+    id: `chatcmpl-fake-${sequence}`,
+    object: 'chat.completion',
+    created: 0,
+    model: request.model,
+    choices: [{
+      index: 0,
+      message: {
+        role: 'assistant',
+        content: text,
+        ...(respond.toolCalls && {
+          tool_calls: respond.toolCalls.map((call, index) => ({
+            id: `call_fake_${sequence}_${index}`,
+            type: 'function',
+            function: {
+              name: call.name,
+              arguments: typeof call.arguments === 'string' ? call.arguments : JSON.stringify(call.arguments || {})
+            }
+          }))
+        })
+      },
+      finish_reason: respond.finishReason || (respond.toolCalls ? 'tool_calls' : 'stop')
+    }],
+    usage: respond.usage || {
+      prompt_tokens: promptTokens,
+      completion_tokens: completionTokens,
+      total_tokens: promptTokens + completionTokens
+    }
+  };
+}
+
+/**
+ * 以流式分片返回补全：按词切分，最后一个分片携带用量
+ */
+async function* streamCompletion(completion, respond, signal) {
+  const base = { id: completion.id, object: 'chat.completion.chunk', created: 0, model: completion.model };
+  const words = (completion.choices[0].message.content || '').split(/(?<=\s)/);
+
+  for (const word of words) {
+    await wait(respond.chunkDelayMs || 0, signal);
+    yield { ...base, choices: [{ index: 0, delta: { content: word }, finish_reason: null }] };
+  }
+  yield { ...base, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }], usage: completion.usage };
+}
+
+/**
+ * 处理一次调用
+ */
+async function handle(operation, request, options = {}) {
+  calls.push({ operation, request });
+  const respond = takeRule(operation, request);
+
+  await wait(respond.latencyMs || 0, options.signal);
+  await injectFault(respond, options.signal);
+
+  if (operation === 'moderations') {
+    const categories = respond.categories || {};
+    return {
+      id: `modr-fake-${++sequence}`,
+      model: 'text-moderation-latest',
+      results: [{
+        flagged: Object.values(categories).some(score => score >= 0.5),
+        categories: Object.fromEntries(Object.entries(categories).map(([name, score]) => [name, score >= 0.5])),
+        category_scores: categories
+      }]
+    };
+  }
+
+  if (operation === 'models') {
+    return request.id
+      ? { id: request.id, object: 'model', owned_by: 'fake' }
+      : { data: FAKE_MODELS.map(id => ({ id, object: 'model', owned_by: 'fake' })) };
+  }
+
+  const completion = buildCompletion(request, respond);
+  return request.stream ? streamCompletion(completion, respond, options.signal) : completion;
+}
+
+/**
+ * 创建模拟客户端，可选从 scriptFile 加载初始脚本
+ */
+exports.createFakeClient = ({ scriptFile } = {}) => {
+  if (scriptFile) {
+    exports.loadScript(scriptFile);
+  }
+
+  return {
+    chat: {
+      completions: {
+        create: (body, options) => handle('chat', body, options)
+      }
+    },
+    moderations: {
+      create: (body, options) => handle('moderations', body, options)
+    },
+    models: {
+      list: () => handle('models', {}),
+      retrieve: (id) => handle('models', { id })
+    }
+  };
+};
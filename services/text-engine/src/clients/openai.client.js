@@ -0,0 +1,37 @@
+/**
+ * OpenAI 客户端工厂
+ * 按 OPENAI_MODE 返回真实、录制、回放或模拟客户端，几种客户端接口一致，
+ * openai.service 的重试、缓存和错误映射在所有模式下走相同的路径
+ */
+
+const providerMode = require('../config/providerMode');
+const { openCassette } = require('./cassette');
+const { createRecordingClient } = require('./recording.client');
+const { createReplayClient } = require('./replay.client');
+const { createFakeClient } = require('./fake.client');
+const logger = require('../utils/logger');
+
+/**
+ * 创建客户端
+ * createLiveClient 只在 live 和 record 模式下调用，replay 和 fake 模式无需 API 密钥
+ */
+exports.createOpenAIClient = (createLiveClient) => {
+  const { MODE, CASSETTE_DIR, CASSETTE_NAME, FAKE_SCRIPT } = providerMode;
+
+  if (MODE === 'live') {
+    return createLiveClient();
+  }
+
+  logger.warn(`OpenAI client running in ${MODE} mode`);
+
+  if (MODE === 'fake') {
+    return createFakeClient({ scriptFile: FAKE_SCRIPT });
+  }
+
+  const cassette = openCassette(CASSETTE_DIR, CASSETTE_NAME);
+  logger.info(`Using cassette ${cassette.file} (${cassette.interactions.length} recorded interactions)`);
+
+  return MODE === 'record'
+    ? createRecordingClient(createLiveClient(), cassette)
+    : createReplayClient(cassette);
+};
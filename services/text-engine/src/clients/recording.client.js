@@ -0,0 +1,77 @@
+/**
+ * 录制客户端
+ * 包装真实的 OpenAI 客户端：请求照常发出，完成后把请求和响应（含错误）追加到录制文件
+ * 流式响应在完整读取后才写入；被中止或中途出错的流不录制
+ */
+
+const { APIUserAbortError } = require('openai');
+const { requestKey } = require('./cassette');
+const { serializeError } = require('./apiError');
+const logger = require('../utils/logger');
+
+/**
+ * 转换为可序列化的普通对象
+ */
+const toPlain = (value) => JSON.parse(JSON.stringify(value));
+
+/**
+ * 创建录制客户端
+ */
+exports.createRecordingClient = (live, cassette) => {
+  const save = (interaction) => cassette.append(interaction)
+    .catch(error => logger.error(`Writing cassette ${cassette.file} failed: ${error.message}`));
+
+  /**
+   * 录制流式响应：边转发边收集分片
+   */
+  async function* recordStream(stream, interaction) {
+    const chunks = [];
+    for await (const chunk of stream) {
+      chunks.push(toPlain(chunk));
+      yield chunk;
+    }
+    await save({ ...interaction, stream: chunks });
+  }
+
+  /**
+   * 调用真实客户端并录制结果
+   */
+  async function record(operation, request, call) {
+    const interaction = { key: requestKey(operation, request), operation, request };
+
+    let response;
+    try {
+      response = await call();
+    } catch (error) {
+      // 调用方中止不属于上游的响应
+      if (!(error instanceof APIUserAbortError)) {
+        await save({ ...interaction, error: serializeError(error) });
+      }
+      throw error;
+    }
+
+    if (request.stream) {
+      return recordStream(response, interaction);
+    }
+
+    // 模型列表为分页对象，只保留 data
+    const body = operation === 'models.list' ? { data: toPlain(response.data) } : toPlain(response);
+    await save({ ...interaction, response: body });
+    return body;
+  }
+
+  return {
+    chat: {
+      completions: {
+        create: (body, options) => record('chat', body, () => live.chat.completions.create(body, options))
+      }
+    },
+    moderations: {
+      create: (body, options) => record('moderations', body, () => live.moderations.create(body, options))
+    },
+    models: {
+      list: () => record('models.list', {}, () => live.models.list()),
+      retrieve: (id) => record('models.retrieve', { id }, () => live.models.retrieve(id))
+    }
+  };
+};
@@ -0,0 +1,61 @@
+/**
+ * 回放客户端
+ * 只从录制文件返回响应，不访问网络；请求未录制时抛出 cassette_miss（不可重试）
+ */
+
+const { requestKey } = require('./cassette');
+const { deserializeError, createAbortError } = require('./apiError');
+
+/**
+ * 回放录制的流式分片
+ */
+async function* replayStream(chunks, signal) {
+  for (const chunk of chunks) {
+    if (signal?.aborted) {
+      throw createAbortError();
+    }
+    yield chunk;
+  }
+}
+
+/**
+ * 创建回放客户端
+ */
+exports.createReplayClient = (cassette) => {
+  async function replay(operation, request, options = {}) {
+    if (options.signal?.aborted) {
+      throw createAbortError();
+    }
+
+    const interaction = cassette.next(requestKey(operation, request));
+    if (!interaction) {
+      const err = new Error(`No recorded ${operation} interaction${request.model ? ` for model "${request.model}"` : ''} in ${cassette.file}; re-record with OPENAI_MODE=record`);
+      err.code = 'cassette_miss';
+      err.retryable = false;
+      throw err;
+    }
+
+    if (interaction.error) {
+      throw deserializeError(interaction.error);
+    }
+    if (interaction.stream) {
+      return replayStream(interaction.stream, options.signal);
+    }
+    return structuredClone(interaction.response);
+  }
+
+  return {
+    chat: {
+      completions: {
+        create: (body, options) => replay('chat', body, options)
+      }
+    },
+    moderations: {
+      create: (body, options) => replay('moderations', body, options)
+    },
+    models: {
+      list: () => replay('models.list', {}),
+      retrieve: (id) => replay('models.retrieve', { id })
+    }
+  };
+};
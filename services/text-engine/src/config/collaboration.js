@@ -0,0 +1,19 @@
+/**
+ * 实时协作配置
+ * 协作会话保存在进程内存中，多副本部署时需按 projectId 将连接路由到同一副本（见 collaboration.service）
+ */
+
+const COLLABORATOR_ROLES = ['editor', 'viewer'];
+
+module.exports = {
+  COLLABORATOR_ROLES,
+  // 定期将协作内容保存为项目修订的间隔（毫秒）
+  SNAPSHOT_INTERVAL_MS: parseInt(process.env.COLLAB_SNAPSHOT_INTERVAL_MS || '30000'),
+  // 保留的历史操作数，客户端基于更早版本的操作需重新同步
+  MAX_HISTORY: parseInt(process.env.COLLAB_MAX_HISTORY || '1000'),
+  MAX_DOCUMENT_LENGTH: parseInt(process.env.COLLAB_MAX_DOCUMENT_LENGTH || '1000000'),
+  MAX_CLIENTS_PER_PROJECT: parseInt(process.env.COLLAB_MAX_CLIENTS || '50'),
+  // 心跳间隔（毫秒），超过一个间隔未响应的连接会被关闭
+  HEARTBEAT_INTERVAL_MS: parseInt(process.env.COLLAB_HEARTBEAT_MS || '30000'),
+  MAX_MESSAGE_BYTES: parseInt(process.env.COLLAB_MAX_MESSAGE_BYTES || String(1024 * 1024))
+};
@@ -0,0 +1,40 @@
+/**
+ * 跨提供方回退链配置
+ * 主模型不可用或熔断时，按顺序尝试链上的后续模型
+ * 可通过环境变量 FALLBACK_CHAINS 以JSON覆盖，例如 {"gpt-4":["claude","local-mistral"]}
+ */
+
+const logger = require('../utils/logger');
+
+const DEFAULT_CHAINS = {
+  'gpt-4': ['claude', 'local-mistral'],
+  'gpt-4-turbo': ['gpt-4', 'claude'],
+  'gpt-3.5-turbo': ['claude-instant', 'local-mistral'],
+  'claude': ['gpt-4', 'local-mistral'],
+  'claude-instant': ['gpt-3.5-turbo', 'local-mistral'],
+  'gemini': ['gpt-4', 'claude'],
+  'palm': ['gpt-3.5-turbo']
+};
+
+function loadChains() {
+  if (!process.env.FALLBACK_CHAINS) {
+    return DEFAULT_CHAINS;
+  }
+
+  try {
+    return { ...DEFAULT_CHAINS, ...JSON.parse(process.env.FALLBACK_CHAINS) };
+  } catch (error) {
+    logger.warn(`Invalid FALLBACK_CHAINS configuration, using defaults: ${error.message}`);
+    return DEFAULT_CHAINS;
+  }
+}
+
+const chains = loadChains();
+
+/**
+ * 获取模型的完整调用链（主模型在首位，去重）
+ */
+exports.getFallbackChain = (model) => {
+  const fallbacks = chains[model.toLowerCase()] || [];
+  return [...new Set([model, ...fallbacks])];
+};
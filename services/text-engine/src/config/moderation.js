@@ -0,0 +1,88 @@
+/**
+ * 内容审核策略配置
+ * 每个类别在输入（提示）和输出阶段分别指定处理动作：block 阻止、redact 遮盖、flag 仅标记、allow 放行
+ * 可通过环境变量 MODERATION_POLICY 以JSON覆盖，例如 {"categories":{"violence":{"input":"block"}}}
+ */
+
+const logger = require('../utils/logger');
+
+const ACTIONS = ['allow', 'flag', 'redact', 'block'];
+
+const DEFAULT_POLICY = {
+  enabled: process.env.MODERATION_ENABLED !== 'false',
+
+  // 启用的检查器，openai 需额外开启，调用提供方的审核接口
+  checkers: process.env.MODERATION_PROVIDER === 'openai'
+    ? ['keywords', 'classifier', 'openai']
+    : ['keywords', 'classifier'],
+
+  categories: {
+    hate: { input: 'block', output: 'block' },
+    harassment: { input: 'flag', output: 'block' },
+    violence: { input: 'flag', output: 'flag' },
+    self_harm: { input: 'flag', output: 'block' },
+    sexual: { input: 'flag', output: 'block' },
+    profanity: { input: 'flag', output: 'redact' },
+    secrets: { input: 'redact', output: 'redact' }
+  },
+
+  // 本地关键词/正则规则；keyword 对英文词按整词匹配，忽略大小写
+  rules: [
+    { category: 'secrets', type: 'regex', pattern: '\\bsk-[A-Za-z0-9_-]{20,}\\b' },
+    { category: 'secrets', type: 'regex', pattern: '\\bAKIA[0-9A-Z]{16}\\b' },
+    { category: 'secrets', type: 'regex', pattern: '-----BEGIN (?:RSA |EC |OPENSSH )?PRIVATE KEY-----' },
+    { category: 'profanity', type: 'keyword', terms: ['fuck', 'fucking', 'shit', 'bitch', 'asshole', 'motherfucker', '傻逼', '他妈的'] }
+  ],
+
+  // 本地分类器得分达到阈值时判定命中
+  classifier: { threshold: 0.8 },
+
+  // 提供方审核接口得分阈值
+  provider: { threshold: 0.5 }
+};
+
+/**
+ * 合并覆盖配置，类别按字段合并，规则整体替换
+ */
+function loadPolicy() {
+  if (!process.env.MODERATION_POLICY) {
+    return DEFAULT_POLICY;
+  }
+
+  try {
+    const overrides = JSON.parse(process.env.MODERATION_POLICY);
+    const categories = { ...DEFAULT_POLICY.categories };
+    for (const [category, actions] of Object.entries(overrides.categories || {})) {
+      categories[category] = { ...categories[category], ...actions };
+    }
+
+    return {
+      ...DEFAULT_POLICY,
+      ...overrides,
+      categories,
+      classifier: { ...DEFAULT_POLICY.classifier, ...overrides.classifier },
+      provider: { ...DEFAULT_POLICY.provider, ...overrides.provider }
+    };
+  } catch (error) {
+    logger.warn(`Invalid MODERATION_POLICY configuration, using defaults: ${error.message}`);
+    return DEFAULT_POLICY;
+  }
+}
+
+const policy = loadPolicy();
+
+/**
+ * 获取当前审核策略
+ */
+exports.getPolicy = () => policy;
+
+/**
+ * 获取类别在指定阶段的处理动作
+ * 未配置的类别默认仅标记
+ */
+exports.getAction = (category, stage) => {
+  const action = policy.categories[category]?.[stage];
+  return ACTIONS.includes(action) ? action : 'flag';
+};
+
+exports.ACTIONS = ACTIONS;
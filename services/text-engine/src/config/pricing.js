@@ -0,0 +1,48 @@
+/**
+ * 模型价格表
+ * 单位：美元 / 1K令牌，输入（prompt）和输出（completion）分别计价
+ * 可通过环境变量 MODEL_PRICING 以JSON覆盖，例如 {"gpt-4":{"prompt":0.03,"completion":0.06}}
+ */
+
+const logger = require('../utils/logger');
+
+const DEFAULT_PRICING = {
+  'gpt-4': { prompt: 0.03, completion: 0.06 },
+  'gpt-4-32k': { prompt: 0.06, completion: 0.12 },
+  'gpt-4-turbo': { prompt: 0.01, completion: 0.03 },
+  'gpt-3.5-turbo': { prompt: 0.0015, completion: 0.002 },
+  'gpt-3.5-turbo-16k': { prompt: 0.003, completion: 0.004 },
+  'claude': { prompt: 0.008, completion: 0.024 },
+  'claude-instant': { prompt: 0.0008, completion: 0.0024 },
+  'palm': { prompt: 0.0005, completion: 0.0005 },
+  'gemini': { prompt: 0.00025, completion: 0.0005 },
+  // 本地模型不产生API费用
+  'local-llama': { prompt: 0, completion: 0 },
+  'local-mistral': { prompt: 0, completion: 0 },
+  'local-stub': { prompt: 0, completion: 0 }
+};
+
+function loadPricing() {
+  if (!process.env.MODEL_PRICING) {
+    return DEFAULT_PRICING;
+  }
+
+  try {
+    return { ...DEFAULT_PRICING, ...JSON.parse(process.env.MODEL_PRICING) };
+  } catch (error) {
+    logger.warn(`Invalid MODEL_PRICING configuration, using defaults: ${error.message}`);
+    return DEFAULT_PRICING;
+  }
+}
+
+const pricing = loadPricing();
+
+/**
+ * 获取模型价格，未登记的模型返回null
+ */
+exports.getModelPricing = (model) => pricing[model?.toLowerCase()] || null;
+
+/**
+ * 获取完整价格表
+ */
+exports.listPricing = () => ({ ...pricing });
@@ -0,0 +1,31 @@
+/**
+ * 个人信息（PII）保护默认策略
+ * 每类实体可选 redact 替换为占位符、block 拒绝请求、allow 原样发送
+ * 租户可保存自己的策略覆盖默认值；PII_REDACTION_ENABLED=false 时整体关闭
+ */
+
+const ENTITY_TYPES = ['email', 'phone', 'id_number', 'card_number', 'address'];
+const PII_ACTIONS = ['redact', 'block', 'allow'];
+
+const DEFAULT_POLICY = {
+  enabled: process.env.PII_REDACTION_ENABLED !== 'false',
+  entities: {
+    email: 'redact',
+    phone: 'redact',
+    id_number: 'redact',
+    card_number: 'redact',
+    address: 'redact'
+  },
+  // 自定义规则 [{ name, pattern, flags, action }]
+  customPatterns: []
+};
+
+// 租户策略的本地缓存时间（毫秒）；Redis 可用时策略更新通过版本号立即在各副本生效，否则最多延迟该时长
+const POLICY_CACHE_TTL = parseInt(process.env.PII_POLICY_CACHE_TTL_MS || '60000');
+
+module.exports = {
+  ENTITY_TYPES,
+  PII_ACTIONS,
+  DEFAULT_POLICY,
+  POLICY_CACHE_TTL
+};
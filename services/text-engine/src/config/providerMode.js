@@ -0,0 +1,28 @@
+/**
+ * OpenAI 客户端模式
+ *   live    直接调用 OpenAI（默认）
+ *   record  调用 OpenAI，并把请求和响应写入录制文件（cassette）
+ *   replay  只从录制文件回放，不访问网络；未录制的请求报错
+ *   fake    可编排的模拟客户端，按脚本返回内容、延迟、429、5xx、超时或上下文超限错误
+ * replay 和 fake 模式不需要 API 密钥，用于离线测试
+ */
+
+const path = require('path');
+
+const PROVIDER_MODES = ['live', 'record', 'replay', 'fake'];
+
+const MODE = process.env.OPENAI_MODE || 'live';
+
+if (!PROVIDER_MODES.includes(MODE)) {
+  throw new Error(`OPENAI_MODE must be one of: ${PROVIDER_MODES.join(', ')}`);
+}
+
+module.exports = {
+  PROVIDER_MODES,
+  MODE,
+  // 录制文件目录和名称，实际文件为 <dir>/<name>.json
+  CASSETTE_DIR: path.resolve(process.env.OPENAI_CASSETTE_DIR || 'fixtures/cassettes'),
+  CASSETTE_NAME: process.env.OPENAI_CASSETTE || 'default',
+  // fake 模式的初始脚本文件（JSON），可为空
+  FAKE_SCRIPT: process.env.OPENAI_FAKE_SCRIPT || null
+};
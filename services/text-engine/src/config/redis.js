@@ -0,0 +1,45 @@
+/**
+ * Redis连接管理
+ * 共享的Redis客户端，用于缓存、速率限制以及跨副本共享的状态
+ * 连接失败时返回null，调用方需自行降级
+ */
+
+const { createClient } = require('redis');
+const logger = require('../utils/logger');
+
+let redisClient = null;
+
+/**
+ * 建立Redis连接
+ */
+exports.connectRedis = async () => {
+  const client = createClient({
+    url: process.env.REDIS_URL
+  });
+  
+  client.on('error', (err) => {
+    logger.error('Redis client error', err);
+  });
+  
+  await client.connect();
+  redisClient = client;
+  logger.info('Redis client connected');
+  
+  return client;
+};
+
+/**
+ * 获取可用的Redis客户端，未连接时返回null
+ */
+exports.getRedisClient = () => (redisClient?.isReady ? redisClient : null);
+
+/**
+ * 关闭Redis连接
+ */
+exports.disconnectRedis = async () => {
+  if (redisClient) {
+    await redisClient.quit();
+    redisClient = null;
+    logger.info('Redis connection closed');
+  }
+};
@@ -0,0 +1,288 @@
+/**
+ * 批量任务控制器
+ * 基于持久化任务的异步批量生成：创建任务、查询进度与部分结果、取消任务、导出JSONL结果
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const BatchJob = require('../models/batchJob.model');
+const providers = require('../providers');
+const batchWorker = require('../workers/batchJob.worker');
+const logger = require('../utils/logger');
+const { ERROR_CODES } = require('../utils/errorCodes');
+const { rejectInvalidRequest } = require('../utils/validation');
+
+const MAX_JOB_ITEMS = parseInt(process.env.BATCH_JOB_MAX_ITEMS || '1000');
+const MAX_CONCURRENCY = 10;
+
+/**
+ * 任务摘要（不含条目）
+ */
+function toJobSummary(job) {
+  return {
+    jobId: job.jobId,
+    status: job.status,
+    model: job.model,
+    progress: {
+      total: job.progress.total,
+      succeeded: job.progress.succeeded,
+      failed: job.progress.failed,
+      completed: job.progress.succeeded + job.progress.failed,
+      percent: job.progress.total
+        ? Math.round(((job.progress.succeeded + job.progress.failed) / job.progress.total) * 100)
+        : 0
+    },
+    tokensUsed: job.tokensUsed,
+    cost: job.cost,
+    createdAt: job.createdAt,
+    startedAt: job.startedAt || null,
+    completedAt: job.completedAt || null,
+    cancelledAt: job.cancelledAt || null
+  };
+}
+
+/**
+ * 条目结果
+ */
+function toItemResult(item) {
+  return {
+    index: item.index,
+    status: item.status,
+    text: item.text ?? null,
+    model: item.model ?? null,
+    provider: item.provider ?? null,
+    tokensUsed: item.tokensUsed || 0,
+    cost: item.cost || 0,
+    attempts: item.attempts,
+    error: item.error ?? null,
+    errorCode: item.errorCode ?? null
+  };
+}
+
+/**
+ * 创建批量任务
+ * 任务持久化后立即返回jobId，由后台工作进程处理
+ */
+exports.createBatchJob = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const { prompts, model = 'gpt-3.5-turbo', temperature = 0.7, concurrency = 5, maxAttempts = 3, metadata = {} } = req.body;
+    const userId = req.user.id;
+
+    if (prompts.length > MAX_JOB_ITEMS) {
+      return res.status(400).json({
+        success: false,
+        message: `Batch jobs are limited to ${MAX_JOB_ITEMS} prompts`,
+        errorCode: ERROR_CODES.TOO_MANY_REQUESTS
+      });
+    }
+
+    if (!providers.isModelSupported(model)) {
+      return res.status(400).json({
+        success: false,
+        message: `Model "${model}" is not supported`,
+        errorCode: ERROR_CODES.VALIDATION_ERROR
+      });
+    }
+
+    const items = prompts.map((prompt, index) => ({
+      index,
+      prompt: typeof prompt === 'string' ? prompt : prompt.text,
+      systemPrompt: typeof prompt === 'object' ? prompt.systemPrompt || '' : '',
+      maxTokens: typeof prompt === 'object' ? prompt.maxTokens || 1000 : 1000
+    }));
+
+    const job = await BatchJob.create({
+      jobId: uuidv4(),
+      userId,
+      teamId: req.user.teamId || null,
+      model,
+      temperature,
+      concurrency: Math.min(Math.max(parseInt(concurrency) || 1, 1), MAX_CONCURRENCY),
+      maxAttempts: Math.min(Math.max(parseInt(maxAttempts) || 1, 1), 5),
+      items,
+      progress: { total: items.length },
+      metadata,
+      requestId: req.requestId
+    });
+
+    batchWorker.notify();
+    logger.info(`Batch job created - jobId: ${job.jobId}, items: ${items.length}, model: ${model}`);
+
+    res.status(202).json({
+      success: true,
+      data: toJobSummary(job)
+    });
+
+  } catch (error) {
+    logger.error(`Batch job creation failed: ${error.message}`, { stack: error.stack });
+    next(error);
+  }
+};
+
+/**
+ * 获取用户的批量任务列表
+ */
+exports.listBatchJobs = async (req, res, next) => {
+  try {
+    const userId = req.user.id;
+    const { page = 1, limit = 20, status } = req.query;
+
+    const query = { userId };
+    if (status) {
+      query.status = status;
+    }
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+    const [jobs, total] = await Promise.all([
+      BatchJob.find(query)
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .select('-items'),
+      BatchJob.countDocuments(query)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        jobs: jobs.map(toJobSummary),
+        pagination: {
+          total,
+          page: parseInt(page),
+          limit: parseInt(limit),
+          pages: Math.ceil(total / parseInt(limit))
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Error retrieving batch jobs: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 获取任务进度及部分结果
+ * 条目通过 offset/limit 分页返回
+ */
+exports.getBatchJob = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 100, 1), 500);
+
+    const job = await BatchJob.findOne(
+      { jobId, userId: req.user.id },
+      { items: { $slice: [offset, limit] } }
+    );
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch job not found',
+        errorCode: ERROR_CODES.RESOURCE_NOT_FOUND
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...toJobSummary(job),
+        items: job.items.map(toItemResult),
+        offset,
+        limit
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Error retrieving batch job: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 取消任务
+ * 尚未处理的条目标记为已取消；正在处理的条目中止上游调用并标记为已取消
+ */
+exports.cancelBatchJob = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+
+    const job = await BatchJob.findOneAndUpdate(
+      { jobId, userId: req.user.id, status: { $in: ['queued', 'running'] } },
+      {
+        $set: {
+          status: 'cancelled',
+          cancelledAt: new Date(),
+          'items.$[item].status': 'cancelled'
+        }
+      },
+      { new: true, arrayFilters: [{ 'item.status': 'pending' }], projection: { items: 0 } }
+    );
+
+    if (!job) {
+      const exists = await BatchJob.exists({ jobId, userId: req.user.id });
+      return res.status(exists ? 409 : 404).json({
+        success: false,
+        message: exists ? 'Batch job has already finished' : 'Batch job not found',
+        errorCode: exists ? ERROR_CODES.VALIDATION_ERROR : ERROR_CODES.RESOURCE_NOT_FOUND
+      });
+    }
+
+    // 任务在本副本处理时立即中止，否则由处理它的副本在续租时中止
+    const abortedLocally = batchWorker.cancelJob(jobId);
+    logger.info(`Batch job cancelled - jobId: ${jobId}${abortedLocally ? ', in-flight items aborted' : ''}`);
+
+    res.status(200).json({
+      success: true,
+      data: toJobSummary(job)
+    });
+
+  } catch (error) {
+    logger.error(`Batch job cancellation failed: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 以JSONL格式下载任务结果
+ * 可通过 status 参数只导出特定状态的条目
+ */
+exports.downloadBatchResults = async (req, res, next) => {
+  try {
+    const { jobId } = req.params;
+    const { status } = req.query;
+
+    const job = await BatchJob.findOne({ jobId, userId: req.user.id });
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: 'Batch job not found',
+        errorCode: ERROR_CODES.RESOURCE_NOT_FOUND
+      });
+    }
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'application/x-ndjson; charset=utf-8',
+      'Content-Disposition': `attachment; filename="batch-${jobId}.jsonl"`
+    });
+
+    for (const item of job.items) {
+      if (status && item.status !== status) {
+        continue;
+      }
+      res.write(`${JSON.stringify({ ...toItemResult(item), prompt: item.prompt })}\n`);
+    }
+
+    res.end();
+
+  } catch (error) {
+    logger.error(`Batch job export failed: ${error.message}`);
+    next(error);
+  }
+};
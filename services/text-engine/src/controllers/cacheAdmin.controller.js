@@ -0,0 +1,179 @@
+/**
+ * 缓存管理控制器
+ * 提供缓存命中统计、条目检查及按模型、用户或键前缀清除缓存的管理接口
+ */
+
+const responseCache = require('../utils/responseCache');
+const logger = require('../utils/logger');
+const { ERROR_CODES } = require('../utils/errorCodes');
+const { rejectInvalidRequest } = require('../utils/validation');
+
+/**
+ * 缓存操作错误映射
+ * 返回true表示已发送响应
+ */
+function handleCacheError(error, res) {
+  if (error.code === 'cache_unavailable') {
+    res.status(503).json({
+      success: false,
+      message: error.message,
+      errorCode: ERROR_CODES.SERVICE_UNAVAILABLE
+    });
+    return true;
+  }
+
+  if (error.code === 'invalid_cache_prefix') {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      errorCode: ERROR_CODES.VALIDATION_ERROR
+    });
+    return true;
+  }
+
+  return false;
+}
+
+/**
+ * 获取缓存命中统计
+ */
+exports.getStats = async (req, res, next) => {
+  try {
+    const stats = await responseCache.getStats();
+    const totals = stats.reduce((sum, group) => ({
+      hits: sum.hits + group.hits,
+      misses: sum.misses + group.misses,
+      bypass: sum.bypass + group.bypass,
+      refresh: sum.refresh + group.refresh
+    }), { hits: 0, misses: 0, bypass: 0, refresh: 0 });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        totals: {
+          ...totals,
+          hitRate: totals.hits + totals.misses > 0
+            ? Math.round((totals.hits / (totals.hits + totals.misses)) * 10000) / 10000
+            : null
+        },
+        groups: stats
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Error retrieving cache stats: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 重置缓存命中统计
+ */
+exports.resetStats = async (req, res, next) => {
+  try {
+    await responseCache.resetStats();
+    logger.info(`Cache stats reset by ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Cache stats reset'
+    });
+
+  } catch (error) {
+    logger.error(`Error resetting cache stats: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 清除缓存
+ * 至少需要指定 userId、model、operation 或 prefix 之一，防止误清空全部缓存
+ */
+exports.purge = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const { userId, model, operation, prefix } = req.body;
+
+    if (!userId && !model && !operation && !prefix) {
+      return res.status(400).json({
+        success: false,
+        message: 'At least one of userId, model, operation or prefix is required',
+        errorCode: ERROR_CODES.VALIDATION_ERROR
+      });
+    }
+
+    const deleted = await responseCache.purge({ userId, model, operation, prefix });
+    logger.info(`Cache purged by ${req.user.id} - deleted: ${deleted}`, { userId, model, operation, prefix });
+
+    res.status(200).json({
+      success: true,
+      data: { deleted }
+    });
+
+  } catch (error) {
+    if (handleCacheError(error, res)) {
+      return;
+    }
+    logger.error(`Cache purge failed: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 列出缓存条目（仅元数据，不含缓存内容）
+ */
+exports.listEntries = async (req, res, next) => {
+  try {
+    const { prefix, operation, model } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 500);
+
+    const entries = await responseCache.listEntries({ prefix, operation, model, limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        entries: entries.filter(Boolean),
+        limit
+      }
+    });
+
+  } catch (error) {
+    if (handleCacheError(error, res)) {
+      return;
+    }
+    logger.error(`Error listing cache entries: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 检查单个缓存条目
+ */
+exports.inspectEntry = async (req, res, next) => {
+  try {
+    const entry = await responseCache.inspectEntry(req.params.key);
+
+    if (!entry) {
+      return res.status(404).json({
+        success: false,
+        message: 'Cache entry not found',
+        errorCode: ERROR_CODES.RESOURCE_NOT_FOUND
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: entry
+    });
+
+  } catch (error) {
+    if (handleCacheError(error, res)) {
+      return;
+    }
+    logger.error(`Error inspecting cache entry: ${error.message}`);
+    next(error);
+  }
+};
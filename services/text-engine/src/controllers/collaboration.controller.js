@@ -0,0 +1,158 @@
+/**
+ * 项目协作控制器
+ * 管理项目协作者，查询实时协作会话状态；实时编辑本身通过 WebSocket 端点进行
+ */
+
+const TextProject = require('../models/textProject.model');
+const collaborationService = require('../services/collaboration.service');
+const logger = require('../utils/logger');
+const { ERROR_CODES } = require('../utils/errorCodes');
+const { rejectInvalidRequest } = require('../utils/validation');
+
+/**
+ * 发送项目不存在的404响应
+ */
+function sendProjectNotFound(res) {
+  res.status(404).json({
+    success: false,
+    message: 'Project not found',
+    errorCode: ERROR_CODES.RESOURCE_NOT_FOUND
+  });
+}
+
+/**
+ * 加载当前用户拥有的项目，不存在时发送404响应并返回null
+ * 只有项目所有者可以管理协作者
+ */
+async function loadOwnedProject(req, res) {
+  const project = await TextProject.findOne({ projectId: req.params.projectId, userId: req.user.id });
+  if (!project) {
+    sendProjectNotFound(res);
+  }
+  return project;
+}
+
+/**
+ * 列出项目协作者
+ */
+exports.listCollaborators = async (req, res, next) => {
+  try {
+    const project = await loadOwnedProject(req, res);
+    if (!project) {
+      return;
+    }
+
+    const collaborators = await collaborationService.listCollaborators(project.projectId);
+
+    res.status(200).json({
+      success: true,
+      data: { projectId: project.projectId, collaborators }
+    });
+
+  } catch (error) {
+    logger.error(`Error listing collaborators: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 添加协作者或修改其角色
+ */
+exports.addCollaborator = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const project = await loadOwnedProject(req, res);
+    if (!project) {
+      return;
+    }
+
+    const { userId, role } = req.body;
+    if (userId === project.userId) {
+      return res.status(400).json({
+        success: false,
+        message: 'The project owner is always a collaborator',
+        errorCode: ERROR_CODES.VALIDATION_ERROR
+      });
+    }
+
+    const collaborator = await collaborationService.addCollaborator({
+      project,
+      userId,
+      role,
+      addedBy: req.user.id
+    });
+
+    logger.info(`Collaborator added - projectId: ${project.projectId}, userId: ${userId}, role: ${collaborator.role}`);
+
+    res.status(200).json({
+      success: true,
+      data: collaborator
+    });
+
+  } catch (error) {
+    logger.error(`Error adding collaborator: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 移除协作者，其在线连接会被断开
+ */
+exports.removeCollaborator = async (req, res, next) => {
+  try {
+    const project = await loadOwnedProject(req, res);
+    if (!project) {
+      return;
+    }
+
+    const removed = await collaborationService.removeCollaborator(project, req.params.userId);
+    if (!removed) {
+      return res.status(404).json({
+        success: false,
+        message: 'Collaborator not found',
+        errorCode: ERROR_CODES.RESOURCE_NOT_FOUND
+      });
+    }
+
+    logger.info(`Collaborator removed - projectId: ${project.projectId}, userId: ${req.params.userId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Collaborator removed'
+    });
+
+  } catch (error) {
+    logger.error(`Error removing collaborator: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 查询实时协作会话状态，所有者和协作者均可访问
+ */
+exports.getCollaborationStatus = async (req, res, next) => {
+  try {
+    const { project, role } = await collaborationService.resolveAccess(req.params.projectId, req.user);
+    const session = collaborationService.getSessionInfo(project.projectId);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        projectId: project.projectId,
+        role,
+        active: Boolean(session),
+        ...session
+      }
+    });
+
+  } catch (error) {
+    if (error.code === 'project_not_found') {
+      return sendProjectNotFound(res);
+    }
+    logger.error(`Error getting collaboration status: ${error.message}`);
+    next(error);
+  }
+};
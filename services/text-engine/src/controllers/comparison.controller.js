@@ -0,0 +1,365 @@
+/**
+ * 模型对比控制器
+ * 运行多模型对比、查看结果（其他评审人默认为盲评视图）、提交评分以及按模型和模板统计胜率
+ */
+
+const comparisonService = require('../services/comparison.service');
+const promptTemplateService = require('../services/promptTemplate.service');
+const { sendGenerationError } = require('../utils/generationErrors');
+const { enforceBudget } = require('../middlewares/budget');
+const logger = require('../utils/logger');
+const { createMetricsRecord } = require('../utils/metrics');
+const { ERROR_CODES } = require('../utils/errorCodes');
+const { rejectInvalidRequest } = require('../utils/validation');
+
+/**
+ * 对比相关错误映射
+ * 返回true表示已发送响应
+ */
+function handleComparisonError(error, res) {
+  if (['comparison_not_found', 'template_not_found'].includes(error.code)) {
+    res.status(404).json({
+      success: false,
+      message: error.message,
+      errorCode: ERROR_CODES.RESOURCE_NOT_FOUND
+    });
+    return true;
+  }
+
+  if (['invalid_comparison', 'invalid_rating', 'invalid_template_inputs'].includes(error.code)) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      ...(error.details && { errors: error.details }),
+      errorCode: ERROR_CODES.VALIDATION_ERROR
+    });
+    return true;
+  }
+
+  return sendGenerationError(res, error);
+}
+
+/**
+ * 完整的对比结果
+ */
+function toComparisonView(comparison) {
+  return {
+    comparisonId: comparison.comparisonId,
+    title: comparison.title,
+    prompt: comparison.prompt,
+    systemPrompt: comparison.systemPrompt,
+    template: comparison.template?.templateId ? comparison.template : null,
+    candidates: comparison.candidates.map(candidate => ({
+      candidateId: candidate.candidateId,
+      label: candidate.label,
+      model: candidate.model,
+      provider: candidate.provider,
+      parameters: candidate.parameters,
+      status: candidate.status,
+      text: candidate.text,
+      latencyMs: candidate.latencyMs,
+      usage: candidate.usage,
+      cost: candidate.cost,
+      cached: candidate.cached,
+      error: candidate.error?.code ? candidate.error : null
+    })),
+    summary: comparisonService.summarize(comparison),
+    userId: comparison.userId,
+    createdAt: comparison.createdAt
+  };
+}
+
+/**
+ * 解析统计范围
+ * 默认统计当前用户创建的对比；scope=team 统计所在团队
+ */
+function resolveScope(req) {
+  const scope = req.query.scope === 'team' ? 'team' : 'user';
+  const scopeId = scope === 'team' ? req.user.teamId : req.user.id;
+  return scopeId ? { scope, scopeId } : null;
+}
+
+/**
+ * 解析时间范围，默认为全部时间
+ */
+function resolveRange(req) {
+  const from = req.query.from ? new Date(req.query.from) : new Date(0);
+  const to = req.query.to ? new Date(req.query.to) : new Date();
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+    return null;
+  }
+  return { from, to };
+}
+
+/**
+ * 运行对比
+ * 提示可直接给出，或由 templateId + inputs 渲染；模板绑定的温度和最大令牌数作为候选的默认参数
+ */
+exports.createComparison = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    if (await enforceBudget(req, res)) {
+      return;
+    }
+
+    const userId = req.user.id;
+    const { title, candidates, options = {} } = req.body;
+    let { prompt, systemPrompt = '' } = req.body;
+    let template = null;
+    let defaults = {};
+
+    if (req.body.templateId) {
+      const templateDoc = await promptTemplateService.getTemplate(userId, req.body.templateId);
+      const version = await promptTemplateService.getVersion(templateDoc, req.body.version);
+      const rendered = promptTemplateService.renderVersion(version, req.body.inputs || {});
+
+      prompt = rendered.prompt;
+      systemPrompt = rendered.systemPrompt;
+      template = { templateId: templateDoc.templateId, version: version.version, inputs: rendered.values };
+      defaults = { temperature: version.defaults.temperature, maxTokens: version.defaults.maxTokens };
+    }
+
+    const comparison = await comparisonService.runComparison({
+      userId,
+      teamId: req.user.teamId || null,
+      title,
+      prompt,
+      systemPrompt,
+      template,
+      candidates,
+      defaults,
+      contextStrategy: options.contextStrategy,
+      signal: req.signal
+    });
+
+    for (const candidate of comparison.candidates) {
+      await createMetricsRecord({
+        requestId: req.requestId,
+        userId,
+        operation: 'model_comparison',
+        model: candidate.model,
+        requestedModel: candidate.model,
+        provider: candidate.provider,
+        fallbackUsed: false,
+        promptLength: prompt.length,
+        responseLength: candidate.text?.length || 0,
+        processingTimeMs: candidate.latencyMs,
+        tokensUsed: candidate.usage?.totalTokens || 0,
+        costUsd: candidate.cost,
+        cacheHit: candidate.cached,
+        successful: candidate.status === 'succeeded'
+      });
+    }
+
+    logger.info(`Comparison created - comparisonId: ${comparison.comparisonId}, candidates: ${comparison.candidates.length}`);
+
+    res.status(201).json({
+      success: true,
+      data: toComparisonView(comparison),
+      ...(req.budgetWarnings && { budgetWarnings: req.budgetWarnings })
+    });
+
+  } catch (error) {
+    if (handleComparisonError(error, res)) {
+      return;
+    }
+    logger.error(`Comparison failed: ${error.message}`, { stack: error.stack });
+    next(error);
+  }
+};
+
+/**
+ * 获取对比列表（不含候选输出）
+ */
+exports.listComparisons = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { comparisons, total } = await comparisonService.listComparisons(req.user, {
+      templateId: req.query.templateId,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        comparisons: comparisons.map(comparison => ({
+          comparisonId: comparison.comparisonId,
+          title: comparison.title,
+          template: comparison.template?.templateId ? comparison.template : null,
+          // 尚不知道模型的评审人看不到候选的模型和标签
+          candidates: comparisonService.knowsModels(comparison, req.user.id)
+            ? comparison.candidates.map(({ candidateId, label, model, status }) => ({ candidateId, label, model, status }))
+            : comparison.candidates.map(({ candidateId, status }) => ({ candidateId, status })),
+          userId: comparison.userId,
+          createdAt: comparison.createdAt
+        })),
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Error retrieving comparisons: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 获取对比结果
+ * 尚不知道模型的评审人默认得到盲评视图：仅含成功候选的输出，不含模型、参数和费用，顺序按评审人打乱
+ * reveal=true 返回完整结果，此后该评审人的评分不再计为盲评；创建者可用 blind=true 预览盲评视图
+ */
+exports.getComparison = async (req, res, next) => {
+  try {
+    const comparison = await comparisonService.getComparison(req.user, req.params.comparisonId);
+
+    if (req.query.reveal === 'true') {
+      await comparisonService.revealTo(comparison, req.user.id);
+    }
+    const blind = req.query.blind === 'true' || !comparisonService.knowsModels(comparison, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: blind
+        ? { ...comparisonService.toBlindView(comparison, req.user.id), blind: true }
+        : { ...toComparisonView(comparison), blind: false }
+    });
+
+  } catch (error) {
+    if (handleComparisonError(error, res)) {
+      return;
+    }
+    logger.error(`Error retrieving comparison: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 提交评分
+ * 重复提交同一对候选或同一候选的评分时覆盖之前的评分；是否为盲评由服务端判断
+ */
+exports.submitRating = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const { type, candidates, winner, candidateId, score, comment } = req.body;
+    const rating = await comparisonService.submitRating(req.user, req.params.comparisonId, {
+      type,
+      candidates,
+      winner,
+      candidateId,
+      score,
+      comment
+    });
+
+    logger.info(`Comparison rated - comparisonId: ${rating.comparisonId}, type: ${rating.type}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        comparisonId: rating.comparisonId,
+        reviewerId: rating.reviewerId,
+        type: rating.type,
+        candidates: rating.candidates,
+        winner: rating.winner,
+        candidateId: rating.candidateId,
+        score: rating.score,
+        blind: rating.blind,
+        comment: rating.comment,
+        updatedAt: rating.updatedAt
+      }
+    });
+
+  } catch (error) {
+    if (handleComparisonError(error, res)) {
+      return;
+    }
+    logger.error(`Comparison rating failed: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 获取对比的评分，盲评中的评审人只能看到自己的评分
+ */
+exports.listRatings = async (req, res, next) => {
+  try {
+    const ratings = await comparisonService.listRatings(req.user, req.params.comparisonId);
+
+    res.status(200).json({
+      success: true,
+      data: ratings
+    });
+
+  } catch (error) {
+    if (handleComparisonError(error, res)) {
+      return;
+    }
+    logger.error(`Error retrieving comparison ratings: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 胜率统计（按模型，以及按模板 × 模型）
+ * 默认只统计盲评；ratings=revealed 统计知道模型后的评分，ratings=all 统计全部
+ */
+exports.getWinRates = async (req, res, next) => {
+  try {
+    const scope = resolveScope(req);
+    if (!scope) {
+      return res.status(400).json({
+        success: false,
+        message: 'The current user does not belong to a team',
+        errorCode: ERROR_CODES.VALIDATION_ERROR
+      });
+    }
+
+    const range = resolveRange(req);
+    if (!range) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid date range',
+        errorCode: ERROR_CODES.VALIDATION_ERROR
+      });
+    }
+
+    const ratings = req.query.ratings || 'blind';
+    if (!comparisonService.RATING_FILTERS.includes(ratings)) {
+      return res.status(400).json({
+        success: false,
+        message: `ratings must be one of: ${comparisonService.RATING_FILTERS.join(', ')}`,
+        errorCode: ERROR_CODES.VALIDATION_ERROR
+      });
+    }
+
+    const stats = await comparisonService.getWinRates({ ...scope, ...range, templateId: req.query.templateId, ratings });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...scope,
+        ...range,
+        templateId: req.query.templateId || null,
+        ratings,
+        ...stats
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Error computing comparison win rates: ${error.message}`);
+    next(error);
+  }
+};
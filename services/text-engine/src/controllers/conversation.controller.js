@@ -0,0 +1,316 @@
+/**
+ * 对话控制器
+ * 多轮对话会话的管理、消息生成、分叉以及提升为项目
+ */
+
+const conversationService = require('../services/conversation.service');
+const { sendGenerationError } = require('../utils/generationErrors');
+const { enforceBudget } = require('../middlewares/budget');
+const logger = require('../utils/logger');
+const { ERROR_CODES } = require('../utils/errorCodes');
+const { rejectInvalidRequest } = require('../utils/validation');
+
+const SETTINGS_FIELDS = ['title', 'model', 'systemPrompt', 'temperature', 'maxTokens', 'historyStrategy'];
+
+/**
+ * 发送404响应
+ */
+function sendNotFound(res, message = 'Conversation not found') {
+  return res.status(404).json({
+    success: false,
+    message,
+    errorCode: ERROR_CODES.RESOURCE_NOT_FOUND
+  });
+}
+
+/**
+ * 加载当前用户的会话，不存在时发送404响应并返回null
+ */
+async function loadConversation(req, res) {
+  const conversation = await conversationService.getConversation(req.user.id, req.params.conversationId);
+  if (!conversation) {
+    sendNotFound(res);
+  }
+  return conversation;
+}
+
+/**
+ * 提取请求中的会话设置字段
+ */
+function pickSettings(body) {
+  return SETTINGS_FIELDS.reduce((fields, key) => {
+    if (body[key] !== undefined) {
+      fields[key] = body[key];
+    }
+    return fields;
+  }, {});
+}
+
+/**
+ * 消息响应格式
+ */
+function toMessage(message) {
+  return {
+    messageId: message.messageId,
+    sequence: message.sequence,
+    role: message.role,
+    content: message.content,
+    model: message.model || null,
+    provider: message.provider || null,
+    tokensUsed: message.tokensUsed,
+    cost: message.cost,
+    createdAt: message.createdAt
+  };
+}
+
+/**
+ * 创建会话
+ */
+exports.createConversation = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const conversation = await conversationService.createConversation(req.user.id, pickSettings(req.body));
+
+    res.status(201).json({
+      success: true,
+      data: conversation
+    });
+
+  } catch (error) {
+    logger.error(`Error creating conversation: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 获取会话列表
+ */
+exports.listConversations = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { conversations, total } = await conversationService.listConversations(req.user.id, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        conversations,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Error retrieving conversations: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 获取会话详情及消息
+ * 消息按序号倒序分页：before 为序号上界，返回结果按时间正序排列
+ */
+exports.getConversation = async (req, res, next) => {
+  try {
+    const conversation = await loadConversation(req, res);
+    if (!conversation) {
+      return;
+    }
+
+    const before = req.query.before !== undefined ? parseInt(req.query.before) : undefined;
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const messages = await conversationService.getMessages(conversation.conversationId, {
+      before: Number.isInteger(before) ? before : undefined,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...conversation.toObject(),
+        messages: messages.map(toMessage),
+        hasMore: messages.length > 0 && messages[0].sequence > 0
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Error retrieving conversation: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 更新会话设置
+ */
+exports.updateConversation = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const conversation = await conversationService.updateConversation(
+      req.user.id,
+      req.params.conversationId,
+      pickSettings(req.body)
+    );
+
+    if (!conversation) {
+      return sendNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      data: conversation
+    });
+
+  } catch (error) {
+    logger.error(`Error updating conversation: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 删除会话
+ */
+exports.deleteConversation = async (req, res, next) => {
+  try {
+    const deleted = await conversationService.deleteConversation(req.user.id, req.params.conversationId);
+    if (!deleted) {
+      return sendNotFound(res);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation deleted'
+    });
+
+  } catch (error) {
+    logger.error(`Error deleting conversation: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 追加用户消息并生成助手回复
+ */
+exports.sendMessage = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    if (await enforceBudget(req, res)) {
+      return;
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) {
+      return;
+    }
+
+    const { content, model, temperature, maxTokens, options = {} } = req.body;
+    const startTime = Date.now();
+
+    const outcome = await conversationService.sendMessage({
+      conversation,
+      content,
+      overrides: { model, temperature, maxTokens },
+      options,
+      user: req.user,
+      signal: req.signal
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        conversationId: conversation.conversationId,
+        userMessage: toMessage(outcome.userMessage),
+        assistantMessage: toMessage(outcome.assistantMessage),
+        requestedModel: outcome.routing.requestedModel,
+        fallbackUsed: outcome.routing.fallbackUsed,
+        cost: outcome.cost,
+        historyManagement: outcome.historyManagement,
+        adjustments: outcome.adjustments,
+        processingTimeMs: Date.now() - startTime
+      },
+      ...(req.budgetWarnings && { budgetWarnings: req.budgetWarnings })
+    });
+
+  } catch (error) {
+    logger.error(`Conversation message failed: ${error.message}`, { stack: error.stack });
+    if (sendGenerationError(res, error)) {
+      return;
+    }
+    next(error);
+  }
+};
+
+/**
+ * 从指定消息分叉会话
+ */
+exports.forkConversation = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) {
+      return;
+    }
+
+    const forked = await conversationService.forkConversation(req.user.id, conversation, req.body.messageId);
+
+    res.status(201).json({
+      success: true,
+      data: forked
+    });
+
+  } catch (error) {
+    if (error.code === 'message_not_found') {
+      return sendNotFound(res, error.message);
+    }
+    logger.error(`Error forking conversation: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 将对话提升为项目
+ */
+exports.promoteToProject = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const conversation = await loadConversation(req, res);
+    if (!conversation) {
+      return;
+    }
+
+    const { messageId, title, tags, folder } = req.body;
+    const project = await conversationService.promoteToProject(req.user.id, conversation, { messageId, title, tags, folder });
+
+    logger.info(`Conversation promoted - conversationId: ${conversation.conversationId}, projectId: ${project.projectId}`);
+
+    res.status(201).json({
+      success: true,
+      data: project
+    });
+
+  } catch (error) {
+    if (error.code === 'message_not_found') {
+      return sendNotFound(res, error.message);
+    }
+    logger.error(`Error promoting conversation: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,137 @@
+/**
+ * 内容审核管理控制器
+ * 查询审核审计记录和统计、查看当前策略，以及按当前策略试运行审核
+ */
+
+const moderationService = require('../services/moderation.service');
+const { getPolicy } = require('../config/moderation');
+const logger = require('../utils/logger');
+const { ERROR_CODES } = require('../utils/errorCodes');
+const { rejectInvalidRequest } = require('../utils/validation');
+
+/**
+ * 分页查询审计记录
+ */
+exports.listAudits = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const { userId, action, category, stage, operation, from, to } = req.query;
+    const { audits, total } = await moderationService.listAudits(
+      { userId, action, category, stage, operation, from, to },
+      { page, limit }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        audits,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Error retrieving moderation audits: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 获取单条审计记录
+ */
+exports.getAudit = async (req, res, next) => {
+  try {
+    const audit = await moderationService.getAudit(req.params.auditId);
+
+    if (!audit) {
+      return res.status(404).json({
+        success: false,
+        message: 'Audit record not found',
+        errorCode: ERROR_CODES.RESOURCE_NOT_FOUND
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: audit
+    });
+
+  } catch (error) {
+    logger.error(`Error retrieving moderation audit: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 按阶段、动作和类别统计审计记录
+ */
+exports.getStats = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const stats = await moderationService.getAuditStats({ from: req.query.from, to: req.query.to });
+
+    res.status(200).json({
+      success: true,
+      data: stats
+    });
+
+  } catch (error) {
+    logger.error(`Error retrieving moderation stats: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 获取当前审核策略
+ */
+exports.getPolicy = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: getPolicy()
+  });
+};
+
+/**
+ * 按当前策略试运行审核，不写审计记录
+ */
+exports.checkContent = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const { text, stage = 'input' } = req.body;
+    const decision = await moderationService.moderate({
+      fields: { text },
+      stage,
+      context: { userId: req.user.id, operation: 'moderation_check' },
+      record: false,
+      throwOnBlock: false
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        action: decision.action,
+        categories: decision.categories,
+        text: decision.fields.text
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Error running moderation check: ${error.message}`);
+    next(error);
+  }
+};
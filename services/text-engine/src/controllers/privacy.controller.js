@@ -0,0 +1,98 @@
+/**
+ * 个人信息保护策略控制器
+ * 查看和更新租户策略，以及按当前策略预览替换结果
+ * 租户为用户所在团队，无团队时为用户本人
+ */
+
+const privacyService = require('../services/privacy.service');
+const logger = require('../utils/logger');
+const { ERROR_CODES } = require('../utils/errorCodes');
+const { sendGenerationError } = require('../utils/generationErrors');
+const { rejectInvalidRequest } = require('../utils/validation');
+
+/**
+ * 当前请求的租户ID
+ */
+const tenantOf = (req) => req.user.teamId || req.user.id;
+
+/**
+ * 获取租户的生效策略
+ */
+exports.getPolicy = async (req, res, next) => {
+  try {
+    const policy = await privacyService.getPolicy(tenantOf(req));
+
+    res.status(200).json({
+      success: true,
+      data: { tenantId: tenantOf(req), ...policy }
+    });
+
+  } catch (error) {
+    logger.error(`Error retrieving privacy policy: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 更新租户策略
+ */
+exports.updatePolicy = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const { enabled, entities, customPatterns } = req.body;
+    const policy = await privacyService.updatePolicy(tenantOf(req), { enabled, entities, customPatterns }, req.user.id);
+
+    logger.info(`Privacy policy updated - tenant: ${tenantOf(req)}, by: ${req.user.id}`);
+
+    res.status(200).json({
+      success: true,
+      data: { tenantId: tenantOf(req), ...policy }
+    });
+
+  } catch (error) {
+    if (error.code === 'invalid_privacy_policy') {
+      return res.status(400).json({
+        success: false,
+        message: error.message,
+        errors: error.details,
+        errorCode: ERROR_CODES.VALIDATION_ERROR
+      });
+    }
+
+    logger.error(`Error updating privacy policy: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 按当前策略预览文本的替换结果
+ * 只返回替换后的文本和统计，不返回占位符对应的原值
+ */
+exports.previewRedaction = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const { params, report } = await privacyService.protect('generate', { prompt: req.body.text }, { tenantId: tenantOf(req) });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        text: params.prompt,
+        privacy: privacyService.describe(report)
+      }
+    });
+
+  } catch (error) {
+    if (sendGenerationError(res, error)) {
+      return;
+    }
+
+    logger.error(`Error previewing redaction: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,685 @@
+/**
+ * 项目控制器
+ * 处理项目的增删改查、搜索与整理（标签、文件夹、归档），
+ * 以及内容的迭代：重新生成、AI编辑、手动保存、修订历史、差异比较和恢复
+ */
+
+const TextProject = require('../models/textProject.model');
+const generationService = require('../services/generation.service');
+const privacyService = require('../services/privacy.service');
+const revisionService = require('../services/projectRevision.service');
+const textEditService = require('../services/textEdit.service');
+const collaborationService = require('../services/collaboration.service');
+const projectService = require('../services/project.service');
+const { preflight } = require('../utils/contextPreflight');
+const { applyChanges } = require('../utils/textChanges');
+const { sendGenerationError } = require('../utils/generationErrors');
+const { throwIfCancelled } = require('../utils/cancellation');
+const { enforceBudget } = require('../middlewares/budget');
+const logger = require('../utils/logger');
+const { ERROR_CODES } = require('../utils/errorCodes');
+const { rejectInvalidRequest } = require('../utils/validation');
+
+/**
+ * 加载当前用户的项目，不存在时发送404响应并返回null
+ */
+async function loadProject(req, res) {
+  const project = await TextProject.findOne({ projectId: req.params.projectId, userId: req.user.id });
+
+  if (!project) {
+    res.status(404).json({
+      success: false,
+      message: 'Project not found',
+      errorCode: ERROR_CODES.RESOURCE_NOT_FOUND
+    });
+  }
+  return project;
+}
+
+/**
+ * 修订不存在时发送404响应
+ * 返回true表示已发送响应
+ */
+function handleRevisionError(error, res) {
+  if (error.code !== 'revision_not_found') {
+    return false;
+  }
+
+  res.status(404).json({
+    success: false,
+    message: error.message,
+    errorCode: ERROR_CODES.RESOURCE_NOT_FOUND
+  });
+  return true;
+}
+
+/**
+ * 修订摘要（不含内容）
+ */
+function toRevisionSummary(revision) {
+  return {
+    revision: revision.revision,
+    source: revision.source,
+    model: revision.model || null,
+    author: revision.author,
+    tokensUsed: revision.tokensUsed,
+    restoredFrom: revision.restoredFrom,
+    createdAt: revision.createdAt
+  };
+}
+
+/**
+ * 搜索和筛选项目
+ * q 匹配标题、内容和提示；支持按模型、创建时间、令牌用量、标签、文件夹和归档状态筛选
+ */
+exports.listProjects = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const { sortBy, order, q, model, from, to, minTokensUsed, maxTokensUsed, tags, folder, includeSubfolders, archived } = req.query;
+    const sort = projectService.resolveSort(sortBy, order);
+    if (!sort) {
+      return res.status(400).json({
+        success: false,
+        message: `sortBy must be one of: ${projectService.SORT_FIELDS.join(', ')}`,
+        errorCode: ERROR_CODES.VALIDATION_ERROR
+      });
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { projects, total } = await projectService.searchProjects(
+      req.user.id,
+      { q, model, from, to, minTokensUsed, maxTokensUsed, tags, folder, includeSubfolders, archived },
+      { sort, page, limit }
+    );
+
+    res.status(200).json({
+      success: true,
+      data: {
+        projects,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Error searching projects: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 获取项目详情
+ */
+exports.getProject = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) {
+      return;
+    }
+
+    res.status(200).json({
+      success: true,
+      data: project
+    });
+
+  } catch (error) {
+    logger.error(`Error retrieving project: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 手动创建项目
+ */
+exports.createProject = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const userId = req.user.id;
+    const { title, content = '', prompt, systemPrompt, model, tags, folder } = req.body;
+
+    const project = await projectService.createProject({
+      userId,
+      title,
+      content,
+      prompt,
+      systemPrompt,
+      model,
+      tags,
+      folder
+    });
+
+    logger.info(`Project created - projectId: ${project.projectId}`);
+
+    res.status(201).json({
+      success: true,
+      data: project
+    });
+
+  } catch (error) {
+    logger.error(`Error creating project: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 更新项目属性：标题、标签、文件夹、归档状态
+ * 内容变更通过修订接口完成，以保留历史
+ */
+exports.updateProject = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const { title, tags, folder, archived } = req.body;
+    const update = { updatedAt: new Date() };
+
+    if (title !== undefined) {
+      update.title = title;
+    }
+    if (tags !== undefined) {
+      update.tags = projectService.normalizeTags(tags);
+    }
+    if (folder !== undefined) {
+      update.folder = projectService.normalizeFolder(folder);
+    }
+    if (archived !== undefined) {
+      update.archived = archived;
+      update.archivedAt = archived ? new Date() : null;
+    }
+
+    const project = await TextProject.findOneAndUpdate(
+      { projectId: req.params.projectId, userId: req.user.id },
+      { $set: update },
+      { new: true }
+    );
+
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found',
+        errorCode: ERROR_CODES.RESOURCE_NOT_FOUND
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: project
+    });
+
+  } catch (error) {
+    logger.error(`Error updating project: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 删除项目及其修订历史
+ */
+exports.deleteProject = async (req, res, next) => {
+  try {
+    const deleted = await projectService.deleteProject(req.user.id, req.params.projectId);
+
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found',
+        errorCode: ERROR_CODES.RESOURCE_NOT_FOUND
+      });
+    }
+
+    collaborationService.endSession(req.params.projectId);
+    logger.info(`Project deleted - projectId: ${req.params.projectId}`);
+
+    res.status(200).json({
+      success: true,
+      message: 'Project deleted'
+    });
+
+  } catch (error) {
+    logger.error(`Error deleting project: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 获取文件夹列表及项目数量
+ */
+exports.listFolders = async (req, res, next) => {
+  try {
+    const folders = await projectService.listFolders(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: folders
+    });
+
+  } catch (error) {
+    logger.error(`Error retrieving project folders: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 获取标签列表及项目数量
+ */
+exports.listTags = async (req, res, next) => {
+  try {
+    const tags = await projectService.listTags(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: tags
+    });
+
+  } catch (error) {
+    logger.error(`Error retrieving project tags: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 重新生成项目内容
+ * 默认沿用项目的提示、系统提示和模型，可在请求中覆盖
+ */
+exports.regenerateProject = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    if (await enforceBudget(req, res)) {
+      return;
+    }
+
+    const project = await loadProject(req, res);
+    if (!project) {
+      return;
+    }
+
+    const userId = req.user.id;
+    const { options = {} } = req.body;
+    const { params: generationParams, adjustments } = preflight({
+      prompt: req.body.prompt ?? project.prompt,
+      systemPrompt: req.body.systemPrompt ?? project.systemPrompt ?? '',
+      model: req.body.model || project.model,
+      temperature: req.body.temperature ?? project.metadata?.temperature ?? 0.7,
+      maxTokens: req.body.maxTokens ?? project.metadata?.maxTokens ?? 1000,
+      userId,
+      ...options
+    }, options.contextStrategy);
+
+    const { result, routing, cost, privacy: privacyReport } = await generationService.execute({
+      operation: 'generate',
+      model: generationParams.model,
+      params: generationParams,
+      allowFallback: options.fallback !== false,
+      accounting: { userId, teamId: req.user.teamId, operation: 'project_regeneration' },
+      signal: req.signal
+    });
+
+    // 客户端已断开时不再写入修订
+    throwIfCancelled(req.signal);
+    const revision = await revisionService.recordRevision({
+      project,
+      content: result.text,
+      source: 'regenerate',
+      prompt: generationParams.prompt,
+      systemPrompt: generationParams.systemPrompt,
+      model: routing.model,
+      parameters: { temperature: generationParams.temperature, maxTokens: generationParams.maxTokens },
+      author: userId,
+      tokensUsed: result.usage?.totalTokens || 0
+    });
+
+    const privacy = privacyService.describe(privacyReport);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        projectId: project.projectId,
+        revision: toRevisionSummary(revision),
+        text: result.text,
+        provider: routing.provider,
+        fallbackUsed: routing.fallbackUsed,
+        cost,
+        adjustments,
+        ...(privacy && { privacy })
+      },
+      ...(req.budgetWarnings && { budgetWarnings: req.budgetWarnings })
+    });
+
+  } catch (error) {
+    logger.error(`Project regeneration failed: ${error.message}`, { stack: error.stack });
+    if (sendGenerationError(res, error)) {
+      return;
+    }
+    next(error);
+  }
+};
+
+/**
+ * 按指令AI编辑项目内容
+ * 可通过 range / paragraph 只编辑部分内容；响应附带修订标记 changes
+ * preview 为true或请求多个候选时不保存，返回 suggestions 和 baseRevision，由调用方挑选变更后通过 changes 接口应用
+ */
+exports.editProject = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    if (await enforceBudget(req, res)) {
+      return;
+    }
+
+    const project = await loadProject(req, res);
+    if (!project) {
+      return;
+    }
+
+    const userId = req.user.id;
+    const {
+      instruction,
+      model = project.model || 'gpt-4',
+      temperature = 0.5,
+      range,
+      paragraph,
+      alternatives = 1,
+      contextChars,
+      preview = false,
+      options = {}
+    } = req.body;
+
+    const head = await revisionService.getRevision(project, 'head');
+    const edit = await textEditService.edit({
+      text: head.content,
+      instruction,
+      range,
+      paragraph,
+      contextChars,
+      alternatives,
+      model,
+      temperature,
+      allowFallback: options.fallback !== false,
+      accounting: { userId, teamId: req.user.teamId, operation: 'project_edit' },
+      userId,
+      signal: req.signal
+    });
+
+    const { routing, suggestions, cost } = edit;
+    const privacy = privacyService.describe(edit.privacy);
+
+    if (preview || suggestions.length > 1) {
+      return res.status(200).json({
+        success: true,
+        data: {
+          projectId: project.projectId,
+          baseRevision: head.revision,
+          target: edit.target,
+          suggestions,
+          provider: routing.provider,
+          fallbackUsed: routing.fallbackUsed,
+          cost,
+          ...(privacy && { privacy })
+        },
+        ...(req.budgetWarnings && { budgetWarnings: req.budgetWarnings })
+      });
+    }
+
+    const [primary] = suggestions;
+    throwIfCancelled(req.signal);
+    const revision = await revisionService.recordRevision({
+      project,
+      content: primary.text,
+      source: 'edit',
+      prompt: project.prompt,
+      systemPrompt: project.systemPrompt,
+      instruction,
+      model: routing.model,
+      parameters: { temperature, ...(range && { range }), ...(paragraph !== undefined && { paragraph }) },
+      author: userId,
+      tokensUsed: edit.usage.totalTokens || 0
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        projectId: project.projectId,
+        revision: toRevisionSummary(revision),
+        text: primary.text,
+        changes: primary.changes,
+        target: edit.target,
+        provider: routing.provider,
+        fallbackUsed: routing.fallbackUsed,
+        cost,
+        ...(privacy && { privacy })
+      },
+      ...(req.budgetWarnings && { budgetWarnings: req.budgetWarnings })
+    });
+
+  } catch (error) {
+    logger.error(`Project edit failed: ${error.message}`, { stack: error.stack });
+    if (sendGenerationError(res, error)) {
+      return;
+    }
+    next(error);
+  }
+};
+
+/**
+ * 将接受的修订标记应用到项目内容，保存为新修订
+ * 变更的偏移量基于 baseRevision 的内容；与当前内容不一致时返回409和冲突列表
+ */
+exports.applyChanges = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const project = await loadProject(req, res);
+    if (!project) {
+      return;
+    }
+
+    const { changes, instruction, baseRevision } = req.body;
+    const head = await revisionService.getRevision(project, 'head');
+    const content = applyChanges(head.content, changes);
+
+    const revision = await revisionService.recordRevision({
+      project,
+      content,
+      source: 'edit',
+      prompt: project.prompt,
+      systemPrompt: project.systemPrompt,
+      instruction,
+      model: project.model,
+      parameters: { appliedChanges: changes.length, ...(baseRevision !== undefined && { baseRevision }) },
+      author: req.user.id
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        projectId: project.projectId,
+        revision: toRevisionSummary(revision),
+        text: content,
+        applied: changes.map(change => change.id).filter(Boolean)
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Applying project changes failed: ${error.message}`, { stack: error.stack });
+    if (sendGenerationError(res, error)) {
+      return;
+    }
+    next(error);
+  }
+};
+
+/**
+ * 手动保存项目内容为新修订
+ */
+exports.saveRevision = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const project = await loadProject(req, res);
+    if (!project) {
+      return;
+    }
+
+    const revision = await revisionService.recordRevision({
+      project,
+      content: req.body.content,
+      source: 'manual',
+      prompt: project.prompt,
+      systemPrompt: project.systemPrompt,
+      model: project.model,
+      author: req.user.id
+    });
+
+    res.status(201).json({
+      success: true,
+      data: toRevisionSummary(revision)
+    });
+
+  } catch (error) {
+    logger.error(`Error saving project revision: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 获取项目修订列表
+ */
+exports.listRevisions = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) {
+      return;
+    }
+
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { revisions, total } = await revisionService.listRevisions(project, { page, limit });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        revisions: revisions.map(toRevisionSummary),
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Error retrieving project revisions: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 获取单个修订的完整内容
+ */
+exports.getRevision = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) {
+      return;
+    }
+
+    const revision = await revisionService.getRevision(project, req.params.revision);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...toRevisionSummary(revision),
+        content: revision.content,
+        prompt: revision.prompt ?? null,
+        systemPrompt: revision.systemPrompt ?? null,
+        instruction: revision.instruction ?? null,
+        parameters: revision.parameters
+      }
+    });
+
+  } catch (error) {
+    if (handleRevisionError(error, res)) {
+      return;
+    }
+    logger.error(`Error retrieving project revision: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 比较两个修订的词级差异
+ */
+exports.diffRevisions = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) {
+      return;
+    }
+
+    const diff = await revisionService.diffRevisions(project, {
+      from: req.query.from,
+      to: req.query.to
+    });
+
+    res.status(200).json({
+      success: true,
+      data: diff
+    });
+
+  } catch (error) {
+    if (handleRevisionError(error, res)) {
+      return;
+    }
+    logger.error(`Error diffing project revisions: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 将旧修订恢复为最新修订
+ */
+exports.restoreRevision = async (req, res, next) => {
+  try {
+    const project = await loadProject(req, res);
+    if (!project) {
+      return;
+    }
+
+    const revision = await revisionService.restoreRevision(project, req.params.revision, req.user.id);
+
+    res.status(200).json({
+      success: true,
+      data: toRevisionSummary(revision)
+    });
+
+  } catch (error) {
+    if (handleRevisionError(error, res)) {
+      return;
+    }
+    logger.error(`Error restoring project revision: ${error.message}`);
+    next(error);
+  }
+};
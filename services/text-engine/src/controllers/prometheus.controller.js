@@ -0,0 +1,21 @@
+/**
+ * Prometheus 指标端点
+ * 以文本格式输出进程内指标；配置 METRICS_TOKEN 时需以 Bearer 令牌访问
+ */
+
+const prometheus = require('../utils/prometheus');
+const { ERROR_CODES } = require('../utils/errorCodes');
+
+exports.scrape = (req, res) => {
+  const token = process.env.METRICS_TOKEN;
+  if (token && req.headers.authorization !== `Bearer ${token}`) {
+    return res.status(401).json({
+      success: false,
+      message: 'Invalid metrics token',
+      errorCode: ERROR_CODES.UNAUTHORIZED
+    });
+  }
+
+  res.set('Content-Type', prometheus.CONTENT_TYPE);
+  res.status(200).send(prometheus.render());
+};
@@ -0,0 +1,432 @@
+/**
+ * 提示模板控制器
+ * 模板与版本的管理、渲染预览，以及渲染后直接生成文本
+ */
+
+const promptTemplateService = require('../services/promptTemplate.service');
+const generationService = require('../services/generation.service');
+const projectService = require('../services/project.service');
+const { preflight } = require('../utils/contextPreflight');
+const { sendGenerationError } = require('../utils/generationErrors');
+const { enforceBudget } = require('../middlewares/budget');
+const logger = require('../utils/logger');
+const { createMetricsRecord } = require('../utils/metrics');
+const { ERROR_CODES } = require('../utils/errorCodes');
+const { rejectInvalidRequest } = require('../utils/validation');
+
+/**
+ * 模板相关错误映射
+ * 返回true表示已发送响应
+ */
+function handleTemplateError(error, res) {
+  if (error.code === 'template_not_found') {
+    res.status(404).json({
+      success: false,
+      message: error.message,
+      errorCode: ERROR_CODES.RESOURCE_NOT_FOUND
+    });
+    return true;
+  }
+
+  if (['template_syntax_error', 'invalid_template_variables', 'invalid_template_inputs'].includes(error.code)) {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      ...(error.details && { errors: error.details }),
+      ...(error.line && { line: error.line }),
+      errorCode: ERROR_CODES.VALIDATION_ERROR
+    });
+    return true;
+  }
+
+  return sendGenerationError(res, error);
+}
+
+/**
+ * 版本响应格式
+ */
+function toVersion(version) {
+  return {
+    templateId: version.templateId,
+    version: version.version,
+    body: version.body,
+    variables: version.variables,
+    defaults: version.defaults,
+    changelog: version.changelog,
+    author: version.author,
+    createdAt: version.createdAt
+  };
+}
+
+/**
+ * 获取模板列表
+ */
+exports.listTemplates = async (req, res, next) => {
+  try {
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 20, 1), 100);
+    const { templates, total } = await promptTemplateService.listTemplates(req.user.id, {
+      q: req.query.q,
+      tag: req.query.tag,
+      page,
+      limit
+    });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        templates,
+        pagination: {
+          total,
+          page,
+          limit,
+          pages: Math.ceil(total / limit)
+        }
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Error retrieving templates: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 创建模板（版本1）
+ */
+exports.createTemplate = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const { name, description, tags, body, variables, defaults, changelog } = req.body;
+    const { template, version } = await promptTemplateService.createTemplate(req.user.id, {
+      name,
+      description,
+      tags,
+      body,
+      variables,
+      defaults,
+      changelog
+    });
+
+    logger.info(`Template created - templateId: ${template.templateId}`);
+
+    res.status(201).json({
+      success: true,
+      data: {
+        ...template.toObject(),
+        version: toVersion(version)
+      }
+    });
+
+  } catch (error) {
+    if (handleTemplateError(error, res)) {
+      return;
+    }
+    logger.error(`Error creating template: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 获取模板及其最新版本
+ */
+exports.getTemplate = async (req, res, next) => {
+  try {
+    const template = await promptTemplateService.getTemplate(req.user.id, req.params.templateId);
+    const version = await promptTemplateService.getVersion(template, 'latest');
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...template.toObject(),
+        version: toVersion(version)
+      }
+    });
+
+  } catch (error) {
+    if (handleTemplateError(error, res)) {
+      return;
+    }
+    logger.error(`Error retrieving template: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 更新模板元数据
+ */
+exports.updateTemplate = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const fields = {};
+    for (const key of ['name', 'description', 'tags']) {
+      if (req.body[key] !== undefined) {
+        fields[key] = req.body[key];
+      }
+    }
+
+    const template = await promptTemplateService.updateTemplate(req.user.id, req.params.templateId, fields);
+
+    res.status(200).json({
+      success: true,
+      data: template
+    });
+
+  } catch (error) {
+    if (handleTemplateError(error, res)) {
+      return;
+    }
+    logger.error(`Error updating template: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 归档模板
+ */
+exports.deleteTemplate = async (req, res, next) => {
+  try {
+    await promptTemplateService.archiveTemplate(req.user.id, req.params.templateId);
+
+    res.status(200).json({
+      success: true,
+      message: 'Template archived'
+    });
+
+  } catch (error) {
+    if (handleTemplateError(error, res)) {
+      return;
+    }
+    logger.error(`Error archiving template: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 获取版本列表
+ */
+exports.listVersions = async (req, res, next) => {
+  try {
+    const template = await promptTemplateService.getTemplate(req.user.id, req.params.templateId);
+    const versions = await promptTemplateService.listVersions(template);
+
+    res.status(200).json({
+      success: true,
+      data: versions
+    });
+
+  } catch (error) {
+    if (handleTemplateError(error, res)) {
+      return;
+    }
+    logger.error(`Error retrieving template versions: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 创建新版本
+ */
+exports.createVersion = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const { body, variables, defaults, changelog } = req.body;
+    const { version } = await promptTemplateService.createVersion(req.user.id, req.params.templateId, {
+      body,
+      variables,
+      defaults,
+      changelog
+    });
+
+    logger.info(`Template version created - templateId: ${version.templateId}, version: ${version.version}`);
+
+    res.status(201).json({
+      success: true,
+      data: toVersion(version)
+    });
+
+  } catch (error) {
+    if (handleTemplateError(error, res)) {
+      return;
+    }
+    logger.error(`Error creating template version: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 获取指定版本
+ */
+exports.getVersion = async (req, res, next) => {
+  try {
+    const template = await promptTemplateService.getTemplate(req.user.id, req.params.templateId);
+    const version = await promptTemplateService.getVersion(template, req.params.version);
+
+    res.status(200).json({
+      success: true,
+      data: toVersion(version)
+    });
+
+  } catch (error) {
+    if (handleTemplateError(error, res)) {
+      return;
+    }
+    logger.error(`Error retrieving template version: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 渲染预览，不调用模型
+ */
+exports.renderTemplate = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const template = await promptTemplateService.getTemplate(req.user.id, req.params.templateId);
+    const version = await promptTemplateService.getVersion(template, req.body.version);
+    const { prompt, systemPrompt, values } = promptTemplateService.renderVersion(version, req.body.inputs);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        templateId: template.templateId,
+        version: version.version,
+        prompt,
+        systemPrompt,
+        inputs: values
+      }
+    });
+
+  } catch (error) {
+    if (handleTemplateError(error, res)) {
+      return;
+    }
+    logger.error(`Error rendering template: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 校验输入、渲染模板并生成文本
+ * 模型参数优先级：请求 > 模板版本绑定的默认值；保存的项目记录所用的确切版本
+ */
+exports.generateFromTemplate = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    if (await enforceBudget(req, res)) {
+      return;
+    }
+
+    const userId = req.user.id;
+    const { inputs = {}, options = {} } = req.body;
+    const template = await promptTemplateService.getTemplate(userId, req.params.templateId);
+    const version = await promptTemplateService.getVersion(template, req.body.version);
+    const rendered = promptTemplateService.renderVersion(version, inputs);
+
+    const { params: generationParams, breakdown: tokenBudget, adjustments } = preflight({
+      prompt: rendered.prompt,
+      systemPrompt: rendered.systemPrompt,
+      model: req.body.model || version.defaults.model,
+      temperature: req.body.temperature ?? version.defaults.temperature,
+      maxTokens: req.body.maxTokens ?? version.defaults.maxTokens,
+      userId
+    }, options.contextStrategy);
+
+    const startTime = Date.now();
+    const { result, routing, cost } = await generationService.execute({
+      operation: 'generate',
+      model: generationParams.model,
+      params: generationParams,
+      allowFallback: options.fallback !== false,
+      accounting: { userId, teamId: req.user.teamId, operation: 'template_generation' },
+      signal: req.signal
+    });
+    const duration = Date.now() - startTime;
+    const tokensUsed = result.usage?.totalTokens || 0;
+    const templateRef = { templateId: template.templateId, version: version.version };
+
+    await createMetricsRecord({
+      requestId: req.requestId,
+      userId,
+      operation: 'template_generation',
+      model: routing.model,
+      requestedModel: generationParams.model,
+      provider: routing.provider,
+      fallbackUsed: routing.fallbackUsed,
+      promptLength: rendered.prompt.length,
+      responseLength: result.text.length,
+      processingTimeMs: duration,
+      tokensUsed,
+      costUsd: cost.totalCost,
+      cacheHit: Boolean(result.cached),
+      successful: true
+    });
+
+    let project = null;
+    if (options.saveAsProject) {
+      project = await projectService.createProject({
+        userId,
+        title: options.projectTitle || `${template.name} v${version.version}`,
+        content: result.text,
+        prompt: rendered.prompt,
+        systemPrompt: rendered.systemPrompt,
+        model: routing.model,
+        tags: options.projectTags,
+        folder: options.projectFolder,
+        metadata: {
+          temperature: generationParams.temperature,
+          maxTokens: generationParams.maxTokens,
+          template: { ...templateRef, inputs: rendered.values }
+        },
+        source: 'generate',
+        parameters: {
+          temperature: generationParams.temperature,
+          maxTokens: generationParams.maxTokens,
+          template: templateRef
+        },
+        tokensUsed
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      result: {
+        text: result.text,
+        template: templateRef,
+        model: routing.model,
+        provider: routing.provider,
+        requestedModel: generationParams.model,
+        fallbackUsed: routing.fallbackUsed,
+        tokensUsed,
+        cost,
+        tokenBudget,
+        adjustments,
+        processingTimeMs: duration,
+        projectId: project?.projectId || null
+      },
+      ...(req.budgetWarnings && { budgetWarnings: req.budgetWarnings })
+    });
+
+  } catch (error) {
+    logger.error(`Template generation failed: ${error.message}`, { stack: error.stack });
+    if (handleTemplateError(error, res)) {
+      return;
+    }
+    next(error);
+  }
+};
@@ -0,0 +1,143 @@
+/**
+ * 文本分析控制器
+ * 对请求中的文本或已保存的项目内容运行本地分析，可选附加模型深度分析
+ */
+
+const TextProject = require('../models/textProject.model');
+const analyzers = require('../analysis');
+const textAnalysisService = require('../services/textAnalysis.service');
+const { enforceBudget } = require('../middlewares/budget');
+const { sendGenerationError } = require('../utils/generationErrors');
+const logger = require('../utils/logger');
+const { ERROR_CODES } = require('../utils/errorCodes');
+const { rejectInvalidRequest } = require('../utils/validation');
+
+/**
+ * 分析错误处理
+ * 返回true表示已发送响应
+ */
+function handleAnalysisError(error, res) {
+  if (error.code === 'unknown_analysis') {
+    res.status(400).json({
+      success: false,
+      message: error.message,
+      errorCode: ERROR_CODES.VALIDATION_ERROR,
+      details: { available: error.available }
+    });
+    return true;
+  }
+
+  return sendGenerationError(res, error);
+}
+
+/**
+ * 运行本地分析和可选的深度分析并发送响应
+ * deep 为true或 { model } 时附加深度分析，此时检查预算
+ */
+async function respondWithAnalysis(req, res, { text, operation, projectId }) {
+  const { analyses, options = {}, deep } = req.body;
+  const startTime = Date.now();
+
+  const { language, results } = textAnalysisService.analyze(text, { analyses, options });
+
+  let deepResult = null;
+  if (deep) {
+    if (await enforceBudget(req, res)) {
+      return;
+    }
+
+    const userId = req.user?.id || 'anonymous';
+    deepResult = await textAnalysisService.deepAnalyze({
+      text,
+      model: deep.model,
+      allowFallback: deep.fallback !== false,
+      accounting: { userId, teamId: req.user?.teamId, operation },
+      signal: req.signal
+    });
+  }
+
+  const duration = Date.now() - startTime;
+  logger.info(`Text analysis completed - analyses: ${Object.keys(results).join(', ')}, deep: ${Boolean(deepResult)}, time: ${duration}ms`);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      ...(projectId && { projectId }),
+      language,
+      analyses: results,
+      ...(deepResult && { deep: deepResult }),
+      processingTimeMs: duration
+    },
+    ...(req.budgetWarnings && { budgetWarnings: req.budgetWarnings })
+  });
+}
+
+/**
+ * 分析请求中的文本
+ */
+exports.analyzeText = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    await respondWithAnalysis(req, res, { text: req.body.text, operation: 'text_analysis' });
+
+  } catch (error) {
+    logger.error(`Text analysis failed: ${error.message}`, { stack: error.stack });
+    if (handleAnalysisError(error, res)) {
+      return;
+    }
+    next(error);
+  }
+};
+
+/**
+ * 分析已保存项目的当前内容
+ */
+exports.analyzeProject = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const project = await TextProject.findOne({ projectId: req.params.projectId, userId: req.user.id });
+    if (!project) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found',
+        errorCode: ERROR_CODES.RESOURCE_NOT_FOUND
+      });
+    }
+
+    if (!project.content) {
+      return res.status(400).json({
+        success: false,
+        message: 'Project has no content to analyze',
+        errorCode: ERROR_CODES.VALIDATION_ERROR
+      });
+    }
+
+    await respondWithAnalysis(req, res, { text: project.content, operation: 'project_analysis', projectId: project.projectId });
+
+  } catch (error) {
+    logger.error(`Project analysis failed: ${error.message}`, { stack: error.stack });
+    if (handleAnalysisError(error, res)) {
+      return;
+    }
+    next(error);
+  }
+};
+
+/**
+ * 列出可用的分析器
+ */
+exports.listAnalyzers = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      analyzers: analyzers.listAnalyzers(),
+      defaults: textAnalysisService.DEFAULT_ANALYSES
+    }
+  });
+};
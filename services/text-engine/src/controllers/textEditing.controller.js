@@ -0,0 +1,128 @@
+/**
+ * 文本编辑控制器
+ * 按指令编辑全文或指定范围，返回带修订标记的候选修改；并提供按需接受变更后的应用接口
+ */
+
+const textEditService = require('../services/textEdit.service');
+const privacyService = require('../services/privacy.service');
+const { applyChanges } = require('../utils/textChanges');
+const { enforceBudget } = require('../middlewares/budget');
+const { sendGenerationError } = require('../utils/generationErrors');
+const { createMetricsRecord } = require('../utils/metrics');
+const logger = require('../utils/logger');
+const { rejectInvalidRequest } = require('../utils/validation');
+
+/**
+ * 按指令编辑文本
+ * range / paragraph 指定目标片段时只改写该片段，前后文作为参考一并发送
+ * result.text 为首个候选应用后的全文，result.changes 为其修订标记；alternatives 大于1时 result.suggestions 返回全部候选
+ */
+exports.editText = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    if (await enforceBudget(req, res)) {
+      return;
+    }
+
+    const { text, instruction, model = 'gpt-4', temperature = 0.5, range, paragraph, alternatives = 1, contextChars, options = {} } = req.body;
+    const userId = req.user?.id || 'anonymous';
+    const startTime = Date.now();
+
+    const edit = await textEditService.edit({
+      text,
+      instruction,
+      range,
+      paragraph,
+      contextChars,
+      alternatives,
+      model,
+      temperature,
+      allowFallback: options.fallback !== false,
+      accounting: { userId, teamId: req.user?.teamId, operation: 'text_editing' },
+      userId,
+      signal: req.signal
+    });
+
+    const { routing, suggestions, cost } = edit;
+    const [primary] = suggestions;
+    const privacy = privacyService.describe(edit.privacy);
+    const duration = Date.now() - startTime;
+
+    await createMetricsRecord({
+      requestId: req.requestId,
+      userId,
+      operation: 'text_editing',
+      model: routing.model,
+      requestedModel: model,
+      provider: routing.provider,
+      fallbackUsed: routing.fallbackUsed,
+      fallbackAttempts: routing.attempts,
+      promptLength: text.length,
+      responseLength: primary.targetText.length,
+      processingTimeMs: duration,
+      tokensUsed: edit.usage.totalTokens || 0,
+      costUsd: cost.totalCost,
+      successful: true
+    });
+
+    res.status(200).json({
+      success: true,
+      result: {
+        text: primary.text,
+        changes: primary.changes,
+        ...(suggestions.length > 1 && { suggestions }),
+        target: edit.target,
+        model: routing.model,
+        provider: routing.provider,
+        requestedModel: model,
+        fallbackUsed: routing.fallbackUsed,
+        tokensUsed: edit.usage.totalTokens || 0,
+        cost,
+        processingTimeMs: duration,
+        ...(privacy && { privacy })
+      },
+      ...(req.budgetWarnings && { budgetWarnings: req.budgetWarnings })
+    });
+
+    logger.info(`Text editing successful - model: ${routing.model} (${routing.provider}), suggestions: ${suggestions.length}, changes: ${primary.changes.length}, time: ${duration}ms`);
+
+  } catch (error) {
+    logger.error(`Text editing failed: ${error.message}`, { stack: error.stack });
+    if (sendGenerationError(res, error)) {
+      return;
+    }
+    next(error);
+  }
+};
+
+/**
+ * 将调用方接受的变更应用到文本
+ * 变更与文本不一致时返回409和冲突列表
+ */
+exports.applyChanges = (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const { text, changes } = req.body;
+
+    res.status(200).json({
+      success: true,
+      result: {
+        text: applyChanges(text, changes),
+        applied: changes.map(change => change.id).filter(Boolean)
+      }
+    });
+
+  } catch (error) {
+    if (sendGenerationError(res, error)) {
+      return;
+    }
+    logger.error(`Applying text changes failed: ${error.message}`);
+    next(error);
+  }
+};
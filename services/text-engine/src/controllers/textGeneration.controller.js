@@ -3,35 +3,108 @@
  * 处理各种文本生成请求，集成多种AI语言模型
  */
 
-const { v4: uuidv4 } = require('uuid');
-const { validationResult } = require('express-validator');
-const openaiService = require('../services/openai.service');
-const palmService = require('../services/palm.service');
-const anthropicService = require('../services/anthropic.service');
-const localLLMService = require('../services/localLLM.service');
+const providers = require('../providers');
+const generationService = require('../services/generation.service');
+const structuredOutputService = require('../services/structuredOutput.service');
+const toolCallingService = require('../services/toolCalling.service');
+const moderationService = require('../services/moderation.service');
+const privacyService = require('../services/privacy.service');
+const { preflight } = require('../utils/contextPreflight');
 const TextProject = require('../models/textProject.model');
 const UserPreference = require('../models/userPreference.model');
 const logger = require('../utils/logger');
 const { createMetricsRecord } = require('../utils/metrics');
-const { ERROR_CODES, API_ERRORS } = require('../utils/errorCodes');
+const { ERROR_CODES } = require('../utils/errorCodes');
+const { wantsEventStream, initEventStream, sendEvent, endEventStream } = require('../utils/sse');
+const { enforceBudget } = require('../middlewares/budget');
+const { mapGenerationError, sendGenerationError } = require('../utils/generationErrors');
+const { throwIfCancelled, isCancellation } = require('../utils/cancellation');
+const projectService = require('../services/project.service');
+const { rejectInvalidRequest } = require('../utils/validation');
+
+/**
+ * 保存生成结果为项目
+ */
+async function saveGeneratedProject({ userId, text, prompt, systemPrompt, model, temperature, maxTokens, tokensUsed, options, metadata }) {
+  return projectService.createProject({
+    userId,
+    title: options.projectTitle,
+    content: text,
+    prompt,
+    systemPrompt,
+    model,
+    tags: options.projectTags,
+    folder: options.projectFolder,
+    metadata: {
+      temperature,
+      maxTokens,
+      ...options.metadata,
+      ...metadata
+    },
+    source: 'generate',
+    parameters: { temperature, maxTokens },
+    tokensUsed
+  });
+}
+
+/**
+ * 校验结构化输出和工具调用参数
+ * 返回错误信息，参数有效时返回null
+ */
+function checkGenerationMode({ responseFormat, tools, stream }) {
+  const structured = responseFormat !== undefined && responseFormat?.type !== 'text';
+
+  if (structured && responseFormat?.type !== 'json_schema') {
+    return 'responseFormat.type must be "text" or "json_schema"';
+  }
+
+  if (tools !== undefined && (!Array.isArray(tools) || tools.length === 0 || !tools.every(name => typeof name === 'string'))) {
+    return 'tools must be a non-empty array of tool names';
+  }
+
+  if ((structured || tools) && stream) {
+    return 'Structured output and tool calling do not support streaming';
+  }
+
+  if (structured && tools) {
+    return 'responseFormat json_schema cannot be combined with tools';
+  }
+
+  return null;
+}
 
 /**
  * 创建新的文本生成任务
  * 支持多种模型选择，自定义参数，以及用户偏好应用
+ * responseFormat 为 { type: 'json_schema', schema } 时返回通过校验的 result.data
+ * tools 为工具名称列表时运行工具调用循环，result.toolTrace 返回完整的调用轨迹
  */
 exports.generateText = async (req, res, next) => {
   try {
-    const errors = validationResult(req);
-    if (!errors.isEmpty()) {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    // 预算检查，超出硬限制时已直接返回402
+    if (await enforceBudget(req, res)) {
+      return;
+    }
+    
+    const { prompt, model = 'gpt-4', temperature = 0.7, maxTokens = 1000, systemPrompt, responseFormat, tools, options = {} } = req.body;
+    const stream = wantsEventStream(req);
+    const structured = responseFormat?.type === 'json_schema';
+    
+    const formatError = checkGenerationMode({ responseFormat, tools, stream });
+    if (formatError) {
       return res.status(400).json({
         success: false,
-        errors: errors.array(),
+        message: formatError,
         errorCode: ERROR_CODES.VALIDATION_ERROR
       });
     }
-
-    const { prompt, model = 'gpt-4', temperature = 0.7, maxTokens = 1000, systemPrompt, options = {} } = req.body;
+    const allowFallback = options.fallback !== false;
     const userId = req.user?.id || 'anonymous';
+    const accounting = { userId, teamId: req.user?.teamId, operation: 'text_generation' };
     
     // 获取用户偏好设置（如果存在）
     let userPreference = null;
@@ -48,34 +121,11 @@ exports.generateText = async (req, res, next) => {
       ? userPreference.defaultTemperature 
       : temperature;
     
-    // 根据模型选择适当的服务
-    let generationService;
-    switch (effectiveModel.toLowerCase()) {
-      case 'gpt-4':
-      case 'gpt-3.5-turbo':
-        generationService = openaiService;
-        break;
-      case 'palm':
-      case 'gemini':
-        generationService = palmService;
-        break;
-      case 'claude':
-      case 'claude-instant':
-        generationService = anthropicService;
-        break;
-      case 'local-llama':
-      case 'local-mistral':
-        generationService = localLLMService;
-        break;
-      default:
-        generationService = openaiService;
-    }
-    
-    // 性能指标记录开始
-    const startTime = Date.now();
+    // 提前校验模型，未注册的模型直接返回400
+    providers.resolveProvider(effectiveModel);
     
-    // 生成文本
-    const generationResult = await generationService.generateText({
+    // 上下文窗口预检：超出模型上下文时按调用方选择的策略处理
+    const { params: generationParams, breakdown: tokenBudget, adjustments } = preflight({
       prompt,
       systemPrompt: systemPrompt || userPreference?.defaultSystemPrompt || '',
       temperature: effectiveTemperature,
@@ -83,40 +133,88 @@ exports.generateText = async (req, res, next) => {
       userId,
       model: effectiveModel,
       ...options
-    });
+    }, options.contextStrategy);
+    
+    // 流式响应
+    if (stream) {
+      return streamGeneration(req, res, { generationParams, options, allowFallback, accounting, tokenBudget, adjustments });
+    }
+    
+    // 性能指标记录开始
+    const startTime = Date.now();
+    
+    // 生成文本，按回退链选择可用的提供方；结构化输出在校验失败时自动修复重试
+    let execution;
+    if (structured) {
+      execution = await structuredOutputService.generate({
+        model: generationParams.model,
+        params: generationParams,
+        schema: responseFormat.schema,
+        maxAttempts: responseFormat.maxAttempts,
+        allowFallback,
+        accounting,
+        signal: req.signal
+      });
+    } else if (tools) {
+      execution = await toolCallingService.run({
+        model: generationParams.model,
+        params: generationParams,
+        tools,
+        maxIterations: options.maxToolIterations,
+        toolTimeoutMs: options.toolTimeoutMs,
+        accounting,
+        context: { userId, authenticated: Boolean(req.user) },
+        signal: req.signal
+      });
+    } else {
+      execution = await generationService.execute({
+        operation: 'generate',
+        model: generationParams.model,
+        params: generationParams,
+        allowFallback,
+        accounting,
+        signal: req.signal
+      });
+    }
+    const { result: generationResult, routing, cost } = execution;
+    const moderation = moderationService.describe(execution.moderation);
+    const privacy = privacyService.describe(execution.privacy);
     
     // 性能指标记录结束
     const duration = Date.now() - startTime;
     await createMetricsRecord({
+      requestId: req.requestId,
       userId,
       operation: 'text_generation',
-      model: effectiveModel,
+      model: routing.model,
+      requestedModel: effectiveModel,
+      provider: routing.provider,
+      fallbackUsed: routing.fallbackUsed,
+      fallbackAttempts: routing.attempts,
       promptLength: prompt.length,
       responseLength: generationResult.text.length,
       processingTimeMs: duration,
       tokensUsed: generationResult.usage?.totalTokens || 0,
+      costUsd: cost.totalCost,
+      cacheHit: Boolean(generationResult.cached),
       successful: true
     });
     
-    // 保存项目（如果需要）
+    // 保存项目（如果需要）；客户端已断开时不再保存
     let projectRecord = null;
     if (options.saveAsProject) {
-      projectRecord = await TextProject.create({
-        projectId: uuidv4(),
+      throwIfCancelled(req.signal);
+      projectRecord = await saveGeneratedProject({
         userId,
-        title: options.projectTitle || generationResult.text.split('\n')[0].substring(0, 50),
-        content: generationResult.text,
+        text: generationResult.text,
         prompt,
-        systemPrompt: systemPrompt || userPreference?.defaultSystemPrompt || '',
-        model: effectiveModel,
-        createdAt: new Date(),
-        updatedAt: new Date(),
-        metadata: {
-          temperature: effectiveTemperature,
-          maxTokens,
-          tokensUsed: generationResult.usage?.totalTokens || 0,
-          ...options.metadata
-        }
+        systemPrompt: generationParams.systemPrompt,
+        model: routing.model,
+        temperature: effectiveTemperature,
+        maxTokens: generationParams.maxTokens,
+        tokensUsed: generationResult.usage?.totalTokens || 0,
+        options,
+        metadata: tools && { toolTrace: execution.toolTrace }
       });
     }
     
@@ -125,34 +223,33 @@ exports.generateText = async (req, res, next) => {
       success: true,
       result: {
         text: generationResult.text,
-        model: effectiveModel,
+        ...(structured && { data: generationResult.data, structured: execution.structured }),
+        ...(tools && { toolTrace: execution.toolTrace, tools: execution.tools }),
+        model: routing.model,
+        provider: routing.provider,
+        requestedModel: effectiveModel,
+        fallbackUsed: routing.fallbackUsed,
         tokensUsed: generationResult.usage?.totalTokens || 0,
+        cost,
+        tokenBudget,
+        adjustments,
         processingTimeMs: duration,
-        projectId: projectRecord?.projectId || null
-      }
+        projectId: projectRecord?.projectId || null,
+        ...(moderation && { moderation }),
+        ...(privacy && { privacy })
+      },
+      ...(req.budgetWarnings && { budgetWarnings: req.budgetWarnings })
     });
     
     // 记录成功的生成请求
-    logger.info(`Text generation successful - model: ${effectiveModel}, tokens: ${generationResult.usage?.totalTokens || 0}, time: ${duration}ms`);
+    logger.info(`Text generation successful - model: ${routing.model} (${routing.provider}), tokens: ${generationResult.usage?.totalTokens || 0}, time: ${duration}ms`);
     
   } catch (error) {
     logger.error(`Text generation failed: ${error.message}`, { stack: error.stack });
     
     // 特定错误处理
-    if (error.code === 'context_length_exceeded') {
-      return res.status(400).json({
-        success: false,
-        message: 'The provided prompt is too long for the selected model.',
-        errorCode: ERROR_CODES.CONTEXT_LENGTH_EXCEEDED
-      });
-    }
-    
-    if (error.code === 'model_not_available') {
-      return res.status(503).json({
-        success: false,
-        message: 'The requested model is currently not available.',
-        errorCode: ERROR_CODES.MODEL_UNAVAILABLE
-      });
+    if (sendGenerationError(res, error)) {
+      return;
     }
     
     // 通用错误处理
@@ -161,13 +258,130 @@ exports.generateText = async (req, res, next) => {
 };
 
 /**
- * 批量文本生成
- * 支持同时处理多个提示，提高吞吐量
+ * 以SSE方式返回生成结果
+ * 逐个推送 token 事件，结束时推送携带用量、模型和项目ID的 done 事件
+ * 不支持流式的提供方退化为一次性推送完整文本
+ */
+async function streamGeneration(req, res, { generationParams, options, allowFallback, accounting, tokenBudget, adjustments }) {
+  const { userId, model, prompt, systemPrompt, temperature, maxTokens } = generationParams;
+  const startTime = Date.now();
+  
+  initEventStream(res);
+  
+  try {
+    let final = null;
+    
+    // 客户端断开时 req.signal 中止，上游流随之关闭
+    const events = generationService.stream({ model, params: generationParams, allowFallback, accounting, signal: req.signal });
+    for await (const event of events) {
+      if (event.type === 'delta') {
+        sendEvent(res, 'token', { text: event.text });
+      } else if (event.type === 'done') {
+        final = event;
+      }
+    }
+    
+    const { routing, cost } = final;
+    const moderation = moderationService.describe(final.moderation);
+    const privacy = privacyService.describe(final.privacy);
+    const duration = Date.now() - startTime;
+    const tokensUsed = final.usage?.totalTokens || 0;
+    
+    await createMetricsRecord({
+      requestId: req.requestId,
+      userId,
+      operation: 'text_generation',
+      model: routing.model,
+      requestedModel: model,
+      provider: routing.provider,
+      fallbackUsed: routing.fallbackUsed,
+      fallbackAttempts: routing.attempts,
+      promptLength: prompt.length,
+      responseLength: final.text.length,
+      processingTimeMs: duration,
+      tokensUsed,
+      costUsd: cost.totalCost,
+      streamed: true,
+      cacheHit: Boolean(final.cached),
+      successful: true
+    });
+    
+    let projectRecord = null;
+    if (options.saveAsProject) {
+      throwIfCancelled(req.signal);
+      projectRecord = await saveGeneratedProject({
+        userId,
+        text: final.text,
+        prompt,
+        systemPrompt,
+        model: routing.model,
+        temperature,
+        maxTokens,
+        tokensUsed,
+        options
+      });
+    }
+    
+    sendEvent(res, 'done', {
+      model: routing.model,
+      provider: routing.provider,
+      requestedModel: model,
+      fallbackUsed: routing.fallbackUsed,
+      tokensUsed,
+      usage: final.usage || null,
+      cost,
+      tokenBudget,
+      adjustments,
+      budgetWarnings: req.budgetWarnings || [],
+      processingTimeMs: duration,
+      projectId: projectRecord?.projectId || null,
+      cached: Boolean(final.cached),
+      // 输出被遮盖时已推送的片段无法撤回，以此处的全文为准
+      ...(moderation && { moderation }),
+      ...(moderation?.output?.action === 'redact' && { text: final.text }),
+      ...(privacy && { privacy })
+    });
+    
+    logger.info(`Streamed text generation successful - model: ${routing.model} (${routing.provider}), tokens: ${tokensUsed}, time: ${duration}ms`);
+    
+  } catch (error) {
+    if (isCancellation(error) && error.reason === 'client_disconnected') {
+      logger.info(`Streamed text generation cancelled - client disconnected after ${Date.now() - startTime}ms`);
+      return;
+    }
+    
+    logger.error(`Streamed text generation failed: ${error.message}`, { stack: error.stack });
+    
+    const mapped = mapGenerationError(error);
+    sendEvent(res, 'error', {
+      message: mapped?.message || (process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message),
+      errorCode: mapped?.errorCode || error.errorCode || null,
+      ...(mapped?.details && { details: mapped.details })
+    });
+  } finally {
+    endEventStream(res);
+  }
+}
+
+// 同步批量接口的提示数上限和单个请求内的并发上限；更大的批量应提交到批量任务接口
+const SYNC_BATCH_MAX_PROMPTS = 10;
+const SYNC_BATCH_CONCURRENCY = parseInt(process.env.BATCH_SYNC_CONCURRENCY || '3');
+const BATCH_JOBS_PATH = '/api/v1/batch/jobs';
+
+/**
+ * 批量文本生成（已弃用，请使用 POST /api/v1/batch/jobs）
+ * 同步等待全部提示完成，单个请求内以有限并发处理；响应带 Deprecation 和指向批量任务接口的 Link 头
  */
 exports.batchGenerate = async (req, res, next) => {
   try {
+    res.set({
+      Deprecation: 'true',
+      Link: `<${BATCH_JOBS_PATH}>; rel="successor-version"`
+    });
+
     const { prompts, model = 'gpt-3.5-turbo', temperature = 0.7 } = req.body;
     const userId = req.user?.id || 'anonymous';
+    const accounting = { userId, teamId: req.user?.teamId, operation: 'batch_text_generation' };
     
     if (!Array.isArray(prompts) || prompts.length === 0) {
       return res.status(400).json({
@@ -177,40 +391,57 @@ exports.batchGenerate = async (req, res, next) => {
       });
     }
     
-    if (prompts.length > 10) {
+    if (prompts.length > SYNC_BATCH_MAX_PROMPTS) {
       return res.status(400).json({
         success: false, 
-        message: 'Batch requests are limited to 10 prompts',
+        message: `Batch requests are limited to ${SYNC_BATCH_MAX_PROMPTS} prompts; submit larger batches to POST ${BATCH_JOBS_PATH}`,
         errorCode: ERROR_CODES.TOO_MANY_REQUESTS
       });
     }
     
-    // 批量处理，根据模型选择适当的服务
-    let generationService;
-    switch (model.toLowerCase()) {
-      case 'gpt-4':
-      case 'gpt-3.5-turbo':
-        generationService = openaiService;
-        break;
-      default:
-        generationService = openaiService;
+    // 批量处理，通过注册表解析模型对应的提供方
+    if (!providers.isModelSupported(model)) {
+      return res.status(400).json({
+        success: false,
+        message: `Model "${model}" is not supported`,
+        errorCode: ERROR_CODES.VALIDATION_ERROR
+      });
+    }
+    
+    // 预算检查，超出硬限制时已直接返回402
+    if (await enforceBudget(req, res)) {
+      return;
     }
     
     const startTime = Date.now();
     
-    // 并行处理所有提示
-    const results = await Promise.allSettled(
-      prompts.map(prompt => 
-        generationService.generateText({
-          prompt: typeof prompt === 'string' ? prompt : prompt.text,
-          systemPrompt: typeof prompt === 'object' ? prompt.systemPrompt : '',
-          temperature,
-          maxTokens: typeof prompt === 'object' ? prompt.maxTokens || 1000 : 1000,
-          model,
-          userId
-        })
-      )
-    );
+    // 每个提示独立预检并按回退链调度，同时进行的模型调用不超过 SYNC_BATCH_CONCURRENCY
+    const generate = async (prompt) => {
+      const { params } = preflight({
+        prompt: typeof prompt === 'string' ? prompt : prompt.text,
+        systemPrompt: typeof prompt === 'object' ? prompt.systemPrompt || '' : '',
+        temperature,
+        maxTokens: typeof prompt === 'object' ? prompt.maxTokens || 1000 : 1000,
+        model,
+        userId
+      });
+
+      return generationService.execute({ operation: 'generate', model, params, accounting, signal: req.signal });
+    };
+
+    const results = new Array(prompts.length);
+    let nextIndex = 0;
+    const runners = Array.from({ length: Math.min(SYNC_BATCH_CONCURRENCY, prompts.length) }, async () => {
+      while (nextIndex < prompts.length) {
+        const index = nextIndex++;
+        try {
+          results[index] = { status: 'fulfilled', value: await generate(prompts[index]) };
+        } catch (error) {
+          results[index] = { status: 'rejected', reason: error };
+        }
+      }
+    });
+    await Promise.all(runners);
     
     const duration = Date.now() - startTime;
     
@@ -220,8 +451,12 @@ exports.batchGenerate = async (req, res, next) => {
         return {
           success: true,
           index,
-          text: result.value.text,
-          tokensUsed: result.value.usage?.totalTokens || 0
+          text: result.value.result.text,
+          model: result.value.routing.model,
+          provider: result.value.routing.provider,
+          fallbackUsed: result.value.routing.fallbackUsed,
+          tokensUsed: result.value.result.usage?.totalTokens || 0,
+          cost: result.value.cost.totalCost
         };
       } else {
         return {
@@ -234,12 +469,15 @@ exports.batchGenerate = async (req, res, next) => {
     
     // 记录批量处理指标
     await createMetricsRecord({
+      requestId: req.requestId,
       userId,
       operation: 'batch_text_generation',
       model,
       batchSize: prompts.length, 
       successCount: processedResults.filter(r => r.success).length,
       failureCount: processedResults.filter(r => !r.success).length,
+      fallbackCount: processedResults.filter(r => r.fallbackUsed).length,
+      costUsd: processedResults.reduce((sum, r) => sum + (r.cost || 0), 0),
       processingTimeMs: duration,
       successful: true
     });
@@ -248,7 +486,8 @@ exports.batchGenerate = async (req, res, next) => {
       success: true,
       results: processedResults,
       totalTime: duration,
-      totalSuccessful: processedResults.filter(r => r.success).length
+      totalSuccessful: processedResults.filter(r => r.success).length,
+      totalCost: processedResults.reduce((sum, r) => sum + (r.cost || 0), 0)
     });
     
   } catch (error) {
@@ -265,17 +504,23 @@ exports.getUserProjects = async (req, res, next) => {
     const userId = req.user.id;
     const { page = 1, limit = 20, sortBy = 'createdAt', order = 'desc' } = req.query;
     
-    const skip = (parseInt(page) - 1) * parseInt(limit);
-    const sort = {};
-    sort[sortBy] = order === 'desc' ? -1 : 1;
-    
-    const projects = await TextProject.find({ userId })
-      .sort(sort)
-      .skip(skip)
-      .limit(parseInt(limit))
-      .select('projectId title createdAt updatedAt model metadata.tokensUsed');
+    // 排序字段限定在白名单内
+    const sort = projectService.resolveSort(sortBy, order);
+    if (!sort) {
+      return res.status(400).json({
+        success: false,
+        message: `sortBy must be one of: ${projectService.SORT_FIELDS.join(', ')}`,
+        errorCode: ERROR_CODES.VALIDATION_ERROR
+      });
+    }
     
-    const total = await TextProject.countDocuments({ userId });
+    const pageNumber = Math.max(parseInt(page) || 1, 1);
+    const pageSize = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+    const { projects, total } = await projectService.searchProjects(userId, {}, {
+      sort,
+      page: pageNumber,
+      limit: pageSize
+    });
     
     res.status(200).json({
       success: true,
@@ -283,9 +528,9 @@ exports.getUserProjects = async (req, res, next) => {
         projects,
         pagination: {
           total,
-          page: parseInt(page),
-          limit: parseInt(limit),
-          pages: Math.ceil(total / parseInt(limit))
+          page: pageNumber,
+          limit: pageSize,
+          pages: Math.ceil(total / pageSize)
         }
       }
     });
@@ -0,0 +1,137 @@
+/**
+ * 文本总结控制器
+ * 超出模型上下文的长文本分块总结后逐层合并；SSE 请求在处理过程中推送 progress 事件，
+ * includeIntermediate 为 true 时结果附带各分块和各合并层的部分总结，便于核对
+ */
+
+const generationService = require('../services/generation.service');
+const moderationService = require('../services/moderation.service');
+const privacyService = require('../services/privacy.service');
+const { enforceBudget } = require('../middlewares/budget');
+const { mapGenerationError, sendGenerationError } = require('../utils/generationErrors');
+const { wantsEventStream, initEventStream, sendEvent, endEventStream } = require('../utils/sse');
+const { isCancellation } = require('../utils/cancellation');
+const { rejectInvalidRequest } = require('../utils/validation');
+const { createMetricsRecord } = require('../utils/metrics');
+const logger = require('../utils/logger');
+
+/**
+ * 总结文本
+ * 结果包含 stats（策略、分块数、合并层数、调用次数）；SSE 模式下 progress 事件为 { stage, level, completed, total }，
+ * stage 依次为 map、reduce、final，结束时推送与 JSON 响应 result 相同内容的 done 事件
+ */
+exports.summarizeText = async (req, res, next) => {
+  const stream = wantsEventStream(req);
+  const startTime = Date.now();
+
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    if (await enforceBudget(req, res)) {
+      return;
+    }
+
+    const { text, maxLength = 150, format = 'paragraph', model = 'gpt-3.5-turbo', temperature = 0.5, includeIntermediate = false, options = {} } = req.body;
+    const userId = req.user?.id || 'anonymous';
+
+    if (stream) {
+      initEventStream(res);
+    }
+
+    // 客户端断开时 req.signal 中止，不再发起后续分块的调用
+    const execution = await generationService.execute({
+      operation: 'summarize',
+      model,
+      params: {
+        text,
+        maxLength,
+        format,
+        temperature,
+        userId,
+        includeIntermediate,
+        ...(stream && { onProgress: (progress) => sendEvent(res, 'progress', progress) })
+      },
+      allowFallback: options.fallback !== false,
+      accounting: { userId, teamId: req.user?.teamId, operation: 'text_summarization' },
+      signal: req.signal
+    });
+
+    const { result: summary, routing, cost } = execution;
+    const moderation = moderationService.describe(execution.moderation);
+    const privacy = privacyService.describe(execution.privacy);
+    const duration = Date.now() - startTime;
+    const tokensUsed = summary.usage?.totalTokens || 0;
+
+    await createMetricsRecord({
+      requestId: req.requestId,
+      userId,
+      operation: 'text_summarization',
+      model: routing.model,
+      requestedModel: model,
+      provider: routing.provider,
+      fallbackUsed: routing.fallbackUsed,
+      fallbackAttempts: routing.attempts,
+      promptLength: text.length,
+      responseLength: summary.text.length,
+      processingTimeMs: duration,
+      tokensUsed,
+      costUsd: cost.totalCost,
+      streamed: stream,
+      successful: true
+    });
+
+    const result = {
+      text: summary.text,
+      format,
+      model: routing.model,
+      provider: routing.provider,
+      requestedModel: model,
+      fallbackUsed: routing.fallbackUsed,
+      tokensUsed,
+      cost,
+      stats: summary.stats,
+      ...(includeIntermediate && { intermediate: summary.intermediate || { chunks: [], levels: [] } }),
+      processingTimeMs: duration,
+      ...(moderation && { moderation }),
+      ...(privacy && { privacy })
+    };
+
+    if (stream) {
+      sendEvent(res, 'done', { ...result, budgetWarnings: req.budgetWarnings || [] });
+      endEventStream(res);
+    } else {
+      res.status(200).json({
+        success: true,
+        result,
+        ...(req.budgetWarnings && { budgetWarnings: req.budgetWarnings })
+      });
+    }
+
+    logger.info(`Text summarization successful - model: ${routing.model} (${routing.provider}), strategy: ${summary.stats?.strategy}, calls: ${summary.stats?.calls}, time: ${duration}ms`);
+
+  } catch (error) {
+    if (stream && res.headersSent) {
+      if (isCancellation(error) && error.reason === 'client_disconnected') {
+        logger.info(`Streamed text summarization cancelled - client disconnected after ${Date.now() - startTime}ms`);
+      } else {
+        logger.error(`Streamed text summarization failed: ${error.message}`, { stack: error.stack });
+        const mapped = mapGenerationError(error);
+        sendEvent(res, 'error', {
+          message: mapped?.message || (process.env.NODE_ENV === 'production' ? 'Internal server error' : error.message),
+          errorCode: mapped?.errorCode || error.errorCode || null,
+          ...(mapped?.details && { details: mapped.details })
+        });
+      }
+      endEventStream(res);
+      return;
+    }
+
+    logger.error(`Text summarization failed: ${error.message}`, { stack: error.stack });
+    if (sendGenerationError(res, error)) {
+      return;
+    }
+    next(error);
+  }
+};
@@ -0,0 +1,40 @@
+/**
+ * 令牌计数控制器
+ * 为前端提供实时的令牌预算，便于用户输入时查看剩余额度
+ */
+
+const providers = require('../providers');
+const { analyze } = require('../utils/contextPreflight');
+const logger = require('../utils/logger');
+const { ERROR_CODES } = require('../utils/errorCodes');
+const { rejectInvalidRequest } = require('../utils/validation');
+
+/**
+ * 计算提示词的令牌数及模型上下文预算
+ */
+exports.tokenize = (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const { prompt = '', systemPrompt = '', model = 'gpt-4', maxTokens = 1000 } = req.body;
+
+    if (!providers.isModelSupported(model)) {
+      return res.status(400).json({
+        success: false,
+        message: `Model "${model}" is not supported`,
+        errorCode: ERROR_CODES.VALIDATION_ERROR
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: analyze({ model, prompt, systemPrompt, maxTokens: parseInt(maxTokens) })
+    });
+
+  } catch (error) {
+    logger.error(`Tokenization failed: ${error.message}`);
+    next(error);
+  }
+};
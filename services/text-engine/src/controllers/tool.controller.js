@@ -0,0 +1,23 @@
+/**
+ * 工具控制器
+ * 列出可在生成请求中启用的服务端工具
+ */
+
+const toolRegistry = require('../tools');
+const logger = require('../utils/logger');
+
+/**
+ * 获取已注册的工具及其参数定义
+ */
+exports.listTools = (req, res, next) => {
+  try {
+    res.status(200).json({
+      success: true,
+      data: toolRegistry.listTools()
+    });
+
+  } catch (error) {
+    logger.error(`Error listing tools: ${error.message}`);
+    next(error);
+  }
+};
@@ -0,0 +1,201 @@
+/**
+ * 用量控制器
+ * 提供用量与费用统计、CSV导出以及预算管理接口
+ */
+
+const usageService = require('../services/usage.service');
+const { listPricing } = require('../config/pricing');
+const logger = require('../utils/logger');
+const { ERROR_CODES } = require('../utils/errorCodes');
+const { rejectInvalidRequest } = require('../utils/validation');
+
+const CSV_COLUMNS = ['day', 'model', 'operation', 'requests', 'promptTokens', 'completionTokens', 'totalTokens', 'cost'];
+
+/**
+ * 解析查询范围
+ * 默认查询当前用户；scope=team 查询所在团队；管理员可通过 scopeId 查询任意用户或团队
+ */
+function resolveScope(req) {
+  const scope = req.query.scope === 'team' ? 'team' : 'user';
+  const isAdmin = [].concat(req.user.roles || req.user.role || []).includes('admin');
+
+  if (req.query.scopeId && isAdmin) {
+    return { scope, scopeId: req.query.scopeId };
+  }
+
+  const scopeId = scope === 'team' ? req.user.teamId : req.user.id;
+  return scopeId ? { scope, scopeId } : null;
+}
+
+/**
+ * 解析时间范围，默认为本月初至今
+ */
+function resolveRange(req) {
+  const now = new Date();
+  const from = req.query.from
+    ? new Date(req.query.from)
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const to = req.query.to ? new Date(req.query.to) : now;
+
+  if (isNaN(from.getTime()) || isNaN(to.getTime()) || from > to) {
+    return null;
+  }
+  return { from, to };
+}
+
+/**
+ * 参数校验失败的统一响应
+ */
+function rejectInvalidQuery(res, message) {
+  return res.status(400).json({
+    success: false,
+    message,
+    errorCode: ERROR_CODES.VALIDATION_ERROR
+  });
+}
+
+/**
+ * CSV字段转义
+ */
+function toCsvValue(value) {
+  const text = String(value ?? '');
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * 获取用量统计（按模型、操作、日期）
+ */
+exports.getUsage = async (req, res, next) => {
+  try {
+    const scope = resolveScope(req);
+    if (!scope) {
+      return rejectInvalidQuery(res, 'The current user does not belong to a team');
+    }
+
+    const range = resolveRange(req);
+    if (!range) {
+      return rejectInvalidQuery(res, 'Invalid date range');
+    }
+
+    const breakdown = await usageService.getUsageBreakdown({ ...scope, ...range });
+
+    res.status(200).json({
+      success: true,
+      data: {
+        ...scope,
+        from: range.from,
+        to: range.to,
+        currency: 'USD',
+        ...breakdown
+      }
+    });
+
+  } catch (error) {
+    logger.error(`Error retrieving usage: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 导出用量明细为CSV
+ */
+exports.exportUsageCsv = async (req, res, next) => {
+  try {
+    const scope = resolveScope(req);
+    if (!scope) {
+      return rejectInvalidQuery(res, 'The current user does not belong to a team');
+    }
+
+    const range = resolveRange(req);
+    if (!range) {
+      return rejectInvalidQuery(res, 'Invalid date range');
+    }
+
+    const rows = await usageService.getUsageRows({ ...scope, ...range });
+    const lines = [CSV_COLUMNS.join(',')];
+
+    for (const row of rows) {
+      const record = { ...row._id, ...row, cost: row.cost.toFixed(6) };
+      lines.push(CSV_COLUMNS.map(column => toCsvValue(record[column])).join(','));
+    }
+
+    res.status(200);
+    res.set({
+      'Content-Type': 'text/csv; charset=utf-8',
+      'Content-Disposition': `attachment; filename="usage-${scope.scope}-${range.from.toISOString().slice(0, 10)}-${range.to.toISOString().slice(0, 10)}.csv"`
+    });
+    res.send(lines.join('\n'));
+
+  } catch (error) {
+    logger.error(`Error exporting usage: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 获取当前用户及团队的预算状态
+ */
+exports.getBudgets = async (req, res, next) => {
+  try {
+    const budgets = await usageService.getBudgetStatus({
+      userId: req.user.id,
+      teamId: req.user.teamId
+    });
+
+    res.status(200).json({
+      success: true,
+      data: budgets
+    });
+
+  } catch (error) {
+    logger.error(`Error retrieving budgets: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 设置用户或团队预算（管理员）
+ */
+exports.setBudget = async (req, res, next) => {
+  try {
+    if (rejectInvalidRequest(req, res)) {
+      return;
+    }
+
+    const { scope, scopeId, period, limitUsd, softLimitRatio, hardStop } = req.body;
+    const budget = await usageService.upsertBudget({
+      scope,
+      scopeId,
+      period,
+      limitUsd,
+      softLimitRatio,
+      hardStop,
+      updatedBy: req.user.id
+    });
+
+    logger.info(`Budget set - ${scope}: ${scopeId}, period: ${period}, limit: $${limitUsd}`);
+
+    res.status(200).json({
+      success: true,
+      data: budget
+    });
+
+  } catch (error) {
+    logger.error(`Error setting budget: ${error.message}`);
+    next(error);
+  }
+};
+
+/**
+ * 获取模型价格表
+ */
+exports.getPricing = (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      currency: 'USD',
+      unit: '1K tokens',
+      models: listPricing()
+    }
+  });
+};
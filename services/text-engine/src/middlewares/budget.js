@@ -0,0 +1,65 @@
+/**
+ * 预算检查中间件
+ * 调用模型前检查用户及其团队的预算：超出硬限制时拒绝请求，达到软限制时在响应头中告警
+ */
+
+const usageService = require('../services/usage.service');
+const logger = require('../utils/logger');
+const { ERROR_CODES } = require('../utils/errorCodes');
+
+/**
+ * 检查当前请求的预算
+ * 超出硬限制时直接返回402并返回 true，调用方应停止处理
+ */
+exports.enforceBudget = async (req, res) => {
+  const userId = req.user?.id;
+  if (!userId) {
+    return false;
+  }
+
+  try {
+    const { allowed, exceeded, warnings } = await usageService.checkBudget({
+      userId,
+      teamId: req.user.teamId
+    });
+
+    if (!allowed) {
+      const budget = exceeded[0];
+      logger.warn(`Budget exceeded - ${budget.scope}: ${budget.scopeId}, period: ${budget.period}, spent: ${budget.spentUsd}`);
+
+      res.status(402).json({
+        success: false,
+        message: `The ${budget.period} ${budget.scope} budget of $${budget.limitUsd} has been exhausted`,
+        errorCode: ERROR_CODES.BUDGET_EXCEEDED,
+        budget
+      });
+      return true;
+    }
+
+    if (warnings.length > 0) {
+      req.budgetWarnings = warnings;
+      res.set('X-Budget-Warning', warnings
+        .map(w => `${w.scope}:${w.period}:${w.spentUsd}/${w.limitUsd}`)
+        .join(', '));
+    }
+  } catch (error) {
+    // 预算查询失败不阻断生成请求
+    logger.error(`Budget check failed: ${error.message}`);
+  }
+
+  return false;
+};
+
+/**
+ * 预算检查中间件，需在 auth() 之后使用
+ */
+exports.budgetGuard = () => async (req, res, next) => {
+  // 只检查会触发模型调用的写操作
+  if (req.method !== 'POST') {
+    return next();
+  }
+
+  if (!(await exports.enforceBudget(req, res))) {
+    next();
+  }
+};
@@ -0,0 +1,46 @@
+/**
+ * 请求取消中间件
+ * 为每个请求创建 req.signal：客户端在响应完成前断开，或请求超过截止时间时中止
+ * 控制器将 req.signal 传给生成服务，上游模型调用随之取消
+ *
+ * 截止时间默认 REQUEST_TIMEOUT_MS，客户端可通过 X-Request-Timeout 头（毫秒）调整，上限 REQUEST_TIMEOUT_MAX_MS
+ */
+
+const { createCancellationError } = require('../utils/cancellation');
+
+const CONFIG = {
+  defaultTimeoutMs: parseInt(process.env.REQUEST_TIMEOUT_MS || '180000'),
+  maxTimeoutMs: parseInt(process.env.REQUEST_TIMEOUT_MAX_MS || '600000')
+};
+
+/**
+ * 本次请求的截止时长
+ */
+function resolveTimeout(req) {
+  const requested = parseInt(req.get('X-Request-Timeout'));
+  if (!Number.isFinite(requested) || requested <= 0) {
+    return CONFIG.defaultTimeoutMs;
+  }
+  return Math.min(requested, CONFIG.maxTimeoutMs);
+}
+
+exports.requestCancellation = () => (req, res, next) => {
+  const controller = new AbortController();
+  req.signal = controller.signal;
+
+  const timer = setTimeout(() => {
+    controller.abort(createCancellationError('deadline_exceeded'));
+  }, resolveTimeout(req));
+
+  const cleanup = () => {
+    clearTimeout(timer);
+    // 响应未完成即关闭说明客户端已断开
+    if (!res.writableFinished && !controller.signal.aborted) {
+      controller.abort(createCancellationError('client_disconnected'));
+    }
+  };
+
+  res.on('finish', () => clearTimeout(timer));
+  res.on('close', cleanup);
+  next();
+};
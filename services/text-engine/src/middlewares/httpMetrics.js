@@ -0,0 +1,33 @@
+/**
+ * HTTP 指标中间件
+ * 按路由模板（而非实际路径）统计请求耗时，记录进行中的请求数和限流拒绝次数
+ * 需注册在限流中间件之前，才能统计被限流的请求
+ */
+
+const serviceMetrics = require('../utils/serviceMetrics');
+const { routeTemplate } = require('./requestContext');
+
+exports.httpMetrics = () => (req, res, next) => {
+  const endTimer = serviceMetrics.httpRequestDuration.startTimer({ method: req.method });
+  serviceMetrics.httpRequestsInFlight.inc();
+
+  let recorded = false;
+  const record = () => {
+    if (recorded) {
+      return;
+    }
+    recorded = true;
+
+    serviceMetrics.httpRequestsInFlight.dec();
+    // 未匹配到路由（404、被中间件提前拒绝）时为 unmatched
+    endTimer({ route: routeTemplate(req) || 'unmatched', status_code: res.statusCode });
+    if (res.statusCode === 429) {
+      serviceMetrics.rateLimitRejections.inc({ method: req.method });
+    }
+  };
+
+  // 客户端提前断开时不会触发 finish
+  res.on('finish', record);
+  res.on('close', record);
+  next();
+};
@@ -0,0 +1,155 @@
+/**
+ * 幂等键中间件
+ * 带 Idempotency-Key 头的写请求只处理一次：重试返回首次请求保存的响应，首次请求仍在处理时等待其完成
+ * 同一幂等键配合不同的请求内容时拒绝（422）
+ * 保存 res.json 发出的响应；流式响应保存 done 事件的数据，重试时以只含 done 事件的流重放
+ * 流式响应未发出 done 事件（出错或客户端断开）时释放幂等键
+ */
+
+const crypto = require('crypto');
+const idempotencyStore = require('../utils/idempotencyStore');
+const { hashParams } = require('../utils/cacheKey');
+const requestContext = require('../utils/requestContext');
+const { initEventStream, sendEvent, endEventStream } = require('../utils/sse');
+const logger = require('../utils/logger');
+const { ERROR_CODES } = require('../utils/errorCodes');
+
+const HEADER = 'Idempotency-Key';
+const REPLAYED_HEADER = 'Idempotent-Replayed';
+
+const MUTATING_METHODS = new Set(['POST', 'PUT', 'PATCH', 'DELETE']);
+const KEY_PATTERN = /^[\x21-\x7e]{1,255}$/;
+
+// 这些状态表示暂时性结果，不保存，重试时重新处理
+const TRANSIENT_STATUSES = new Set([402, 408, 409, 429]);
+
+const CONFIG = {
+  // 首次请求仍在处理时，重试最多等待的时长
+  waitMs: parseInt(process.env.IDEMPOTENCY_WAIT_MS || '10000'),
+  pollIntervalMs: 250
+};
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * 幂等键的作用域：已认证用户，其次为认证头摘要，再次为客户端IP；同一键在不同接口上互不影响
+ */
+function scopedKey(req, key) {
+  const scope = req.user?.id
+    || (req.headers.authorization && crypto.createHash('sha256').update(req.headers.authorization).digest('hex'))
+    || req.ip;
+  const path = req.originalUrl.split('?')[0];
+
+  return crypto.createHash('sha256').update(`${scope}\u0000${req.method}\u0000${path}\u0000${key}`).digest('hex');
+}
+
+/**
+ * 请求内容指纹
+ */
+function fingerprintOf(req) {
+  return hashParams({ method: req.method, path: req.originalUrl, body: req.body ?? null });
+}
+
+/**
+ * 占用幂等键；首次请求处理中时轮询等待，超时返回处理中记录
+ */
+async function acquire(key, fingerprint) {
+  const deadline = Date.now() + CONFIG.waitMs;
+  let result = await idempotencyStore.begin(key, fingerprint);
+
+  while (result.state === 'in_progress' && result.fingerprint === fingerprint && Date.now() < deadline) {
+    await sleep(CONFIG.pollIntervalMs);
+    result = await idempotencyStore.begin(key, fingerprint);
+  }
+
+  return result;
+}
+
+/**
+ * 幂等键中间件，需在 auth() 之后、缓存中间件之前使用
+ */
+exports.idempotency = () => async (req, res, next) => {
+  const clientKey = req.get(HEADER);
+  if (!MUTATING_METHODS.has(req.method) || clientKey === undefined) {
+    return next();
+  }
+
+  if (!KEY_PATTERN.test(clientKey)) {
+    return res.status(400).json({
+      success: false,
+      message: `${HEADER} must be 1-255 printable ASCII characters`,
+      errorCode: ERROR_CODES.VALIDATION_ERROR
+    });
+  }
+
+  const key = scopedKey(req, clientKey);
+  const fingerprint = fingerprintOf(req);
+
+  let result;
+  try {
+    result = await acquire(key, fingerprint);
+  } catch (error) {
+    // 幂等存储不可用时不阻断请求
+    logger.error(`Idempotency check failed: ${error.message}`);
+    return next();
+  }
+
+  if (result.state !== 'acquired' && result.fingerprint !== fingerprint) {
+    return res.status(422).json({
+      success: false,
+      message: `${HEADER} has already been used with a different request`,
+      errorCode: ERROR_CODES.IDEMPOTENCY_KEY_MISMATCH
+    });
+  }
+
+  if (result.state === 'completed') {
+    logger.info(`Replaying idempotent response for ${req.method} ${req.originalUrl}`);
+    res.set(REPLAYED_HEADER, 'true');
+    if (result.response.stream) {
+      initEventStream(res);
+      sendEvent(res, 'done', result.response.body);
+      return endEventStream(res);
+    }
+    return res.status(result.response.status).json(result.response.body);
+  }
+
+  if (result.state === 'in_progress') {
+    res.set('Retry-After', String(Math.ceil(CONFIG.pollIntervalMs / 1000)));
+    return res.status(409).json({
+      success: false,
+      message: `A request with this ${HEADER} is still being processed`,
+      errorCode: ERROR_CODES.IDEMPOTENCY_REQUEST_IN_PROGRESS
+    });
+  }
+
+  const requestId = requestContext.getRequestId();
+  let response = null;
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    response = { status: res.statusCode, body };
+    return originalJson(body);
+  };
+
+  let settled = false;
+  const settle = () => {
+    if (settled) {
+      return;
+    }
+    settled = true;
+
+    if (!response && res.locals.streamResult) {
+      response = { status: res.statusCode, body: res.locals.streamResult, stream: true };
+    }
+
+    const store = res.writableFinished && response && response.status < 500 && !TRANSIENT_STATUSES.has(response.status)
+      ? idempotencyStore.complete(key, { fingerprint, response, requestId })
+      : idempotencyStore.release(key, result.owner);
+
+    store.catch(error => logger.error(`Idempotency record update failed: ${error.message}`));
+  };
+
+  // 客户端提前断开时不会触发 finish
+  res.on('finish', settle);
+  res.on('close', settle);
+  next();
+};
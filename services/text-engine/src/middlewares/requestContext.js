@@ -0,0 +1,69 @@
+/**
+ * 请求上下文中间件
+ * 沿用或生成请求ID（X-Request-Id），解析 W3C traceparent 作为追踪父级，为请求开启服务端 span，
+ * 在响应头中返回两者，并在所有错误响应体中附加 requestId
+ * 需注册为第一个中间件，后续中间件和处理函数才能取得上下文
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const requestContext = require('../utils/requestContext');
+const tracing = require('../utils/tracing');
+
+const REQUEST_ID_PATTERN = /^[\w.:-]{1,128}$/;
+
+/**
+ * 请求的路由模板，未匹配到路由时返回 null
+ */
+exports.routeTemplate = (req) => {
+  if (!req.route) {
+    return null;
+  }
+  return `${req.baseUrl}${req.route.path === '/' && req.baseUrl ? '' : req.route.path}`;
+};
+
+exports.requestContext = () => (req, res, next) => {
+  const incomingId = req.get('X-Request-Id');
+  const requestId = incomingId && REQUEST_ID_PATTERN.test(incomingId) ? incomingId : uuidv4();
+
+  const span = tracing.startSpan(`${req.method} ${req.path}`, {
+    kind: 'server',
+    parent: tracing.parseTraceparent(req.get('traceparent')),
+    attributes: {
+      'http.request.method': req.method,
+      'url.path': req.path,
+      'request.id': requestId
+    }
+  });
+
+  req.requestId = requestId;
+  res.set('X-Request-Id', requestId);
+  res.set('traceparent', tracing.formatTraceparent(span));
+
+  // 错误响应体附带 requestId，便于与日志对应
+  const json = res.json.bind(res);
+  res.json = (body) => {
+    if (res.statusCode >= 400 && body && typeof body === 'object' && !Array.isArray(body) && !body.requestId) {
+      return json({ ...body, requestId });
+    }
+    return json(body);
+  };
+
+  res.on('finish', () => {
+    const route = exports.routeTemplate(req);
+    if (route) {
+      span.name = `${req.method} ${route}`;
+      span.setAttribute('http.route', route);
+    }
+    span.setAttributes({
+      'http.response.status_code': res.statusCode,
+      ...(req.user?.id && { 'enduser.id': req.user.id })
+    });
+    if (res.statusCode >= 500) {
+      span.status = { code: 'error', message: `HTTP ${res.statusCode}` };
+    }
+    span.end();
+  });
+  res.on('close', () => span.end());
+
+  requestContext.run({ requestId, span }, next);
+};
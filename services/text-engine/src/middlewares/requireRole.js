@@ -0,0 +1,20 @@
+/**
+ * 角色校验中间件
+ * 需在 auth() 之后使用
+ */
+
+const { ERROR_CODES } = require('../utils/errorCodes');
+
+module.exports = (...roles) => (req, res, next) => {
+  const userRoles = [].concat(req.user?.roles || req.user?.role || []);
+
+  if (!roles.some(role => userRoles.includes(role))) {
+    return res.status(403).json({
+      success: false,
+      message: 'Insufficient permissions',
+      errorCode: ERROR_CODES.FORBIDDEN
+    });
+  }
+
+  next();
+};
@@ -0,0 +1,64 @@
+/**
+ * 批量生成任务模型
+ * 持久化任务及其每个条目的状态，服务重启后工作进程可从中断处继续
+ */
+
+const mongoose = require('mongoose');
+
+const ITEM_STATUSES = ['pending', 'running', 'succeeded', 'failed', 'cancelled'];
+const JOB_STATUSES = ['queued', 'running', 'completed', 'cancelled'];
+
+const batchItemSchema = new mongoose.Schema({
+  index: { type: Number, required: true },
+  prompt: { type: String, required: true },
+  systemPrompt: { type: String, default: '' },
+  maxTokens: { type: Number, default: 1000 },
+  status: { type: String, enum: ITEM_STATUSES, default: 'pending' },
+  attempts: { type: Number, default: 0 },
+  text: String,
+  model: String,
+  provider: String,
+  tokensUsed: { type: Number, default: 0 },
+  cost: { type: Number, default: 0 },
+  error: String,
+  // 失败原因的错误码，如预算耗尽时为 BUDGET_EXCEEDED
+  errorCode: String,
+  startedAt: Date,
+  completedAt: Date
+}, { _id: false });
+
+const batchJobSchema = new mongoose.Schema({
+  jobId: { type: String, required: true, unique: true },
+  userId: { type: String, required: true, index: true },
+  teamId: { type: String, default: null },
+  model: { type: String, required: true },
+  temperature: { type: Number, default: 0.7 },
+  status: { type: String, enum: JOB_STATUSES, default: 'queued', index: true },
+  concurrency: { type: Number, default: 5 },
+  maxAttempts: { type: Number, default: 3 },
+  items: [batchItemSchema],
+  progress: {
+    total: { type: Number, default: 0 },
+    succeeded: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 }
+  },
+  tokensUsed: { type: Number, default: 0 },
+  cost: { type: Number, default: 0 },
+  metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+  // 创建任务的请求ID，处理任务时的日志和追踪沿用该ID
+  requestId: String,
+  // 工作进程租约，过期后其他工作进程可接管任务
+  lockedBy: { type: String, default: null },
+  lockedUntil: { type: Date, default: null },
+  startedAt: Date,
+  completedAt: Date,
+  cancelledAt: Date
+}, { timestamps: true });
+
+batchJobSchema.index({ status: 1, lockedUntil: 1 });
+batchJobSchema.index({ userId: 1, createdAt: -1 });
+
+batchJobSchema.statics.ITEM_STATUSES = ITEM_STATUSES;
+batchJobSchema.statics.JOB_STATUSES = JOB_STATUSES;
+
+module.exports = mongoose.model('BatchJob', batchJobSchema);
@@ -0,0 +1,20 @@
+/**
+ * 预算模型
+ * 按用户或团队配置每日/每月费用上限；达到软限制比例时告警，达到上限时拒绝请求
+ */
+
+const mongoose = require('mongoose');
+
+const budgetSchema = new mongoose.Schema({
+  scope: { type: String, enum: ['user', 'team'], required: true },
+  scopeId: { type: String, required: true },
+  period: { type: String, enum: ['daily', 'monthly'], required: true },
+  limitUsd: { type: Number, required: true, min: 0 },
+  softLimitRatio: { type: Number, default: 0.8, min: 0, max: 1 },
+  hardStop: { type: Boolean, default: true },
+  updatedBy: String
+}, { timestamps: true });
+
+budgetSchema.index({ scope: 1, scopeId: 1, period: 1 }, { unique: true });
+
+module.exports = mongoose.model('Budget', budgetSchema);
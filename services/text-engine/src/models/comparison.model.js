@@ -0,0 +1,60 @@
+/**
+ * 模型对比模型
+ * 同一提示在多个模型或参数组合上的生成结果，供评审人盲评打分
+ */
+
+const mongoose = require('mongoose');
+
+const CANDIDATE_STATUSES = ['succeeded', 'failed'];
+
+const candidateSchema = new mongoose.Schema({
+  // 不透明的候选ID，盲评时不暴露模型信息
+  candidateId: { type: String, required: true },
+  label: { type: String, required: true },
+  model: { type: String, required: true },
+  provider: { type: String, default: null },
+  parameters: {
+    temperature: Number,
+    maxTokens: Number
+  },
+  status: { type: String, enum: CANDIDATE_STATUSES, required: true },
+  text: { type: String, default: null },
+  latencyMs: { type: Number, default: 0 },
+  usage: {
+    promptTokens: { type: Number, default: 0 },
+    completionTokens: { type: Number, default: 0 },
+    totalTokens: { type: Number, default: 0 }
+  },
+  cost: { type: Number, default: 0 },
+  cached: { type: Boolean, default: false },
+  error: {
+    code: String,
+    message: String
+  }
+}, { _id: false });
+
+const comparisonSchema = new mongoose.Schema({
+  comparisonId: { type: String, required: true, unique: true },
+  userId: { type: String, required: true },
+  teamId: { type: String, default: null },
+  title: { type: String, default: '' },
+  prompt: { type: String, required: true },
+  systemPrompt: { type: String, default: '' },
+  // 基于模板渲染时记录确切的模板版本和输入
+  template: {
+    templateId: { type: String, default: null },
+    version: { type: Number, default: null },
+    inputs: { type: mongoose.Schema.Types.Mixed, default: undefined }
+  },
+  candidates: [candidateSchema],
+  // 查看过完整结果（含模型）的评审人，此后提交的评分不计为盲评；创建者始终视为已知模型
+  revealedTo: { type: [String], default: [] }
+}, { timestamps: true });
+
+comparisonSchema.index({ userId: 1, createdAt: -1 });
+comparisonSchema.index({ teamId: 1, createdAt: -1 });
+comparisonSchema.index({ 'template.templateId': 1, createdAt: -1 });
+
+comparisonSchema.statics.CANDIDATE_STATUSES = CANDIDATE_STATUSES;
+
+module.exports = mongoose.model('Comparison', comparisonSchema);
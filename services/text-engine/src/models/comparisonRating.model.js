@@ -0,0 +1,39 @@
+/**
+ * 对比评分模型
+ * 评审人对一次对比的评分：两两比较（pairwise）或单个候选1–5分（score）
+ * 模型和模板冗余存储，统计胜率时无需关联对比记录
+ */
+
+const mongoose = require('mongoose');
+
+const RATING_TYPES = ['pairwise', 'score'];
+
+const ratingSchema = new mongoose.Schema({
+  comparisonId: { type: String, required: true },
+  reviewerId: { type: String, required: true },
+  userId: { type: String, required: true },
+  teamId: { type: String, default: null },
+  templateId: { type: String, default: null },
+  templateVersion: { type: Number, default: null },
+  type: { type: String, enum: RATING_TYPES, required: true },
+  // 同一评审人对同一对候选或同一候选只保留一条评分，重复提交时覆盖
+  subjectKey: { type: String, required: true },
+  // pairwise：两个候选及其模型，winner 为胜出的候选ID，平局为 null
+  candidates: { type: [String], default: undefined },
+  models: { type: [String], default: undefined },
+  winner: { type: String, default: null },
+  // score：单个候选的分数
+  candidateId: { type: String, default: null },
+  model: { type: String, default: null },
+  score: { type: Number, min: 1, max: 5, default: null },
+  blind: { type: Boolean, default: true },
+  comment: { type: String, default: '' }
+}, { timestamps: true });
+
+ratingSchema.index({ comparisonId: 1, reviewerId: 1, type: 1, subjectKey: 1 }, { unique: true });
+ratingSchema.index({ userId: 1, templateId: 1 });
+ratingSchema.index({ teamId: 1, templateId: 1 });
+
+ratingSchema.statics.RATING_TYPES = RATING_TYPES;
+
+module.exports = mongoose.model('ComparisonRating', ratingSchema);
@@ -0,0 +1,42 @@
+/**
+ * 对话会话模型
+ * 保存多轮对话的设置、历史摘要以及分叉来源，消息单独存储在 ConversationMessage 中
+ */
+
+const mongoose = require('mongoose');
+
+const HISTORY_STRATEGIES = ['summarize', 'trim'];
+
+const conversationSchema = new mongoose.Schema({
+  conversationId: { type: String, required: true, unique: true },
+  userId: { type: String, required: true },
+  title: { type: String, default: 'Untitled conversation' },
+  model: { type: String, default: 'gpt-4' },
+  systemPrompt: { type: String, default: '' },
+  temperature: { type: Number, default: 0.7 },
+  maxTokens: { type: Number, default: 1000 },
+  // 历史接近上下文上限时的处理方式
+  historyStrategy: { type: String, enum: HISTORY_STRATEGIES, default: 'summarize' },
+  // 已被摘要覆盖的早期消息，throughSequence 及之前的消息不再原样发送给模型
+  summary: {
+    text: { type: String, default: null },
+    throughSequence: { type: Number, default: -1 },
+    updatedAt: Date
+  },
+  // 下一条消息的序号
+  messageCount: { type: Number, default: 0 },
+  forkedFrom: {
+    conversationId: { type: String, default: null },
+    messageId: { type: String, default: null }
+  },
+  // 提升为项目后的项目ID
+  projectId: { type: String, default: null },
+  tokensUsed: { type: Number, default: 0 },
+  cost: { type: Number, default: 0 }
+}, { timestamps: true });
+
+conversationSchema.index({ userId: 1, updatedAt: -1 });
+
+conversationSchema.statics.HISTORY_STRATEGIES = HISTORY_STRATEGIES;
+
+module.exports = mongoose.model('Conversation', conversationSchema);
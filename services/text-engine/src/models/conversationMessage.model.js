@@ -0,0 +1,29 @@
+/**
+ * 对话消息模型
+ * 消息按会话内递增的 sequence 排序；分叉会话复制消息并记录来源消息
+ */
+
+const mongoose = require('mongoose');
+
+const MESSAGE_ROLES = ['user', 'assistant'];
+
+const conversationMessageSchema = new mongoose.Schema({
+  messageId: { type: String, required: true, unique: true },
+  conversationId: { type: String, required: true },
+  userId: { type: String, required: true },
+  sequence: { type: Number, required: true },
+  role: { type: String, enum: MESSAGE_ROLES, required: true },
+  content: { type: String, required: true },
+  // 仅助手消息：实际响应的模型、提供方和用量
+  model: String,
+  provider: String,
+  tokensUsed: { type: Number, default: 0 },
+  cost: { type: Number, default: 0 },
+  sourceMessageId: { type: String, default: null }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+conversationMessageSchema.index({ conversationId: 1, sequence: 1 }, { unique: true });
+
+conversationMessageSchema.statics.MESSAGE_ROLES = MESSAGE_ROLES;
+
+module.exports = mongoose.model('ConversationMessage', conversationMessageSchema);
@@ -0,0 +1,29 @@
+/**
+ * 幂等记录模型
+ * Redis不可用时保存幂等键的处理状态和最终响应，过期后由TTL索引自动删除
+ */
+
+const mongoose = require('mongoose');
+
+const idempotencyRecordSchema = new mongoose.Schema({
+  // 作用域（用户、方法、路径）与客户端幂等键组合后的键
+  key: { type: String, required: true, unique: true },
+  // 请求方法、路径和请求体的摘要，同一键的请求必须一致
+  fingerprint: { type: String, required: true },
+  state: { type: String, enum: ['in_progress', 'completed'], default: 'in_progress' },
+  // 处理中标记的持有者和有效期，持有者崩溃后其他请求可接管
+  owner: String,
+  lockedUntil: Date,
+  response: {
+    status: Number,
+    body: mongoose.Schema.Types.Mixed,
+    // 流式响应只保存 done 事件的数据
+    stream: Boolean
+  },
+  requestId: String,
+  expiresAt: { type: Date, required: true }
+}, { timestamps: true });
+
+idempotencyRecordSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = mongoose.model('IdempotencyRecord', idempotencyRecordSchema);
@@ -0,0 +1,46 @@
+/**
+ * 内容审核审计模型
+ * 每次审核决定（含放行）一条记录；不保存原文，仅保存哈希和长度，便于核对而不留存敏感内容
+ */
+
+const mongoose = require('mongoose');
+
+// 审计记录保留天数
+const RETENTION_DAYS = parseInt(process.env.MODERATION_AUDIT_RETENTION_DAYS || '90');
+
+const categoryResultSchema = new mongoose.Schema({
+  category: { type: String, required: true },
+  action: { type: String, enum: ['allow', 'flag', 'redact', 'block'], required: true },
+  score: Number,
+  checkers: [String],
+  matches: { type: Number, default: 0 },
+  fields: [String]
+}, { _id: false });
+
+const checkerErrorSchema = new mongoose.Schema({
+  checker: String,
+  error: String
+}, { _id: false });
+
+const moderationAuditSchema = new mongoose.Schema({
+  auditId: { type: String, required: true, unique: true },
+  userId: { type: String, required: true },
+  teamId: { type: String, default: null },
+  operation: { type: String, required: true },
+  stage: { type: String, enum: ['input', 'output'], required: true },
+  model: String,
+  action: { type: String, enum: ['allow', 'flag', 'redact', 'block'], required: true },
+  categories: [categoryResultSchema],
+  checkers: [String],
+  checkerErrors: [checkerErrorSchema],
+  contentHash: String,
+  contentLength: Number,
+  createdAt: { type: Date, default: Date.now }
+});
+
+moderationAuditSchema.index({ userId: 1, createdAt: -1 });
+moderationAuditSchema.index({ action: 1, createdAt: -1 });
+moderationAuditSchema.index({ 'categories.category': 1, createdAt: -1 });
+moderationAuditSchema.index({ createdAt: 1 }, { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60, name: 'retention' });
+
+module.exports = mongoose.model('ModerationAudit', moderationAuditSchema);
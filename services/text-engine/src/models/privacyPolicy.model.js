@@ -0,0 +1,24 @@
+/**
+ * 租户个人信息保护策略模型
+ * 租户为团队（teamId），无团队的用户以 userId 作为租户
+ */
+
+const mongoose = require('mongoose');
+const { ENTITY_TYPES, PII_ACTIONS } = require('../config/privacy');
+
+const customPatternSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  pattern: { type: String, required: true },
+  flags: { type: String, default: '' },
+  action: { type: String, enum: PII_ACTIONS, default: 'redact' }
+}, { _id: false });
+
+const privacyPolicySchema = new mongoose.Schema({
+  tenantId: { type: String, required: true, unique: true },
+  enabled: { type: Boolean, default: true },
+  entities: Object.fromEntries(ENTITY_TYPES.map(type => [type, { type: String, enum: PII_ACTIONS }])),
+  customPatterns: [customPatternSchema],
+  updatedBy: String
+}, { timestamps: true });
+
+module.exports = mongoose.model('PrivacyPolicy', privacyPolicySchema);
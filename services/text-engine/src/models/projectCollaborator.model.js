@@ -0,0 +1,21 @@
+/**
+ * 项目协作者模型
+ * 项目所有者可邀请其他用户以编辑者或只读身份参与实时协作
+ */
+
+const mongoose = require('mongoose');
+const { COLLABORATOR_ROLES } = require('../config/collaboration');
+
+const projectCollaboratorSchema = new mongoose.Schema({
+  projectId: { type: String, required: true },
+  // 项目所有者
+  ownerId: { type: String, required: true },
+  userId: { type: String, required: true },
+  role: { type: String, enum: COLLABORATOR_ROLES, default: 'editor' },
+  addedBy: { type: String, required: true }
+}, { timestamps: true });
+
+projectCollaboratorSchema.index({ projectId: 1, userId: 1 }, { unique: true });
+projectCollaboratorSchema.index({ userId: 1 });
+
+module.exports = mongoose.model('ProjectCollaborator', projectCollaboratorSchema);
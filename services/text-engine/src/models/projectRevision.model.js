@@ -0,0 +1,43 @@
+/**
+ * 项目修订模型
+ * 每次修改项目内容都会追加一条不可变的修订记录，项目当前内容始终等于最新修订
+ */
+
+const mongoose = require('mongoose');
+
+const REVISION_SOURCES = ['generate', 'regenerate', 'edit', 'manual', 'restore', 'initial', 'collaboration'];
+
+const projectRevisionSchema = new mongoose.Schema({
+  projectId: { type: String, required: true },
+  userId: { type: String, required: true },
+  // 项目内递增的修订号，从1开始
+  revision: { type: Number, required: true },
+  source: { type: String, enum: REVISION_SOURCES, required: true },
+  content: { type: String, default: '' },
+  prompt: String,
+  systemPrompt: String,
+  instruction: String,
+  model: String,
+  parameters: { type: mongoose.Schema.Types.Mixed, default: {} },
+  author: { type: String, required: true },
+  tokensUsed: { type: Number, default: 0 },
+  // 恢复操作对应的源修订号
+  restoredFrom: { type: Number, default: null },
+  // 产生该修订的请求ID
+  requestId: String
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+projectRevisionSchema.index({ projectId: 1, revision: -1 }, { unique: true });
+
+// 修订不可变：禁止更新操作
+function rejectUpdate(next) {
+  next(new Error('Project revisions are immutable'));
+}
+
+projectRevisionSchema.pre('updateOne', rejectUpdate);
+projectRevisionSchema.pre('updateMany', rejectUpdate);
+projectRevisionSchema.pre('findOneAndUpdate', rejectUpdate);
+
+projectRevisionSchema.statics.REVISION_SOURCES = REVISION_SOURCES;
+
+module.exports = mongoose.model('ProjectRevision', projectRevisionSchema);
@@ -0,0 +1,20 @@
+/**
+ * 提示模板模型
+ * 保存模板的名称、描述等元数据和最新版本号，模板内容存储在不可变的 PromptTemplateVersion 中
+ */
+
+const mongoose = require('mongoose');
+
+const promptTemplateSchema = new mongoose.Schema({
+  templateId: { type: String, required: true, unique: true },
+  userId: { type: String, required: true },
+  name: { type: String, required: true },
+  description: { type: String, default: '' },
+  tags: { type: [String], default: [] },
+  latestVersion: { type: Number, default: 1 },
+  archived: { type: Boolean, default: false }
+}, { timestamps: true });
+
+promptTemplateSchema.index({ userId: 1, updatedAt: -1 });
+
+module.exports = mongoose.model('PromptTemplate', promptTemplateSchema);
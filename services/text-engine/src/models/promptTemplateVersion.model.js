@@ -0,0 +1,45 @@
+/**
+ * 提示模板版本模型
+ * 每个版本创建后不可修改；修改模板即创建新版本，生成记录引用确切的版本号
+ */
+
+const mongoose = require('mongoose');
+
+const variableSchema = new mongoose.Schema({
+  name: { type: String, required: true },
+  type: { type: String, required: true },
+  required: { type: Boolean, default: false },
+  default: mongoose.Schema.Types.Mixed,
+  values: { type: [mongoose.Schema.Types.Mixed], default: undefined },
+  maxLength: Number,
+  description: { type: String, default: '' }
+}, { _id: false });
+
+const promptTemplateVersionSchema = new mongoose.Schema({
+  templateId: { type: String, required: true },
+  version: { type: Number, required: true },
+  body: { type: String, required: true },
+  variables: [variableSchema],
+  // 模板绑定的默认生成参数，systemPrompt 同样支持模板语法
+  defaults: {
+    model: { type: String, default: 'gpt-4' },
+    temperature: { type: Number, default: 0.7 },
+    maxTokens: { type: Number, default: 1000 },
+    systemPrompt: { type: String, default: '' }
+  },
+  changelog: { type: String, default: '' },
+  author: { type: String, required: true }
+}, { timestamps: { createdAt: true, updatedAt: false } });
+
+promptTemplateVersionSchema.index({ templateId: 1, version: -1 }, { unique: true });
+
+// 版本不可变：禁止更新操作
+function rejectUpdate(next) {
+  next(new Error('Prompt template versions are immutable'));
+}
+
+promptTemplateVersionSchema.pre('updateOne', rejectUpdate);
+promptTemplateVersionSchema.pre('updateMany', rejectUpdate);
+promptTemplateVersionSchema.pre('findOneAndUpdate', rejectUpdate);
+
+module.exports = mongoose.model('PromptTemplateVersion', promptTemplateVersionSchema);
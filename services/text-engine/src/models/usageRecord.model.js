@@ -0,0 +1,26 @@
+/**
+ * 用量记录模型
+ * 每次生成、编辑、总结或批量调用一条记录，保存令牌用量及计算出的费用
+ */
+
+const mongoose = require('mongoose');
+
+const usageRecordSchema = new mongoose.Schema({
+  userId: { type: String, required: true },
+  teamId: { type: String, default: null },
+  operation: { type: String, required: true },
+  model: { type: String, required: true },
+  provider: String,
+  promptTokens: { type: Number, default: 0 },
+  completionTokens: { type: Number, default: 0 },
+  totalTokens: { type: Number, default: 0 },
+  promptCost: { type: Number, default: 0 },
+  completionCost: { type: Number, default: 0 },
+  cost: { type: Number, default: 0 },
+  createdAt: { type: Date, default: Date.now }
+});
+
+usageRecordSchema.index({ userId: 1, createdAt: -1 });
+usageRecordSchema.index({ teamId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('UsageRecord', usageRecordSchema);
@@ -0,0 +1,68 @@
+/**
+ * 本地分类器检查器
+ * 基于加权线索的轻量分类：每个类别的命中线索按 noisy-OR 合成得分（1 - Π(1 - w)）
+ * 不依赖网络，得分达到策略阈值的类别判定为命中；分类结果不含片段位置，无法用于遮盖
+ */
+
+// 类别 -> [[线索正则, 权重]]
+const LEXICON = {
+  hate: [
+    [/\b(?:subhuman|vermin|inferior race|racial purity)\b/i, 0.6],
+    [/\b(?:exterminate|wipe out|get rid of) (?:all )?(?:the )?\w+s\b/i, 0.5],
+    [/\b(?:go back to your country|don't belong here)\b/i, 0.5],
+    [/(?:劣等民族|种族清洗|滚出我们国家)/u, 0.7]
+  ],
+  harassment: [
+    [/\byou(?:'re| are) (?:an? )?(?:idiot|moron|loser|worthless|pathetic)\b/i, 0.6],
+    [/\b(?:nobody (?:likes|loves) you|kill yourself|kys)\b/i, 0.8],
+    [/\b(?:i know where you live|watch your back)\b/i, 0.7],
+    [/(?:你这个废物|去死吧|我知道你住哪)/u, 0.7]
+  ],
+  violence: [
+    [/\b(?:i(?:'m| am| will|'ll) (?:going to )?(?:kill|shoot|stab|murder))\b/i, 0.8],
+    [/\b(?:how to (?:make|build) (?:a )?(?:bomb|pipe bomb|explosive))\b/i, 0.9],
+    [/\b(?:mass shooting|massacre|behead)\b/i, 0.5],
+    [/(?:制作炸弹|杀了你|砍死)/u, 0.8]
+  ],
+  self_harm: [
+    [/\b(?:kill myself|end my life|suicide method|want to die)\b/i, 0.85],
+    [/\b(?:cut(?:ting)? myself|self[- ]harm)\b/i, 0.7],
+    [/(?:自杀|不想活了|割腕)/u, 0.8]
+  ],
+  sexual: [
+    [/\b(?:explicit sex|porn(?:ography)?|nude photos?)\b/i, 0.6],
+    [/\b(?:minor|child|underage)\b[\s\S]{0,40}\b(?:sexual|nude|explicit)\b/i, 0.95],
+    [/(?:色情|裸照)/u, 0.6]
+  ]
+};
+
+/**
+ * 计算各类别得分
+ * 返回 { category: score }
+ */
+function score(text) {
+  const scores = {};
+
+  for (const [category, cues] of Object.entries(LEXICON)) {
+    let remaining = 1;
+    for (const [pattern, weight] of cues) {
+      if (pattern.test(text)) {
+        remaining *= 1 - weight;
+      }
+    }
+    scores[category] = Math.round((1 - remaining) * 1000) / 1000;
+  }
+
+  return scores;
+}
+
+module.exports = {
+  name: 'classifier',
+  check: async (text, { policy }) => {
+    const threshold = policy.classifier?.threshold ?? 0.8;
+
+    return Object.entries(score(text))
+      .filter(([, value]) => value >= threshold)
+      .map(([category, value]) => ({ category, score: value }));
+  }
+};
@@ -0,0 +1,27 @@
+/**
+ * 审核检查器注册入口
+ * 检查器声明 name 和 check(text, { stage, policy })，返回 [{ category, score, spans? }]
+ * 新增检查器只需在此注册，并在审核策略的 checkers 中启用
+ */
+
+const checkers = new Map();
+
+/**
+ * 注册检查器
+ */
+exports.registerChecker = (checker) => {
+  if (!checker || !checker.name || typeof checker.check !== 'function') {
+    throw new Error('Moderation checker must declare a name and a check function');
+  }
+  checkers.set(checker.name, checker);
+  return checker;
+};
+
+/**
+ * 按名称获取启用的检查器，未注册的名称被忽略
+ */
+exports.getCheckers = (names) => names.map(name => checkers.get(name)).filter(Boolean);
+
+exports.registerChecker(require('./keywords.checker'));
+exports.registerChecker(require('./classifier.checker'));
+exports.registerChecker(require('./openai.checker'));
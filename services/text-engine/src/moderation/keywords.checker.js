@@ -0,0 +1,57 @@
+/**
+ * 关键词/正则检查器
+ * 按策略中的本地规则匹配文本，返回命中片段的位置，可用于遮盖
+ */
+
+// ASCII 词按整词匹配，其他（如中文）按子串匹配
+const WORD_PATTERN = /^[\w\s'-]+$/;
+
+const escapeRegex = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+let compiledFor = null;
+let compiledRules = [];
+
+/**
+ * 编译规则，策略不变时复用
+ */
+function compileRules(rules) {
+  if (compiledFor === rules) {
+    return compiledRules;
+  }
+
+  compiledRules = rules.map(rule => {
+    if (rule.type === 'regex') {
+      return { category: rule.category, pattern: new RegExp(rule.pattern, `g${(rule.flags || '').replace('g', '')}`) };
+    }
+
+    const alternatives = (rule.terms || []).map(term => (WORD_PATTERN.test(term)
+      ? `\\b${escapeRegex(term)}\\b`
+      : escapeRegex(term)));
+    return { category: rule.category, pattern: new RegExp(alternatives.join('|') || '(?!)', 'giu') };
+  });
+  compiledFor = rules;
+
+  return compiledRules;
+}
+
+module.exports = {
+  name: 'keywords',
+  check: async (text, { policy }) => {
+    const findings = new Map();
+
+    for (const rule of compileRules(policy.rules || [])) {
+      rule.pattern.lastIndex = 0;
+      for (const match of text.matchAll(rule.pattern)) {
+        if (match[0].length === 0) {
+          continue;
+        }
+
+        const finding = findings.get(rule.category) || { category: rule.category, score: 1, spans: [] };
+        finding.spans.push({ start: match.index, end: match.index + match[0].length });
+        findings.set(rule.category, finding);
+      }
+    }
+
+    return [...findings.values()];
+  }
+};
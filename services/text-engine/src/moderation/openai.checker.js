@@ -0,0 +1,44 @@
+/**
+ * OpenAI 审核接口检查器
+ * 将提供方的审核类别映射到本服务的类别，得分达到策略阈值时判定命中
+ */
+
+const openaiService = require('../services/openai.service');
+
+// OpenAI 类别 -> 本服务类别
+const CATEGORY_MAP = {
+  hate: 'hate',
+  'hate/threatening': 'hate',
+  harassment: 'harassment',
+  'harassment/threatening': 'harassment',
+  'self-harm': 'self_harm',
+  'self-harm/intent': 'self_harm',
+  'self-harm/instructions': 'self_harm',
+  sexual: 'sexual',
+  'sexual/minors': 'sexual',
+  violence: 'violence',
+  'violence/graphic': 'violence'
+};
+
+module.exports = {
+  name: 'openai',
+  check: async (text, { policy }) => {
+    const threshold = policy.provider?.threshold ?? 0.5;
+    const { categories, scores } = await openaiService.moderateContent(text);
+    const findings = new Map();
+
+    for (const [source, category] of Object.entries(CATEGORY_MAP)) {
+      const value = scores?.[source] || 0;
+      if (!categories?.[source] && value < threshold) {
+        continue;
+      }
+
+      const existing = findings.get(category);
+      if (!existing || existing.score < value) {
+        findings.set(category, { category, score: Math.round(value * 1000) / 1000 });
+      }
+    }
+
+    return [...findings.values()];
+  }
+};
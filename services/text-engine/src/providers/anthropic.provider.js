@@ -0,0 +1,15 @@
+/**
+ * Anthropic Claude 提供方适配器
+ */
+
+const anthropicService = require('../services/anthropic.service');
+const createAdapter = require('./createAdapter');
+
+module.exports = createAdapter({
+  name: 'anthropic',
+  service: anthropicService,
+  models: ['claude', 'claude-instant'],
+  capabilities: {
+    maxContext: 100000
+  }
+});
@@ -0,0 +1,119 @@
+/**
+ * 提供方适配器工厂
+ * 将现有的模型服务模块包装为注册表要求的统一接口
+ * 服务未实现编辑或总结时，基于 generateText 以提示词方式实现；
+ * 不支持多轮消息的服务，对话历史以文本形式并入提示；
+ * 不支持JSON模式或原生工具调用的服务忽略 responseFormat / tools，由调用方通过提示约束
+ * params.signal 透传给服务；服务不支持取消时，信号中止后适配器立即以取消错误返回，不再等待结果
+ */
+
+const summarizationService = require('../services/summarization.service');
+const { buildEditPrompt } = require('../utils/editPrompt');
+const cancellation = require('../utils/cancellation');
+
+const DEFAULT_CAPABILITIES = {
+  streaming: false,
+  jsonMode: false,
+  toolCalling: false,
+  chatHistory: false,
+  maxContext: 4096
+};
+
+const ROLE_LABELS = {
+  user: '用户',
+  assistant: '助手'
+};
+
+/**
+ * 将对话历史并入提示，供不支持多轮消息的服务使用
+ */
+function flattenHistory(params) {
+  const { history, ...rest } = params;
+  if (!history || history.length === 0) {
+    return rest;
+  }
+
+  const transcript = history
+    .map(message => `${ROLE_LABELS[message.role] || message.role}: ${message.content}`)
+    .join('\n\n');
+
+  return {
+    ...rest,
+    prompt: `${transcript}\n\n${ROLE_LABELS.user}: ${params.prompt}\n\n${ROLE_LABELS.assistant}:`
+  };
+}
+
+/**
+ * 以可取消的方式调用服务
+ */
+async function callCancellable(signal, call) {
+  cancellation.throwIfCancelled(signal);
+  return cancellation.raceSignal(call(), signal);
+}
+
+/**
+ * 创建适配器
+ */
+module.exports = function createAdapter({ name, service, models, capabilities = {} }) {
+  const prepareParams = (params) => {
+    const { responseFormat, tools, ...rest } = adapter.capabilities.chatHistory ? params : flattenHistory(params);
+    return {
+      ...rest,
+      ...(adapter.capabilities.jsonMode && responseFormat && { responseFormat }),
+      ...(adapter.capabilities.toolCalling && tools && { tools })
+    };
+  };
+  
+  const adapter = {
+    name,
+    models,
+    capabilities: { ...DEFAULT_CAPABILITIES, ...capabilities },
+    
+    generate: (params) => callCancellable(params.signal, () => service.generateText(prepareParams(params))),
+    
+    edit: (params) => callCancellable(params.signal, () => {
+      if (typeof service.editText === 'function') {
+        return service.editText(params);
+      }
+      
+      const { text, instruction, before, after, ...rest } = params;
+      return service.generateText({
+        ...rest,
+        ...buildEditPrompt({ text, instruction, before, after })
+      });
+    }),
+    
+    summarize: (params) => callCancellable(params.signal, () => {
+      if (typeof service.summarizeText === 'function') {
+        return service.summarizeText(params);
+      }
+      
+      const maxContext = adapter.capabilities.maxContext;
+      return summarizationService.summarize({
+        ...params,
+        contextWindow: typeof maxContext === 'number'
+          ? maxContext
+          : maxContext[params.model?.toLowerCase()] || DEFAULT_CAPABILITIES.maxContext,
+        generate: (generationParams) => service.generateText(generationParams)
+      });
+    }),
+    
+    healthCheck: async () => {
+      if (typeof service.healthCheck === 'function') {
+        return service.healthCheck();
+      }
+      
+      return {
+        status: 'unknown',
+        provider: name,
+        timestamp: new Date().toISOString()
+      };
+    }
+  };
+  
+  if (adapter.capabilities.streaming) {
+    adapter.generateStream = (params) => cancellation.abortableIterator(service.generateTextStream(prepareParams(params)), params.signal);
+  }
+  
+  return adapter;
+};
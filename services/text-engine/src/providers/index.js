@@ -0,0 +1,18 @@
+/**
+ * 提供方注册入口
+ * 新增提供方只需在此注册适配器，控制器无需修改
+ */
+
+const registry = require('./registry');
+
+registry.registerProvider(require('./openai.provider'));
+registry.registerProvider(require('./palm.provider'));
+registry.registerProvider(require('./anthropic.provider'));
+registry.registerProvider(require('./localLLM.provider'));
+
+// 桩提供方仅在测试环境或显式开启时注册
+if (process.env.NODE_ENV === 'test' || process.env.ENABLE_STUB_PROVIDER === 'true') {
+  registry.registerProvider(require('./localStub.provider'));
+}
+
+module.exports = registry;
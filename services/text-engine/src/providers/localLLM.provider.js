@@ -0,0 +1,18 @@
+/**
+ * 本地大模型提供方适配器
+ */
+
+const localLLMService = require('../services/localLLM.service');
+const createAdapter = require('./createAdapter');
+
+module.exports = createAdapter({
+  name: 'local',
+  service: localLLMService,
+  models: ['local-llama', 'local-mistral'],
+  capabilities: {
+    maxContext: {
+      'local-llama': 4096,
+      'local-mistral': 8192
+    }
+  }
+});
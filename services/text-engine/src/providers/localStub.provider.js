@@ -0,0 +1,53 @@
+/**
+ * 本地桩提供方
+ * 不依赖网络，返回可预测的输出，用于测试和本地开发
+ */
+
+const createAdapter = require('./createAdapter');
+
+// 粗略估算令牌数：每4个字符记1个令牌
+const estimateTokens = (text = '') => Math.ceil(text.length / 4);
+
+const stubService = {
+  generateText: async ({ prompt, systemPrompt = '', model = 'local-stub' }) => {
+    const text = `[stub] ${prompt}`;
+    const promptTokens = estimateTokens(systemPrompt) + estimateTokens(prompt);
+    const completionTokens = estimateTokens(text);
+    
+    return {
+      text,
+      usage: {
+        promptTokens,
+        completionTokens,
+        totalTokens: promptTokens + completionTokens
+      },
+      model
+    };
+  },
+  
+  generateTextStream: async function* (params) {
+    const result = await stubService.generateText(params);
+    
+    for (const word of result.text.split(/(?<=\s)/)) {
+      yield { type: 'delta', text: word };
+    }
+    
+    yield { type: 'done', ...result, cached: false };
+  },
+  
+  healthCheck: async () => ({
+    status: 'healthy',
+    provider: 'stub',
+    timestamp: new Date().toISOString()
+  })
+};
+
+module.exports = createAdapter({
+  name: 'stub',
+  service: stubService,
+  models: ['local-stub'],
+  capabilities: {
+    streaming: true,
+    maxContext: 8192
+  }
+});
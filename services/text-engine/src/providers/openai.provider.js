@@ -0,0 +1,25 @@
+/**
+ * OpenAI提供方适配器
+ */
+
+const openaiService = require('../services/openai.service');
+const createAdapter = require('./createAdapter');
+
+module.exports = createAdapter({
+  name: 'openai',
+  service: openaiService,
+  models: ['gpt-4', 'gpt-4-32k', 'gpt-4-turbo', 'gpt-3.5-turbo', 'gpt-3.5-turbo-16k'],
+  capabilities: {
+    streaming: true,
+    jsonMode: true,
+    toolCalling: true,
+    chatHistory: true,
+    maxContext: {
+      'gpt-4': 8192,
+      'gpt-4-32k': 32768,
+      'gpt-4-turbo': 8192,
+      'gpt-3.5-turbo': 4096,
+      'gpt-3.5-turbo-16k': 16384
+    }
+  }
+});
@@ -0,0 +1,18 @@
+/**
+ * Google PaLM / Gemini 提供方适配器
+ */
+
+const palmService = require('../services/palm.service');
+const createAdapter = require('./createAdapter');
+
+module.exports = createAdapter({
+  name: 'palm',
+  service: palmService,
+  models: ['palm', 'gemini'],
+  capabilities: {
+    maxContext: {
+      palm: 8192,
+      gemini: 32768
+    }
+  }
+});
@@ -0,0 +1,129 @@
+/**
+ * 模型提供方注册表
+ * 维护模型名称到提供方适配器的映射，控制器通过注册表解析模型，不再硬编码switch分支
+ */
+
+const logger = require('../utils/logger');
+
+// 适配器必须实现的操作
+const REQUIRED_METHODS = ['generate', 'edit', 'summarize', 'healthCheck'];
+
+// 提供方名称 -> 适配器
+const providers = new Map();
+
+// 模型名称（小写） -> 提供方名称
+const modelIndex = new Map();
+
+/**
+ * 注册提供方适配器
+ * 适配器声明 name、models、capabilities 以及统一的 generate/edit/summarize/healthCheck 接口
+ */
+exports.registerProvider = (adapter) => {
+  if (!adapter || !adapter.name) {
+    throw new Error('Provider adapter must declare a name');
+  }
+  
+  if (!Array.isArray(adapter.models) || adapter.models.length === 0) {
+    throw new Error(`Provider "${adapter.name}" must declare at least one model`);
+  }
+  
+  const missing = REQUIRED_METHODS.filter(method => typeof adapter[method] !== 'function');
+  if (missing.length > 0) {
+    throw new Error(`Provider "${adapter.name}" is missing: ${missing.join(', ')}`);
+  }
+  
+  if (adapter.capabilities?.streaming && typeof adapter.generateStream !== 'function') {
+    throw new Error(`Provider "${adapter.name}" declares streaming but has no generateStream`);
+  }
+  
+  // 重复注册时先移除旧的模型映射
+  if (providers.has(adapter.name)) {
+    exports.unregisterProvider(adapter.name);
+  }
+  
+  for (const model of adapter.models) {
+    const key = model.toLowerCase();
+    const owner = modelIndex.get(key);
+    if (owner) {
+      throw new Error(`Model "${model}" is already served by provider "${owner}"`);
+    }
+  }
+  
+  providers.set(adapter.name, adapter);
+  adapter.models.forEach(model => modelIndex.set(model.toLowerCase(), adapter.name));
+  
+  logger.info(`Provider registered: ${adapter.name} (${adapter.models.join(', ')})`);
+  return adapter;
+};
+
+/**
+ * 移除提供方适配器
+ */
+exports.unregisterProvider = (name) => {
+  const adapter = providers.get(name);
+  if (!adapter) {
+    return false;
+  }
+  
+  adapter.models.forEach(model => modelIndex.delete(model.toLowerCase()));
+  providers.delete(name);
+  return true;
+};
+
+/**
+ * 根据模型名称解析提供方
+ * 未知模型抛出 model_not_supported 错误，不再静默回退到OpenAI
+ */
+exports.resolveProvider = (model) => {
+  const name = typeof model === 'string' ? modelIndex.get(model.toLowerCase()) : null;
+  
+  if (!name) {
+    const err = new Error(`Model "${model}" is not supported. Available models: ${[...modelIndex.keys()].join(', ')}`);
+    err.code = 'model_not_supported';
+    throw err;
+  }
+  
+  return providers.get(name);
+};
+
+/**
+ * 按名称获取提供方
+ */
+exports.getProvider = (name) => providers.get(name) || null;
+
+/**
+ * 判断模型是否已注册
+ */
+exports.isModelSupported = (model) => typeof model === 'string' && modelIndex.has(model.toLowerCase());
+
+/**
+ * 获取模型的最大上下文长度
+ */
+exports.getMaxContext = (model) => {
+  const adapter = exports.resolveProvider(model);
+  const maxContext = adapter.capabilities?.maxContext;
+  
+  if (typeof maxContext === 'number') {
+    return maxContext;
+  }
+  
+  return maxContext?.[model.toLowerCase()] || maxContext?.default || 4096;
+};
+
+/**
+ * 列出所有已注册的模型及其上下文长度
+ */
+exports.listModels = () => [...modelIndex.entries()].map(([model, name]) => ({
+  model,
+  provider: name,
+  maxContext: exports.getMaxContext(model)
+}));
+
+/**
+ * 列出所有已注册的提供方及其能力
+ */
+exports.listProviders = () => [...providers.values()].map(adapter => ({
+  name: adapter.name,
+  models: [...adapter.models],
+  capabilities: { ...adapter.capabilities }
+}));
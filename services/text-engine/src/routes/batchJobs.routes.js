@@ -0,0 +1,34 @@
+/**
+ * 批量任务路由
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+const batchJobController = require('../controllers/batchJob.controller');
+const { budgetGuard } = require('../middlewares/budget');
+
+// 只有创建任务会产生模型调用；查询、下载和取消在超出预算后仍可使用
+router.post(
+  '/',
+  budgetGuard(),
+  [
+    body('prompts').isArray({ min: 1 }).withMessage('A non-empty array of prompts is required'),
+    body('prompts.*').custom(prompt => typeof prompt === 'string'
+      ? prompt.trim().length > 0
+      : typeof prompt?.text === 'string' && prompt.text.trim().length > 0
+    ).withMessage('Each prompt must be a non-empty string or an object with text'),
+    body('model').optional().isString(),
+    body('temperature').optional().isFloat({ min: 0, max: 2 }),
+    body('concurrency').optional().isInt({ min: 1, max: 10 }),
+    body('maxAttempts').optional().isInt({ min: 1, max: 5 })
+  ],
+  batchJobController.createBatchJob
+);
+
+router.get('/', batchJobController.listBatchJobs);
+router.get('/:jobId', batchJobController.getBatchJob);
+router.get('/:jobId/results.jsonl', batchJobController.downloadBatchResults);
+router.post('/:jobId/cancel', batchJobController.cancelBatchJob);
+
+module.exports = router;
@@ -0,0 +1,27 @@
+/**
+ * 缓存管理路由（管理员）
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+const cacheAdminController = require('../controllers/cacheAdmin.controller');
+
+router.get('/stats', cacheAdminController.getStats);
+router.delete('/stats', cacheAdminController.resetStats);
+
+router.post(
+  '/purge',
+  [
+    body('userId').optional().isString(),
+    body('model').optional().isString(),
+    body('operation').optional().isString(),
+    body('prefix').optional().isString()
+  ],
+  cacheAdminController.purge
+);
+
+router.get('/entries', cacheAdminController.listEntries);
+router.get('/entries/:key', cacheAdminController.inspectEntry);
+
+module.exports = router;
@@ -0,0 +1,50 @@
+/**
+ * 模型对比路由
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+const comparisonController = require('../controllers/comparison.controller');
+
+router.get('/', comparisonController.listComparisons);
+router.post(
+  '/',
+  [
+    body('prompt').if(body('templateId').not().exists()).isString().trim().notEmpty()
+      .withMessage('Either prompt or templateId is required'),
+    body('systemPrompt').optional().isString(),
+    body('templateId').optional().isString().notEmpty(),
+    body('version').optional().isInt({ min: 1 }),
+    body('inputs').optional().isObject(),
+    body('title').optional().isString().isLength({ max: 200 }),
+    body('candidates').isArray({ min: 2 }).withMessage('At least two candidates are required'),
+    body('candidates.*.model').isString().notEmpty(),
+    body('candidates.*.label').optional().isString().isLength({ max: 100 }),
+    body('candidates.*.temperature').optional().isFloat({ min: 0, max: 2 }),
+    body('candidates.*.maxTokens').optional().isInt({ min: 1 }),
+    // upgrade 会替换模型，对比中不允许
+    body('options.contextStrategy').optional().isIn(['reject', 'truncate', 'clamp'])
+  ],
+  comparisonController.createComparison
+);
+
+router.get('/win-rates', comparisonController.getWinRates);
+router.get('/:comparisonId', comparisonController.getComparison);
+
+router.get('/:comparisonId/ratings', comparisonController.listRatings);
+router.post(
+  '/:comparisonId/ratings',
+  [
+    body('type').isIn(['pairwise', 'score']),
+    body('candidates').if(body('type').equals('pairwise')).isArray({ min: 2, max: 2 }),
+    body('candidates.*').optional().isString(),
+    body('winner').optional({ nullable: true }).isString(),
+    body('candidateId').if(body('type').equals('score')).isString().notEmpty(),
+    body('score').if(body('type').equals('score')).isInt({ min: 1, max: 5 }).toInt(),
+    body('comment').optional().isString().isLength({ max: 2000 })
+  ],
+  comparisonController.submitRating
+);
+
+module.exports = router;
@@ -0,0 +1,57 @@
+/**
+ * 对话路由
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+const providers = require('../providers');
+const conversationController = require('../controllers/conversation.controller');
+
+const settingsValidators = [
+  body('title').optional().isString().trim().notEmpty().isLength({ max: 200 }),
+  body('model').optional().isString().custom(model => providers.isModelSupported(model)).withMessage('Model is not supported'),
+  body('systemPrompt').optional().isString(),
+  body('temperature').optional().isFloat({ min: 0, max: 2 }),
+  body('maxTokens').optional().isInt({ min: 1 }),
+  body('historyStrategy').optional().isIn(['summarize', 'trim'])
+];
+
+router.get('/', conversationController.listConversations);
+router.post('/', settingsValidators, conversationController.createConversation);
+
+router.get('/:conversationId', conversationController.getConversation);
+router.patch('/:conversationId', settingsValidators, conversationController.updateConversation);
+router.delete('/:conversationId', conversationController.deleteConversation);
+
+router.post(
+  '/:conversationId/messages',
+  [
+    body('content').isString().trim().notEmpty().withMessage('Message content is required'),
+    body('model').optional().isString(),
+    body('temperature').optional().isFloat({ min: 0, max: 2 }),
+    body('maxTokens').optional().isInt({ min: 1 })
+  ],
+  conversationController.sendMessage
+);
+
+router.post(
+  '/:conversationId/fork',
+  [
+    body('messageId').isString().notEmpty()
+  ],
+  conversationController.forkConversation
+);
+
+router.post(
+  '/:conversationId/promote',
+  [
+    body('messageId').optional().isString(),
+    body('title').optional().isString().trim().notEmpty(),
+    body('tags').optional().isArray({ max: 20 }),
+    body('folder').optional({ nullable: true }).isString()
+  ],
+  conversationController.promoteToProject
+);
+
+module.exports = router;
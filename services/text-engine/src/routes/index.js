@@ -7,6 +7,8 @@ const express = require('express');
 const router = express.Router();
 const auth = require('../middlewares/auth');
 const { cacheMiddleware } = require('../middlewares/cache');
+const { idempotency } = require('../middlewares/idempotency');
+const requireRole = require('../middlewares/requireRole');
 
 // 导入各功能模块路由
 const textGenerationRoutes = require('./textGeneration.routes');
@@ -14,6 +16,7 @@ const textEditingRoutes = require('./textEditing.routes');
 const textAnalysisRoutes = require('./textAnalysis.routes');
 const promptTemplatesRoutes = require('./promptTemplates.routes');
 const userPreferencesRoutes = require('./userPreferences.routes');
+const tokenizeRoutes = require('./tokenize.routes');
 
 // 基本路由 - 无需认证
 router.get('/', (req, res) => {
@@ -28,17 +31,30 @@ router.get('/', (req, res) => {
 // API文档路由
 router.use('/docs', express.static('docs/api'));
 
-// 功能路由注册，带自动缓存策略
-router.use('/text/generate', cacheMiddleware('short'), textGenerationRoutes);
-router.use('/text/edit', textEditingRoutes);
+// 功能路由注册，带自动缓存策略；写接口支持 Idempotency-Key 头
+router.use('/text/generate', idempotency(), cacheMiddleware('short'), textGenerationRoutes);
+router.use('/text/edit', idempotency(), textEditingRoutes);
+router.use('/text/summarize', idempotency(), require('./textSummarization.routes'));
 router.use('/text/analyze', cacheMiddleware('medium'), textAnalysisRoutes);
+router.use('/text/tokenize', tokenizeRoutes);
+router.use('/tools', require('./tools.routes'));
 
 // 需要认证的路由
-router.use('/templates', auth(), promptTemplatesRoutes);
+router.use('/templates', auth(), idempotency(), promptTemplatesRoutes);
 router.use('/preferences', auth(), userPreferencesRoutes);
+router.use('/projects', auth(), idempotency(), require('./projects.routes'));
+router.use('/conversations', auth(), idempotency(), require('./conversations.routes'));
+router.use('/comparisons', auth(), idempotency(), require('./comparisons.routes'));
+router.use('/usage', auth(), require('./usage.routes'));
+router.use('/privacy', auth(), require('./privacy.routes'));
+
+// 管理路由
+router.use('/admin/cache', auth(), requireRole('admin'), require('./cacheAdmin.routes'));
+router.use('/admin/moderation', auth(), requireRole('admin'), require('./moderationAdmin.routes'));
 
 // 批量操作路由
-router.use('/batch', require('./batch.routes'));
+router.use('/batch/jobs', auth(), idempotency(), require('./batchJobs.routes'));
+router.use('/batch', idempotency(), require('./batch.routes'));
 
 // 健康检查和指标路由
 router.use('/metrics', require('./metrics.routes'));
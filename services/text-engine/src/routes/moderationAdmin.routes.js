@@ -0,0 +1,37 @@
+/**
+ * 内容审核管理路由（管理员）
+ */
+
+const express = require('express');
+const { body, query } = require('express-validator');
+const router = express.Router();
+const moderationAdminController = require('../controllers/moderationAdmin.controller');
+
+const dateRangeValidators = [
+  query('from').optional().isISO8601(),
+  query('to').optional().isISO8601()
+];
+
+router.get(
+  '/audits',
+  [
+    query('action').optional().isIn(['allow', 'flag', 'redact', 'block']),
+    query('stage').optional().isIn(['input', 'output']),
+    ...dateRangeValidators
+  ],
+  moderationAdminController.listAudits
+);
+router.get('/audits/:auditId', moderationAdminController.getAudit);
+router.get('/stats', dateRangeValidators, moderationAdminController.getStats);
+router.get('/policy', moderationAdminController.getPolicy);
+
+router.post(
+  '/check',
+  [
+    body('text').isString().notEmpty().isLength({ max: 50000 }),
+    body('stage').optional().isIn(['input', 'output'])
+  ],
+  moderationAdminController.checkContent
+);
+
+module.exports = router;
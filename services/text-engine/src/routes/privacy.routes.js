@@ -0,0 +1,35 @@
+/**
+ * 个人信息保护策略路由
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+const requireRole = require('../middlewares/requireRole');
+const privacyController = require('../controllers/privacy.controller');
+
+router.get('/policy', privacyController.getPolicy);
+
+router.put(
+  '/policy',
+  requireRole('admin'),
+  [
+    body('enabled').optional().isBoolean(),
+    body('entities').optional().isObject(),
+    body('customPatterns').optional().isArray({ max: 50 }),
+    body('customPatterns.*.name').optional().isString(),
+    body('customPatterns.*.pattern').optional().isString().isLength({ max: 500 }),
+    body('customPatterns.*.flags').optional().isString().matches(/^[gimsuy]*$/)
+  ],
+  privacyController.updatePolicy
+);
+
+router.post(
+  '/preview',
+  [
+    body('text').isString().notEmpty().isLength({ max: 50000 })
+  ],
+  privacyController.previewRedaction
+);
+
+module.exports = router;
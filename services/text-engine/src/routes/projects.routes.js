@@ -0,0 +1,138 @@
+/**
+ * 项目路由
+ * 项目管理、内容迭代、修订历史与协作者管理
+ */
+
+const express = require('express');
+const { body, query } = require('express-validator');
+const router = express.Router();
+const projectController = require('../controllers/project.controller');
+const textAnalysisController = require('../controllers/textAnalysis.controller');
+const collaborationController = require('../controllers/collaboration.controller');
+const { COLLABORATOR_ROLES } = require('../config/collaboration');
+const { MAX_ALTERNATIVES } = require('../services/textEdit.service');
+
+router.get(
+  '/',
+  [
+    query('q').optional().isString().isLength({ max: 100 }),
+    query('from').optional().isISO8601(),
+    query('to').optional().isISO8601(),
+    query('minTokensUsed').optional().isInt({ min: 0 }),
+    query('maxTokensUsed').optional().isInt({ min: 0 }),
+    query('archived').optional().isIn(['true', 'false', 'all']),
+    query('order').optional().isIn(['asc', 'desc'])
+  ],
+  projectController.listProjects
+);
+
+router.post(
+  '/',
+  [
+    body('title').isString().trim().notEmpty().isLength({ max: 200 }),
+    body('content').optional().isString(),
+    body('prompt').optional().isString(),
+    body('systemPrompt').optional().isString(),
+    body('model').optional().isString(),
+    body('tags').optional().isArray({ max: 20 }),
+    body('folder').optional({ nullable: true }).isString()
+  ],
+  projectController.createProject
+);
+
+router.get('/folders', projectController.listFolders);
+router.get('/tags', projectController.listTags);
+
+router.get('/:projectId', projectController.getProject);
+router.patch(
+  '/:projectId',
+  [
+    body('title').optional().isString().trim().notEmpty().isLength({ max: 200 }),
+    body('tags').optional().isArray({ max: 20 }),
+    body('folder').optional({ nullable: true }).isString(),
+    body('archived').optional().isBoolean().toBoolean()
+  ],
+  projectController.updateProject
+);
+router.delete('/:projectId', projectController.deleteProject);
+
+router.post(
+  '/:projectId/regenerate',
+  [
+    body('prompt').optional().isString().notEmpty(),
+    body('systemPrompt').optional().isString(),
+    body('model').optional().isString(),
+    body('temperature').optional().isFloat({ min: 0, max: 2 }),
+    body('maxTokens').optional().isInt({ min: 1 })
+  ],
+  projectController.regenerateProject
+);
+
+router.post(
+  '/:projectId/edit',
+  [
+    body('instruction').isString().notEmpty().withMessage('An edit instruction is required'),
+    body('model').optional().isString(),
+    body('temperature').optional().isFloat({ min: 0, max: 2 }),
+    body('range.start').optional().isInt({ min: 0 }).toInt(),
+    body('range.end').optional().isInt({ min: 0 }).toInt(),
+    body('paragraph').optional().custom(value => Number.isInteger(value) || (value && Number.isInteger(value.from) && Number.isInteger(value.to))),
+    body('alternatives').optional().isInt({ min: 1, max: MAX_ALTERNATIVES }).toInt(),
+    body('contextChars').optional().isInt({ min: 0, max: 10000 }).toInt(),
+    body('preview').optional().isBoolean().toBoolean()
+  ],
+  projectController.editProject
+);
+
+router.post(
+  '/:projectId/changes',
+  [
+    body('changes').isArray({ min: 1, max: 1000 }).withMessage('changes must be a non-empty array'),
+    body('changes.*.start').isInt({ min: 0 }).toInt(),
+    body('changes.*.end').isInt({ min: 0 }).toInt(),
+    body('changes.*.oldText').optional().isString(),
+    body('changes.*.newText').optional().isString(),
+    body('baseRevision').optional().isInt({ min: 1 }).toInt(),
+    body('instruction').optional().isString()
+  ],
+  projectController.applyChanges
+);
+
+router.post(
+  '/:projectId/analyze',
+  [
+    body('analyses').optional().isArray({ min: 1, max: 10 }),
+    body('analyses.*').isString(),
+    body('options.keywordLimit').optional().isInt({ min: 1, max: 50 }),
+    body('deep').optional().custom(value => typeof value === 'boolean' || (value && typeof value === 'object')),
+    body('deep.model').optional().isString()
+  ],
+  textAnalysisController.analyzeProject
+);
+
+router.get('/:projectId/revisions', projectController.listRevisions);
+router.post(
+  '/:projectId/revisions',
+  [
+    body('content').isString().withMessage('Content must be a string')
+  ],
+  projectController.saveRevision
+);
+router.get('/:projectId/revisions/:revision', projectController.getRevision);
+router.post('/:projectId/revisions/:revision/restore', projectController.restoreRevision);
+router.get('/:projectId/diff', projectController.diffRevisions);
+
+// 实时协作：协作者管理和会话状态，编辑通过 WebSocket /api/v1/projects/:projectId/collaborate 进行
+router.get('/:projectId/collaboration', collaborationController.getCollaborationStatus);
+router.get('/:projectId/collaborators', collaborationController.listCollaborators);
+router.put(
+  '/:projectId/collaborators',
+  [
+    body('userId').isString().notEmpty().withMessage('A userId is required'),
+    body('role').optional().isIn(COLLABORATOR_ROLES)
+  ],
+  collaborationController.addCollaborator
+);
+router.delete('/:projectId/collaborators/:userId', collaborationController.removeCollaborator);
+
+module.exports = router;
@@ -0,0 +1,60 @@
+/**
+ * 提示模板路由
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+const promptTemplateController = require('../controllers/promptTemplate.controller');
+
+const versionValidators = [
+  body('body').isString().notEmpty().withMessage('Template body is required'),
+  body('variables').optional().isArray(),
+  body('defaults').optional().isObject(),
+  body('defaults.model').optional().isString(),
+  body('defaults.temperature').optional().isFloat({ min: 0, max: 2 }),
+  body('defaults.maxTokens').optional().isInt({ min: 1 }),
+  body('defaults.systemPrompt').optional().isString(),
+  body('changelog').optional().isString().isLength({ max: 500 })
+];
+
+const generationValidators = [
+  body('inputs').optional().isObject(),
+  body('version').optional().isInt({ min: 1 }),
+  body('model').optional().isString(),
+  body('temperature').optional().isFloat({ min: 0, max: 2 }),
+  body('maxTokens').optional().isInt({ min: 1 })
+];
+
+router.get('/', promptTemplateController.listTemplates);
+router.post(
+  '/',
+  [
+    body('name').isString().trim().notEmpty().isLength({ max: 200 }),
+    body('description').optional().isString(),
+    body('tags').optional().isArray({ max: 20 }),
+    ...versionValidators
+  ],
+  promptTemplateController.createTemplate
+);
+
+router.get('/:templateId', promptTemplateController.getTemplate);
+router.patch(
+  '/:templateId',
+  [
+    body('name').optional().isString().trim().notEmpty().isLength({ max: 200 }),
+    body('description').optional().isString(),
+    body('tags').optional().isArray({ max: 20 })
+  ],
+  promptTemplateController.updateTemplate
+);
+router.delete('/:templateId', promptTemplateController.deleteTemplate);
+
+router.get('/:templateId/versions', promptTemplateController.listVersions);
+router.post('/:templateId/versions', versionValidators, promptTemplateController.createVersion);
+router.get('/:templateId/versions/:version', promptTemplateController.getVersion);
+
+router.post('/:templateId/render', generationValidators, promptTemplateController.renderTemplate);
+router.post('/:templateId/generate', generationValidators, promptTemplateController.generateFromTemplate);
+
+module.exports = router;
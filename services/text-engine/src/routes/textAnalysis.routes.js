@@ -0,0 +1,28 @@
+/**
+ * 文本分析路由
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+const textAnalysisController = require('../controllers/textAnalysis.controller');
+const { METHODS: KEYWORD_METHODS } = require('../analysis/keywords.analyzer');
+
+router.get('/analyzers', textAnalysisController.listAnalyzers);
+
+router.post(
+  '/',
+  [
+    body('text').isString().notEmpty().isLength({ max: 100000 }).withMessage('text must be a non-empty string of at most 100000 characters'),
+    body('analyses').optional().isArray({ min: 1, max: 10 }),
+    body('analyses.*').isString(),
+    body('options.keywordMethod').optional().isIn(KEYWORD_METHODS),
+    body('options.keywordLimit').optional().isInt({ min: 1, max: 50 }),
+    body('options.sentences').optional().isBoolean(),
+    body('deep').optional().custom(value => typeof value === 'boolean' || (value && typeof value === 'object')),
+    body('deep.model').optional().isString()
+  ],
+  textAnalysisController.analyzeText
+);
+
+module.exports = router;
@@ -0,0 +1,44 @@
+/**
+ * 文本编辑路由
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+const textEditingController = require('../controllers/textEditing.controller');
+const { MAX_ALTERNATIVES } = require('../services/textEdit.service');
+
+const changeValidators = [
+  body('changes').isArray({ min: 1, max: 1000 }).withMessage('changes must be a non-empty array'),
+  body('changes.*.start').isInt({ min: 0 }).toInt(),
+  body('changes.*.end').isInt({ min: 0 }).toInt(),
+  body('changes.*.oldText').optional().isString(),
+  body('changes.*.newText').optional().isString()
+];
+
+router.post(
+  '/',
+  [
+    body('text').isString().notEmpty().withMessage('Text to edit is required'),
+    body('instruction').isString().notEmpty().withMessage('An edit instruction is required'),
+    body('model').optional().isString(),
+    body('temperature').optional().isFloat({ min: 0, max: 2 }),
+    body('range.start').optional().isInt({ min: 0 }).toInt(),
+    body('range.end').optional().isInt({ min: 0 }).toInt(),
+    body('paragraph').optional().custom(value => Number.isInteger(value) || (value && Number.isInteger(value.from) && Number.isInteger(value.to))),
+    body('alternatives').optional().isInt({ min: 1, max: MAX_ALTERNATIVES }).toInt(),
+    body('contextChars').optional().isInt({ min: 0, max: 10000 }).toInt()
+  ],
+  textEditingController.editText
+);
+
+router.post(
+  '/apply',
+  [
+    body('text').isString(),
+    ...changeValidators
+  ],
+  textEditingController.applyChanges
+);
+
+module.exports = router;
@@ -0,0 +1,23 @@
+/**
+ * 文本总结路由
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+const textSummarizationController = require('../controllers/textSummarization.controller');
+
+router.post(
+  '/',
+  [
+    body('text').isString().notEmpty().withMessage('Text to summarize is required'),
+    body('maxLength').optional().isInt({ min: 10, max: 2000 }).toInt(),
+    body('format').optional().isIn(['paragraph', 'bullets']),
+    body('model').optional().isString(),
+    body('temperature').optional().isFloat({ min: 0, max: 2 }).toFloat(),
+    body('includeIntermediate').optional().isBoolean().toBoolean()
+  ],
+  textSummarizationController.summarizeText
+);
+
+module.exports = router;
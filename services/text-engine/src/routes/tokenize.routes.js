@@ -0,0 +1,21 @@
+/**
+ * 令牌计数路由
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+const tokenizeController = require('../controllers/tokenize.controller');
+
+router.post(
+  '/',
+  [
+    body('prompt').optional().isString(),
+    body('systemPrompt').optional().isString(),
+    body('model').optional().isString(),
+    body('maxTokens').optional().isInt({ min: 0 })
+  ],
+  tokenizeController.tokenize
+);
+
+module.exports = router;
@@ -0,0 +1,11 @@
+/**
+ * 工具路由
+ */
+
+const express = require('express');
+const router = express.Router();
+const toolController = require('../controllers/tool.controller');
+
+router.get('/', toolController.listTools);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+/**
+ * 用量与预算路由
+ */
+
+const express = require('express');
+const { body } = require('express-validator');
+const router = express.Router();
+const usageController = require('../controllers/usage.controller');
+const requireRole = require('../middlewares/requireRole');
+
+router.get('/', usageController.getUsage);
+router.get('/export.csv', usageController.exportUsageCsv);
+router.get('/pricing', usageController.getPricing);
+router.get('/budgets', usageController.getBudgets);
+
+router.put(
+  '/budgets',
+  requireRole('admin'),
+  [
+    body('scope').isIn(['user', 'team']),
+    body('scopeId').isString().notEmpty(),
+    body('period').isIn(['daily', 'monthly']),
+    body('limitUsd').isFloat({ min: 0 }),
+    body('softLimitRatio').optional().isFloat({ min: 0, max: 1 }),
+    body('hardStop').optional().isBoolean()
+  ],
+  usageController.setBudget
+);
+
+module.exports = router;
@@ -8,25 +8,50 @@ const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
 const morgan = require('morgan');
-const { createClient } = require('redis');
 const { connect } = require('./config/database');
+const { connectRedis, disconnectRedis } = require('./config/redis');
 const logger = require('./utils/logger');
 const routes = require('./routes');
+const batchWorker = require('./workers/batchJob.worker');
+const collaborationSocket = require('./sockets/collaboration.socket');
+const { httpMetrics } = require('./middlewares/httpMetrics');
+const { requestContext } = require('./middlewares/requestContext');
+const { requestCancellation } = require('./middlewares/cancellation');
+const requestContextStore = require('./utils/requestContext');
+const tracing = require('./utils/tracing');
+const prometheusController = require('./controllers/prometheus.controller');
 
 // 初始化Express应用
 const app = express();
 const PORT = process.env.PORT || 5001;
+let collaboration = null;
+
+// 日志附加当前请求的 requestId 和追踪ID
+requestContextStore.instrumentLogger(logger);
+
+// 请求ID和追踪上下文，需最先注册
+app.use(requestContext());
 
 // 增强的安全性中间件
 app.use(helmet());
 app.use(cors({
   origin: process.env.ALLOWED_ORIGINS?.split(',') || '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE'],
-  allowedHeaders: ['Content-Type', 'Authorization']
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Request-Id', 'traceparent', 'Idempotency-Key', 'X-Request-Timeout'],
+  exposedHeaders: ['X-Request-Id', 'traceparent', 'Idempotent-Replayed']
 }));
 
+// HTTP指标，需在限流之前注册以统计被拒绝的请求
+app.use(httpMetrics());
+
+// 客户端断开或超过截止时间时中止请求的上游调用
+app.use('/api/', requestCancellation());
+
 // 请求日志和解析
-app.use(morgan('combined', { stream: { write: message => logger.info(message.trim()) } }));
+morgan.token('request-id', req => req.requestId);
+app.use(morgan(':remote-addr - :remote-user [:date[clf]] ":method :url HTTP/:http-version" :status :res[content-length] ":referrer" ":user-agent" :request-id', {
+  stream: { write: message => logger.info(message.trim()) }
+}));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -35,18 +60,8 @@ const apiLimiter = require('./middlewares/rateLimiter');
 app.use('/api/', apiLimiter);
 
 // 初始化Redis连接 (用于缓存和速率限制)
-let redisClient;
 (async () => {
-  redisClient = createClient({
-    url: process.env.REDIS_URL
-  });
-  
-  redisClient.on('error', (err) => {
-    logger.error('Redis client error', err);
-  });
-  
-  await redisClient.connect();
-  logger.info('Redis client connected');
+  const redisClient = await connectRedis();
   
   // Redis连接注入
   app.use((req, res, next) => {
@@ -62,6 +77,9 @@ app.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', service: 'text-engine', version: process.env.npm_package_version });
 });
 
+// Prometheus 抓取端点
+app.get('/metrics', prometheusController.scrape);
+
 // 路由注册
 app.use('/api/v1', routes);
 
@@ -73,6 +91,7 @@ app.use((req, res) => {
 // 全局错误处理
 app.use((err, req, res, next) => {
   logger.error(`Error occurred: ${err.stack}`);
+  requestContextStore.get()?.span?.recordException(err);
   
   // 处理特定类型的错误
   if (err.name === 'ValidationError') {
@@ -95,10 +114,16 @@ async function startServer() {
     await connect();
     logger.info('MongoDB connected successfully');
     
+    // 启动批量任务工作进程，恢复未完成的任务
+    batchWorker.start();
+    
     // 启动服务器
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       logger.info(`Text Engine Service running on port ${PORT}`);
     });
+
+    // 挂载实时协作 WebSocket 端点
+    collaboration = collaborationSocket.attach(server);
   } catch (error) {
     logger.error(`Failed to start server: ${error.message}`);
     process.exit(1);
@@ -111,10 +136,11 @@ startServer();
 const gracefulShutdown = async () => {
   logger.info('Shutting down server...');
   
-  if (redisClient) {
-    await redisClient.quit();
-    logger.info('Redis connection closed');
-  }
+  await batchWorker.stop();
+  // 保存协作会话中尚未保存的内容
+  await collaboration?.close();
+  await disconnectRedis();
+  await tracing.flush();
   
   process.exit(0);
 };
@@ -0,0 +1,676 @@
+/**
+ * 实时协作服务
+ * 每个项目一个进程内会话：服务器持有权威文档和版本号，客户端提交基于某个版本的操作（见 textOperation），
+ * 服务器将其依次变换过该版本之后的历史操作再应用并广播；协作者的光标随操作同步变换
+ * 会话定期以及最后一名协作者离开时将内容保存为 collaboration 修订；AI 编辑和其他途径记录的修订也作为普通操作合并
+ * 与传输层无关：连接只需提供 send(message) 和 close(code, reason)
+ * 会话只存在于当前进程，不跨副本同步：多副本部署时必须按 projectId 将协作连接粘性路由到同一副本
+ * （端点路径含 projectId，可在负载均衡上按路径做一致性哈希），否则各副本各自维护会话，保存的修订会相互覆盖
+ *
+ * 客户端协议（JSON）：
+ *   -> { type: 'op', opId, version, operation }           <- { type: 'ack', opId, version }
+ *   -> { type: 'cursor', version, position, selectionEnd }
+ *   -> { type: 'ai_edit', requestId, version, instruction, range, paragraph, model }
+ *   -> { type: 'ping' }                                   <- { type: 'pong' }
+ *   <- { type: 'init' | 'op' | 'presence' | 'ai_edit' | 'snapshot' | 'resync' | 'role' | 'error', ... }
+ * 客户端同一时间只应有一个未确认的操作；收到他人操作时，以自己未确认的操作作为 transform 的第一个参数
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const TextProject = require('../models/textProject.model');
+const ProjectCollaborator = require('../models/projectCollaborator.model');
+const revisionService = require('./projectRevision.service');
+const textEditService = require('./textEdit.service');
+const usageService = require('./usage.service');
+const ot = require('../utils/textOperation');
+const { computeChanges } = require('../utils/textChanges');
+const { mapGenerationError } = require('../utils/generationErrors');
+const config = require('../config/collaboration');
+const logger = require('../utils/logger');
+
+// projectId -> 会话
+const sessions = new Map();
+// projectId -> 正在加载的会话
+const loadingSessions = new Map();
+
+/**
+ * 协作错误
+ */
+function createCollaborationError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * 解析用户对项目的访问权限
+ * 返回 { project, role }，role 为 owner、editor 或 viewer；无权访问时与项目不存在一样抛出 project_not_found
+ */
+exports.resolveAccess = async (projectId, user) => {
+  const project = await TextProject.findOne({ projectId });
+  if (!project) {
+    throw createCollaborationError('project_not_found', `Project ${projectId} not found`);
+  }
+
+  if (project.userId === user.id) {
+    return { project, role: 'owner' };
+  }
+
+  const collaborator = await ProjectCollaborator.findOne({ projectId, userId: user.id }).lean();
+  if (!collaborator) {
+    throw createCollaborationError('project_not_found', `Project ${projectId} not found`);
+  }
+  return { project, role: collaborator.role };
+};
+
+/**
+ * 向会话中的连接发送消息，except 为不发送的 clientId
+ */
+function broadcast(session, message, except = null) {
+  for (const client of session.clients.values()) {
+    if (client.clientId !== except) {
+      send(client, message);
+    }
+  }
+}
+
+/**
+ * 发送消息，连接已断开时忽略
+ */
+function send(client, message) {
+  try {
+    client.transport.send(message);
+  } catch (error) {
+    logger.warn(`Failed to send collaboration message to ${client.clientId}: ${error.message}`);
+  }
+}
+
+/**
+ * 协作者的公开信息
+ */
+function toPresence(client) {
+  return {
+    clientId: client.clientId,
+    userId: client.userId,
+    role: client.role,
+    cursor: client.cursor
+  };
+}
+
+/**
+ * 将基于 fromVersion 的位置变换到当前版本
+ */
+function transformPosition(session, position, fromVersion) {
+  let result = position;
+  for (const entry of historySince(session, fromVersion)) {
+    result = ot.transformIndex(result, entry.operation, { before: true });
+  }
+  return result;
+}
+
+/**
+ * fromVersion 之后的历史操作；历史已被裁剪时抛出 stale_version
+ */
+function historySince(session, fromVersion) {
+  if (!Number.isInteger(fromVersion) || fromVersion > session.version || fromVersion < session.historyStart) {
+    throw createCollaborationError('stale_version', `Version ${fromVersion} is not available, current version is ${session.version}`);
+  }
+  return session.history.slice(fromVersion - session.historyStart);
+}
+
+/**
+ * 将基于 baseVersion 的操作合并到文档
+ * clientId 为提交者的连接，提交者收到 ack 而非广播；返回新版本号
+ */
+function submitOperation(session, { baseVersion, operation, userId, clientId = null, source = 'user' }) {
+  let transformed = ot.normalize(operation);
+  for (const entry of historySince(session, baseVersion)) {
+    [transformed] = ot.transform(transformed, entry.operation);
+  }
+
+  const content = ot.apply(session.content, transformed);
+  if (content.length > config.MAX_DOCUMENT_LENGTH) {
+    throw createCollaborationError('document_too_large', `Documents are limited to ${config.MAX_DOCUMENT_LENGTH} characters`);
+  }
+
+  if (ot.isNoop(transformed)) {
+    return session.version;
+  }
+
+  session.content = content;
+  session.version += 1;
+  session.history.push({ operation: transformed, userId, source });
+  if (session.history.length > config.MAX_HISTORY) {
+    session.history.shift();
+    session.historyStart += 1;
+  }
+
+  session.contributors.add(userId);
+  session.lastAuthor = userId;
+
+  for (const client of session.clients.values()) {
+    if (client.cursor) {
+      const before = client.clientId !== clientId;
+      client.cursor = {
+        position: ot.transformIndex(client.cursor.position, transformed, { before }),
+        selectionEnd: ot.transformIndex(client.cursor.selectionEnd, transformed, { before })
+      };
+    }
+  }
+
+  broadcast(session, {
+    type: 'op',
+    version: session.version,
+    operation: transformed,
+    userId,
+    clientId,
+    source
+  }, clientId);
+
+  return session.version;
+}
+
+/**
+ * 将当前内容保存为项目修订
+ * 内容自上次保存后未变化时跳过；同一会话同时只有一次保存
+ */
+function snapshot(session) {
+  if (session.snapshotting) {
+    return session.snapshotting;
+  }
+  if (session.content === session.persisted.content) {
+    session.persisted.version = session.version;
+    return Promise.resolve(null);
+  }
+
+  const { content, version } = session;
+  const contributors = [...session.contributors];
+  session.contributors.clear();
+
+  session.snapshotting = revisionService.recordRevision({
+    project: session.project,
+    content,
+    source: 'collaboration',
+    prompt: session.project.prompt,
+    systemPrompt: session.project.systemPrompt,
+    model: session.project.model,
+    parameters: { collaborationVersion: version, contributors },
+    author: session.lastAuthor || session.project.userId
+  })
+    .then((revision) => {
+      session.persisted = { version, content, revision: revision.revision };
+      broadcast(session, { type: 'snapshot', revision: revision.revision, version });
+      return revision;
+    })
+    .catch((error) => {
+      logger.error(`Collaboration snapshot failed for project ${session.projectId}: ${error.message}`);
+      contributors.forEach(userId => session.contributors.add(userId));
+      return null;
+    })
+    .finally(() => {
+      session.snapshotting = null;
+    });
+
+  return session.snapshotting;
+}
+
+/**
+ * 加载项目的协作会话，已存在时直接返回
+ */
+async function loadSession(project) {
+  const existing = sessions.get(project.projectId);
+  if (existing) {
+    return existing;
+  }
+  if (loadingSessions.has(project.projectId)) {
+    return loadingSessions.get(project.projectId);
+  }
+
+  const loading = (async () => {
+    const head = await revisionService.getRevision(project, 'head');
+    const session = {
+      projectId: project.projectId,
+      project,
+      content: head.content,
+      version: 0,
+      history: [],
+      historyStart: 0,
+      clients: new Map(),
+      contributors: new Set(),
+      lastAuthor: null,
+      persisted: { version: 0, content: head.content, revision: head.revision },
+      pendingEdits: 0,
+      snapshotting: null,
+      timer: setInterval(() => snapshot(session), config.SNAPSHOT_INTERVAL_MS)
+    };
+    session.timer.unref();
+
+    sessions.set(project.projectId, session);
+    logger.info(`Collaboration session opened - projectId: ${project.projectId}, revision: ${head.revision}`);
+    return session;
+  })();
+
+  loadingSessions.set(project.projectId, loading);
+  try {
+    return await loading;
+  } finally {
+    loadingSessions.delete(project.projectId);
+  }
+}
+
+/**
+ * 没有连接和进行中的AI编辑时保存并关闭会话
+ */
+async function releaseSession(session) {
+  if (session.clients.size > 0 || session.pendingEdits > 0) {
+    return;
+  }
+
+  await snapshot(session);
+
+  // 保存期间可能有新的连接加入
+  if (session.clients.size > 0 || session.pendingEdits > 0 || sessions.get(session.projectId) !== session) {
+    return;
+  }
+
+  clearInterval(session.timer);
+  sessions.delete(session.projectId);
+  logger.info(`Collaboration session closed - projectId: ${session.projectId}, version: ${session.version}`);
+}
+
+/**
+ * 发送错误消息
+ */
+function sendError(client, code, message, extra = {}) {
+  send(client, { type: 'error', code, message, ...extra });
+}
+
+/**
+ * 只读协作者不能修改内容
+ * 返回true表示已发送错误
+ */
+function rejectReadOnly(client, extra) {
+  if (client.role !== 'viewer') {
+    return false;
+  }
+  sendError(client, 'read_only', 'Viewers cannot modify the document', extra);
+  return true;
+}
+
+/**
+ * 处理客户端提交的操作
+ */
+function handleOperation(session, client, message) {
+  if (rejectReadOnly(client, { opId: message.opId })) {
+    return;
+  }
+
+  try {
+    const version = submitOperation(session, {
+      baseVersion: message.version,
+      operation: message.operation,
+      userId: client.userId,
+      clientId: client.clientId
+    });
+    send(client, { type: 'ack', opId: message.opId, version });
+  } catch (error) {
+    if (error.code === 'stale_version') {
+      // 客户端需丢弃未确认的操作并以最新内容重新开始
+      send(client, { type: 'resync', opId: message.opId, version: session.version, content: session.content });
+      return;
+    }
+    if (['invalid_operation', 'document_too_large'].includes(error.code)) {
+      sendError(client, error.code, error.message, { opId: message.opId });
+      return;
+    }
+    throw error;
+  }
+}
+
+/**
+ * 更新光标并广播给其他协作者
+ */
+function handleCursor(session, client, message) {
+  const { position, selectionEnd = position } = message;
+  if (!Number.isInteger(position) || !Number.isInteger(selectionEnd) || position < 0 || selectionEnd < 0) {
+    sendError(client, 'invalid_message', 'Cursor position must be a non-negative integer');
+    return;
+  }
+
+  const version = message.version ?? session.version;
+  try {
+    client.cursor = {
+      position: Math.min(transformPosition(session, position, version), session.content.length),
+      selectionEnd: Math.min(transformPosition(session, selectionEnd, version), session.content.length)
+    };
+  } catch (error) {
+    if (error.code === 'stale_version') {
+      return;
+    }
+    throw error;
+  }
+
+  broadcast(session, { type: 'presence', event: 'cursor', collaborator: toPresence(client) }, client.clientId);
+}
+
+/**
+ * 检查协作者的预算是否已用尽
+ * 与预算中间件一致，查询失败时不阻断
+ */
+async function budgetExhausted(client) {
+  try {
+    const { allowed } = await usageService.checkBudget({ userId: client.userId, teamId: client.teamId });
+    return !allowed;
+  } catch (error) {
+    logger.error(`Budget check failed: ${error.message}`);
+    return false;
+  }
+}
+
+/**
+ * 执行AI编辑，结果作为普通操作合并
+ * 编辑基于请求时的文档版本，模型返回前其他协作者的修改会被正常变换
+ */
+async function handleAiEdit(session, client, message) {
+  const { requestId, instruction, range, paragraph, model } = message;
+  if (rejectReadOnly(client, { requestId })) {
+    return;
+  }
+  if (typeof instruction !== 'string' || !instruction.trim()) {
+    sendError(client, 'invalid_message', 'An edit instruction is required', { requestId });
+    return;
+  }
+
+  if (await budgetExhausted(client)) {
+    sendError(client, 'budget_exceeded', 'The budget for AI edits has been exhausted', { requestId });
+    return;
+  }
+
+  const baseVersion = session.version;
+  const text = session.content;
+  let target = range;
+  if (range && message.version !== undefined) {
+    try {
+      target = {
+        start: transformPosition(session, range.start, message.version),
+        end: transformPosition(session, range.end, message.version)
+      };
+    } catch (error) {
+      if (error.code !== 'stale_version') {
+        throw error;
+      }
+      send(client, { type: 'resync', requestId, version: session.version, content: session.content });
+      return;
+    }
+  }
+
+  session.pendingEdits += 1;
+  broadcast(session, { type: 'ai_edit', requestId, status: 'started', userId: client.userId, clientId: client.clientId });
+
+  try {
+    const edit = await textEditService.edit({
+      text,
+      instruction,
+      range: target,
+      paragraph,
+      model,
+      accounting: { userId: client.userId, teamId: client.teamId, operation: 'collaborative_edit' },
+      userId: client.userId
+    });
+
+    const [{ changes }] = edit.suggestions;
+    const version = submitOperation(session, {
+      baseVersion,
+      operation: ot.fromChanges(text.length, changes),
+      userId: client.userId,
+      source: 'ai'
+    });
+
+    broadcast(session, {
+      type: 'ai_edit',
+      requestId,
+      status: 'completed',
+      userId: client.userId,
+      clientId: client.clientId,
+      version,
+      changes,
+      model: edit.routing.model
+    });
+  } catch (error) {
+    logger.error(`Collaborative AI edit failed for project ${session.projectId}: ${error.message}`);
+    const mapped = mapGenerationError(error);
+    broadcast(session, {
+      type: 'ai_edit',
+      requestId,
+      status: 'failed',
+      userId: client.userId,
+      clientId: client.clientId,
+      code: mapped?.errorCode || error.code || 'ai_edit_failed',
+      message: mapped?.message || 'AI edit failed'
+    });
+  } finally {
+    session.pendingEdits -= 1;
+    releaseSession(session).catch(error => logger.error(`Releasing collaboration session failed: ${error.message}`));
+  }
+}
+
+/**
+ * 分发客户端消息
+ */
+async function handleMessage(session, client, message) {
+  switch (message?.type) {
+    case 'op':
+      return handleOperation(session, client, message);
+    case 'cursor':
+      return handleCursor(session, client, message);
+    case 'ai_edit':
+      return handleAiEdit(session, client, message);
+    case 'ping':
+      return send(client, { type: 'pong', version: session.version });
+    default:
+      return sendError(client, 'invalid_message', `Unknown message type: ${message?.type}`);
+  }
+}
+
+/**
+ * 加入项目的协作会话
+ * 返回连接句柄 { clientId, role, receive(message), disconnect() }，由传输层在收到消息和连接断开时调用
+ */
+exports.connect = async ({ projectId, user, transport }) => {
+  const { project, role } = await exports.resolveAccess(projectId, user);
+  const session = await loadSession(project);
+
+  if (session.clients.size >= config.MAX_CLIENTS_PER_PROJECT) {
+    await releaseSession(session);
+    throw createCollaborationError('collaboration_full', `Project ${projectId} already has ${config.MAX_CLIENTS_PER_PROJECT} collaborators connected`);
+  }
+
+  const client = {
+    clientId: uuidv4(),
+    userId: user.id,
+    teamId: user.teamId,
+    role,
+    transport,
+    cursor: null
+  };
+
+  send(client, {
+    type: 'init',
+    clientId: client.clientId,
+    role,
+    version: session.version,
+    revision: session.persisted.revision,
+    content: session.content,
+    collaborators: [...session.clients.values()].map(toPresence)
+  });
+
+  session.clients.set(client.clientId, client);
+  broadcast(session, { type: 'presence', event: 'join', collaborator: toPresence(client) }, client.clientId);
+  logger.info(`Collaborator joined - projectId: ${projectId}, userId: ${user.id}, clients: ${session.clients.size}`);
+
+  return {
+    clientId: client.clientId,
+    role,
+    receive: (message) => handleMessage(session, client, message).catch((error) => {
+      logger.error(`Collaboration message failed for project ${projectId}: ${error.message}`, { stack: error.stack });
+      sendError(client, 'internal_error', 'Failed to process message');
+    }),
+    disconnect: async () => {
+      if (!session.clients.delete(client.clientId)) {
+        return;
+      }
+      broadcast(session, { type: 'presence', event: 'leave', collaborator: toPresence(client) });
+      logger.info(`Collaborator left - projectId: ${projectId}, userId: ${client.userId}, clients: ${session.clients.size}`);
+      await releaseSession(session);
+    }
+  };
+};
+
+/**
+ * 合并其他途径（REST 编辑、重新生成、恢复等）记录的修订
+ * 修订内容基于上次保存的内容，差异变换到当前版本后广播；无法变换时以修订内容整体替换
+ */
+async function mergeExternalRevision(revision) {
+  const session = sessions.get(revision.projectId);
+  if (!session || revision.source === 'collaboration') {
+    return;
+  }
+
+  const base = session.persisted;
+  const author = revision.author;
+  try {
+    submitOperation(session, {
+      baseVersion: base.version,
+      operation: ot.fromChanges(base.content.length, computeChanges(base.content, revision.content)),
+      userId: author,
+      source: 'external'
+    });
+  } catch (error) {
+    if (!['stale_version', 'invalid_operation'].includes(error.code)) {
+      throw error;
+    }
+    submitOperation(session, {
+      baseVersion: session.version,
+      operation: ot.fromChanges(session.content.length, computeChanges(session.content, revision.content)),
+      userId: author,
+      source: 'external'
+    });
+  }
+
+  session.persisted = { version: session.version, content: revision.content, revision: revision.revision };
+  // 合并了并发修改时立即保存，使项目内容与会话一致
+  if (session.content !== revision.content) {
+    await snapshot(session);
+  }
+}
+
+revisionService.onRevisionRecorded(mergeExternalRevision);
+
+/**
+ * 协作者的角色变化或被移除后同步到在线连接
+ * role 为 null 表示移除，对应连接会被断开
+ */
+exports.updateCollaboratorAccess = (projectId, userId, role) => {
+  const session = sessions.get(projectId);
+  if (!session) {
+    return;
+  }
+
+  for (const client of session.clients.values()) {
+    if (client.userId !== userId) {
+      continue;
+    }
+    if (role) {
+      client.role = role;
+      send(client, { type: 'role', role });
+    } else {
+      client.transport.close(4403, 'Access revoked');
+    }
+  }
+};
+
+/**
+ * 列出项目的协作者
+ */
+exports.listCollaborators = (projectId) => ProjectCollaborator.find({ projectId })
+  .sort({ createdAt: 1 })
+  .select('-_id -__v')
+  .lean();
+
+/**
+ * 添加协作者或修改其角色
+ */
+exports.addCollaborator = async ({ project, userId, role = 'editor', addedBy }) => {
+  const collaborator = await ProjectCollaborator.findOneAndUpdate(
+    { projectId: project.projectId, userId },
+    {
+      $set: { role },
+      $setOnInsert: { ownerId: project.userId, addedBy }
+    },
+    { upsert: true, new: true, projection: { _id: 0, __v: 0 } }
+  ).lean();
+
+  exports.updateCollaboratorAccess(project.projectId, userId, role);
+  return collaborator;
+};
+
+/**
+ * 移除协作者并断开其在线连接
+ * 返回是否移除了协作者
+ */
+exports.removeCollaborator = async (project, userId) => {
+  const { deletedCount } = await ProjectCollaborator.deleteOne({ projectId: project.projectId, userId });
+  if (deletedCount > 0) {
+    exports.updateCollaboratorAccess(project.projectId, userId, null);
+  }
+  return deletedCount > 0;
+};
+
+/**
+ * 会话状态，无活动会话时返回 null
+ */
+exports.getSessionInfo = (projectId) => {
+  const session = sessions.get(projectId);
+  if (!session) {
+    return null;
+  }
+
+  return {
+    version: session.version,
+    revision: session.persisted.revision,
+    unsaved: session.content !== session.persisted.content,
+    collaborators: [...session.clients.values()].map(toPresence)
+  };
+};
+
+/**
+ * 项目被删除时结束会话，不再保存
+ */
+exports.endSession = (projectId) => {
+  const session = sessions.get(projectId);
+  if (!session) {
+    return;
+  }
+
+  clearInterval(session.timer);
+  sessions.delete(projectId);
+  for (const client of session.clients.values()) {
+    client.transport.close(4404, 'Project deleted');
+  }
+  session.clients.clear();
+};
+
+/**
+ * 保存所有会话并断开连接，用于进程退出
+ */
+exports.closeAll = async () => {
+  await Promise.all([...sessions.values()].map(async (session) => {
+    clearInterval(session.timer);
+    await snapshot(session);
+    for (const client of session.clients.values()) {
+      client.transport.close(1001, 'Server shutting down');
+    }
+    session.clients.clear();
+    sessions.delete(session.projectId);
+  }));
+};
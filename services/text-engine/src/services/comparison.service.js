@@ -0,0 +1,475 @@
+/**
+ * 模型对比服务
+ * 同一提示并行发往多个模型或参数组合，记录每个候选的输出、延迟、令牌和费用
+ * 评审人可盲评（两两比较或1–5分），评分按模型和模板汇总为胜率与平均分
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const Comparison = require('../models/comparison.model');
+const ComparisonRating = require('../models/comparisonRating.model');
+const providers = require('../providers');
+const generationService = require('./generation.service');
+const { preflight } = require('../utils/contextPreflight');
+const { mapGenerationError } = require('../utils/generationErrors');
+const cancellation = require('../utils/cancellation');
+const logger = require('../utils/logger');
+const { createNotFoundError } = require('../utils/serviceErrors');
+
+const MAX_CANDIDATES = parseInt(process.env.COMPARISON_MAX_CANDIDATES || '6');
+
+/**
+ * 对比请求或评分无效错误
+ */
+function createInvalidError(code, message) {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+}
+
+/**
+ * 当前用户可访问的对比：自己创建的，或同团队成员创建的
+ */
+function accessFilter(user) {
+  return user.teamId
+    ? { $or: [{ userId: user.id }, { teamId: user.teamId }] }
+    : { userId: user.id };
+}
+
+/**
+ * 整理候选配置
+ * 模型必须已注册；未指定标签时用模型名，同一模型出现多次时附加参数区分
+ */
+function normalizeCandidates(candidates, defaults = {}) {
+  if (!Array.isArray(candidates) || candidates.length < 2 || candidates.length > MAX_CANDIDATES) {
+    throw createInvalidError('invalid_comparison', `A comparison needs between 2 and ${MAX_CANDIDATES} candidates`);
+  }
+
+  const normalized = candidates.map(candidate => {
+    // 未注册时抛出 model_not_supported
+    providers.resolveProvider(candidate.model);
+    return {
+      candidateId: uuidv4(),
+      model: candidate.model,
+      label: candidate.label?.trim() || null,
+      parameters: {
+        temperature: candidate.temperature ?? defaults.temperature ?? 0.7,
+        maxTokens: candidate.maxTokens ?? defaults.maxTokens ?? 1000
+      }
+    };
+  });
+
+  const modelCounts = normalized.reduce((counts, { model }) => counts.set(model, (counts.get(model) || 0) + 1), new Map());
+  const seen = new Set();
+
+  for (const candidate of normalized) {
+    const { temperature, maxTokens } = candidate.parameters;
+    candidate.label = candidate.label
+      || (modelCounts.get(candidate.model) > 1 ? `${candidate.model} (temperature=${temperature}, maxTokens=${maxTokens})` : candidate.model);
+
+    if (seen.has(candidate.label)) {
+      throw createInvalidError('invalid_comparison', `Duplicate candidate "${candidate.label}"`);
+    }
+    seen.add(candidate.label);
+  }
+
+  return normalized;
+}
+
+/**
+ * 运行单个候选
+ * 不使用回退链，结果必须来自所选模型；失败时记录错误而不影响其他候选，取消时直接抛出
+ */
+async function runCandidate(candidate, { prompt, systemPrompt, userId, teamId, contextStrategy, signal }) {
+  const startTime = Date.now();
+
+  try {
+    const { params } = preflight({
+      prompt,
+      systemPrompt,
+      model: candidate.model,
+      temperature: candidate.parameters.temperature,
+      maxTokens: candidate.parameters.maxTokens,
+      userId
+    }, contextStrategy);
+
+    const { result, routing, cost } = await generationService.execute({
+      operation: 'generate',
+      model: candidate.model,
+      params,
+      allowFallback: false,
+      accounting: { userId, teamId, operation: 'model_comparison' },
+      signal
+    });
+
+    return {
+      ...candidate,
+      provider: routing.provider,
+      status: 'succeeded',
+      text: result.text,
+      latencyMs: Date.now() - startTime,
+      usage: {
+        promptTokens: result.usage?.promptTokens || 0,
+        completionTokens: result.usage?.completionTokens || 0,
+        totalTokens: result.usage?.totalTokens || 0
+      },
+      cost: cost.totalCost,
+      cached: Boolean(result.cached)
+    };
+
+  } catch (error) {
+    if (cancellation.isCancellation(error)) {
+      throw error;
+    }
+
+    logger.warn(`Comparison candidate ${candidate.label} failed: ${error.message}`);
+    return {
+      ...candidate,
+      provider: providers.resolveProvider(candidate.model).name,
+      status: 'failed',
+      latencyMs: Date.now() - startTime,
+      cost: 0,
+      error: {
+        code: error.code || 'generation_failed',
+        message: mapGenerationError(error)?.message || 'Generation failed'
+      }
+    };
+  }
+}
+
+/**
+ * 运行对比并保存结果
+ * 所有候选并行执行；template 为 { templateId, version, inputs }，可为空
+ */
+exports.runComparison = async ({ userId, teamId = null, title = '', prompt, systemPrompt = '', template = null, candidates, defaults, contextStrategy, signal }) => {
+  const normalized = normalizeCandidates(candidates, defaults);
+  const context = { prompt, systemPrompt, userId, teamId, contextStrategy, signal };
+
+  const results = await Promise.all(normalized.map(candidate => runCandidate(candidate, context)));
+
+  // 所有候选都已结束，请求在此期间被取消时不再保存
+  cancellation.throwIfCancelled(signal);
+
+  return Comparison.create({
+    comparisonId: uuidv4(),
+    userId,
+    teamId,
+    title,
+    prompt,
+    systemPrompt,
+    ...(template && { template }),
+    candidates: results
+  });
+};
+
+/**
+ * 对比结果汇总：总令牌、总费用以及成功候选中最快和最便宜的候选
+ */
+exports.summarize = (comparison) => {
+  const succeeded = comparison.candidates.filter(candidate => candidate.status === 'succeeded');
+  const sum = (valueOf) => comparison.candidates.reduce((total, candidate) => total + (valueOf(candidate) || 0), 0);
+
+  const pick = (key) => succeeded.length
+    ? succeeded.reduce((best, candidate) => candidate[key] < best[key] ? candidate : best).candidateId
+    : null;
+
+  return {
+    succeeded: succeeded.length,
+    failed: comparison.candidates.length - succeeded.length,
+    tokensUsed: sum(candidate => candidate.usage?.totalTokens),
+    // 费用保留到小数点后6位，与单次调用费用一致
+    cost: Math.round(sum(candidate => candidate.cost) * 1e6) / 1e6,
+    fastest: pick('latencyMs'),
+    cheapest: pick('cost')
+  };
+};
+
+/**
+ * 盲评视图：隐藏模型、参数和费用，候选顺序按评审人打乱
+ * 同一评审人每次看到的顺序相同，不同评审人的顺序不同
+ */
+exports.toBlindView = (comparison, reviewerId) => {
+  const rank = (candidate) => crypto.createHash('sha256').update(`${reviewerId}:${candidate.candidateId}`).digest('hex');
+
+  return {
+    comparisonId: comparison.comparisonId,
+    title: comparison.title,
+    prompt: comparison.prompt,
+    systemPrompt: comparison.systemPrompt,
+    candidates: comparison.candidates
+      .filter(candidate => candidate.status === 'succeeded')
+      .sort((a, b) => rank(a).localeCompare(rank(b)))
+      .map((candidate, index) => ({ candidateId: candidate.candidateId, text: candidate.text, position: index + 1 })),
+    createdAt: comparison.createdAt
+  };
+};
+
+/**
+ * 评审人是否已知候选对应的模型：对比的创建者，或已查看过完整结果的评审人
+ */
+exports.knowsModels = (comparison, userId) => comparison.userId === userId || (comparison.revealedTo || []).includes(userId);
+
+/**
+ * 记录评审人查看了完整结果，此后其评分不再计为盲评
+ */
+exports.revealTo = async (comparison, userId) => {
+  if (exports.knowsModels(comparison, userId)) {
+    return;
+  }
+
+  await Comparison.updateOne({ comparisonId: comparison.comparisonId }, { $addToSet: { revealedTo: userId } });
+  comparison.revealedTo.push(userId);
+};
+
+/**
+ * 获取对比记录
+ */
+exports.getComparison = async (user, comparisonId) => {
+  const comparison = await Comparison.findOne({ comparisonId, ...accessFilter(user) });
+  if (!comparison) {
+    throw createNotFoundError('comparison_not_found', 'Comparison not found');
+  }
+  return comparison;
+};
+
+/**
+ * 列出可访问的对比记录，可按模板筛选
+ */
+exports.listComparisons = async (user, { templateId, page = 1, limit = 20 }) => {
+  const query = { ...accessFilter(user) };
+  if (templateId) {
+    query['template.templateId'] = templateId;
+  }
+
+  const [comparisons, total] = await Promise.all([
+    Comparison.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-candidates.text'),
+    Comparison.countDocuments(query)
+  ]);
+
+  return { comparisons, total };
+};
+
+/**
+ * 查找可评分的候选，失败的候选不能参与评分
+ */
+function findRatableCandidate(comparison, candidateId) {
+  const candidate = comparison.candidates.find(item => item.candidateId === candidateId);
+  if (!candidate || candidate.status !== 'succeeded') {
+    throw createInvalidError('invalid_rating', `Candidate ${candidateId} does not exist or has no output to rate`);
+  }
+  return candidate;
+}
+
+/**
+ * 整理评分内容
+ * pairwise：candidates 为两个不同的候选，winner 为其中之一，null 或 'tie' 表示平局
+ * score：candidateId 和1–5分
+ */
+function prepareRating(comparison, { type, candidates, winner, candidateId, score }) {
+  if (type === 'pairwise') {
+    if (!Array.isArray(candidates) || candidates.length !== 2 || candidates[0] === candidates[1]) {
+      throw createInvalidError('invalid_rating', 'A pairwise rating needs two different candidates');
+    }
+
+    // 候选按ID排序，(A, B) 与 (B, A) 视为同一对
+    const pair = [...candidates].sort().map(id => findRatableCandidate(comparison, id));
+    const winnerId = winner === undefined || winner === null || winner === 'tie' ? null : winner;
+    if (winnerId !== null && !candidates.includes(winnerId)) {
+      throw createInvalidError('invalid_rating', 'The winner must be one of the two rated candidates');
+    }
+
+    return {
+      subjectKey: pair.map(candidate => candidate.candidateId).join(':'),
+      candidates: pair.map(candidate => candidate.candidateId),
+      models: pair.map(candidate => candidate.model),
+      winner: winnerId
+    };
+  }
+
+  if (!Number.isInteger(score) || score < 1 || score > 5) {
+    throw createInvalidError('invalid_rating', 'A score must be an integer from 1 to 5');
+  }
+
+  const candidate = findRatableCandidate(comparison, candidateId);
+  return {
+    subjectKey: candidate.candidateId,
+    candidateId: candidate.candidateId,
+    model: candidate.model,
+    score
+  };
+}
+
+/**
+ * 提交评分
+ * 同一评审人对同一对候选（或同一候选）重复评分时覆盖之前的评分
+ * 是否为盲评由服务端判断：评审人提交时尚不知道候选对应的模型
+ */
+exports.submitRating = async (user, comparisonId, { type, candidates, winner, candidateId, score, comment = '' }) => {
+  const comparison = await exports.getComparison(user, comparisonId);
+  const rating = prepareRating(comparison, { type, candidates, winner, candidateId, score });
+
+  return ComparisonRating.findOneAndUpdate(
+    { comparisonId, reviewerId: user.id, type, subjectKey: rating.subjectKey },
+    {
+      $set: {
+        ...rating,
+        userId: comparison.userId,
+        teamId: comparison.teamId,
+        templateId: comparison.template?.templateId || null,
+        templateVersion: comparison.template?.version || null,
+        blind: !exports.knowsModels(comparison, user.id),
+        comment
+      }
+    },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * 列出对比的评分
+ * 尚不知道模型的评审人只能看到自己的评分且不含模型，避免得知模型或受他人评分影响
+ */
+exports.listRatings = async (user, comparisonId) => {
+  const comparison = await exports.getComparison(user, comparisonId);
+  const blindReviewer = !exports.knowsModels(comparison, user.id);
+
+  return ComparisonRating.find({ comparisonId: comparison.comparisonId, ...(blindReviewer && { reviewerId: user.id }) })
+    .sort({ createdAt: 1 })
+    .select(blindReviewer ? '-_id -__v -subjectKey -models -model' : '-_id -__v -subjectKey');
+};
+
+// 胜率统计可选的评分范围：仅盲评（默认）、仅知道模型后的评分或全部
+const RATING_FILTERS = {
+  blind: { blind: true },
+  revealed: { blind: false },
+  all: {}
+};
+
+exports.RATING_FILTERS = Object.keys(RATING_FILTERS);
+
+// 胜率保留4位小数
+const roundRate = (value) => Math.round(value * 1e4) / 1e4;
+
+/**
+ * 两两比较按分组键统计胜、负、平
+ * 同一模型不同参数之间的比较不计入模型胜率
+ */
+function pairwiseStages(groupId) {
+  return [
+    { $match: { type: 'pairwise', $expr: { $ne: [{ $arrayElemAt: ['$models', 0] }, { $arrayElemAt: ['$models', 1] }] } } },
+    {
+      $project: {
+        templateId: 1,
+        winner: 1,
+        side: [
+          { model: { $arrayElemAt: ['$models', 0] }, candidateId: { $arrayElemAt: ['$candidates', 0] } },
+          { model: { $arrayElemAt: ['$models', 1] }, candidateId: { $arrayElemAt: ['$candidates', 1] } }
+        ]
+      }
+    },
+    { $unwind: '$side' },
+    {
+      $group: {
+        _id: groupId,
+        comparisons: { $sum: 1 },
+        wins: { $sum: { $cond: [{ $eq: ['$winner', '$side.candidateId'] }, 1, 0] } },
+        ties: { $sum: { $cond: [{ $eq: ['$winner', null] }, 1, 0] } }
+      }
+    }
+  ];
+}
+
+/**
+ * 1–5分评分按分组键统计次数和平均分
+ */
+function scoreStages(groupId) {
+  return [
+    { $match: { type: 'score' } },
+    { $group: { _id: groupId, ratings: { $sum: 1 }, averageScore: { $avg: '$score' } } }
+  ];
+}
+
+/**
+ * 合并两两比较和打分的统计，按胜率降序
+ * 胜率 = (胜 + 平/2) / 比较次数
+ */
+function mergeStats(pairwise, scores, keyOf) {
+  const stats = new Map();
+  const entryFor = (id) => {
+    const key = keyOf(id);
+    if (!stats.has(key)) {
+      stats.set(key, {
+        ...id,
+        pairwise: { comparisons: 0, wins: 0, losses: 0, ties: 0, winRate: null },
+        scores: { ratings: 0, averageScore: null }
+      });
+    }
+    return stats.get(key);
+  };
+
+  for (const { _id, comparisons, wins, ties } of pairwise) {
+    entryFor(_id).pairwise = {
+      comparisons,
+      wins,
+      losses: comparisons - wins - ties,
+      ties,
+      winRate: roundRate((wins + ties / 2) / comparisons)
+    };
+  }
+
+  for (const { _id, ratings, averageScore } of scores) {
+    entryFor(_id).scores = { ratings, averageScore: roundRate(averageScore) };
+  }
+
+  return [...stats.values()].sort((a, b) => (b.pairwise.winRate ?? -1) - (a.pairwise.winRate ?? -1));
+}
+
+/**
+ * 胜率统计
+ * 默认只统计盲评，ratings 可选 revealed 或 all
+ * 返回所有模板合计的按模型统计，以及按模板分组的按模型统计；未使用模板的对比归入 templateId 为 null 的分组
+ */
+exports.getWinRates = async ({ scope, scopeId, templateId, from, to, ratings = 'blind' }) => {
+  const match = {
+    [scope === 'team' ? 'teamId' : 'userId']: scopeId,
+    createdAt: { $gte: from, $lte: to },
+    ...RATING_FILTERS[ratings]
+  };
+  if (templateId) {
+    match.templateId = templateId;
+  }
+
+  const byModel = { model: '$side.model' };
+  const byTemplateModel = { templateId: '$templateId', model: '$side.model' };
+
+  const [result] = await ComparisonRating.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        pairwiseOverall: pairwiseStages(byModel),
+        pairwiseByTemplate: pairwiseStages(byTemplateModel),
+        scoresOverall: scoreStages({ model: '$model' }),
+        scoresByTemplate: scoreStages({ templateId: '$templateId', model: '$model' })
+      }
+    }
+  ]);
+
+  const byTemplate = new Map();
+  for (const entry of mergeStats(result.pairwiseByTemplate, result.scoresByTemplate, id => `${id.templateId}\u0000${id.model}`)) {
+    const { templateId: entryTemplateId, ...stats } = entry;
+    const key = entryTemplateId ?? null;
+    if (!byTemplate.has(key)) {
+      byTemplate.set(key, { templateId: key, models: [] });
+    }
+    byTemplate.get(key).models.push(stats);
+  }
+
+  return {
+    overall: mergeStats(result.pairwiseOverall, result.scoresOverall, id => id.model),
+    byTemplate: [...byTemplate.values()]
+  };
+};
@@ -0,0 +1,386 @@
+/**
+ * 对话服务
+ * 管理多轮对话的会话与消息：追加用户消息并生成助手回复、历史接近上下文上限时自动摘要或截断、
+ * 从任意消息分叉会话，以及将对话提升为项目
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const Conversation = require('../models/conversation.model');
+const ConversationMessage = require('../models/conversationMessage.model');
+const providers = require('../providers');
+const generationService = require('./generation.service');
+const projectService = require('./project.service');
+const { preflight } = require('../utils/contextPreflight');
+const { countChatTokens, countTokens, truncateToTokens } = require('../utils/tokenizer');
+const logger = require('../utils/logger');
+const { createNotFoundError } = require('../utils/serviceErrors');
+
+// 输入令牌超过 (上下文 - maxTokens) 的该比例时开始处理历史
+const HISTORY_THRESHOLD = parseFloat(process.env.CONVERSATION_HISTORY_THRESHOLD || '0.85');
+// 处理后最近消息最多占用的输入预算比例
+const RECENT_HISTORY_RATIO = 0.5;
+const SUMMARY_MAX_TOKENS = 400;
+
+const SUMMARY_SYSTEM_PROMPT = '你是一个对话摘要助手。请将对话内容压缩为简洁的摘要，保留用户的目标、约束、已做出的决定以及当前草稿的关键内容。只返回摘要本身。';
+
+/**
+ * 将历史摘要并入系统提示
+ */
+function composeSystemPrompt(systemPrompt, summaryText) {
+  if (!summaryText) {
+    return systemPrompt || '';
+  }
+
+  return `${systemPrompt ? `${systemPrompt}\n\n` : ''}以下是此前对话的摘要：\n${summaryText}`;
+}
+
+/**
+ * 消息转换为模型历史格式
+ */
+function toHistory(messages) {
+  return messages.map(message => ({ role: message.role, content: message.content }));
+}
+
+/**
+ * 摘要较早的消息，与已有摘要合并
+ */
+async function summarizeMessages({ conversation, messages, model, accounting, signal }) {
+  const contextWindow = providers.getMaxContext(model);
+  const transcript = messages
+    .map(message => `${message.role === 'user' ? '用户' : '助手'}: ${message.content}`)
+    .join('\n\n');
+
+  const existing = conversation.summary?.text ? `已有摘要：\n${conversation.summary.text}\n\n` : '';
+  // 为系统提示、已有摘要和输出预留空间
+  const transcriptBudget = contextWindow - SUMMARY_MAX_TOKENS -
+    countTokens(SUMMARY_SYSTEM_PROMPT, model) - countTokens(existing, model) - 50;
+
+  const { result, cost } = await generationService.execute({
+    operation: 'generate',
+    model,
+    params: {
+      prompt: `${existing}新增对话：\n${truncateToTokens(transcript, transcriptBudget, model)}\n\n请输出更新后的摘要。`,
+      systemPrompt: SUMMARY_SYSTEM_PROMPT,
+      temperature: 0.3,
+      maxTokens: SUMMARY_MAX_TOKENS,
+      userId: accounting.userId
+    },
+    accounting: { ...accounting, operation: 'conversation_summary' },
+    signal
+  });
+
+  // 摘要长度受限，防止提供方忽略 maxTokens 时摘要无限增长
+  return { text: truncateToTokens(result.text.trim(), SUMMARY_MAX_TOKENS, model), cost };
+}
+
+/**
+ * 准备发送给模型的历史
+ * 历史接近上下文上限时，按会话设置摘要或截断较早的消息，保留最近的对话原文
+ * 返回 { history, systemPrompt, management }
+ */
+async function prepareHistory({ conversation, messages, prompt, model, maxTokens, accounting, signal }) {
+  let summaryText = conversation.summary?.text || null;
+  let systemPrompt = composeSystemPrompt(conversation.systemPrompt, summaryText);
+  const counts = countChatTokens({ prompt, systemPrompt, history: toHistory(messages), model });
+  const inputLimit = Math.floor((providers.getMaxContext(model) - maxTokens) * HISTORY_THRESHOLD);
+
+  if (counts.inputTokens <= inputLimit || messages.length === 0) {
+    return { history: toHistory(messages), systemPrompt, management: null };
+  }
+
+  // 从最新消息向前保留，直到达到最近消息预算
+  let recentBudget = Math.floor(inputLimit * RECENT_HISTORY_RATIO);
+  let keepFrom = messages.length;
+  while (keepFrom > 0) {
+    const tokens = countTokens(messages[keepFrom - 1].content, model);
+    if (tokens > recentBudget) {
+      break;
+    }
+    recentBudget -= tokens;
+    keepFrom--;
+  }
+
+  const dropped = messages.slice(0, keepFrom);
+  const kept = messages.slice(keepFrom);
+  const management = {
+    strategy: conversation.historyStrategy,
+    affectedMessages: dropped.length,
+    keptMessages: kept.length,
+    cost: 0
+  };
+
+  if (dropped.length > 0 && conversation.historyStrategy === 'summarize') {
+    const summary = await summarizeMessages({ conversation, messages: dropped, model, accounting, signal });
+    const throughSequence = dropped[dropped.length - 1].sequence;
+
+    // 仅在摘要向前推进时写入，避免并发请求覆盖更新的摘要
+    await Conversation.updateOne(
+      { conversationId: conversation.conversationId, 'summary.throughSequence': { $lt: throughSequence } },
+      { $set: { summary: { text: summary.text, throughSequence, updatedAt: new Date() } } }
+    );
+
+    summaryText = summary.text;
+    systemPrompt = composeSystemPrompt(conversation.systemPrompt, summaryText);
+    management.cost = summary.cost.totalCost;
+    logger.info(`Conversation history summarized - conversationId: ${conversation.conversationId}, through: ${throughSequence}`);
+  }
+
+  return { history: toHistory(kept), systemPrompt, management };
+}
+
+/**
+ * 创建会话
+ */
+exports.createConversation = (userId, { title, model, systemPrompt, temperature, maxTokens, historyStrategy }) => {
+  return Conversation.create({
+    conversationId: uuidv4(),
+    userId,
+    title,
+    model,
+    systemPrompt,
+    temperature,
+    maxTokens,
+    historyStrategy
+  });
+};
+
+/**
+ * 分页列出会话
+ */
+exports.listConversations = async (userId, { page = 1, limit = 20 }) => {
+  const [conversations, total] = await Promise.all([
+    Conversation.find({ userId })
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-summary.text'),
+    Conversation.countDocuments({ userId })
+  ]);
+
+  return { conversations, total };
+};
+
+/**
+ * 获取会话
+ */
+exports.getConversation = (userId, conversationId) => {
+  return Conversation.findOne({ conversationId, userId });
+};
+
+/**
+ * 按序号获取消息，before 为序号上界（不含），返回按时间正序排列
+ */
+exports.getMessages = async (conversationId, { before, limit = 50 } = {}) => {
+  const query = { conversationId };
+  if (before !== undefined) {
+    query.sequence = { $lt: before };
+  }
+
+  const messages = await ConversationMessage.find(query)
+    .sort({ sequence: -1 })
+    .limit(limit);
+
+  return messages.reverse();
+};
+
+/**
+ * 更新会话设置
+ */
+exports.updateConversation = (userId, conversationId, fields) => {
+  return Conversation.findOneAndUpdate(
+    { conversationId, userId },
+    { $set: fields },
+    { new: true, runValidators: true }
+  );
+};
+
+/**
+ * 删除会话及其消息
+ */
+exports.deleteConversation = async (userId, conversationId) => {
+  const { deletedCount } = await Conversation.deleteOne({ conversationId, userId });
+  if (deletedCount === 0) {
+    return false;
+  }
+
+  await ConversationMessage.deleteMany({ conversationId });
+  return true;
+};
+
+/**
+ * 追加用户消息并生成助手回复
+ * 两条消息在生成成功后一起写入，失败时不留下没有回复的用户消息
+ */
+exports.sendMessage = async ({ conversation, content, overrides = {}, options = {}, user, signal }) => {
+  const model = overrides.model || conversation.model;
+  const maxTokens = overrides.maxTokens ?? conversation.maxTokens;
+  const accounting = { userId: user.id, teamId: user.teamId, operation: 'conversation' };
+
+  // 已被摘要覆盖的消息不再加载
+  const messages = await ConversationMessage.find({
+    conversationId: conversation.conversationId,
+    sequence: { $gt: conversation.summary?.throughSequence ?? -1 }
+  }).sort({ sequence: 1 });
+
+  const { history, systemPrompt, management } = await prepareHistory({
+    conversation,
+    messages,
+    prompt: content,
+    model,
+    maxTokens,
+    accounting,
+    signal
+  });
+
+  const { params: generationParams, adjustments } = preflight({
+    prompt: content,
+    systemPrompt,
+    history,
+    model,
+    maxTokens,
+    temperature: overrides.temperature ?? conversation.temperature,
+    userId: user.id
+  }, options.contextStrategy);
+
+  const { result, routing, cost } = await generationService.execute({
+    operation: 'generate',
+    model: generationParams.model,
+    params: generationParams,
+    allowFallback: options.fallback !== false,
+    accounting,
+    signal
+  });
+
+  const tokensUsed = result.usage?.totalTokens || 0;
+  const totalCost = cost.totalCost + (management?.cost || 0);
+
+  // 原子地预留两个消息序号
+  const updated = await Conversation.findOneAndUpdate(
+    { conversationId: conversation.conversationId },
+    { $inc: { messageCount: 2, tokensUsed, cost: totalCost } },
+    { new: true }
+  );
+  const sequence = updated.messageCount - 2;
+
+  const [userMessage, assistantMessage] = await ConversationMessage.insertMany([
+    {
+      messageId: uuidv4(),
+      conversationId: conversation.conversationId,
+      userId: user.id,
+      sequence,
+      role: 'user',
+      content
+    },
+    {
+      messageId: uuidv4(),
+      conversationId: conversation.conversationId,
+      userId: user.id,
+      sequence: sequence + 1,
+      role: 'assistant',
+      content: result.text,
+      model: routing.model,
+      provider: routing.provider,
+      tokensUsed,
+      cost: cost.totalCost
+    }
+  ]);
+
+  return { userMessage, assistantMessage, routing, cost, historyManagement: management, adjustments };
+};
+
+/**
+ * 从指定消息分叉会话
+ * 新会话包含该消息及之前的全部消息，沿用原会话设置；摘要仅在未越过分叉点时沿用
+ */
+exports.forkConversation = async (userId, conversation, messageId) => {
+  const target = await ConversationMessage.findOne({ conversationId: conversation.conversationId, messageId });
+  if (!target) {
+    throw createNotFoundError('message_not_found', 'Message not found in this conversation');
+  }
+
+  const messages = await ConversationMessage.find({
+    conversationId: conversation.conversationId,
+    sequence: { $lte: target.sequence }
+  }).sort({ sequence: 1 });
+
+  const keepSummary = (conversation.summary?.throughSequence ?? -1) <= target.sequence;
+  const forked = await Conversation.create({
+    conversationId: uuidv4(),
+    userId,
+    title: `${conversation.title} (fork)`,
+    model: conversation.model,
+    systemPrompt: conversation.systemPrompt,
+    temperature: conversation.temperature,
+    maxTokens: conversation.maxTokens,
+    historyStrategy: conversation.historyStrategy,
+    summary: keepSummary ? conversation.summary : undefined,
+    messageCount: target.sequence + 1,
+    forkedFrom: { conversationId: conversation.conversationId, messageId }
+  });
+
+  if (messages.length > 0) {
+    await ConversationMessage.insertMany(messages.map(message => ({
+      messageId: uuidv4(),
+      conversationId: forked.conversationId,
+      userId,
+      sequence: message.sequence,
+      role: message.role,
+      content: message.content,
+      model: message.model,
+      provider: message.provider,
+      tokensUsed: message.tokensUsed,
+      cost: message.cost,
+      sourceMessageId: message.messageId
+    })));
+  }
+
+  logger.info(`Conversation forked - from: ${conversation.conversationId}, at: ${messageId}, to: ${forked.conversationId}`);
+  return forked;
+};
+
+/**
+ * 将对话提升为项目
+ * 项目内容为指定的助手消息（默认最新一条），提示为其前一条用户消息
+ */
+exports.promoteToProject = async (userId, conversation, { messageId, title, tags, folder } = {}) => {
+  const query = { conversationId: conversation.conversationId, role: 'assistant' };
+  if (messageId) {
+    query.messageId = messageId;
+  }
+
+  const message = await ConversationMessage.findOne(query).sort({ sequence: -1 });
+  if (!message) {
+    throw createNotFoundError('message_not_found', messageId
+      ? 'Assistant message not found in this conversation'
+      : 'Conversation has no assistant messages to promote');
+  }
+
+  const userTurn = await ConversationMessage.findOne({
+    conversationId: conversation.conversationId,
+    role: 'user',
+    sequence: { $lt: message.sequence }
+  }).sort({ sequence: -1 });
+
+  const project = await projectService.createProject({
+    userId,
+    title: title || conversation.title,
+    content: message.content,
+    prompt: userTurn?.content,
+    systemPrompt: conversation.systemPrompt,
+    model: message.model || conversation.model,
+    tags,
+    folder,
+    metadata: {
+      temperature: conversation.temperature,
+      maxTokens: conversation.maxTokens,
+      conversationId: conversation.conversationId,
+      messageId: message.messageId
+    },
+    source: 'generate',
+    parameters: { temperature: conversation.temperature, maxTokens: conversation.maxTokens },
+    tokensUsed: message.tokensUsed
+  });
+
+  await Conversation.updateOne({ conversationId: conversation.conversationId }, { $set: { projectId: project.projectId } });
+  return project;
+};
@@ -0,0 +1,369 @@
+/**
+ * 生成调度服务
+ * 通过提供方注册表解析模型，按回退链依次尝试，并使用熔断器隔离故障提供方
+ * 返回结果中附带实际响应的提供方和模型、回退信息以及本次调用的费用
+ * 调用前审核输入、调用后审核输出，被阻止的内容不会发往提供方或返回给调用方
+ * 输入中的个人信息在发往提供方前替换为占位符，返回前在输出中还原
+ * signal 中止时取消进行中的提供方调用并停止回退，抛出取消错误；取消单独计数，不计入提供方失败和熔断器
+ */
+
+const providers = require('../providers');
+const circuitBreaker = require('../utils/circuitBreaker');
+const { getFallbackChain } = require('../config/fallbackChains');
+const { isRetryableError } = require('../utils/providerErrors');
+const serviceMetrics = require('../utils/serviceMetrics');
+const tracing = require('../utils/tracing');
+const cancellation = require('../utils/cancellation');
+const { analyze, normalizeMaxTokens } = require('../utils/contextPreflight');
+const usageService = require('./usage.service');
+const moderationService = require('./moderation.service');
+const privacyService = require('./privacy.service');
+const logger = require('../utils/logger');
+
+/**
+ * 构建调用候选列表
+ * 主模型必须已注册；回退链中未注册的模型被忽略
+ */
+function buildCandidates(model, allowFallback) {
+  // 主模型未注册时抛出 model_not_supported
+  providers.resolveProvider(model);
+
+  const chain = allowFallback ? getFallbackChain(model) : [model];
+  return chain
+    .filter(candidate => providers.isModelSupported(candidate))
+    .map(candidate => ({ model: candidate, provider: providers.resolveProvider(candidate) }));
+}
+
+/**
+ * 判断候选模型能否容纳本次生成请求
+ * 主模型已由调用方按上下文策略预检；回退模型的上下文可能更小，容纳不下时跳过，不发送必然失败的请求
+ * 编辑和总结由各自的服务按模型分段，不在此检查
+ */
+function fitsContext(operation, model, candidate, params) {
+  if (operation !== 'generate' || candidate.model === model) {
+    return true;
+  }
+
+  return analyze({
+    model: candidate.model,
+    prompt: params.prompt,
+    systemPrompt: params.systemPrompt,
+    history: params.history,
+    maxTokens: normalizeMaxTokens(params.maxTokens)
+  }).fits;
+}
+
+/**
+ * 所有候选均不可用时的错误
+ */
+function createUnavailableError(model, attempts, lastError) {
+  const err = new Error(lastError
+    ? `All providers failed for model "${model}": ${lastError.message}`
+    : `All providers for model "${model}" are currently unavailable`);
+  err.code = 'model_not_available';
+  err.attempts = attempts;
+  err.cause = lastError;
+  return err;
+}
+
+/**
+ * 失败处理：可重试错误计入熔断器并继续回退，其他错误直接抛出
+ */
+async function handleFailure(candidate, error, attempts) {
+  const retryable = isRetryableError(error);
+  attempts.push({ model: candidate.model, provider: candidate.provider.name, status: 'failed', error: error.message });
+  serviceMetrics.providerErrors.inc({ provider: candidate.provider.name, error_code: serviceMetrics.errorCodeOf(error) });
+
+  if (!retryable) {
+    throw error;
+  }
+
+  await circuitBreaker.recordFailure(candidate.provider.name);
+  logger.warn(`Provider ${candidate.provider.name} failed for model ${candidate.model}, trying next in chain: ${error.message}`);
+}
+
+/**
+ * 记录一次被取消的提供方调用
+ */
+function recordCancellation(candidate, operation, error) {
+  serviceMetrics.cancellations.inc({ operation, provider: candidate.provider.name, reason: error.reason });
+  logger.info(`Provider call to ${candidate.provider.name} cancelled (${error.reason}) for model ${candidate.model}`);
+}
+
+/**
+ * 提供方调用 span 的属性
+ */
+function providerSpanAttributes(candidate, operation) {
+  return {
+    'gen_ai.system': candidate.provider.name,
+    'gen_ai.request.model': candidate.model,
+    'gen_ai.operation.name': operation
+  };
+}
+
+/**
+ * 构建回退信息
+ */
+function describeRouting(requestedModel, candidate, attempts) {
+  return {
+    provider: candidate.provider.name,
+    model: candidate.model,
+    requestedModel,
+    fallbackUsed: candidate.model !== requestedModel,
+    attempts
+  };
+}
+
+/**
+ * 按实际响应的模型记录用量和费用
+ * accounting.operation 用于区分业务操作（如 text_generation、batch_text_generation）
+ */
+function recordUsage(operation, params, routing, usage, accounting = {}) {
+  serviceMetrics.recordTokens(routing, usage);
+  if (routing.fallbackUsed) {
+    serviceMetrics.fallbacks.inc({ requested_model: routing.requestedModel, model: routing.model });
+  }
+
+  return usageService.recordUsage({
+    userId: accounting.userId || params.userId,
+    teamId: accounting.teamId || null,
+    operation: accounting.operation || operation,
+    model: routing.model,
+    provider: routing.provider,
+    usage: usage || {}
+  });
+}
+
+/**
+ * 审核上下文
+ */
+function moderationContext(params, accounting = {}, model) {
+  return {
+    userId: accounting.userId || params.userId,
+    teamId: accounting.teamId,
+    operation: accounting.operation,
+    model
+  };
+}
+
+/**
+ * 个人信息保护上下文，租户为团队，无团队时为用户
+ */
+function privacyContext(params, accounting = {}) {
+  return { tenantId: accounting.teamId || accounting.userId || params.userId };
+}
+
+/**
+ * 还原结果文本、工具调用参数和总结中间结果中的占位符
+ */
+function rehydrateResult(result, vault) {
+  if (vault.size === 0) {
+    return result;
+  }
+
+  return {
+    ...result,
+    text: vault.rehydrate(result.text),
+    ...(result.toolCalls && {
+      toolCalls: result.toolCalls.map(call => ({ ...call, arguments: vault.rehydrate(call.arguments) }))
+    }),
+    ...(result.intermediate && {
+      intermediate: {
+        chunks: result.intermediate.chunks.map(chunk => ({ ...chunk, summary: vault.rehydrate(chunk.summary) })),
+        levels: result.intermediate.levels.map(entry => ({ ...entry, summaries: entry.summaries.map(summary => vault.rehydrate(summary)) }))
+      }
+    })
+  };
+}
+
+/**
+ * 执行一次生成操作（generate / edit / summarize）
+ * 返回 { result, routing, cost, moderation, privacy }
+ */
+exports.execute = async ({ operation = 'generate', model, params: requestParams, allowFallback = true, accounting, signal }) => {
+  const candidates = buildCandidates(model, allowFallback);
+  const attempts = [];
+  let lastError = null;
+
+  const { params: protectedParams, vault, report: privacy } = await privacyService.protect(operation, requestParams, privacyContext(requestParams, accounting));
+  const context = moderationContext(requestParams, accounting, model);
+  const { params, decision: inputDecision } = await moderationService.moderateInput(operation, protectedParams, context);
+
+  for (const candidate of candidates) {
+    cancellation.throwIfCancelled(signal);
+    if (!fitsContext(operation, model, candidate, params)) {
+      attempts.push({ model: candidate.model, provider: candidate.provider.name, status: 'skipped_context_length' });
+      continue;
+    }
+    if (await circuitBreaker.isOpen(candidate.provider.name)) {
+      attempts.push({ model: candidate.model, provider: candidate.provider.name, status: 'skipped_open_circuit' });
+      serviceMetrics.circuitOpenSkips.inc({ provider: candidate.provider.name });
+      continue;
+    }
+
+    let result;
+    const endTimer = serviceMetrics.generationDuration.startTimer({ operation, provider: candidate.provider.name, model: candidate.model });
+    serviceMetrics.generationsInFlight.inc({ operation });
+    try {
+      result = await tracing.withSpan(`provider.${operation}`, { attributes: providerSpanAttributes(candidate, operation) }, async (span) => {
+        const output = await candidate.provider[operation]({ ...params, model: candidate.model, signal });
+        span.setAttributes({ 'cache.hit': Boolean(output.cached), 'gen_ai.usage.total_tokens': output.usage?.totalTokens });
+        return output;
+      });
+      endTimer({ outcome: result.cached ? 'cached' : 'success' });
+      await circuitBreaker.recordSuccess(candidate.provider.name);
+      attempts.push({ model: candidate.model, provider: candidate.provider.name, status: 'succeeded' });
+    } catch (error) {
+      if (cancellation.isCancellation(error)) {
+        endTimer({ outcome: 'cancelled' });
+        recordCancellation(candidate, operation, error);
+        throw error;
+      }
+      endTimer({ outcome: 'error' });
+      lastError = error;
+      await handleFailure(candidate, error, attempts);
+      continue;
+    } finally {
+      serviceMetrics.generationsInFlight.dec({ operation });
+    }
+
+    const routing = describeRouting(model, candidate, attempts);
+    // 缓存命中不产生API费用；输出被阻止时调用已发生，费用照常记录
+    const cost = await recordUsage(operation, params, routing, result.cached ? {} : result.usage, accounting);
+
+    const output = await moderationService.moderateOutput(result.text, { ...context, model: candidate.model });
+    return {
+      result: rehydrateResult(output.text === result.text ? result : { ...result, text: output.text }, vault),
+      routing,
+      cost,
+      moderation: { input: inputDecision, output: output.decision },
+      privacy
+    };
+  }
+
+  throw createUnavailableError(model, attempts, lastError);
+};
+
+/**
+ * 流式生成
+ * 仅在首个事件到达前允许回退；已开始输出后出错直接抛出
+ * 产出的 done 事件附带 routing、cost、moderation 和 privacy 信息
+ * 片段中的占位符在完整到达后还原，跨片段的占位符会延迟到下一个片段推送
+ * 输出按片段审核后再推送（见 moderationService.createOutputModerator），片段命中阻止动作时抛出 content_blocked，
+ * 已推送的内容均已通过审核；完整文本在 done 事件前再审核一次并写入审计，遮盖后的全文在 done 事件的 text 中返回
+ */
+exports.stream = async function* ({ model, params: requestParams, allowFallback = true, accounting, signal }) {
+  const candidates = buildCandidates(model, allowFallback);
+  const attempts = [];
+  let lastError = null;
+
+  const { params: protectedParams, vault, report: privacy } = await privacyService.protect('generate', requestParams, privacyContext(requestParams, accounting));
+  const context = moderationContext(requestParams, accounting, model);
+  const { params, decision: inputDecision } = await moderationService.moderateInput('generate', protectedParams, context);
+
+  for (const candidate of candidates) {
+    cancellation.throwIfCancelled(signal);
+    if (!fitsContext('generate', model, candidate, params)) {
+      attempts.push({ model: candidate.model, provider: candidate.provider.name, status: 'skipped_context_length' });
+      continue;
+    }
+    if (await circuitBreaker.isOpen(candidate.provider.name)) {
+      attempts.push({ model: candidate.model, provider: candidate.provider.name, status: 'skipped_open_circuit' });
+      serviceMetrics.circuitOpenSkips.inc({ provider: candidate.provider.name });
+      continue;
+    }
+
+    const candidateParams = { ...params, model: candidate.model, signal };
+    let iterator;
+    let first;
+
+    // 流式调用的耗时统计到流结束
+    const endTimer = serviceMetrics.generationDuration.startTimer({ operation: 'stream', provider: candidate.provider.name, model: candidate.model });
+    serviceMetrics.generationsInFlight.inc({ operation: 'stream' });
+
+    try {
+      // span 覆盖到首个事件到达（建立连接和首个令牌）
+      await tracing.withSpan('provider.stream', { attributes: providerSpanAttributes(candidate, 'stream') }, async () => {
+        if (candidate.provider.capabilities.streaming) {
+          iterator = candidate.provider.generateStream(candidateParams)[Symbol.asyncIterator]();
+          first = await iterator.next();
+        } else {
+          const result = await candidate.provider.generate(candidateParams);
+          first = { done: false, value: { type: 'delta', text: result.text } };
+          iterator = (async function* () {
+            yield { type: 'done', ...result, cached: false };
+          })();
+        }
+      });
+    } catch (error) {
+      serviceMetrics.generationsInFlight.dec({ operation: 'stream' });
+      if (cancellation.isCancellation(error)) {
+        endTimer({ outcome: 'cancelled' });
+        recordCancellation(candidate, 'stream', error);
+        throw error;
+      }
+      endTimer({ outcome: 'error' });
+      lastError = error;
+      await handleFailure(candidate, error, attempts);
+      continue;
+    }
+
+    attempts.push({ model: candidate.model, provider: candidate.provider.name, status: 'succeeded' });
+    const routing = describeRouting(model, candidate, attempts);
+
+    const rehydrator = vault.createStreamRehydrator();
+    const outputModerator = moderationService.createOutputModerator({ ...context, model: candidate.model });
+
+    try {
+      let next = first;
+      while (!next.done) {
+        const event = next.value;
+        if (event.type === 'done') {
+          const rest = rehydrator.push(await outputModerator.flush()) + rehydrator.flush();
+          if (rest) {
+            yield { type: 'delta', text: rest };
+          }
+          const cost = await recordUsage('generate', params, routing, event.cached ? {} : event.usage, accounting);
+          const output = await moderationService.moderateOutput(event.text, { ...context, model: candidate.model });
+          yield {
+            ...event,
+            text: vault.rehydrate(output.text),
+            routing,
+            cost,
+            moderation: { input: inputDecision, output: output.decision },
+            privacy
+          };
+        } else if (event.type === 'delta') {
+          const text = rehydrator.push(await outputModerator.push(event.text));
+          if (text) {
+            yield { ...event, text };
+          }
+        } else {
+          yield event;
+        }
+        next = await iterator.next();
+      }
+      endTimer({ outcome: 'success' });
+      await circuitBreaker.recordSuccess(candidate.provider.name);
+    } catch (error) {
+      if (cancellation.isCancellation(error)) {
+        endTimer({ outcome: 'cancelled' });
+        recordCancellation(candidate, 'stream', error);
+        throw error;
+      }
+      endTimer({ outcome: 'error' });
+      if (error.code !== 'content_blocked') {
+        serviceMetrics.providerErrors.inc({ provider: candidate.provider.name, error_code: serviceMetrics.errorCodeOf(error) });
+      }
+      if (isRetryableError(error)) {
+        await circuitBreaker.recordFailure(candidate.provider.name);
+      }
+      throw error;
+    } finally {
+      serviceMetrics.generationsInFlight.dec({ operation: 'stream' });
+    }
+    return;
+  }
+
+  throw createUnavailableError(model, attempts, lastError);
+};
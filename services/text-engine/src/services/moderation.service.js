@@ -0,0 +1,379 @@
+/**
+ * 内容审核服务
+ * 在生成前审核提示、生成后审核输出：依次运行策略中启用的检查器，按类别和阶段决定阻止、遮盖或标记
+ * 每次决定写入审计记录；命中阻止动作时抛出 content_blocked
+ */
+
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+const ModerationAudit = require('../models/moderationAudit.model');
+const moderationCheckers = require('../moderation');
+const { getPolicy, getAction, ACTIONS } = require('../config/moderation');
+const logger = require('../utils/logger');
+
+// 各操作需要审核的输入字段
+const INPUT_FIELDS = {
+  generate: ['prompt', 'systemPrompt'],
+  edit: ['text', 'instruction', 'before', 'after'],
+  summarize: ['text']
+};
+
+// 流式输出按片段审核：缓冲达到该长度后在句末或换行处切出片段，审核后再推送
+const STREAM_SEGMENT_CHARS = parseInt(process.env.MODERATION_STREAM_SEGMENT_CHARS || '200');
+
+// 片段边界：换行和中英文句末标点
+const SEGMENT_BOUNDARY = /[\n.!?。！？]/g;
+
+const severity = (action) => ACTIONS.indexOf(action);
+
+/**
+ * 对单个文本运行全部检查器
+ * 检查器出错时记录并跳过，其余检查器的结果仍然有效
+ */
+async function runCheckers(text, stage, policy) {
+  const checkers = moderationCheckers.getCheckers(policy.checkers || []);
+  const errors = [];
+
+  const results = await Promise.all(checkers.map(async (checker) => {
+    try {
+      const findings = await checker.check(text, { stage, policy });
+      return findings.map(finding => ({ ...finding, checker: checker.name }));
+    } catch (error) {
+      logger.warn(`Moderation checker ${checker.name} failed: ${error.message}`);
+      errors.push({ checker: checker.name, error: error.message });
+      return [];
+    }
+  }));
+
+  return { findings: results.flat(), errors, checkers: checkers.map(checker => checker.name) };
+}
+
+/**
+ * 合并并遮盖片段
+ */
+function redact(text, spans) {
+  const sorted = [...spans].sort((a, b) => a.start - b.start);
+  const merged = [];
+
+  for (const span of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && span.start <= last.end) {
+      last.end = Math.max(last.end, span.end);
+    } else {
+      merged.push({ ...span });
+    }
+  }
+
+  let result = '';
+  let cursor = 0;
+  for (const span of merged) {
+    result += `${text.slice(cursor, span.start)}[REDACTED:${span.category}]`;
+    cursor = span.end;
+  }
+
+  return result + text.slice(cursor);
+}
+
+/**
+ * 写入审计记录，失败不影响主流程
+ */
+async function writeAudit(record) {
+  try {
+    await ModerationAudit.create(record);
+  } catch (error) {
+    logger.error(`Failed to write moderation audit: ${error.message}`, { auditId: record.auditId });
+  }
+}
+
+/**
+ * 审核一组文本字段
+ * fields: { 字段名: 文本 }；context: { userId, teamId, operation, model }
+ * record 为false时不写审计（用于管理员试运行策略），throwOnBlock 为false时阻止决定以返回值给出
+ * 返回 { action, fields, categories, auditId }，fields 为遮盖后的文本
+ */
+exports.moderate = async ({ fields, stage, context = {}, record = true, throwOnBlock = true }) => {
+  const policy = getPolicy();
+  if (!policy.enabled) {
+    return { action: 'allow', fields, categories: [], auditId: null };
+  }
+
+  // 没有可审核的内容（如仅包含工具调用的输出）时不产生决定
+  const entries = Object.entries(fields).filter(([, text]) => typeof text === 'string' && text.length > 0);
+  if (entries.length === 0) {
+    return { action: 'allow', fields, categories: [], auditId: null };
+  }
+
+  const categories = new Map();
+  const checkerErrors = [];
+  let checkerNames = [];
+
+  for (const [field, text] of entries) {
+    const { findings, errors, checkers } = await runCheckers(text, stage, policy);
+    checkerErrors.push(...errors);
+    checkerNames = checkers;
+
+    for (const finding of findings) {
+      const entry = categories.get(finding.category) || {
+        category: finding.category,
+        score: 0,
+        checkers: new Set(),
+        fields: new Set(),
+        spans: {}
+      };
+      entry.score = Math.max(entry.score, finding.score || 0);
+      entry.checkers.add(finding.checker);
+      entry.fields.add(field);
+      if (finding.spans) {
+        entry.spans[field] = [...(entry.spans[field] || []), ...finding.spans.map(span => ({ ...span, category: finding.category }))];
+      }
+      categories.set(finding.category, entry);
+    }
+  }
+
+  // 按策略决定每个类别的动作；需要遮盖但检查器无法定位片段时按阻止处理
+  const decided = [...categories.values()].map(entry => {
+    let action = getAction(entry.category, stage);
+    const hasSpans = Object.keys(entry.spans).length > 0;
+    if (action === 'redact' && (!hasSpans || [...entry.fields].some(field => !entry.spans[field]))) {
+      action = 'block';
+    }
+    return { ...entry, action };
+  });
+
+  const action = decided.reduce((current, entry) => (severity(entry.action) > severity(current) ? entry.action : current), 'allow');
+
+  const redactedFields = { ...fields };
+  if (action === 'redact') {
+    for (const [field, text] of entries) {
+      const spans = decided
+        .filter(entry => entry.action === 'redact')
+        .flatMap(entry => entry.spans[field] || []);
+      if (spans.length > 0) {
+        redactedFields[field] = redact(text, spans);
+      }
+    }
+  }
+
+  const summary = decided.map(entry => ({
+    category: entry.category,
+    action: entry.action,
+    score: entry.score,
+    checkers: [...entry.checkers],
+    matches: Object.values(entry.spans).reduce((sum, spans) => sum + spans.length, 0),
+    fields: [...entry.fields]
+  }));
+
+  const content = entries.map(([, text]) => text).join('\n');
+  const auditId = record ? uuidv4() : null;
+  if (record) {
+    await writeAudit({
+      auditId,
+      userId: context.userId || 'anonymous',
+      teamId: context.teamId || null,
+      operation: context.operation || 'unknown',
+      stage,
+      model: context.model,
+      action,
+      categories: summary,
+      checkers: checkerNames,
+      checkerErrors,
+      contentHash: crypto.createHash('sha256').update(content).digest('hex'),
+      contentLength: content.length
+    });
+  }
+
+  const categoriesResult = summary.map(({ category, action: categoryAction, score }) => ({ category, action: categoryAction, score }));
+
+  if (action === 'block' && throwOnBlock) {
+    const err = new Error(`Content blocked by moderation policy (${stage})`);
+    err.code = 'content_blocked';
+    err.stage = stage;
+    err.categories = categoriesResult.filter(entry => entry.action === 'block');
+    err.auditId = auditId;
+    throw err;
+  }
+
+  if (action !== 'allow') {
+    logger.info(`Moderation ${action} on ${stage} - operation: ${context.operation}, categories: ${summary.map(entry => entry.category).join(', ')}`);
+  }
+
+  return { action, fields: redactedFields, categories: categoriesResult, auditId };
+};
+
+/**
+ * 审核生成请求的输入参数
+ * 对话历史按消息逐条审核（字段名 history.<序号>），包括工具调用循环中回传给模型的工具结果
+ * 返回 { params, decision }，params 中的相应字段已按需遮盖
+ */
+exports.moderateInput = async (operation, params, context) => {
+  const names = INPUT_FIELDS[operation] || ['prompt'];
+  const fields = Object.fromEntries(names.map(name => [name, params[name]]));
+  const history = Array.isArray(params.history) ? params.history : [];
+  history.forEach((message, index) => {
+    fields[`history.${index}`] = message.content;
+  });
+
+  const { fields: moderated, ...decision } = await exports.moderate({ fields, stage: 'input', context: { ...context, operation: context.operation || operation } });
+
+  const changed = names.filter(name => moderated[name] !== params[name]);
+  const historyChanged = history.some((message, index) => moderated[`history.${index}`] !== message.content);
+  if (changed.length === 0 && !historyChanged) {
+    return { params, decision };
+  }
+
+  return {
+    params: {
+      ...params,
+      ...Object.fromEntries(changed.map(name => [name, moderated[name]])),
+      ...(historyChanged && {
+        history: history.map((message, index) => ({ ...message, content: moderated[`history.${index}`] }))
+      })
+    },
+    decision
+  };
+};
+
+/**
+ * 审核模型输出
+ * 返回 { text, decision }
+ */
+exports.moderateOutput = async (text, context) => {
+  const { fields, ...decision } = await exports.moderate({ fields: { text }, stage: 'output', context });
+  return { text: fields.text, decision };
+};
+
+/**
+ * 查找片段切分位置（不含则返回0）
+ * 缓冲过长仍没有句末标点时退而在最后一个空白处切分
+ */
+function findSegmentEnd(text) {
+  let end = 0;
+  for (const match of text.matchAll(SEGMENT_BOUNDARY)) {
+    end = match.index + 1;
+  }
+
+  if (end === 0 && text.length >= STREAM_SEGMENT_CHARS * 4) {
+    end = text.search(/\s\S*$/) + 1;
+  }
+  return end;
+}
+
+/**
+ * 创建流式输出审核器
+ * 增量文本先缓冲，切出的片段审核通过（或遮盖）后才返回给调用方推送，命中阻止动作时抛出 content_blocked
+ * 片段审核不写审计，阻止时重新审核该片段以写入审计记录；完整输出仍由 moderateOutput 审核并记录
+ * 返回 { push(text), flush() }，均返回可推送的文本
+ */
+exports.createOutputModerator = (context) => {
+  const enabled = getPolicy().enabled;
+  let buffer = '';
+
+  const release = async (segment) => {
+    if (!segment) {
+      return '';
+    }
+
+    const { action, fields } = await exports.moderate({ fields: { text: segment }, stage: 'output', context, record: false, throwOnBlock: false });
+    if (action === 'block') {
+      await exports.moderate({ fields: { text: segment }, stage: 'output', context });
+    }
+    return fields.text;
+  };
+
+  return {
+    async push(text) {
+      if (!enabled) {
+        return text;
+      }
+
+      buffer += text;
+
+      const end = buffer.length >= STREAM_SEGMENT_CHARS ? findSegmentEnd(buffer) : 0;
+      if (end === 0) {
+        return '';
+      }
+
+      const segment = buffer.slice(0, end);
+      buffer = buffer.slice(end);
+      return release(segment);
+    },
+
+    async flush() {
+      const segment = buffer;
+      buffer = '';
+      return release(segment);
+    }
+  };
+};
+
+/**
+ * 生成响应中的审核说明
+ * 输入和输出均放行时返回null
+ */
+exports.describe = (moderation) => {
+  if (!moderation || [moderation.input, moderation.output].every(decision => !decision || decision.action === 'allow')) {
+    return null;
+  }
+
+  return { input: moderation.input, output: moderation.output };
+};
+
+/**
+ * 时间范围条件
+ */
+function dateRange(from, to) {
+  return {
+    ...(from && { $gte: new Date(from) }),
+    ...(to && { $lte: new Date(to) })
+  };
+}
+
+/**
+ * 分页查询审计记录
+ */
+exports.listAudits = async ({ userId, action, category, stage, operation, from, to }, { page = 1, limit = 50 }) => {
+  const query = {
+    ...(userId && { userId }),
+    ...(action && { action }),
+    ...(category && { 'categories.category': category }),
+    ...(stage && { stage }),
+    ...(operation && { operation }),
+    ...((from || to) && { createdAt: dateRange(from, to) })
+  };
+
+  const [audits, total] = await Promise.all([
+    ModerationAudit.find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .select('-_id -__v'),
+    ModerationAudit.countDocuments(query)
+  ]);
+
+  return { audits, total };
+};
+
+/**
+ * 按动作和类别统计审计记录
+ */
+exports.getAuditStats = ({ from, to } = {}) => {
+  const match = from || to ? { createdAt: dateRange(from, to) } : {};
+
+  return ModerationAudit.aggregate([
+    { $match: match },
+    { $unwind: { path: '$categories', preserveNullAndEmptyArrays: true } },
+    {
+      $group: {
+        _id: { stage: '$stage', action: '$action', category: { $ifNull: ['$categories.category', null] } },
+        count: { $sum: 1 }
+      }
+    },
+    { $sort: { count: -1 } },
+    { $project: { _id: 0, stage: '$_id.stage', action: '$_id.action', category: '$_id.category', count: 1 } }
+  ]);
+};
+
+/**
+ * 获取单条审计记录
+ */
+exports.getAudit = (auditId) => ModerationAudit.findOne({ auditId }).select('-_id -__v');
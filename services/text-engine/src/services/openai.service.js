@@ -4,46 +4,71 @@
  */
 
 const { OpenAI } = require('openai');
+const { createOpenAIClient } = require('../clients/openai.client');
 const logger = require('../utils/logger');
 const { ERROR_CODES } = require('../utils/errorCodes');
-const cache = require('../utils/cache');
+const responseCache = require('../utils/responseCache');
+const { buildCacheKey } = require('../utils/cacheKey');
+const { buildEditPrompt } = require('../utils/editPrompt');
+const { isRetryableError } = require('../utils/providerErrors');
+const serviceMetrics = require('../utils/serviceMetrics');
+const tracing = require('../utils/tracing');
+const cancellation = require('../utils/cancellation');
+const summarizationService = require('./summarization.service');
 
-// 初始化OpenAI客户端
-const openai = new OpenAI({
+// 初始化OpenAI客户端；OPENAI_MODE 为 record/replay/fake 时使用录制回放或模拟客户端，见 config/providerMode
+const openai = createOpenAIClient(() => new OpenAI({
   apiKey: process.env.OPENAI_API_KEY,
   organization: process.env.OPENAI_ORG_ID,
   timeout: parseInt(process.env.API_TIMEOUT || '30000'), // 毫秒
   maxRetries: 2
-});
+}));
 
-// 默认配置
+// 默认配置；离线测试可缩短单次超时和重试间隔
 const DEFAULT_CONFIG = {
   maxRetries: 2,
-  retryDelay: 1000,
-  timeout: 30000,
+  retryDelay: parseInt(process.env.OPENAI_RETRY_DELAY_MS || '1000'),
+  timeout: parseInt(process.env.API_TIMEOUT || '30000'),
 };
 
+// 缓存回放时每个流式片段的字符数
+const STREAM_REPLAY_CHUNK_SIZE = 24;
+
+/**
+ * 单次API请求的选项：透传请求ID和追踪上下文，signal 中止时SDK取消HTTP请求
+ */
+function requestOptions(signal) {
+  return { headers: tracing.propagationHeaders(), signal };
+}
+
 /**
  * 智能重试机制
+ * operation 接收本次尝试的 AbortSignal：超时或 options.signal 中止时取消上游请求
+ * options.signal 中止后不再重试，抛出取消错误
  */
 async function executeWithRetry(operation, options = {}) {
-  const config = { ...DEFAULT_CONFIG, ...options };
+  const { signal, ...overrides } = options;
+  const config = { ...DEFAULT_CONFIG, ...overrides };
   let lastError = null;
   
   for (let attempt = 0; attempt <= config.maxRetries; attempt++) {
+    cancellation.throwIfCancelled(signal);
+    
+    // 每次尝试独立的控制器：调用方取消或本次超时都会中止请求
+    const { controller, dispose } = cancellation.linkController(signal);
+    const timer = setTimeout(() => controller.abort(new Error('Request timed out')), config.timeout);
+    
     try {
-      // 使用超时Promise包装API调用
-      const timeoutPromise = new Promise((_, reject) => {
-        setTimeout(() => reject(new Error('Request timed out')), config.timeout);
+      // 每次尝试一个 span，请求头中的 traceparent 指向该 span
+      const result = await tracing.withSpan('openai.attempt', { kind: 'client', attributes: { 'retry.attempt': attempt } }, () => {
+        return raceAttempt(operation(controller.signal), controller.signal);
       });
       
-      const result = await Promise.race([
-        operation(),
-        timeoutPromise
-      ]);
-      
       return result;
     } catch (error) {
+      if (signal?.aborted) {
+        throw cancellation.cancellationError(signal);
+      }
       lastError = error;
       
       // 判断错误是否可重试
@@ -56,36 +81,34 @@ async function executeWithRetry(operation, options = {}) {
       // 计算指数退避延迟
       const delay = calculateBackoff(attempt, config.retryDelay);
       logger.warn(`OpenAI API error, retrying in ${delay}ms: ${error.message}`);
+      serviceMetrics.providerRetries.inc({ provider: 'openai', error_code: serviceMetrics.errorCodeOf(error) });
       
       // 等待后重试
-      await new Promise(resolve => setTimeout(resolve, delay));
+      await cancellation.delay(delay, signal);
+    } finally {
+      clearTimeout(timer);
+      dispose();
     }
   }
   
   // 所有重试都失败，抛出适当错误
-  throw mapToServiceError(lastError);
+  // 映射后的错误可能丢失原始响应，保留可重试分类供熔断器判断
+  const serviceError = mapToServiceError(lastError);
+  if (lastError && typeof serviceError.retryable !== 'boolean') {
+    serviceError.retryable = isRetryableError(lastError);
+  }
+  throw serviceError;
 }
 
 /**
- * 判断错误是否可重试
+ * 等待单次尝试，中止时立即以中止原因（超时错误或取消错误）拒绝
  */
-function isRetryableError(error) {
-  // 处理超时错误
-  if (error.message.includes('timed out') || error.code === 'ETIMEDOUT') {
-    return true;
-  }
-  
-  // 处理OpenAI特定错误
-  if (error.response) {
-    const status = error.response.status;
-    // 429 (速率限制), 500, 502, 503, 504 (服务器错误) 可重试
-    return [429, 500, 502, 503, 504].includes(status);
-  }
-  
-  // 网络错误通常可重试
-  return error.code === 'ECONNRESET' || 
-         error.code === 'ECONNREFUSED' || 
-         error.code === 'ENOTFOUND';
+function raceAttempt(promise, signal) {
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
 }
 
 /**
@@ -108,10 +131,10 @@ function mapToServiceError(error) {
     return new Error('Unknown error occurred');
   }
   
-  // 处理OpenAI特定错误
-  if (error.response) {
-    const status = error.response.status;
-    const data = error.response.data;
+  // 处理OpenAI特定错误：SDK 的 APIError 带 status 和 error，兼容带 response 的HTTP错误
+  const status = error.status ?? error.response?.status;
+  if (status) {
+    const data = error.response?.data ?? { error: error.error };
     
     switch (status) {
       case 400:
@@ -145,52 +168,137 @@ function mapToServiceError(error) {
   return error;
 }
 
+/**
+ * 构建文本生成缓存键
+ * 覆盖全部生成参数，避免不同采样参数的请求命中同一缓存
+ */
+function buildTextCacheKey({ model, temperature, maxTokens, prompt, systemPrompt, history, responseFormat, tools, options }) {
+  return buildCacheKey({
+    operation: 'text',
+    model,
+    params: {
+      prompt,
+      systemPrompt,
+      history: history.length > 0 ? history : undefined,
+      responseFormat,
+      tools: tools?.map(tool => tool.name),
+      temperature,
+      maxTokens,
+      topP: options.topP || 1,
+      frequencyPenalty: options.frequencyPenalty || 0,
+      presencePenalty: options.presencePenalty || 0
+    }
+  });
+}
+
+/**
+ * 根据令牌使用量设置缓存时间 - 越长的响应缓存越久
+ */
+function calculateTextCacheTTL(totalTokens) {
+  return Math.min(
+    24 * 60 * 60, // 最大1天
+    Math.max(
+      60 * 30, // 最小30分钟
+      totalTokens * 20 // 每个令牌20秒
+    )
+  );
+}
+
+/**
+ * 转换为OpenAI工具定义
+ */
+function toOpenAITools(tools) {
+  return tools.map(tool => ({
+    type: 'function',
+    function: {
+      name: tool.name,
+      description: tool.description,
+      parameters: tool.parameters
+    }
+  }));
+}
+
+/**
+ * 构建聊天消息数组
+ * history 为多轮对话中当前提示之前的消息 [{ role, content, toolCalls?, toolCallId? }]
+ * prompt 为null时不追加用户消息（工具调用循环中以工具结果结尾）
+ */
+function buildMessages(prompt, systemPrompt, history = []) {
+  const messages = [];
+  
+  // 添加系统提示
+  if (systemPrompt) {
+    messages.push({
+      role: 'system',
+      content: systemPrompt
+    });
+  }
+  
+  // 添加历史消息
+  for (const message of history) {
+    messages.push({
+      role: message.role,
+      content: message.content,
+      ...(message.toolCalls && {
+        tool_calls: message.toolCalls.map(call => ({
+          id: call.id,
+          type: 'function',
+          function: { name: call.name, arguments: JSON.stringify(call.arguments) }
+        }))
+      }),
+      ...(message.toolCallId && { tool_call_id: message.toolCallId })
+    });
+  }
+  
+  // 添加用户提示
+  if (prompt !== null) {
+    messages.push({
+      role: 'user',
+      content: prompt
+    });
+  }
+  
+  return messages;
+}
+
 /**
  * 文本生成服务
+ * responseFormat 为 'json' 时启用JSON模式，模型只输出合法的JSON对象
+ * 传入 tools 时模型可请求调用工具，请求的调用在 toolCalls 中返回 [{ id, name, arguments }]
  */
 exports.generateText = async (params) => {
   const { 
     prompt, 
     systemPrompt = '', 
+    history = [],
+    responseFormat,
+    tools,
     temperature = 0.7, 
     maxTokens = 1000, 
     model = 'gpt-4',
     userId = 'anonymous',
     useCaching = true,
+    cache: cacheOptions,
+    signal,
     ...options
   } = params;
   
   // 缓存逻辑 - 对于相同的输入参数，返回缓存的结果
-  if (useCaching) {
-    const cacheKey = `openai:text:${model}:${temperature}:${maxTokens}:${Buffer.from(prompt).toString('base64')}:${Buffer.from(systemPrompt).toString('base64')}`;
-    const cachedResult = await cache.get(cacheKey);
-    
-    if (cachedResult) {
-      logger.info(`Cache hit for text generation: ${cacheKey.substring(0, 40)}...`);
-      return JSON.parse(cachedResult);
-    }
+  const cacheControl = responseCache.resolveControl({ useCaching, cache: cacheOptions });
+  const cacheKey = buildTextCacheKey({ model, temperature, maxTokens, prompt, systemPrompt, history, responseFormat, tools, options });
+  const cachedResult = await responseCache.lookup({ key: cacheKey, operation: 'text', model, control: cacheControl });
+  
+  if (cachedResult) {
+    logger.info(`Cache hit for text generation: ${cacheKey}`);
+    return { ...cachedResult, cached: true };
   }
   
   try {
     // 构建消息数组
-    const messages = [];
-    
-    // 添加系统提示
-    if (systemPrompt) {
-      messages.push({
-        role: 'system',
-        content: systemPrompt
-      });
-    }
-    
-    // 添加用户提示
-    messages.push({
-      role: 'user',
-      content: prompt
-    });
+    const messages = buildMessages(prompt, systemPrompt, history);
     
     // 调用OpenAI API生成文本
-    const result = await executeWithRetry(async () => {
+    const result = await executeWithRetry(async (attemptSignal) => {
       const response = await openai.chat.completions.create({
         model,
         messages,
@@ -199,18 +307,28 @@ exports.generateText = async (params) => {
         top_p: options.topP || 1,
         frequency_penalty: options.frequencyPenalty || 0,
         presence_penalty: options.presencePenalty || 0,
+        ...(responseFormat === 'json' && { response_format: { type: 'json_object' } }),
+        ...(tools?.length > 0 && { tools: toOpenAITools(tools) }),
         user: userId,
-      });
+      }, requestOptions(attemptSignal));
       
       return response;
-    });
+    }, { signal });
     
     // 处理API响应
-    const generatedText = result.choices[0].message.content;
+    const message = result.choices[0].message;
+    const generatedText = message.content || '';
     const totalTokens = result.usage.total_tokens;
     
     const responseData = {
       text: generatedText,
+      ...(message.tool_calls?.length > 0 && {
+        toolCalls: message.tool_calls.map(call => ({
+          id: call.id,
+          name: call.function.name,
+          arguments: call.function.arguments
+        }))
+      }),
       usage: {
         promptTokens: result.usage.prompt_tokens,
         completionTokens: result.usage.completion_tokens,
@@ -220,27 +338,143 @@ exports.generateText = async (params) => {
     };
     
     // 将结果存入缓存
-    if (useCaching) {
-      const cacheKey = `openai:text:${model}:${temperature}:${maxTokens}:${Buffer.from(prompt).toString('base64')}:${Buffer.from(systemPrompt).toString('base64')}`;
-      // 根据令牌使用量设置缓存时间 - 越长的响应缓存越久
-      const cacheTTL = Math.min(
-        24 * 60 * 60, // 最大1天
-        Math.max(
-          60 * 30, // 最小30分钟
-          totalTokens * 20 // 每个令牌20秒
-        )
-      );
-      
-      await cache.set(cacheKey, JSON.stringify(responseData), cacheTTL);
-    }
+    await responseCache.store({
+      key: cacheKey,
+      operation: 'text',
+      model,
+      userId,
+      value: responseData,
+      ttl: calculateTextCacheTTL(totalTokens),
+      control: cacheControl
+    });
     
     return responseData;
     
   } catch (error) {
+    if (cancellation.isCancellation(error)) {
+      throw error;
+    }
+    
     logger.error(`OpenAI text generation error: ${error.message}`, {
+      model,
+      userId,
+      promptLength: prompt?.length || 0,
+      stack: error.stack
+    });
+    
+    throw error;
+  }
+};
+
+/**
+ * 流式文本生成服务
+ * 异步生成器，逐个产出 { type: 'delta', text } 事件，最后产出 { type: 'done', ... } 汇总事件
+ * 缓存命中时按片段回放缓存内容，保证调用方始终以流的方式消费
+ */
+exports.generateTextStream = async function* (params) {
+  const { 
+    prompt, 
+    systemPrompt = '', 
+    history = [],
+    temperature = 0.7, 
+    maxTokens = 1000, 
+    model = 'gpt-4',
+    userId = 'anonymous',
+    useCaching = true,
+    cache: cacheOptions,
+    signal,
+    ...options
+  } = params;
+  
+  const cacheControl = responseCache.resolveControl({ useCaching, cache: cacheOptions });
+  const cacheKey = buildTextCacheKey({ model, temperature, maxTokens, prompt, systemPrompt, history, options });
+  const cached = await responseCache.lookup({ key: cacheKey, operation: 'text', model, control: cacheControl });
+  
+  // 缓存命中 - 以流的形式回放
+  if (cached) {
+    logger.info(`Cache hit for streamed text generation: ${cacheKey}`);
+    
+    for (let i = 0; i < cached.text.length; i += STREAM_REPLAY_CHUNK_SIZE) {
+      yield { type: 'delta', text: cached.text.slice(i, i + STREAM_REPLAY_CHUNK_SIZE) };
+    }
+    
+    yield { type: 'done', ...cached, cached: true };
+    return;
+  }
+  
+  let generatedText = '';
+  
+  try {
+    // 仅对建立流的请求进行重试，首个令牌到达后不再重试
+    const stream = await executeWithRetry(async (attemptSignal) => {
+      return await openai.chat.completions.create({
+        model,
+        messages: buildMessages(prompt, systemPrompt, history),
+        temperature,
+        max_tokens: maxTokens,
+        top_p: options.topP || 1,
+        frequency_penalty: options.frequencyPenalty || 0,
+        presence_penalty: options.presencePenalty || 0,
+        user: userId,
+        stream: true,
+        stream_options: { include_usage: true }
+      }, requestOptions(attemptSignal));
+    }, { signal });
+    
+    let usage = null;
+    let responseModel = model;
+    
+    // 流建立后由调用方的信号中止：结束迭代时SDK关闭HTTP连接
+    for await (const chunk of cancellation.abortableIterator(stream, signal)) {
+      responseModel = chunk.model || responseModel;
+      
+      // 最后一个分片携带令牌使用量
+      if (chunk.usage) {
+        usage = {
+          promptTokens: chunk.usage.prompt_tokens,
+          completionTokens: chunk.usage.completion_tokens,
+          totalTokens: chunk.usage.total_tokens
+        };
+      }
+      
+      const delta = chunk.choices?.[0]?.delta?.content;
+      if (delta) {
+        generatedText += delta;
+        yield { type: 'delta', text: delta };
+      }
+    }
+    
+    const responseData = {
+      text: generatedText,
+      usage,
+      model: responseModel
+    };
+    
+    // 完整生成后才写入缓存，避免缓存被中断的输出
+    if (usage) {
+      await responseCache.store({
+        key: cacheKey,
+        operation: 'text',
+        model,
+        userId,
+        value: responseData,
+        ttl: calculateTextCacheTTL(usage.totalTokens),
+        control: cacheControl
+      });
+    }
+    
+    yield { type: 'done', ...responseData, cached: false };
+    
+  } catch (error) {
+    if (cancellation.isCancellation(error)) {
+      throw error;
+    }
+    
+    logger.error(`OpenAI streamed text generation error: ${error.message}`, {
       model,
       userId,
       promptLength: prompt.length,
+      generatedLength: generatedText.length,
       stack: error.stack
     });
     
@@ -255,46 +489,44 @@ exports.editText = async (params) => {
   const {
     text,
     instruction,
+    before = '',
+    after = '',
     model = 'gpt-4',
     temperature = 0.5,
     useCaching = true,
-    userId = 'anonymous'
+    cache: cacheOptions,
+    userId = 'anonymous',
+    signal
   } = params;
   
   // 缓存逻辑
-  if (useCaching) {
-    const cacheKey = `openai:edit:${model}:${temperature}:${Buffer.from(text).toString('base64')}:${Buffer.from(instruction).toString('base64')}`;
-    const cachedResult = await cache.get(cacheKey);
-    
-    if (cachedResult) {
-      logger.info(`Cache hit for text editing: ${cacheKey.substring(0, 40)}...`);
-      return JSON.parse(cachedResult);
-    }
+  const cacheControl = responseCache.resolveControl({ useCaching, cache: cacheOptions });
+  const cacheKey = buildCacheKey({ operation: 'edit', model, params: { text, instruction, before, after, temperature } });
+  const cachedResult = await responseCache.lookup({ key: cacheKey, operation: 'edit', model, control: cacheControl });
+  
+  if (cachedResult) {
+    logger.info(`Cache hit for text editing: ${cacheKey}`);
+    return { ...cachedResult, cached: true };
   }
   
   try {
-    // 使用聊天API实现编辑功能
+    // 使用聊天API实现编辑功能；指定范围时附带前后文，只改写目标片段
+    const { systemPrompt, prompt } = buildEditPrompt({ text, instruction, before, after });
     const messages = [
-      {
-        role: 'system',
-        content: '你是一个能够根据指令编辑文本的助手。请遵循用户的指令修改提供的文本。只返回修改后的完整文本，不要添加额外的解释。'
-      },
-      {
-        role: 'user',
-        content: `原文本:\n${text}\n\n指令:\n${instruction}\n\n修改后的文本:`
-      }
+      { role: 'system', content: systemPrompt },
+      { role: 'user', content: prompt }
     ];
     
-    const result = await executeWithRetry(async () => {
+    const result = await executeWithRetry(async (attemptSignal) => {
       const response = await openai.chat.completions.create({
         model,
         messages,
         temperature,
         user: userId,
-      });
+      }, requestOptions(attemptSignal));
       
       return response;
-    });
+    }, { signal });
     
     const editedText = result.choices[0].message.content;
     
@@ -309,14 +541,23 @@ exports.editText = async (params) => {
     };
     
     // 缓存结果
-    if (useCaching) {
-      const cacheKey = `openai:edit:${model}:${temperature}:${Buffer.from(text).toString('base64')}:${Buffer.from(instruction).toString('base64')}`;
-      await cache.set(cacheKey, JSON.stringify(responseData), 60 * 60 * 12); // 12小时
-    }
+    await responseCache.store({
+      key: cacheKey,
+      operation: 'edit',
+      model,
+      userId,
+      value: responseData,
+      ttl: 60 * 60 * 12, // 12小时
+      control: cacheControl
+    });
     
     return responseData;
     
   } catch (error) {
+    if (cancellation.isCancellation(error)) {
+      throw error;
+    }
+    
     logger.error(`OpenAI text editing error: ${error.message}`, {
       model,
       userId,
@@ -331,6 +572,7 @@ exports.editText = async (params) => {
 
 /**
  * 文本总结服务
+ * 超出模型上下文的长文本采用分块总结再逐层合并的方式
  */
 exports.summarizeText = async (params) => {
   const {
@@ -340,20 +582,26 @@ exports.summarizeText = async (params) => {
     temperature = 0.5,
     model = 'gpt-3.5-turbo',
     userId = 'anonymous',
-    useCaching = true
+    useCaching = true,
+    includeIntermediate = false,
+    onProgress,
+    signal
   } = params;
   
-  // 构建系统提示，引导模型生成合适的总结
-  const systemPrompt = `总结以下文本，创建一个${format === 'bullets' ? '要点列表' : '段落'}。总结应包含最重要的信息，不超过${maxLength}个单词。`;
-  
   // 复用文本生成函数
-  return this.generateText({
-    prompt: text,
-    systemPrompt,
+  return summarizationService.summarize({
+    text,
+    maxLength,
+    format,
     temperature,
     model,
     userId,
-    useCaching
+    useCaching,
+    includeIntermediate,
+    onProgress,
+    signal,
+    contextWindow: getModelMaxTokens(model),
+    generate: (generationParams) => exports.generateText(generationParams)
   });
 };
 
@@ -424,6 +672,22 @@ function getModelMaxTokens(modelId) {
   return tokenLimits[modelId] || 4096; // 默认4096
 }
 
+/**
+ * 内容审核
+ * 返回 { categories: { name: boolean }, scores: { name: number } }
+ */
+exports.moderateContent = async (input) => {
+  const response = await executeWithRetry(async (attemptSignal) => {
+    return await openai.moderations.create({ input }, requestOptions(attemptSignal));
+  }, { timeout: 10000 });
+  
+  const result = response.results[0];
+  return {
+    categories: result.categories,
+    scores: result.category_scores
+  };
+};
+
 /**
  * 健康检查，验证API连接
  */
@@ -0,0 +1,342 @@
+/**
+ * 个人信息保护服务
+ * 在请求发往提供方之前，将个人信息替换为稳定的占位符（同一值在同一请求内始终对应同一占位符），
+ * 返回前在生成或编辑结果中还原原值
+ * 占位符与原值的映射只保存在单次请求的内存中，不写入缓存、日志或数据库
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const PrivacyPolicy = require('../models/privacyPolicy.model');
+const { getRedisClient } = require('../config/redis');
+const { detect, validatePattern } = require('../utils/piiDetector');
+const logger = require('../utils/logger');
+const { ENTITY_TYPES, PII_ACTIONS, DEFAULT_POLICY, POLICY_CACHE_TTL } = require('../config/privacy');
+
+// 各操作需要保护的输入字段（另含对话历史的 content）
+const PROTECTED_FIELDS = {
+  generate: ['prompt', 'systemPrompt'],
+  edit: ['text', 'instruction', 'before', 'after'],
+  summarize: ['text']
+};
+
+const PLACEHOLDER_PATTERN = /\[\[([A-Z][A-Z0-9_]*_\d+)\]\]/g;
+
+// 流式输出末尾可能是被截断的占位符
+const PARTIAL_PLACEHOLDER_PATTERN = /\[(?:\[(?:[A-Z][A-Z0-9_]*)?(?:_\d*)?\]?)?$/;
+
+// 租户ID -> { policy, version, expiresAt }
+const policyCache = new Map();
+
+// 策略版本号，更新策略时写入，各副本据此判断本地缓存是否过期
+const POLICY_VERSION_PREFIX = 'privacy:policy:version:';
+
+/**
+ * 读取租户策略的版本号
+ * Redis 不可用时返回null，此时本地缓存仅按 POLICY_CACHE_TTL 过期
+ */
+async function readPolicyVersion(tenantId) {
+  const client = getRedisClient();
+  if (!client) {
+    return null;
+  }
+
+  try {
+    return await client.get(`${POLICY_VERSION_PREFIX}${tenantId}`);
+  } catch (error) {
+    logger.warn(`Failed to read privacy policy version: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 写入新的策略版本号，使其他副本的本地缓存失效
+ * 版本号的过期时间不短于本地缓存时间，过期后各副本的缓存也已按TTL失效
+ */
+async function bumpPolicyVersion(tenantId) {
+  const client = getRedisClient();
+  if (!client) {
+    return;
+  }
+
+  try {
+    await client.set(`${POLICY_VERSION_PREFIX}${tenantId}`, uuidv4(), { EX: Math.ceil(POLICY_CACHE_TTL / 1000) });
+  } catch (error) {
+    logger.warn(`Failed to publish privacy policy version: ${error.message}`);
+  }
+}
+
+/**
+ * 合并租户策略与默认策略
+ */
+function mergePolicy(stored) {
+  if (!stored) {
+    return DEFAULT_POLICY;
+  }
+
+  return {
+    enabled: DEFAULT_POLICY.enabled && stored.enabled !== false,
+    entities: Object.fromEntries(ENTITY_TYPES.map(type => [type, stored.entities?.[type] || DEFAULT_POLICY.entities[type]])),
+    customPatterns: stored.customPatterns || []
+  };
+}
+
+/**
+ * 获取租户的生效策略
+ * 本地缓存在 POLICY_CACHE_TTL 内有效，且 Redis 中的版本号变化时（其他副本更新了策略）立即失效
+ */
+exports.getPolicy = async (tenantId) => {
+  if (!tenantId) {
+    return DEFAULT_POLICY;
+  }
+
+  const version = await readPolicyVersion(tenantId);
+  const cached = policyCache.get(tenantId);
+  if (cached && cached.expiresAt > Date.now() && cached.version === version) {
+    return cached.policy;
+  }
+
+  const stored = await PrivacyPolicy.findOne({ tenantId }).lean();
+  const policy = mergePolicy(stored);
+  policyCache.set(tenantId, { policy, version, expiresAt: Date.now() + POLICY_CACHE_TTL });
+  return policy;
+};
+
+/**
+ * 更新租户策略
+ * 自定义规则的正则无效时抛出 invalid_privacy_policy
+ */
+exports.updatePolicy = async (tenantId, { enabled, entities = {}, customPatterns }, updatedBy) => {
+  const details = [];
+
+  for (const [type, action] of Object.entries(entities)) {
+    if (!ENTITY_TYPES.includes(type) || !PII_ACTIONS.includes(action)) {
+      details.push({ field: `entities.${type}`, message: `must be one of: ${PII_ACTIONS.join(', ')}` });
+    }
+  }
+
+  (customPatterns || []).forEach((rule, index) => {
+    if (!/^[a-z][a-z0-9_]{0,31}$/.test(rule.name || '') || ENTITY_TYPES.includes(rule.name)) {
+      details.push({ field: `customPatterns[${index}].name`, message: 'must be a new lowercase identifier' });
+    }
+    const problem = validatePattern(rule.pattern || '', rule.flags);
+    if (!rule.pattern || problem) {
+      details.push({ field: `customPatterns[${index}].pattern`, message: problem || 'is required' });
+    }
+    if (rule.action && !PII_ACTIONS.includes(rule.action)) {
+      details.push({ field: `customPatterns[${index}].action`, message: `must be one of: ${PII_ACTIONS.join(', ')}` });
+    }
+  });
+
+  if (details.length > 0) {
+    const err = new Error('Invalid privacy policy');
+    err.code = 'invalid_privacy_policy';
+    err.details = details;
+    throw err;
+  }
+
+  const update = {
+    updatedBy,
+    ...(enabled !== undefined && { enabled }),
+    ...(customPatterns && { customPatterns }),
+    ...Object.fromEntries(Object.entries(entities).map(([type, action]) => [`entities.${type}`, action]))
+  };
+
+  const stored = await PrivacyPolicy.findOneAndUpdate(
+    { tenantId },
+    { $set: update },
+    { new: true, upsert: true, lean: true }
+  );
+
+  policyCache.delete(tenantId);
+  await bumpPolicyVersion(tenantId);
+  return mergePolicy(stored);
+};
+
+/**
+ * 创建单次请求的占位符映射
+ * 对象不可序列化（toJSON 返回空对象），防止被意外写入日志或缓存
+ */
+function createVault() {
+  const placeholders = new Map();
+  const values = new Map();
+  const counters = {};
+
+  const vault = {
+    /**
+     * 获取值对应的占位符，同一类型的同一值复用同一占位符
+     */
+    placeholderFor(type, value) {
+      const key = `${type}\u0000${value}`;
+      if (!values.has(key)) {
+        counters[type] = (counters[type] || 0) + 1;
+        const placeholder = `${type.toUpperCase()}_${counters[type]}`;
+        values.set(key, placeholder);
+        placeholders.set(placeholder, value);
+      }
+      return `[[${values.get(key)}]]`;
+    },
+
+    /**
+     * 还原文本中的占位符
+     */
+    rehydrate(text) {
+      if (typeof text !== 'string' || placeholders.size === 0) {
+        return text;
+      }
+      return text.replace(PLACEHOLDER_PATTERN, (match, name) => (placeholders.has(name) ? placeholders.get(name) : match));
+    },
+
+    /**
+     * 流式还原：暂存可能被截断的占位符，直到其完整到达
+     * 返回 { push(text) => string, flush() => string }
+     */
+    createStreamRehydrator() {
+      let buffer = '';
+      return {
+        push(text) {
+          buffer += text;
+          const partial = placeholders.size > 0 ? buffer.match(PARTIAL_PLACEHOLDER_PATTERN) : null;
+          const cut = partial ? partial.index : buffer.length;
+          const ready = buffer.slice(0, cut);
+          buffer = buffer.slice(cut);
+          return vault.rehydrate(ready);
+        },
+        flush() {
+          const rest = buffer;
+          buffer = '';
+          return vault.rehydrate(rest);
+        }
+      };
+    },
+
+    get size() {
+      return placeholders.size;
+    },
+
+    toJSON() {
+      return {};
+    }
+  };
+
+  return vault;
+}
+
+/**
+ * 按策略处理单个文本
+ * 返回替换后的文本，命中 block 动作的类型记入 blocked
+ */
+function protectText(text, policy, vault, report) {
+  if (typeof text !== 'string' || text.length === 0) {
+    return text;
+  }
+
+  const types = ENTITY_TYPES.filter(type => policy.entities[type] !== 'allow');
+  const customPatterns = policy.customPatterns.filter(rule => rule.action !== 'allow');
+  const customActions = Object.fromEntries(customPatterns.map(rule => [rule.name, rule.action || 'redact']));
+  const spans = detect(text, { types, customPatterns });
+
+  let result = '';
+  let cursor = 0;
+  for (const span of spans) {
+    const action = customActions[span.type] || policy.entities[span.type] || 'redact';
+    if (action === 'block') {
+      report.blocked.add(span.type);
+      continue;
+    }
+
+    result += text.slice(cursor, span.start) + vault.placeholderFor(span.type, span.value);
+    cursor = span.end;
+    report.redacted[span.type] = (report.redacted[span.type] || 0) + 1;
+  }
+
+  return result + text.slice(cursor);
+}
+
+/**
+ * 递归处理工具参数中的字符串值
+ */
+function protectValue(value, policy, vault, report) {
+  if (typeof value === 'string') {
+    return protectText(value, policy, vault, report);
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => protectValue(item, policy, vault, report));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, protectValue(item, policy, vault, report)]));
+  }
+  return value;
+}
+
+/**
+ * 保护生成请求的输入参数
+ * 返回 { params, vault, report }，report.redacted 为各类型的替换次数
+ * 命中 block 策略时抛出 pii_blocked
+ */
+exports.protect = async (operation, params, { tenantId } = {}) => {
+  const policy = await exports.getPolicy(tenantId);
+  const vault = createVault();
+  const report = { redacted: {}, blocked: new Set() };
+
+  if (!policy.enabled) {
+    return { params, vault, report: { redacted: {} } };
+  }
+
+  const protectedParams = { ...params };
+  for (const field of PROTECTED_FIELDS[operation] || ['prompt']) {
+    protectedParams[field] = protectText(params[field], policy, vault, report);
+  }
+
+  // 历史消息包括工具调用循环中已还原的工具参数和工具结果
+  if (Array.isArray(params.history)) {
+    protectedParams.history = params.history.map(message => ({
+      ...message,
+      ...(typeof message.content === 'string' && { content: protectText(message.content, policy, vault, report) }),
+      ...(message.toolCalls && {
+        toolCalls: message.toolCalls.map(call => ({ ...call, arguments: protectValue(call.arguments, policy, vault, report) }))
+      })
+    }));
+  }
+
+  if (report.blocked.size > 0) {
+    const err = new Error(`Request contains personal information that policy does not allow to be sent: ${[...report.blocked].join(', ')}`);
+    err.code = 'pii_blocked';
+    err.entityTypes = [...report.blocked];
+    throw err;
+  }
+
+  return {
+    params: vault.size > 0 ? protectedParams : params,
+    vault,
+    report: { redacted: report.redacted }
+  };
+};
+
+/**
+ * 合并多次调用的替换报告（如结构化输出的修复重试、工具调用的多轮循环）
+ * 后续调用会再次处理已出现过的内容，各类型取最大次数
+ */
+exports.mergeReports = (current, next) => {
+  if (!current || !next) {
+    return current || next;
+  }
+
+  const redacted = { ...current.redacted };
+  for (const [type, count] of Object.entries(next.redacted)) {
+    redacted[type] = Math.max(redacted[type] || 0, count);
+  }
+  return { redacted };
+};
+
+/**
+ * 生成响应中的个人信息保护说明
+ * 未替换任何内容时返回null
+ */
+exports.describe = (report) => {
+  const types = Object.keys(report?.redacted || {});
+  if (types.length === 0) {
+    return null;
+  }
+
+  return { redactedEntityTypes: types, counts: report.redacted };
+};
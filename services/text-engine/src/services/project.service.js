@@ -0,0 +1,264 @@
+/**
+ * 项目管理服务
+ * 项目的创建、检索（关键词搜索与筛选）、排序白名单、标签与文件夹整理以及删除
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const TextProject = require('../models/textProject.model');
+const ProjectRevision = require('../models/projectRevision.model');
+const ProjectCollaborator = require('../models/projectCollaborator.model');
+const revisionService = require('./projectRevision.service');
+const requestContext = require('../utils/requestContext');
+
+// 允许排序的字段及其对应的文档路径
+const SORT_FIELDS = {
+  createdAt: 'createdAt',
+  updatedAt: 'updatedAt',
+  title: 'title',
+  model: 'model',
+  tokensUsed: 'metadata.tokensUsed'
+};
+
+const MAX_TAGS = 20;
+const MAX_TAG_LENGTH = 50;
+const LIST_FIELDS = 'projectId title folder tags archived createdAt updatedAt model metadata.tokensUsed';
+
+// 关键词检索的长度与词数上限，限制每次检索生成的正则规模
+const MAX_SEARCH_LENGTH = 100;
+const MAX_SEARCH_TERMS = 5;
+const SEARCH_FIELDS = ['title', 'content', 'prompt'];
+
+/**
+ * 解析排序参数
+ * 字段不在白名单中时返回null
+ */
+exports.resolveSort = (sortBy = 'createdAt', order = 'desc') => {
+  if (!Object.prototype.hasOwnProperty.call(SORT_FIELDS, sortBy)) {
+    return null;
+  }
+
+  const field = SORT_FIELDS[sortBy];
+
+  const direction = order === 'asc' ? 1 : -1;
+  // 追加 projectId 保证分页顺序稳定
+  return { [field]: direction, projectId: direction };
+};
+
+/**
+ * 规范化标签：去空白、小写、去重
+ */
+exports.normalizeTags = (tags = []) => {
+  return [...new Set(
+    [].concat(tags)
+      .map(tag => String(tag).trim().toLowerCase())
+      .filter(tag => tag && tag.length <= MAX_TAG_LENGTH)
+  )].slice(0, MAX_TAGS);
+};
+
+/**
+ * 规范化文件夹路径，如 " /clients//acme/ " -> "clients/acme"，空路径为根目录(null)
+ */
+exports.normalizeFolder = (folder) => {
+  if (folder === null || folder === undefined) {
+    return null;
+  }
+
+  const path = String(folder).split('/').map(part => part.trim()).filter(Boolean).join('/');
+  return path || null;
+};
+
+/**
+ * 转义正则特殊字符
+ */
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * 将检索词转换为查询条件：每个词需出现在标题、内容或提示之一（不区分大小写）
+ * 使用转义后的子串匹配而非 $text，中文等不以空格分词的文本也能按词片段检索
+ */
+function buildKeywordSearch(q) {
+  return String(q).slice(0, MAX_SEARCH_LENGTH)
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .slice(0, MAX_SEARCH_TERMS)
+    .map(term => ({
+      $or: SEARCH_FIELDS.map(field => ({ [field]: { $regex: escapeRegex(term), $options: 'i' } }))
+    }));
+}
+
+/**
+ * 构建项目检索条件
+ * q 按关键词在标题、内容和提示中检索；默认不包含已归档项目
+ */
+exports.buildSearchQuery = (userId, { q, model, from, to, minTokensUsed, maxTokensUsed, tags, folder, includeSubfolders, archived } = {}) => {
+  const query = { userId };
+
+  const terms = q ? buildKeywordSearch(q) : [];
+  if (terms.length > 0) {
+    query.$and = terms;
+  }
+
+  if (model) {
+    query.model = model;
+  }
+
+  if (from || to) {
+    query.createdAt = {
+      ...(from && { $gte: new Date(from) }),
+      ...(to && { $lte: new Date(to) })
+    };
+  }
+
+  if (minTokensUsed !== undefined || maxTokensUsed !== undefined) {
+    query['metadata.tokensUsed'] = {
+      ...(minTokensUsed !== undefined && { $gte: parseInt(minTokensUsed) }),
+      ...(maxTokensUsed !== undefined && { $lte: parseInt(maxTokensUsed) })
+    };
+  }
+
+  const tagList = tags ? exports.normalizeTags(String(tags).split(',')) : [];
+  if (tagList.length > 0) {
+    query.tags = { $all: tagList };
+  }
+
+  if (folder !== undefined) {
+    const path = exports.normalizeFolder(folder);
+    query.folder = path && String(includeSubfolders) === 'true'
+      ? { $regex: `^${escapeRegex(path)}(/|$)` }
+      : path;
+  }
+
+  // archived=all 时不限制归档状态
+  if (archived === true || archived === 'true') {
+    query.archived = true;
+  } else if (archived !== 'all') {
+    query.archived = { $ne: true };
+  }
+
+  return query;
+};
+
+/**
+ * 分页检索项目
+ */
+exports.searchProjects = async (userId, filters, { sort, page = 1, limit = 20 }) => {
+  const query = exports.buildSearchQuery(userId, filters);
+  const skip = (page - 1) * limit;
+
+  const [projects, total] = await Promise.all([
+    TextProject.find(query)
+      .sort(sort)
+      .skip(skip)
+      .limit(limit)
+      .select(LIST_FIELDS),
+    TextProject.countDocuments(query)
+  ]);
+
+  return { projects, total };
+};
+
+/**
+ * 获取项目内容摘录
+ * 返回 { projectId: excerpt }
+ */
+exports.getExcerpts = async (userId, projectIds, length) => {
+  const projects = await TextProject.find({ userId, projectId: { $in: projectIds } }).select('projectId content');
+  return Object.fromEntries(projects.map(project => [project.projectId, (project.content || '').slice(0, length)]));
+};
+
+/**
+ * 按文件夹统计项目数量（不含已归档项目）
+ */
+exports.listFolders = (userId) => {
+  return TextProject.aggregate([
+    { $match: { userId, archived: { $ne: true } } },
+    { $group: { _id: { $ifNull: ['$folder', null] }, count: { $sum: 1 } } },
+    { $sort: { _id: 1 } },
+    { $project: { _id: 0, folder: '$_id', count: 1 } }
+  ]);
+};
+
+/**
+ * 按标签统计项目数量（不含已归档项目）
+ */
+exports.listTags = (userId) => {
+  return TextProject.aggregate([
+    { $match: { userId, archived: { $ne: true } } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $project: { _id: 0, tag: '$_id', count: 1 } }
+  ]);
+};
+
+/**
+ * 创建项目并记录第一个修订
+ * source 标明内容来源（generate、manual 等），parameters 和 tokensUsed 记入修订
+ */
+exports.createProject = async ({
+  userId,
+  title,
+  content = '',
+  prompt,
+  systemPrompt,
+  model,
+  tags,
+  folder,
+  metadata = {},
+  source = 'manual',
+  parameters = {},
+  tokensUsed = 0
+}) => {
+  const project = await TextProject.create({
+    projectId: uuidv4(),
+    userId,
+    title: title || content.split('\n')[0].substring(0, 50),
+    content,
+    prompt,
+    systemPrompt,
+    model,
+    tags: exports.normalizeTags(tags),
+    folder: exports.normalizeFolder(folder),
+    archived: false,
+    createdAt: new Date(),
+    updatedAt: new Date(),
+    metadata: { tokensUsed, ...metadata, requestId: requestContext.getRequestId() }
+  });
+
+  await revisionService.recordRevision({
+    project,
+    content,
+    source,
+    prompt,
+    systemPrompt,
+    model,
+    parameters,
+    author: userId,
+    tokensUsed,
+    initial: true
+  });
+
+  return project;
+};
+
+/**
+ * 删除项目及其全部修订和协作者
+ * 返回是否删除了项目
+ */
+exports.deleteProject = async (userId, projectId) => {
+  const { deletedCount } = await TextProject.deleteOne({ projectId, userId });
+  if (deletedCount === 0) {
+    return false;
+  }
+
+  await Promise.all([
+    ProjectRevision.deleteMany({ projectId }),
+    ProjectCollaborator.deleteMany({ projectId })
+  ]);
+  return true;
+};
+
+exports.SORT_FIELDS = Object.keys(SORT_FIELDS);
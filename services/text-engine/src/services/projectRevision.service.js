@@ -0,0 +1,238 @@
+/**
+ * 项目修订服务
+ * 为项目的每次内容变更追加不可变修订，并提供修订查询、差异比较和恢复
+ * 项目文档上的 content 始终同步为最新修订的内容
+ */
+
+const ProjectRevision = require('../models/projectRevision.model');
+const TextProject = require('../models/textProject.model');
+const { diffWords } = require('../utils/textDiff');
+const requestContext = require('../utils/requestContext');
+const logger = require('../utils/logger');
+const { createNotFoundError } = require('../utils/serviceErrors');
+
+// 并发写入修订号冲突时的重试次数
+const MAX_REVISION_RETRIES = 5;
+
+// 修订记录后的监听器，实时协作会话据此合并来自其他途径的修改
+const revisionListeners = [];
+
+/**
+ * 获取最新修订
+ */
+function findHeadRevision(projectId) {
+  return ProjectRevision.findOne({ projectId }).sort({ revision: -1 });
+}
+
+/**
+ * 将项目内容同步为最新修订
+ * 并发写入时以最终的最新修订为准
+ */
+async function syncHead(projectId, userId) {
+  const head = await findHeadRevision(projectId);
+  if (!head) {
+    return null;
+  }
+
+  const update = { content: head.content, updatedAt: new Date() };
+  // 重新生成或恢复可能改变项目的提示和模型
+  for (const field of ['prompt', 'systemPrompt', 'model']) {
+    if (head[field] !== undefined) {
+      update[field] = head[field];
+    }
+  }
+
+  await TextProject.updateOne({ projectId, userId }, { $set: update });
+  return head;
+}
+
+/**
+ * 追加修订
+ * 修订号取当前最大值加一，唯一索引冲突时重试
+ */
+async function appendRevision(fields) {
+  for (let attempt = 0; attempt < MAX_REVISION_RETRIES; attempt++) {
+    const head = await ProjectRevision.findOne({ projectId: fields.projectId })
+      .sort({ revision: -1 })
+      .select('revision');
+
+    try {
+      return await ProjectRevision.create({ ...fields, revision: (head?.revision || 0) + 1 });
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+      logger.warn(`Revision number conflict for project ${fields.projectId}, retrying`);
+    }
+  }
+
+  throw new Error(`Unable to allocate a revision number for project ${fields.projectId}`);
+}
+
+/**
+ * 为尚无修订的旧项目补建初始修订
+ */
+exports.ensureBaseline = async (project) => {
+  if (await ProjectRevision.exists({ projectId: project.projectId })) {
+    return;
+  }
+
+  try {
+    await ProjectRevision.create({
+      projectId: project.projectId,
+      userId: project.userId,
+      revision: 1,
+      source: 'initial',
+      content: project.content || '',
+      prompt: project.prompt,
+      systemPrompt: project.systemPrompt,
+      model: project.model,
+      parameters: {
+        temperature: project.metadata?.temperature,
+        maxTokens: project.metadata?.maxTokens
+      },
+      author: project.userId,
+      tokensUsed: project.metadata?.tokensUsed || 0
+    });
+  } catch (error) {
+    // 并发请求已补建
+    if (error.code !== 11000) {
+      throw error;
+    }
+  }
+};
+
+/**
+ * 记录一次内容变更
+ * initial 为true表示项目刚以相同内容创建：不补建基线，也无需同步项目内容
+ */
+exports.recordRevision = async ({
+  project,
+  content,
+  source,
+  prompt,
+  systemPrompt,
+  instruction,
+  model,
+  parameters = {},
+  author,
+  tokensUsed = 0,
+  restoredFrom = null,
+  initial = false
+}) => {
+  if (!initial) {
+    await exports.ensureBaseline(project);
+  }
+
+  const revision = await appendRevision({
+    projectId: project.projectId,
+    userId: project.userId,
+    source,
+    content,
+    prompt,
+    systemPrompt,
+    instruction,
+    model,
+    parameters,
+    author,
+    tokensUsed,
+    restoredFrom,
+    requestId: requestContext.getRequestId()
+  });
+
+  if (!initial) {
+    await syncHead(project.projectId, project.userId);
+  }
+
+  logger.info(`Project revision recorded - projectId: ${project.projectId}, revision: ${revision.revision}, source: ${source}`);
+
+  for (const listener of revisionListeners) {
+    try {
+      await listener(revision);
+    } catch (error) {
+      logger.error(`Revision listener failed for project ${project.projectId}: ${error.message}`);
+    }
+  }
+
+  return revision;
+};
+
+/**
+ * 注册修订监听器，每次记录修订后以新修订调用
+ */
+exports.onRevisionRecorded = (listener) => {
+  revisionListeners.push(listener);
+};
+
+/**
+ * 分页列出修订（不含内容）
+ */
+exports.listRevisions = async (project, { page = 1, limit = 20 } = {}) => {
+  await exports.ensureBaseline(project);
+
+  const skip = (page - 1) * limit;
+  const [revisions, total] = await Promise.all([
+    ProjectRevision.find({ projectId: project.projectId })
+      .sort({ revision: -1 })
+      .skip(skip)
+      .limit(limit)
+      .select('-content -_id -__v'),
+    ProjectRevision.countDocuments({ projectId: project.projectId })
+  ]);
+
+  return { revisions, total };
+};
+
+/**
+ * 获取指定修订，revision 为 'head' 时返回最新修订
+ */
+exports.getRevision = async (project, revision) => {
+  await exports.ensureBaseline(project);
+
+  const number = parseInt(revision);
+  const doc = revision === 'head'
+    ? await findHeadRevision(project.projectId)
+    : Number.isInteger(number) && await ProjectRevision.findOne({ projectId: project.projectId, revision: number });
+
+  if (!doc) {
+    throw createNotFoundError('revision_not_found', `Revision ${revision} of project ${project.projectId} not found`);
+  }
+  return doc;
+};
+
+/**
+ * 比较两个修订的词级差异
+ * 未指定时默认比较最新修订与其前一个修订
+ */
+exports.diffRevisions = async (project, { from, to } = {}) => {
+  const target = await exports.getRevision(project, to || 'head');
+  const base = await exports.getRevision(project, from || Math.max(target.revision - 1, 1));
+  const { segments, stats } = diffWords(base.content, target.content);
+
+  return {
+    from: base.revision,
+    to: target.revision,
+    segments,
+    stats
+  };
+};
+
+/**
+ * 将旧修订恢复为新的最新修订
+ * 不改写历史，恢复本身也是一条修订
+ */
+exports.restoreRevision = async (project, revision, author) => {
+  const source = await exports.getRevision(project, revision);
+
+  return exports.recordRevision({
+    project,
+    content: source.content,
+    source: 'restore',
+    prompt: source.prompt,
+    systemPrompt: source.systemPrompt,
+    model: source.model,
+    parameters: source.parameters,
+    author,
+    restoredFrom: source.revision
+  });
+};
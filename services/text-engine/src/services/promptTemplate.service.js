@@ -0,0 +1,200 @@
+/**
+ * 提示模板服务
+ * 模板及其不可变版本的管理、变量与语法校验、按输入渲染
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const PromptTemplate = require('../models/promptTemplate.model');
+const PromptTemplateVersion = require('../models/promptTemplateVersion.model');
+const providers = require('../providers');
+const templateEngine = require('../utils/templateEngine');
+const { normalizeDefinitions, resolveInputs } = require('../utils/templateVariables');
+const { createNotFoundError } = require('../utils/serviceErrors');
+
+/**
+ * 校验并整理版本内容
+ * 模板正文和系统提示均需通过语法检查，引用的变量必须已定义
+ */
+function prepareVersion({ body, variables, defaults = {} }) {
+  const definitions = normalizeDefinitions(variables);
+  const declared = new Set(definitions.map(definition => definition.name));
+  const referenced = [
+    ...templateEngine.collectVariables(templateEngine.compile(body)),
+    ...templateEngine.collectVariables(templateEngine.compile(defaults.systemPrompt || ''))
+  ];
+
+  const undeclared = [...new Set(referenced.filter(name => !declared.has(name)))];
+  if (undeclared.length > 0) {
+    const err = new Error(`Template references undefined variables: ${undeclared.join(', ')}`);
+    err.code = 'invalid_template_variables';
+    err.details = undeclared.map(name => ({ variable: name, message: 'is referenced but not defined' }));
+    throw err;
+  }
+
+  // 绑定的模型必须已注册，未注册时抛出 model_not_supported
+  if (defaults.model) {
+    providers.resolveProvider(defaults.model);
+  }
+
+  return {
+    body,
+    variables: definitions,
+    defaults: {
+      ...(defaults.model && { model: defaults.model }),
+      ...(defaults.temperature !== undefined && { temperature: defaults.temperature }),
+      ...(defaults.maxTokens !== undefined && { maxTokens: defaults.maxTokens }),
+      ...(defaults.systemPrompt !== undefined && { systemPrompt: defaults.systemPrompt })
+    }
+  };
+}
+
+/**
+ * 创建模板及其第一个版本
+ */
+exports.createTemplate = async (userId, { name, description, tags, body, variables, defaults, changelog }) => {
+  const content = prepareVersion({ body, variables, defaults });
+  const templateId = uuidv4();
+
+  const version = await PromptTemplateVersion.create({
+    templateId,
+    version: 1,
+    ...content,
+    changelog,
+    author: userId
+  });
+
+  const template = await PromptTemplate.create({
+    templateId,
+    userId,
+    name,
+    description,
+    tags,
+    latestVersion: 1
+  });
+
+  return { template, version };
+};
+
+/**
+ * 创建新版本
+ * 版本号通过原子自增分配，已有版本保持不变
+ */
+exports.createVersion = async (userId, templateId, { body, variables, defaults, changelog }) => {
+  const content = prepareVersion({ body, variables, defaults });
+
+  const template = await PromptTemplate.findOneAndUpdate(
+    { templateId, userId, archived: false },
+    { $inc: { latestVersion: 1 } },
+    { new: true }
+  );
+
+  if (!template) {
+    throw createNotFoundError('template_not_found', 'Template not found');
+  }
+
+  const version = await PromptTemplateVersion.create({
+    templateId,
+    version: template.latestVersion,
+    ...content,
+    changelog,
+    author: userId
+  });
+
+  return { template, version };
+};
+
+/**
+ * 分页列出模板
+ */
+exports.listTemplates = async (userId, { q, tag, page = 1, limit = 20 }) => {
+  const query = { userId, archived: false };
+  if (q) {
+    query.name = new RegExp(q.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'i');
+  }
+  if (tag) {
+    query.tags = tag;
+  }
+
+  const [templates, total] = await Promise.all([
+    PromptTemplate.find(query)
+      .sort({ updatedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit),
+    PromptTemplate.countDocuments(query)
+  ]);
+
+  return { templates, total };
+};
+
+/**
+ * 获取模板
+ */
+exports.getTemplate = async (userId, templateId) => {
+  const template = await PromptTemplate.findOne({ templateId, userId, archived: false });
+  if (!template) {
+    throw createNotFoundError('template_not_found', 'Template not found');
+  }
+  return template;
+};
+
+/**
+ * 获取模板版本，version 为空或 'latest' 时返回最新版本
+ */
+exports.getVersion = async (template, version) => {
+  const number = !version || version === 'latest' ? template.latestVersion : parseInt(version);
+  const doc = Number.isInteger(number)
+    ? await PromptTemplateVersion.findOne({ templateId: template.templateId, version: number })
+    : null;
+
+  if (!doc) {
+    throw createNotFoundError('template_not_found', `Version ${version} of template ${template.templateId} not found`);
+  }
+  return doc;
+};
+
+/**
+ * 列出模板的全部版本（不含正文）
+ */
+exports.listVersions = (template) => {
+  return PromptTemplateVersion.find({ templateId: template.templateId })
+    .sort({ version: -1 })
+    .select('-body -_id -__v');
+};
+
+/**
+ * 更新模板元数据（名称、描述、标签），正文变更需创建新版本
+ */
+exports.updateTemplate = async (userId, templateId, fields) => {
+  const template = await PromptTemplate.findOneAndUpdate(
+    { templateId, userId, archived: false },
+    { $set: fields },
+    { new: true }
+  );
+
+  if (!template) {
+    throw createNotFoundError('template_not_found', 'Template not found');
+  }
+  return template;
+};
+
+/**
+ * 归档模板
+ * 版本保留，已保存的项目仍可追溯所用的模板版本
+ */
+exports.archiveTemplate = async (userId, templateId) => {
+  await exports.updateTemplate(userId, templateId, { archived: true });
+};
+
+/**
+ * 按输入渲染指定版本
+ * 返回 { prompt, systemPrompt, values }，输入无效时抛出 invalid_template_inputs
+ */
+exports.renderVersion = (version, inputs) => {
+  const values = resolveInputs(version.variables, inputs);
+
+  return {
+    prompt: templateEngine.render(version.body, values).trim(),
+    systemPrompt: templateEngine.render(version.defaults?.systemPrompt || '', values).trim(),
+    values
+  };
+};
@@ -0,0 +1,132 @@
+/**
+ * 结构化输出服务
+ * 按 JSON Schema 生成并校验输出；支持JSON模式的提供方启用原生JSON输出，其他提供方通过提示约束
+ * 输出无效时将校验错误反馈给模型重试，多次仍无效则抛出 structured_output_invalid
+ */
+
+const providers = require('../providers');
+const generationService = require('./generation.service');
+const privacyService = require('./privacy.service');
+const { compileSchema, extractJson, formatErrors } = require('../utils/jsonSchema');
+const { createTotals, addToTotals } = require('../utils/cost');
+const logger = require('../utils/logger');
+
+// 默认最多尝试次数（含首次生成）
+const DEFAULT_MAX_ATTEMPTS = 3;
+const MAX_ATTEMPTS_LIMIT = 5;
+
+/**
+ * 构建约束输出格式的系统提示
+ */
+function buildSchemaInstruction(schema) {
+  return [
+    '你必须只输出一个符合以下 JSON Schema 的 JSON 值，不要添加解释、注释或 Markdown 代码块。',
+    'JSON Schema:',
+    JSON.stringify(schema, null, 2)
+  ].join('\n');
+}
+
+/**
+ * 构建修复提示：附上上次输出的问题，要求模型重新输出
+ */
+function buildRepairPrompt(problems) {
+  const list = problems.map(problem => `- ${problem.path}: ${problem.message}`).join('\n');
+  return `你上一次的输出未通过 JSON Schema 校验：\n${list}\n\n请修正这些问题，只输出修正后的完整 JSON。`;
+}
+
+/**
+ * 解析并校验模型输出
+ * 返回 { data } 或 { problems }
+ */
+function checkOutput(validate, text) {
+  const parsed = extractJson(text);
+  if (parsed.error) {
+    return { problems: [{ path: '/', message: `output is not valid JSON (${parsed.error})` }] };
+  }
+
+  if (!validate(parsed.value)) {
+    return { problems: formatErrors(validate.errors) };
+  }
+
+  return { data: parsed.value };
+}
+
+/**
+ * 按 JSON Schema 生成结构化输出
+ * 返回 { result, routing, cost, structured, privacy }，result.data 为通过校验的解析结果
+ * 修复重试固定使用首次响应的模型，用量和费用按全部尝试累计
+ */
+exports.generate = async ({ model, params, schema, maxAttempts = DEFAULT_MAX_ATTEMPTS, allowFallback = true, accounting, signal }) => {
+  const validate = compileSchema(schema);
+  const attemptLimit = Math.min(Math.max(parseInt(maxAttempts) || DEFAULT_MAX_ATTEMPTS, 1), MAX_ATTEMPTS_LIMIT);
+  const instruction = buildSchemaInstruction(schema);
+  const systemPrompt = params.systemPrompt ? `${params.systemPrompt}\n\n${instruction}` : instruction;
+
+  const totals = createTotals();
+  let routing = null;
+  let lastText = '';
+  let privacy = null;
+  let problems = [];
+
+  for (let attempt = 1; attempt <= attemptLimit; attempt++) {
+    const repair = attempt > 1;
+    const attemptParams = {
+      ...params,
+      systemPrompt,
+      responseFormat: 'json',
+      ...(repair && {
+        history: [
+          ...(params.history || []),
+          { role: 'user', content: params.prompt },
+          { role: 'assistant', content: lastText }
+        ],
+        prompt: buildRepairPrompt(problems)
+      })
+    };
+
+    const execution = await generationService.execute({
+      operation: 'generate',
+      model: routing ? routing.model : model,
+      params: attemptParams,
+      allowFallback: routing ? false : allowFallback,
+      accounting,
+      signal
+    });
+
+    routing = routing
+      ? { ...routing, attempts: [...routing.attempts, ...execution.routing.attempts] }
+      : execution.routing;
+    addToTotals(totals, execution.result.usage, execution.cost);
+    privacy = privacyService.mergeReports(privacy, execution.privacy);
+    lastText = execution.result.text;
+
+    const checked = checkOutput(validate, lastText);
+    const structured = {
+      mode: providers.resolveProvider(routing.model).capabilities.jsonMode ? 'json_mode' : 'prompted',
+      attempts: attempt
+    };
+
+    if (checked.data !== undefined) {
+      return {
+        result: { ...execution.result, data: checked.data, usage: totals.usage },
+        routing,
+        cost: totals.cost,
+        structured,
+        privacy
+      };
+    }
+
+    problems = checked.problems;
+    logger.warn(`Structured output attempt ${attempt}/${attemptLimit} failed validation for model ${routing.model}`, {
+      errors: problems.length
+    });
+  }
+
+  const err = new Error(`Model output did not match the JSON Schema after ${attemptLimit} attempts`);
+  err.code = 'structured_output_invalid';
+  err.lastAttempt = { text: lastText, errors: problems };
+  err.attempts = attemptLimit;
+  err.usage = totals.usage;
+  err.cost = totals.cost;
+  throw err;
+};
@@ -0,0 +1,212 @@
+/**
+ * 分层（Map-Reduce）总结服务
+ * 文本超出模型上下文时先分块总结（map），再逐层合并部分总结（reduce），直到结果满足目标长度和格式
+ * 与具体提供方无关，调用方传入 generate 函数
+ */
+
+const { countTokens } = require('../utils/tokenizer');
+const { splitIntoChunks, countWords } = require('../utils/textChunker');
+const { throwIfCancelled } = require('../utils/cancellation');
+const logger = require('../utils/logger');
+
+// 分块输入占上下文窗口的比例，其余留给系统提示和输出
+const CHUNK_CONTEXT_RATIO = 0.6;
+// 相邻分块的重叠比例
+const CHUNK_OVERLAP_RATIO = 0.1;
+// 每个部分总结的最大输出令牌数
+const PARTIAL_SUMMARY_MAX_TOKENS = 800;
+// map阶段的并发数
+const MAP_CONCURRENCY = 3;
+// 最终结果超出目标长度时的最大压缩次数
+const MAX_CONDENSE_PASSES = 2;
+// 防止异常输入导致无限合并
+const MAX_REDUCE_LEVELS = 6;
+
+/**
+ * 最终总结的系统提示
+ */
+function buildFinalPrompt(maxLength, format) {
+  return `总结以下文本，创建一个${format === 'bullets' ? '要点列表' : '段落'}。总结应包含最重要的信息，不超过${maxLength}个单词。`;
+}
+
+/**
+ * 部分总结的系统提示
+ */
+function buildPartialPrompt(part, total) {
+  return `以下是一篇长文档的第${part}部分（共${total}部分）。请总结这一部分，保留关键事实、数据、人名和结论，不要添加原文没有的信息。`;
+}
+
+/**
+ * 合并多个部分总结的系统提示
+ */
+function buildMergePrompt() {
+  return '以下是同一篇文档多个连续部分的总结。请将它们合并为一个连贯的总结，去除重复内容，保留所有关键事实和结论。';
+}
+
+/**
+ * 以有限并发执行任务
+ */
+async function runWithConcurrency(tasks, limit) {
+  const results = new Array(tasks.length);
+  let next = 0;
+
+  const runners = Array.from({ length: Math.min(limit, tasks.length) }, async () => {
+    while (next < tasks.length) {
+      const index = next++;
+      results[index] = await tasks[index]();
+    }
+  });
+
+  await Promise.all(runners);
+  return results;
+}
+
+/**
+ * 累加令牌用量
+ */
+function addUsage(total, usage) {
+  if (usage) {
+    total.promptTokens += usage.promptTokens || 0;
+    total.completionTokens += usage.completionTokens || 0;
+    total.totalTokens += usage.totalTokens || 0;
+  }
+  return total;
+}
+
+/**
+ * 分层总结
+ * generate: (params) => Promise<{ text, usage, model }>
+ * onProgress: ({ stage, level, completed, total }) => void
+ * signal 中止时不再发起新的调用，并随每次调用传给 generate
+ * 返回 { text, usage, model, stats, intermediate? }
+ */
+exports.summarize = async ({
+  text,
+  maxLength = 150,
+  format = 'paragraph',
+  temperature = 0.5,
+  model,
+  userId = 'anonymous',
+  useCaching = true,
+  contextWindow = 4096,
+  includeIntermediate = false,
+  onProgress = () => {},
+  signal,
+  generate
+}) => {
+  const usage = { promptTokens: 0, completionTokens: 0, totalTokens: 0 };
+  const chunkTokens = Math.floor(contextWindow * CHUNK_CONTEXT_RATIO);
+  const finalMaxTokens = Math.min(PARTIAL_SUMMARY_MAX_TOKENS, contextWindow - chunkTokens);
+  const callCount = { value: 0 };
+
+  const call = async (prompt, systemPrompt, maxTokens) => {
+    throwIfCancelled(signal);
+    callCount.value += 1;
+    const result = await generate({ prompt, systemPrompt, temperature, maxTokens, model, userId, useCaching, signal });
+    addUsage(usage, result.usage);
+    return result;
+  };
+
+  const inputTokens = countTokens(text, model);
+  const intermediate = { chunks: [], levels: [] };
+
+  // 短文本：直接总结
+  if (inputTokens <= chunkTokens) {
+    onProgress({ stage: 'final', level: 0, completed: 0, total: 1 });
+    const result = await call(text, buildFinalPrompt(maxLength, format), finalMaxTokens);
+    onProgress({ stage: 'final', level: 0, completed: 1, total: 1 });
+
+    return {
+      text: result.text,
+      usage,
+      model: result.model || model,
+      stats: { strategy: 'direct', inputTokens, chunkCount: 1, reduceLevels: 0, calls: callCount.value }
+    };
+  }
+
+  // Map：分块并行总结
+  const chunks = splitIntoChunks(text, {
+    maxTokens: chunkTokens,
+    overlapTokens: Math.floor(chunkTokens * CHUNK_OVERLAP_RATIO),
+    model
+  });
+  logger.info(`Map-reduce summarization - ${inputTokens} tokens split into ${chunks.length} chunks`);
+
+  let completed = 0;
+  onProgress({ stage: 'map', level: 0, completed, total: chunks.length });
+
+  let summaries = await runWithConcurrency(chunks.map(chunk => async () => {
+    const result = await call(chunk.text, buildPartialPrompt(chunk.index + 1, chunks.length), PARTIAL_SUMMARY_MAX_TOKENS);
+    completed += 1;
+    onProgress({ stage: 'map', level: 0, completed, total: chunks.length });
+
+    if (includeIntermediate) {
+      intermediate.chunks[chunk.index] = {
+        index: chunk.index,
+        inputTokens: chunk.tokens,
+        summary: result.text
+      };
+    }
+    return result.text;
+  }), MAP_CONCURRENCY);
+
+  // Reduce：合并部分总结，直到可以放入单次调用
+  let level = 0;
+  while (countTokens(summaries.join('\n\n'), model) > chunkTokens && level < MAX_REDUCE_LEVELS) {
+    level += 1;
+    const groups = splitIntoChunks(summaries.join('\n\n'), { maxTokens: chunkTokens, model });
+    let merged = 0;
+    onProgress({ stage: 'reduce', level, completed: merged, total: groups.length });
+
+    summaries = await runWithConcurrency(groups.map(group => async () => {
+      const result = await call(group.text, buildMergePrompt(), PARTIAL_SUMMARY_MAX_TOKENS);
+      merged += 1;
+      onProgress({ stage: 'reduce', level, completed: merged, total: groups.length });
+      return result.text;
+    }), MAP_CONCURRENCY);
+
+    if (includeIntermediate) {
+      intermediate.levels.push({ level, summaries: [...summaries] });
+    }
+  }
+
+  // 达到最大合并层数后仍无法放入单次调用时报错，不发送超出上下文的请求
+  const remainingTokens = countTokens(summaries.join('\n\n'), model);
+  if (remainingTokens > chunkTokens) {
+    const err = new Error(
+      `Partial summaries still need ${remainingTokens} tokens after ${level} merge levels, ` +
+      `but a single call accepts ${chunkTokens}`
+    );
+    err.code = 'summary_reduce_limit';
+    throw err;
+  }
+
+  // 最终总结：按目标格式和长度输出，超长时继续压缩
+  onProgress({ stage: 'final', level: level + 1, completed: 0, total: 1 });
+  let final = await call(summaries.join('\n\n'), buildFinalPrompt(maxLength, format), finalMaxTokens);
+
+  for (let pass = 0; pass < MAX_CONDENSE_PASSES && countWords(final.text) > maxLength; pass++) {
+    final = await call(final.text, buildFinalPrompt(maxLength, format), finalMaxTokens);
+  }
+  onProgress({ stage: 'final', level: level + 1, completed: 1, total: 1 });
+
+  const response = {
+    text: final.text,
+    usage,
+    model: final.model || model,
+    stats: {
+      strategy: 'map_reduce',
+      inputTokens,
+      chunkCount: chunks.length,
+      reduceLevels: level,
+      calls: callCount.value,
+      wordCount: countWords(final.text)
+    }
+  };
+
+  if (includeIntermediate) {
+    response.intermediate = intermediate;
+  }
+
+  return response;
+};
@@ -0,0 +1,90 @@
+/**
+ * 文本分析服务
+ * 本地分析（语言、统计、可读性、情感、关键词）确定性计算，不调用模型、不产生费用
+ * 深度分析为可选项，通过结构化输出调用模型，按常规生成计费
+ */
+
+const analyzers = require('../analysis');
+const structuredOutputService = require('./structuredOutput.service');
+const { preflight } = require('../utils/contextPreflight');
+
+const DEFAULT_ANALYSES = ['language', 'statistics', 'readability', 'sentiment', 'keywords'];
+
+// 深度分析的默认模型和输出上限
+const DEFAULT_DEEP_MODEL = process.env.DEEP_ANALYSIS_MODEL || 'gpt-3.5-turbo';
+const DEEP_MAX_TOKENS = 800;
+
+const DEEP_ANALYSIS_SCHEMA = {
+  type: 'object',
+  properties: {
+    summary: { type: 'string' },
+    tone: { type: 'string' },
+    audience: { type: 'string' },
+    themes: { type: 'array', items: { type: 'string' }, maxItems: 10 },
+    strengths: { type: 'array', items: { type: 'string' }, maxItems: 10 },
+    weaknesses: { type: 'array', items: { type: 'string' }, maxItems: 10 },
+    suggestions: { type: 'array', items: { type: 'string' }, maxItems: 10 }
+  },
+  required: ['summary', 'tone', 'audience', 'themes', 'strengths', 'weaknesses', 'suggestions'],
+  additionalProperties: false
+};
+
+const DEEP_SYSTEM_PROMPT = '你是一名资深编辑。请分析用户提供的文本：概括内容，判断语气和目标读者，列出主要主题、优点、不足和具体的修改建议。使用与原文相同的语言回答。';
+
+/**
+ * 运行本地分析
+ * analyses 为分析器名称列表，默认全部；语言检测总是运行，其结果传给其他分析器
+ * 返回 { language, results }，未知的分析器名称抛出 unknown_analysis
+ */
+exports.analyze = (text, { analyses = DEFAULT_ANALYSES, options = {} } = {}) => {
+  const unknown = analyses.filter(name => !analyzers.getAnalyzer(name));
+  if (unknown.length > 0) {
+    const err = new Error(`Unknown analyses: ${unknown.join(', ')}`);
+    err.code = 'unknown_analysis';
+    err.available = analyzers.listAnalyzers().map(analyzer => analyzer.name);
+    throw err;
+  }
+
+  const language = analyzers.getAnalyzer('language').analyze(text);
+  const results = Object.fromEntries([...new Set(analyses)].map(name => [
+    name,
+    name === 'language' ? language : analyzers.getAnalyzer(name).analyze(text, { language: language.language, options })
+  ]));
+
+  return { language: language.language, results };
+};
+
+/**
+ * 模型深度分析
+ * 文本超出模型上下文时截断；返回 { analysis, model, provider, cost, tokensUsed, adjustments }
+ */
+exports.deepAnalyze = async ({ text, model = DEFAULT_DEEP_MODEL, allowFallback = true, accounting, signal }) => {
+  const { params, adjustments } = preflight({
+    prompt: text,
+    systemPrompt: DEEP_SYSTEM_PROMPT,
+    model,
+    temperature: 0.2,
+    maxTokens: DEEP_MAX_TOKENS,
+    userId: accounting.userId
+  }, 'truncate');
+
+  const { result, routing, cost } = await structuredOutputService.generate({
+    model: params.model,
+    params,
+    schema: DEEP_ANALYSIS_SCHEMA,
+    allowFallback,
+    accounting,
+    signal
+  });
+
+  return {
+    analysis: result.data,
+    model: routing.model,
+    provider: routing.provider,
+    cost,
+    tokensUsed: result.usage?.totalTokens || 0,
+    adjustments
+  };
+};
+
+exports.DEFAULT_ANALYSES = DEFAULT_ANALYSES;
@@ -0,0 +1,151 @@
+/**
+ * 范围编辑服务
+ * 按字符范围或段落序号选定目标片段，连同前后文发给模型，只改写目标片段
+ * 返回一个或多个候选修改，每个候选附带相对完整文档偏移的修订标记，调用方可逐条接受或拒绝
+ */
+
+const generationService = require('./generation.service');
+const privacyService = require('./privacy.service');
+const { computeChanges } = require('../utils/textChanges');
+const { createTotals, addToTotals } = require('../utils/cost');
+
+// 目标片段前后各附带的上下文字符数
+const DEFAULT_CONTEXT_CHARS = 2000;
+const MAX_CONTEXT_CHARS = 10000;
+
+const MAX_ALTERNATIVES = 5;
+
+/**
+ * 无效编辑范围错误
+ */
+function createRangeError(message) {
+  const err = new Error(message);
+  err.code = 'invalid_edit_range';
+  return err;
+}
+
+/**
+ * 计算各段落的字符范围（以空行分段，不含段首尾空白）
+ */
+exports.paragraphRanges = (text) => {
+  const ranges = [];
+  const pattern = /\S(?:[\s\S]*?\S)?(?=\s*\n[ \t]*\n|\s*$)/g;
+  let match;
+
+  while ((match = pattern.exec(text)) !== null) {
+    ranges.push({ start: match.index, end: match.index + match[0].length });
+  }
+
+  return ranges;
+};
+
+/**
+ * 解析编辑目标
+ * range 为 { start, end } 字符偏移；paragraph 为段落序号（从0开始）或 { from, to } 闭区间
+ * 两者都未指定时目标为全文
+ */
+exports.resolveTarget = (text, { range, paragraph } = {}) => {
+  if (range && paragraph !== undefined) {
+    throw createRangeError('Specify either range or paragraph, not both');
+  }
+
+  if (range) {
+    const { start, end } = range;
+    if (!Number.isInteger(start) || !Number.isInteger(end) || start < 0 || end < start || end > text.length) {
+      throw createRangeError(`Range must satisfy 0 <= start <= end <= ${text.length}`);
+    }
+    return { start, end };
+  }
+
+  if (paragraph !== undefined) {
+    const paragraphs = exports.paragraphRanges(text);
+    const from = typeof paragraph === 'object' ? paragraph.from : paragraph;
+    const to = typeof paragraph === 'object' ? paragraph.to : paragraph;
+    if (!Number.isInteger(from) || !Number.isInteger(to) || from < 0 || to < from || to >= paragraphs.length) {
+      throw createRangeError(`Paragraph index must be between 0 and ${paragraphs.length - 1}`);
+    }
+    return { start: paragraphs[from].start, end: paragraphs[to].end, paragraphs: { from, to } };
+  }
+
+  return { start: 0, end: text.length };
+};
+
+/**
+ * 保留目标片段原有的首尾空白（模型输出通常会去掉）
+ */
+function preserveWhitespace(original, edited) {
+  const leading = original.match(/^\s*/)[0];
+  const trailing = original.match(/\s*$/)[0];
+  return leading + edited.trim() + trailing;
+}
+
+/**
+ * 执行范围编辑
+ * alternatives 大于1时并行生成多个候选（不使用缓存，使候选之间有差异）
+ * 返回 { target, suggestions, routing, usage, cost, privacy }
+ * 每个候选为 { index, text, targetText, changes }，text 为应用全部变更后的完整文档
+ */
+exports.edit = async ({
+  text,
+  instruction,
+  range,
+  paragraph,
+  contextChars = DEFAULT_CONTEXT_CHARS,
+  alternatives = 1,
+  model,
+  temperature,
+  allowFallback = true,
+  accounting,
+  userId,
+  signal
+}) => {
+  const target = exports.resolveTarget(text, { range, paragraph });
+  const contextSize = Math.min(Math.max(parseInt(contextChars) || 0, 0), MAX_CONTEXT_CHARS);
+  const count = Math.min(Math.max(parseInt(alternatives) || 1, 1), MAX_ALTERNATIVES);
+  const original = text.slice(target.start, target.end);
+
+  const params = {
+    text: original,
+    instruction,
+    before: text.slice(Math.max(target.start - contextSize, 0), target.start),
+    after: text.slice(target.end, target.end + contextSize),
+    temperature,
+    userId,
+    ...(count > 1 && { useCaching: false })
+  };
+
+  const executions = await Promise.all(Array.from({ length: count }, () => generationService.execute({
+    operation: 'edit',
+    model,
+    params,
+    allowFallback,
+    accounting,
+    signal
+  })));
+
+  const totals = createTotals();
+  let privacy = null;
+  const suggestions = executions.map((execution, index) => {
+    addToTotals(totals, execution.result.usage, execution.cost);
+    privacy = privacyService.mergeReports(privacy, execution.privacy);
+
+    const targetText = preserveWhitespace(original, execution.result.text);
+    return {
+      index,
+      text: text.slice(0, target.start) + targetText + text.slice(target.end),
+      targetText,
+      changes: computeChanges(original, targetText, { offset: target.start, idPrefix: `s${index + 1}c` })
+    };
+  });
+
+  return {
+    target,
+    suggestions,
+    routing: executions[0].routing,
+    usage: totals.usage,
+    cost: totals.cost,
+    privacy
+  };
+};
+
+exports.MAX_ALTERNATIVES = MAX_ALTERNATIVES;
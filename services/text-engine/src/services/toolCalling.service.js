@@ -0,0 +1,226 @@
+/**
+ * 工具调用服务
+ * 运行“模型 ↔ 工具”循环：模型请求调用工具，服务端执行后将结果交回模型，直到模型给出最终回答
+ * 支持原生工具调用的提供方使用原生协议，其他提供方使用基于提示的 JSON 协议，返回的调用轨迹格式一致
+ */
+
+const providers = require('../providers');
+const toolRegistry = require('../tools');
+const generationService = require('./generation.service');
+const privacyService = require('./privacy.service');
+const { extractJson } = require('../utils/jsonSchema');
+const { createTotals, addToTotals } = require('../utils/cost');
+const logger = require('../utils/logger');
+
+const DEFAULT_MAX_ITERATIONS = 5;
+const MAX_ITERATIONS_LIMIT = 10;
+
+// 单轮最多执行的工具调用数
+const MAX_CALLS_PER_ITERATION = 5;
+
+// 交回模型的单个工具结果最大字符数
+const MAX_RESULT_LENGTH = 4000;
+
+/**
+ * 构建提示协议说明，供不支持原生工具调用的提供方使用
+ */
+function buildProtocolInstruction(tools) {
+  const definitions = tools.map(tool => JSON.stringify({
+    name: tool.name,
+    description: tool.description,
+    parameters: tool.parameters
+  })).join('\n');
+
+  return [
+    '你可以调用以下工具获取信息或进行计算：',
+    definitions,
+    '',
+    '需要调用工具时，只输出如下 JSON，不要输出其他内容：',
+    '{"tool_calls": [{"name": "工具名称", "arguments": {参数}}]}',
+    '工具结果会在下一条消息中返回。得到足够信息后，直接用自然语言给出最终回答，不要再输出 JSON。'
+  ].join('\n');
+}
+
+/**
+ * 从提示协议的输出中解析工具调用
+ * 输出不是工具调用时返回空数组
+ */
+function parsePromptedCalls(text, iteration) {
+  if (!/"tool_calls"/.test(text)) {
+    return [];
+  }
+
+  const { value } = extractJson(text);
+  if (!value || !Array.isArray(value.tool_calls)) {
+    return [];
+  }
+
+  return value.tool_calls
+    .filter(call => call && typeof call.name === 'string')
+    .map((call, index) => ({
+      id: `call_${iteration}_${index + 1}`,
+      name: call.name,
+      arguments: call.arguments ?? {}
+    }));
+}
+
+/**
+ * 解析原生工具调用参数（JSON字符串）
+ */
+function parseNativeArguments(raw) {
+  if (typeof raw !== 'string') {
+    return { value: raw ?? {} };
+  }
+
+  try {
+    return { value: raw.trim() ? JSON.parse(raw) : {} };
+  } catch (error) {
+    return { error: `arguments are not valid JSON (${error.message})` };
+  }
+}
+
+/**
+ * 将工具结果序列化为交回模型的文本
+ */
+function serializeResult(entry) {
+  const payload = entry.status === 'succeeded'
+    ? { result: entry.output }
+    : { error: entry.error, status: entry.status };
+  const text = JSON.stringify(payload);
+
+  return text.length > MAX_RESULT_LENGTH ? `${text.slice(0, MAX_RESULT_LENGTH)}…(truncated)` : text;
+}
+
+/**
+ * 执行一轮工具调用，返回轨迹条目
+ */
+async function runCalls(calls, { iteration, enabled, context, toolTimeoutMs }) {
+  const entries = [];
+
+  for (const call of calls.slice(0, MAX_CALLS_PER_ITERATION)) {
+    const parsed = call.parseError ? { error: call.parseError } : { value: call.arguments };
+    let execution;
+
+    if (!enabled.has(call.name)) {
+      execution = { status: 'failed', error: `Tool "${call.name}" is not enabled for this request`, durationMs: 0 };
+    } else if (parsed.error) {
+      execution = { status: 'invalid_arguments', error: parsed.error, durationMs: 0 };
+    } else {
+      execution = await toolRegistry.executeTool(call.name, parsed.value, context, { timeoutMs: toolTimeoutMs });
+    }
+
+    entries.push({
+      iteration,
+      id: call.id,
+      name: call.name,
+      arguments: parsed.value ?? null,
+      ...execution
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * 运行工具调用循环
+ * 循环固定使用请求的模型（不回退），以保证同一次请求内的工具协议一致
+ * 返回 { result, routing, cost, toolTrace, tools: { mode, iterations }, privacy }
+ * 超过最大轮数仍未给出最终回答时抛出 tool_iteration_limit，附带已执行的调用轨迹
+ */
+exports.run = async ({
+  model,
+  params,
+  tools: toolNames,
+  maxIterations = DEFAULT_MAX_ITERATIONS,
+  toolTimeoutMs,
+  accounting,
+  context = {},
+  signal
+}) => {
+  const tools = toolRegistry.resolveTools(toolNames, context);
+  const enabled = new Set(tools.map(tool => tool.name));
+  const native = Boolean(providers.resolveProvider(model).capabilities.toolCalling);
+  const iterationLimit = Math.min(Math.max(parseInt(maxIterations) || DEFAULT_MAX_ITERATIONS, 1), MAX_ITERATIONS_LIMIT);
+
+  const systemPrompt = native
+    ? params.systemPrompt
+    : [params.systemPrompt, buildProtocolInstruction(tools)].filter(Boolean).join('\n\n');
+
+  const totals = createTotals();
+  const toolTrace = [];
+  const transcript = [];
+  const attempts = [];
+  let prompt = params.prompt;
+  let routing = null;
+  let privacy = null;
+
+  for (let iteration = 1; iteration <= iterationLimit; iteration++) {
+    const execution = await generationService.execute({
+      operation: 'generate',
+      model,
+      params: {
+        ...params,
+        systemPrompt,
+        history: [...(params.history || []), ...transcript],
+        prompt,
+        useCaching: false,
+        ...(native && { tools })
+      },
+      allowFallback: false,
+      accounting,
+      signal
+    });
+
+    const { result } = execution;
+    routing = execution.routing;
+    attempts.push(...routing.attempts);
+    addToTotals(totals, result.usage, execution.cost);
+    privacy = privacyService.mergeReports(privacy, execution.privacy);
+
+    const calls = native
+      ? (result.toolCalls || []).map(call => {
+        const parsed = parseNativeArguments(call.arguments);
+        return { id: call.id, name: call.name, arguments: parsed.value, parseError: parsed.error };
+      })
+      : parsePromptedCalls(result.text, iteration);
+
+    if (calls.length === 0) {
+      return {
+        result: { ...result, usage: totals.usage },
+        routing: { ...routing, attempts },
+        cost: totals.cost,
+        toolTrace,
+        tools: { mode: native ? 'native' : 'prompted', iterations: iteration },
+        privacy
+      };
+    }
+
+    const entries = await runCalls(calls, { iteration, enabled, context, toolTimeoutMs });
+    toolTrace.push(...entries);
+    logger.info(`Tool iteration ${iteration}: ${entries.map(entry => `${entry.name}(${entry.status})`).join(', ')}`);
+
+    // 将本轮模型输出和工具结果加入对话，作为下一轮的上下文
+    if (prompt !== null) {
+      transcript.push({ role: 'user', content: prompt });
+    }
+
+    if (native) {
+      transcript.push({
+        role: 'assistant',
+        content: result.text || null,
+        toolCalls: entries.map(entry => ({ id: entry.id, name: entry.name, arguments: entry.arguments ?? {} }))
+      });
+      entries.forEach(entry => transcript.push({ role: 'tool', toolCallId: entry.id, content: serializeResult(entry) }));
+      prompt = null;
+    } else {
+      transcript.push({ role: 'assistant', content: result.text });
+      prompt = `工具调用结果：\n${entries.map(entry => `${entry.name}: ${serializeResult(entry)}`).join('\n')}`;
+    }
+  }
+
+  const err = new Error(`Model did not produce a final answer within ${iterationLimit} tool iterations`);
+  err.code = 'tool_iteration_limit';
+  err.toolTrace = toolTrace;
+  err.cost = totals.cost;
+  throw err;
+};
@@ -0,0 +1,204 @@
+/**
+ * 用量与费用服务
+ * 记录每次调用的费用，计算用户/团队在预算周期内的支出，并提供按模型、操作、日期的用量统计
+ */
+
+const UsageRecord = require('../models/usageRecord.model');
+const Budget = require('../models/budget.model');
+const { calculateCost } = require('../utils/cost');
+const logger = require('../utils/logger');
+
+/**
+ * 预算周期的起始时间（UTC）
+ */
+function getPeriodStart(period, now = new Date()) {
+  if (period === 'daily') {
+    return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate()));
+  }
+  return new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+}
+
+/**
+ * 记录一次调用的用量和费用
+ * 记录失败不影响主流程
+ */
+exports.recordUsage = async ({ userId = 'anonymous', teamId = null, operation, model, provider, usage = {} }) => {
+  const cost = calculateCost(model, usage);
+
+  try {
+    await UsageRecord.create({
+      userId,
+      teamId,
+      operation,
+      model,
+      provider,
+      promptTokens: usage.promptTokens || 0,
+      completionTokens: usage.completionTokens || 0,
+      totalTokens: usage.totalTokens || 0,
+      promptCost: cost.promptCost,
+      completionCost: cost.completionCost,
+      cost: cost.totalCost
+    });
+  } catch (error) {
+    logger.error(`Failed to record usage: ${error.message}`, { userId, operation, model });
+  }
+
+  return cost;
+};
+
+/**
+ * 计算预算周期内的支出
+ */
+exports.getSpend = async ({ scope, scopeId, period }) => {
+  const match = {
+    [scope === 'team' ? 'teamId' : 'userId']: scopeId,
+    createdAt: { $gte: getPeriodStart(period) }
+  };
+
+  const [result] = await UsageRecord.aggregate([
+    { $match: match },
+    { $group: { _id: null, cost: { $sum: '$cost' } } }
+  ]);
+
+  return result?.cost || 0;
+};
+
+/**
+ * 获取适用于用户（及其团队）的预算及当前支出
+ */
+exports.getBudgetStatus = async ({ userId, teamId }) => {
+  const scopes = [{ scope: 'user', scopeId: userId }];
+  if (teamId) {
+    scopes.push({ scope: 'team', scopeId: teamId });
+  }
+
+  const budgets = await Budget.find({ $or: scopes });
+
+  return Promise.all(budgets.map(async (budget) => {
+    const spent = await exports.getSpend(budget);
+    return {
+      id: budget._id,
+      scope: budget.scope,
+      scopeId: budget.scopeId,
+      period: budget.period,
+      limitUsd: budget.limitUsd,
+      softLimitUsd: budget.limitUsd * budget.softLimitRatio,
+      hardStop: budget.hardStop,
+      spentUsd: Math.round(spent * 1e6) / 1e6,
+      remainingUsd: Math.max(budget.limitUsd - spent, 0),
+      softLimitReached: spent >= budget.limitUsd * budget.softLimitRatio,
+      exceeded: spent >= budget.limitUsd,
+      periodStart: getPeriodStart(budget.period)
+    };
+  }));
+};
+
+/**
+ * 检查预算
+ * 返回 { allowed, exceeded, warnings }；任一启用硬限制的预算超支即不允许继续调用
+ */
+exports.checkBudget = async ({ userId, teamId }) => {
+  const statuses = await exports.getBudgetStatus({ userId, teamId });
+
+  const exceeded = statuses.filter(status => status.exceeded && status.hardStop);
+  const warnings = statuses.filter(status => status.softLimitReached && !(status.exceeded && status.hardStop));
+
+  return {
+    allowed: exceeded.length === 0,
+    exceeded,
+    warnings
+  };
+};
+
+/**
+ * 设置预算（按 scope + scopeId + period 唯一）
+ */
+exports.upsertBudget = async ({ scope, scopeId, period, limitUsd, softLimitRatio, hardStop, updatedBy }) => {
+  const update = { limitUsd, updatedBy };
+  if (softLimitRatio !== undefined) {
+    update.softLimitRatio = softLimitRatio;
+  }
+  if (hardStop !== undefined) {
+    update.hardStop = hardStop;
+  }
+
+  return Budget.findOneAndUpdate(
+    { scope, scopeId, period },
+    { $set: update },
+    { new: true, upsert: true, runValidators: true, setDefaultsOnInsert: true }
+  );
+};
+
+/**
+ * 用量统计
+ * 返回总计以及按模型、操作、日期的分组明细
+ */
+exports.getUsageBreakdown = async ({ scope, scopeId, from, to }) => {
+  const match = {
+    [scope === 'team' ? 'teamId' : 'userId']: scopeId,
+    createdAt: { $gte: from, $lte: to }
+  };
+
+  const sums = {
+    requests: { $sum: 1 },
+    promptTokens: { $sum: '$promptTokens' },
+    completionTokens: { $sum: '$completionTokens' },
+    totalTokens: { $sum: '$totalTokens' },
+    cost: { $sum: '$cost' }
+  };
+
+  const [result] = await UsageRecord.aggregate([
+    { $match: match },
+    {
+      $facet: {
+        total: [{ $group: { _id: null, ...sums } }],
+        byModel: [{ $group: { _id: '$model', ...sums } }, { $sort: { cost: -1 } }],
+        byOperation: [{ $group: { _id: '$operation', ...sums } }, { $sort: { cost: -1 } }],
+        byDay: [
+          { $group: { _id: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } }, ...sums } },
+          { $sort: { _id: 1 } }
+        ]
+      }
+    }
+  ]);
+
+  const rename = (key) => ({ _id, ...rest }) => ({ [key]: _id, ...rest });
+  const total = { requests: 0, promptTokens: 0, completionTokens: 0, totalTokens: 0, cost: 0, ...result.total[0] };
+  delete total._id;
+
+  return {
+    total,
+    byModel: result.byModel.map(rename('model')),
+    byOperation: result.byOperation.map(rename('operation')),
+    byDay: result.byDay.map(rename('day'))
+  };
+};
+
+/**
+ * 导出明细行（日期 × 模型 × 操作），用于CSV下载
+ */
+exports.getUsageRows = async ({ scope, scopeId, from, to }) => {
+  return UsageRecord.aggregate([
+    {
+      $match: {
+        [scope === 'team' ? 'teamId' : 'userId']: scopeId,
+        createdAt: { $gte: from, $lte: to }
+      }
+    },
+    {
+      $group: {
+        _id: {
+          day: { $dateToString: { format: '%Y-%m-%d', date: '$createdAt' } },
+          model: '$model',
+          operation: '$operation'
+        },
+        requests: { $sum: 1 },
+        promptTokens: { $sum: '$promptTokens' },
+        completionTokens: { $sum: '$completionTokens' },
+        totalTokens: { $sum: '$totalTokens' },
+        cost: { $sum: '$cost' }
+      }
+    },
+    { $sort: { '_id.day': 1, '_id.model': 1, '_id.operation': 1 } }
+  ]);
+};
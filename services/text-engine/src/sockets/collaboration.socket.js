@@ -0,0 +1,156 @@
+/**
+ * 实时协作 WebSocket 端点
+ * 路径 /api/v1/projects/:projectId/collaborate，令牌通过 Authorization 头或 token 查询参数传递（浏览器无法设置握手头）
+ * 只负责认证、连接管理和 JSON 编解码，协作逻辑见 collaboration.service
+ */
+
+const { WebSocketServer } = require('ws');
+const jwt = require('jsonwebtoken');
+const collaborationService = require('../services/collaboration.service');
+const config = require('../config/collaboration');
+const logger = require('../utils/logger');
+
+const PATH_PATTERN = /^\/api\/v1\/projects\/([^/]+)\/collaborate\/?$/;
+
+/**
+ * 从握手请求中解析用户，令牌无效时返回 null
+ */
+function authenticate(req, url) {
+  const header = req.headers.authorization || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : url.searchParams.get('token');
+  if (!token) {
+    return null;
+  }
+
+  try {
+    const payload = jwt.verify(token, process.env.JWT_SECRET);
+    return {
+      id: payload.id || payload.sub,
+      teamId: payload.teamId,
+      role: payload.role,
+      roles: payload.roles
+    };
+  } catch (error) {
+    logger.warn(`Collaboration handshake rejected: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * 以HTTP状态拒绝握手
+ */
+function rejectUpgrade(socket, status, message) {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\nContent-Length: 0\r\n\r\n`);
+  socket.destroy();
+}
+
+// 加入会话失败时的关闭码（4000 + HTTP 状态码）
+const HANDSHAKE_ERRORS = {
+  project_not_found: [4404, 'Project not found'],
+  collaboration_full: [4503, 'Too many collaborators']
+};
+
+/**
+ * 在HTTP服务器上挂载协作端点
+ * 返回 { close() }，关闭时保存所有会话
+ */
+exports.attach = (server) => {
+  const wss = new WebSocketServer({ noServer: true, maxPayload: config.MAX_MESSAGE_BYTES });
+
+  server.on('upgrade', (req, socket, head) => {
+    const url = new URL(req.url, 'http://localhost');
+    const match = url.pathname.match(PATH_PATTERN);
+    if (!match) {
+      rejectUpgrade(socket, 404, 'Not Found');
+      return;
+    }
+
+    const user = authenticate(req, url);
+    if (!user?.id) {
+      rejectUpgrade(socket, 401, 'Unauthorized');
+      return;
+    }
+
+    wss.handleUpgrade(req, socket, head, async (ws) => {
+      const transport = {
+        send: (message) => {
+          if (ws.readyState === ws.OPEN) {
+            ws.send(JSON.stringify(message));
+          }
+        },
+        close: (code, reason) => ws.close(code, reason)
+      };
+
+      // 加入会话前收到的消息先缓存
+      const pending = [];
+      let connection = null;
+      let closed = false;
+
+      ws.isAlive = true;
+      ws.on('pong', () => {
+        ws.isAlive = true;
+      });
+
+      ws.on('message', (data) => {
+        let message;
+        try {
+          message = JSON.parse(data.toString());
+        } catch (error) {
+          transport.send({ type: 'error', code: 'invalid_message', message: 'Messages must be JSON' });
+          return;
+        }
+
+        if (connection) {
+          connection.receive(message);
+        } else {
+          pending.push(message);
+        }
+      });
+
+      ws.on('close', () => {
+        closed = true;
+        connection?.disconnect().catch(error => logger.error(`Collaboration disconnect failed: ${error.message}`));
+      });
+
+      try {
+        connection = await collaborationService.connect({ projectId: decodeURIComponent(match[1]), user, transport });
+      } catch (error) {
+        const [code, reason] = HANDSHAKE_ERRORS[error.code] || [1011, 'Internal error'];
+        if (code === 1011) {
+          logger.error(`Collaboration connect failed: ${error.message}`, { stack: error.stack });
+        }
+        ws.close(code, reason);
+        return;
+      }
+
+      if (closed) {
+        connection.disconnect().catch(error => logger.error(`Collaboration disconnect failed: ${error.message}`));
+        return;
+      }
+      pending.forEach(message => connection.receive(message));
+    });
+  });
+
+  // 心跳：关闭一个周期内未响应 ping 的连接
+  const heartbeat = setInterval(() => {
+    for (const ws of wss.clients) {
+      if (!ws.isAlive) {
+        ws.terminate();
+        continue;
+      }
+      ws.isAlive = false;
+      ws.ping();
+    }
+  }, config.HEARTBEAT_INTERVAL_MS);
+  heartbeat.unref();
+
+  logger.info('Collaboration WebSocket endpoint attached');
+
+  return {
+    close: async () => {
+      clearInterval(heartbeat);
+      await collaborationService.closeAll();
+      wss.close();
+    }
+  };
+};
@@ -0,0 +1,184 @@
+/**
+ * 算术计算工具
+ * 递归下降解析算术表达式，不使用 eval
+ * 支持 + - * / % ^、括号、一元正负号以及常用函数和常量
+ */
+
+const FUNCTIONS = {
+  abs: Math.abs,
+  sqrt: Math.sqrt,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  ln: Math.log,
+  log10: Math.log10,
+  min: Math.min,
+  max: Math.max
+};
+
+const CONSTANTS = {
+  pi: Math.PI,
+  e: Math.E
+};
+
+/**
+ * 表达式解析错误
+ */
+function createSyntaxError(message, position) {
+  return new Error(`${message} at position ${position + 1}`);
+}
+
+/**
+ * 词法分析
+ */
+function tokenize(expression) {
+  const tokens = [];
+  const pattern = /\s*(?:(\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?)|([a-z_][a-z0-9_]*)|(\*\*|[-+*/%^(),]))/iy;
+  let index = 0;
+
+  while (index < expression.length) {
+    pattern.lastIndex = index;
+    const match = pattern.exec(expression);
+
+    if (!match) {
+      if (/^\s*$/.test(expression.slice(index))) {
+        break;
+      }
+      throw createSyntaxError(`Unexpected character "${expression.slice(index).trim()[0]}"`, index);
+    }
+
+    const position = index + match[0].length - (match[1] || match[2] || match[3]).length;
+    if (match[1] !== undefined) {
+      tokens.push({ type: 'number', value: parseFloat(match[1]), position });
+    } else if (match[2] !== undefined) {
+      tokens.push({ type: 'name', value: match[2].toLowerCase(), position });
+    } else {
+      tokens.push({ type: 'op', value: match[3] === '**' ? '^' : match[3], position });
+    }
+    index = pattern.lastIndex;
+  }
+
+  return tokens;
+}
+
+/**
+ * 计算表达式
+ * 优先级：括号/函数 > 乘方（右结合） > 一元正负 > 乘除取余 > 加减
+ */
+function evaluate(expression) {
+  const tokens = tokenize(expression);
+  let current = 0;
+
+  const peek = () => tokens[current];
+  const next = () => tokens[current++];
+  const expect = (value) => {
+    const token = next();
+    if (!token || token.value !== value) {
+      throw createSyntaxError(`Expected "${value}"`, token ? token.position : expression.length);
+    }
+  };
+
+  function parseExpression() {
+    let value = parseTerm();
+    while (peek() && (peek().value === '+' || peek().value === '-')) {
+      value = next().value === '+' ? value + parseTerm() : value - parseTerm();
+    }
+    return value;
+  }
+
+  function parseTerm() {
+    let value = parseUnary();
+    while (peek() && ['*', '/', '%'].includes(peek().value)) {
+      const operator = next().value;
+      const right = parseUnary();
+      if ((operator === '/' || operator === '%') && right === 0) {
+        throw new Error('Division by zero');
+      }
+      value = operator === '*' ? value * right : operator === '/' ? value / right : value % right;
+    }
+    return value;
+  }
+
+  function parseUnary() {
+    if (peek() && (peek().value === '-' || peek().value === '+')) {
+      return next().value === '-' ? -parseUnary() : parseUnary();
+    }
+    return parsePower();
+  }
+
+  function parsePower() {
+    const base = parsePrimary();
+    if (peek() && peek().value === '^') {
+      next();
+      return Math.pow(base, parseUnary());
+    }
+    return base;
+  }
+
+  function parsePrimary() {
+    const token = next();
+    if (!token) {
+      throw createSyntaxError('Unexpected end of expression', expression.length);
+    }
+
+    if (token.type === 'number') {
+      return token.value;
+    }
+
+    if (token.value === '(') {
+      const value = parseExpression();
+      expect(')');
+      return value;
+    }
+
+    if (token.type === 'name') {
+      if (Object.prototype.hasOwnProperty.call(FUNCTIONS, token.value) && peek()?.value === '(') {
+        next();
+        const args = [parseExpression()];
+        while (peek() && peek().value === ',') {
+          next();
+          args.push(parseExpression());
+        }
+        expect(')');
+        return FUNCTIONS[token.value](...args);
+      }
+
+      if (Object.prototype.hasOwnProperty.call(CONSTANTS, token.value)) {
+        return CONSTANTS[token.value];
+      }
+
+      throw createSyntaxError(`Unknown identifier "${token.value}"`, token.position);
+    }
+
+    throw createSyntaxError(`Unexpected "${token.value}"`, token.position);
+  }
+
+  const result = parseExpression();
+  if (current < tokens.length) {
+    throw createSyntaxError(`Unexpected "${tokens[current].value}"`, tokens[current].position);
+  }
+
+  if (!Number.isFinite(result)) {
+    throw new Error('Result is not a finite number');
+  }
+
+  return result;
+}
+
+module.exports = {
+  name: 'calculate',
+  description: 'Evaluate an arithmetic expression. Supports + - * / % ^, parentheses, abs, sqrt, round, floor, ceil, ln, log10, min, max and the constants pi and e.',
+  parameters: {
+    type: 'object',
+    properties: {
+      expression: { type: 'string', minLength: 1, maxLength: 500, description: 'Arithmetic expression, e.g. "(12.5 * 3) / 4"' }
+    },
+    required: ['expression'],
+    additionalProperties: false
+  },
+  timeoutMs: 1000,
+  handler: async ({ expression }) => ({
+    expression,
+    result: evaluate(expression)
+  })
+};
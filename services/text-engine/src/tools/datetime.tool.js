@@ -0,0 +1,43 @@
+/**
+ * 日期时间工具
+ * 返回当前时间，可指定 IANA 时区
+ */
+
+module.exports = {
+  name: 'get_current_datetime',
+  description: 'Get the current date and time, optionally in a specific IANA time zone (e.g. "Asia/Shanghai").',
+  parameters: {
+    type: 'object',
+    properties: {
+      timezone: { type: 'string', description: 'IANA time zone name, defaults to UTC' }
+    },
+    additionalProperties: false
+  },
+  timeoutMs: 1000,
+  handler: async ({ timezone = 'UTC' }) => {
+    const now = new Date();
+
+    // 无效时区时 Intl 抛出 RangeError，由注册表作为工具失败返回给模型
+    const formatter = new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'long',
+      hourCycle: 'h23'
+    });
+    const parts = Object.fromEntries(formatter.formatToParts(now).map(part => [part.type, part.value]));
+
+    return {
+      iso: now.toISOString(),
+      timezone,
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      time: `${parts.hour}:${parts.minute}:${parts.second}`,
+      weekday: parts.weekday,
+      unixMs: now.getTime()
+    };
+  }
+};
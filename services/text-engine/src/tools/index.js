@@ -0,0 +1,13 @@
+/**
+ * 工具注册入口
+ * 新增服务端工具只需在此注册
+ */
+
+const registry = require('./registry');
+
+registry.registerTool(require('./datetime.tool'));
+registry.registerTool(require('./calculator.tool'));
+registry.registerTool(require('./templateLookup.tool'));
+registry.registerTool(require('./projectSearch.tool'));
+
+module.exports = registry;
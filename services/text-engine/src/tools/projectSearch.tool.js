@@ -0,0 +1,47 @@
+/**
+ * 项目搜索工具
+ * 在当前用户的项目中按关键词搜索，返回标题、标签和内容摘录
+ */
+
+const projectService = require('../services/project.service');
+
+const MAX_RESULTS = 10;
+const EXCERPT_LENGTH = 300;
+
+module.exports = {
+  name: 'search_projects',
+  description: 'Search the current user\'s saved text projects by keyword, tags or folder. Returns titles and short content excerpts.',
+  requiresAuth: true,
+  parameters: {
+    type: 'object',
+    properties: {
+      query: { type: 'string', maxLength: 100, description: 'Keyword matched against title, content and prompt' },
+      tags: { type: 'array', items: { type: 'string' }, maxItems: 10 },
+      folder: { type: 'string' },
+      limit: { type: 'integer', minimum: 1, maximum: MAX_RESULTS }
+    },
+    additionalProperties: false
+  },
+  handler: async ({ query, tags, folder, limit = 5 }, { userId }) => {
+    const { projects, total } = await projectService.searchProjects(
+      userId,
+      { q: query, tags: tags?.join(','), folder },
+      { sort: projectService.resolveSort('updatedAt', 'desc'), limit }
+    );
+
+    // 列表查询不含正文，按ID补充摘录
+    const excerpts = await projectService.getExcerpts(userId, projects.map(project => project.projectId), EXCERPT_LENGTH);
+
+    return {
+      total,
+      projects: projects.map(project => ({
+        projectId: project.projectId,
+        title: project.title,
+        tags: project.tags,
+        folder: project.folder,
+        updatedAt: project.updatedAt,
+        excerpt: excerpts[project.projectId] || ''
+      }))
+    };
+  }
+};
@@ -0,0 +1,123 @@
+/**
+ * 工具注册表
+ * 维护服务端工具的名称、参数 JSON Schema 和处理函数，供工具调用循环解析和执行
+ */
+
+const logger = require('../utils/logger');
+const { compileSchema, formatErrors } = require('../utils/jsonSchema');
+
+// 默认单次工具调用超时（毫秒）
+const DEFAULT_TOOL_TIMEOUT = parseInt(process.env.TOOL_TIMEOUT_MS || '5000');
+
+// 工具名称需兼容原生函数调用的命名限制
+const TOOL_NAME_PATTERN = /^[a-zA-Z0-9_-]{1,64}$/;
+
+// 工具名称 -> { tool, validate }
+const tools = new Map();
+
+/**
+ * 注册工具
+ * 工具声明 name、description、parameters（JSON Schema）和 handler(args, context)
+ * 读取当前用户数据的工具需声明 requiresAuth: true，匿名请求不能启用
+ */
+exports.registerTool = (tool) => {
+  if (!tool || !TOOL_NAME_PATTERN.test(tool.name || '')) {
+    throw new Error('Tool must declare a name matching [a-zA-Z0-9_-]{1,64}');
+  }
+
+  if (typeof tool.handler !== 'function') {
+    throw new Error(`Tool "${tool.name}" must declare a handler`);
+  }
+
+  const parameters = tool.parameters || { type: 'object', properties: {} };
+  tools.set(tool.name, {
+    tool: { timeoutMs: DEFAULT_TOOL_TIMEOUT, description: '', requiresAuth: false, ...tool, parameters },
+    validate: compileSchema(parameters)
+  });
+
+  logger.info(`Tool registered: ${tool.name}`);
+  return tool;
+};
+
+/**
+ * 移除工具
+ */
+exports.unregisterTool = (name) => tools.delete(name);
+
+/**
+ * 按名称解析工具列表
+ * 未注册的名称抛出 tool_not_found；未认证的请求启用 requiresAuth 工具时抛出 tool_requires_auth
+ */
+exports.resolveTools = (names, { authenticated = false } = {}) => {
+  const unknown = names.filter(name => !tools.has(name));
+  if (unknown.length > 0) {
+    const err = new Error(`Unknown tools: ${unknown.join(', ')}. Available tools: ${[...tools.keys()].join(', ')}`);
+    err.code = 'tool_not_found';
+    throw err;
+  }
+
+  const resolved = names.map(name => tools.get(name).tool);
+  const restricted = resolved.filter(tool => tool.requiresAuth).map(tool => tool.name);
+  if (!authenticated && restricted.length > 0) {
+    const err = new Error(`Tools require an authenticated user: ${restricted.join(', ')}`);
+    err.code = 'tool_requires_auth';
+    throw err;
+  }
+
+  return resolved;
+};
+
+/**
+ * 列出所有已注册的工具（不含处理函数）
+ */
+exports.listTools = () => [...tools.values()].map(({ tool }) => ({
+  name: tool.name,
+  description: tool.description,
+  parameters: tool.parameters,
+  timeoutMs: tool.timeoutMs,
+  requiresAuth: tool.requiresAuth
+}));
+
+/**
+ * 执行工具
+ * 参数校验失败、超时或处理函数出错都不会抛出，而是返回失败状态，由模型决定如何继续
+ * 返回 { status: 'succeeded' | 'invalid_arguments' | 'timeout' | 'failed', output?, error?, durationMs }
+ */
+exports.executeTool = async (name, args, context = {}, { timeoutMs } = {}) => {
+  const entry = tools.get(name);
+  const startTime = Date.now();
+
+  if (!entry) {
+    return { status: 'failed', error: `Unknown tool "${name}"`, durationMs: 0 };
+  }
+
+  if (entry.tool.requiresAuth && !context.authenticated) {
+    return { status: 'failed', error: `Tool "${name}" requires an authenticated user`, durationMs: 0 };
+  }
+
+  if (!entry.validate(args)) {
+    const problems = formatErrors(entry.validate.errors).map(problem => `${problem.path}: ${problem.message}`);
+    return { status: 'invalid_arguments', error: problems.join('; '), durationMs: 0 };
+  }
+
+  const limit = Math.min(entry.tool.timeoutMs, timeoutMs || Infinity);
+  let timer;
+
+  try {
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(() => reject(Object.assign(new Error(`Tool timed out after ${limit}ms`), { code: 'tool_timeout' })), limit);
+    });
+    const output = await Promise.race([entry.tool.handler(args, context), timeout]);
+
+    return { status: 'succeeded', output, durationMs: Date.now() - startTime };
+  } catch (error) {
+    logger.warn(`Tool ${name} failed: ${error.message}`);
+    return {
+      status: error.code === 'tool_timeout' ? 'timeout' : 'failed',
+      error: error.message,
+      durationMs: Date.now() - startTime
+    };
+  } finally {
+    clearTimeout(timer);
+  }
+};
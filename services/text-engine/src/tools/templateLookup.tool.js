@@ -0,0 +1,51 @@
+/**
+ * 模板查询工具
+ * 在当前用户的提示模板中按名称搜索，或按ID获取最新版本的正文和变量定义
+ */
+
+const promptTemplateService = require('../services/promptTemplate.service');
+
+// 搜索结果数量上限
+const MAX_RESULTS = 10;
+
+module.exports = {
+  name: 'lookup_template',
+  description: 'Look up the current user\'s prompt templates. Pass templateId to get the latest version body and variables, or query to search templates by name.',
+  requiresAuth: true,
+  parameters: {
+    type: 'object',
+    properties: {
+      templateId: { type: 'string', description: 'Template id to fetch' },
+      query: { type: 'string', maxLength: 200, description: 'Text to search for in template names' },
+      tag: { type: 'string', maxLength: 50 }
+    },
+    additionalProperties: false
+  },
+  handler: async ({ templateId, query, tag }, { userId }) => {
+    if (templateId) {
+      const template = await promptTemplateService.getTemplate(userId, templateId);
+      const version = await promptTemplateService.getVersion(template, 'latest');
+
+      return {
+        templateId: template.templateId,
+        name: template.name,
+        description: template.description,
+        version: version.version,
+        body: version.body,
+        variables: version.variables
+      };
+    }
+
+    const { templates, total } = await promptTemplateService.listTemplates(userId, { q: query, tag, limit: MAX_RESULTS });
+    return {
+      total,
+      templates: templates.map(template => ({
+        templateId: template.templateId,
+        name: template.name,
+        description: template.description,
+        tags: template.tags,
+        latestVersion: template.latestVersion
+      }))
+    };
+  }
+};
@@ -0,0 +1,54 @@
+/**
+ * 缓存键构建
+ * 对全部生成参数做规范化序列化后取SHA-256，得到定长且可检查的缓存键：
+ *   <namespace>:<operation>:<model>:<hash>
+ * 参数顺序不影响结果，值为undefined的参数被忽略
+ */
+
+const crypto = require('crypto');
+
+/**
+ * 规范化：对象按键排序，移除undefined
+ */
+function canonicalize(value) {
+  if (Array.isArray(value)) {
+    return value.map(item => (item === undefined ? null : canonicalize(item)));
+  }
+
+  if (value && typeof value === 'object' && !(value instanceof Date)) {
+    return Object.keys(value)
+      .sort()
+      .filter(key => value[key] !== undefined)
+      .reduce((result, key) => {
+        result[key] = canonicalize(value[key]);
+        return result;
+      }, {});
+  }
+
+  return value;
+}
+
+/**
+ * 计算参数指纹
+ */
+exports.hashParams = (params) => {
+  return crypto
+    .createHash('sha256')
+    .update(JSON.stringify(canonicalize(params)))
+    .digest('hex');
+};
+
+/**
+ * 构建缓存键
+ */
+exports.buildCacheKey = ({ namespace = 'openai', operation, model, params }) => {
+  return `${namespace}:${operation}:${model}:${exports.hashParams({ model, ...params })}`;
+};
+
+/**
+ * 解析缓存键
+ */
+exports.parseCacheKey = (key) => {
+  const [namespace, operation, model, hash] = key.split(':');
+  return hash ? { namespace, operation, model, hash } : null;
+};
@@ -0,0 +1,114 @@
+/**
+ * 请求取消
+ * 基于 AbortSignal 在控制器、生成调度和提供方之间传递取消：客户端断开、请求超过截止时间或任务被显式取消时中止上游调用
+ * 取消错误不可重试，不计入提供方失败和熔断器
+ */
+
+const CANCELLATION_CODES = ['request_cancelled', 'deadline_exceeded'];
+
+/**
+ * 创建取消错误
+ * reason：client_disconnected（客户端断开）、deadline_exceeded（超过截止时间）、cancelled（显式取消）或 lease_lost（批量任务被其他工作进程接管）
+ */
+exports.createCancellationError = (reason = 'cancelled') => {
+  const err = new Error(reason === 'deadline_exceeded'
+    ? 'Request exceeded its deadline and was cancelled'
+    : 'Request was cancelled');
+  err.code = reason === 'deadline_exceeded' ? 'deadline_exceeded' : 'request_cancelled';
+  err.reason = reason;
+  err.retryable = false;
+  return err;
+};
+
+/**
+ * 判断是否为取消错误
+ */
+exports.isCancellation = (error) => CANCELLATION_CODES.includes(error?.code);
+
+/**
+ * 信号对应的取消错误；中止原因不是取消错误时视为显式取消
+ */
+exports.cancellationError = (signal) => (exports.isCancellation(signal.reason)
+  ? signal.reason
+  : exports.createCancellationError());
+
+/**
+ * 信号已中止时抛出取消错误
+ */
+exports.throwIfCancelled = (signal) => {
+  if (signal?.aborted) {
+    throw exports.cancellationError(signal);
+  }
+};
+
+/**
+ * 信号中止时立即以取消错误拒绝，不等待不支持取消的操作结束
+ */
+exports.raceSignal = (promise, signal) => {
+  if (!signal) {
+    return promise;
+  }
+  if (signal.aborted) {
+    promise.catch(() => {});
+    return Promise.reject(exports.cancellationError(signal));
+  }
+
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(exports.cancellationError(signal));
+    signal.addEventListener('abort', onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+  });
+};
+
+/**
+ * 可取消的等待
+ */
+exports.delay = (ms, signal) => exports.raceSignal(new Promise(resolve => {
+  const timer = setTimeout(resolve, ms);
+  signal?.addEventListener('abort', () => clearTimeout(timer), { once: true });
+}), signal);
+
+/**
+ * 创建跟随父信号中止的子控制器，用于在父信号之外附加超时等条件
+ * 使用完毕须调用 dispose 移除对父信号的监听
+ */
+exports.linkController = (parent) => {
+  const controller = new AbortController();
+  if (!parent) {
+    return { controller, dispose: () => {} };
+  }
+
+  const onAbort = () => controller.abort(parent.reason);
+  if (parent.aborted) {
+    onAbort();
+  } else {
+    parent.addEventListener('abort', onAbort, { once: true });
+  }
+
+  return { controller, dispose: () => parent.removeEventListener('abort', onAbort) };
+};
+
+/**
+ * 可取消的异步迭代：信号中止时结束源迭代器并抛出取消错误
+ */
+exports.abortableIterator = async function* (iterable, signal) {
+  if (!signal) {
+    yield* iterable;
+    return;
+  }
+
+  const iterator = iterable[Symbol.asyncIterator]();
+  try {
+    while (true) {
+      exports.throwIfCancelled(signal);
+      const next = await exports.raceSignal(iterator.next(), signal);
+      if (next.done) {
+        return;
+      }
+      yield next.value;
+    }
+  } finally {
+    // 通知源生成器清理（中止上游流）；源正阻塞在 next 时不等待其返回
+    iterator.return?.().catch(() => {});
+  }
+};
@@ -0,0 +1,127 @@
+/**
+ * 提供方熔断器
+ * 每个提供方在时间窗口内连续出现可重试错误达到阈值后熔断，冷却期内请求直接转向回退链的下一个提供方
+ * 状态保存在Redis中，所有副本同时熔断；Redis不可用时退化为进程内状态
+ */
+
+const logger = require('./logger');
+const { getRedisClient } = require('../config/redis');
+
+const CONFIG = {
+  failureThreshold: parseInt(process.env.CIRCUIT_BREAKER_THRESHOLD || '5'),
+  windowMs: parseInt(process.env.CIRCUIT_BREAKER_WINDOW_MS || '60000'),
+  cooldownMs: parseInt(process.env.CIRCUIT_BREAKER_COOLDOWN_MS || '30000')
+};
+
+const KEY_PREFIX = 'breaker';
+
+// Redis不可用时的进程内状态: provider -> { failures, windowEndsAt, openUntil, probationUntil }
+const localState = new Map();
+
+const keys = (provider) => ({
+  failures: `${KEY_PREFIX}:${provider}:failures`,
+  open: `${KEY_PREFIX}:${provider}:open`,
+  // 熔断恢复后的试探期，期间再次失败立即重新熔断
+  probation: `${KEY_PREFIX}:${provider}:probation`
+});
+
+function getLocalState(provider) {
+  if (!localState.has(provider)) {
+    localState.set(provider, { failures: 0, windowEndsAt: 0, openUntil: 0, probationUntil: 0 });
+  }
+  return localState.get(provider);
+}
+
+/**
+ * 判断提供方是否处于熔断状态
+ */
+exports.isOpen = async (provider) => {
+  const redis = getRedisClient();
+
+  if (redis) {
+    try {
+      return (await redis.exists(keys(provider).open)) === 1;
+    } catch (error) {
+      logger.warn(`Circuit breaker state read failed, using local state: ${error.message}`);
+    }
+  }
+
+  return getLocalState(provider).openUntil > Date.now();
+};
+
+/**
+ * 记录一次可重试失败，达到阈值时打开熔断器
+ */
+exports.recordFailure = async (provider) => {
+  const redis = getRedisClient();
+
+  if (redis) {
+    try {
+      const { failures, open, probation } = keys(provider);
+      const count = await redis.incr(failures);
+      if (count === 1) {
+        await redis.pExpire(failures, CONFIG.windowMs);
+      }
+
+      const onProbation = (await redis.exists(probation)) === 1;
+      if (count >= CONFIG.failureThreshold || onProbation) {
+        await redis.set(open, Date.now().toString(), { PX: CONFIG.cooldownMs });
+        await redis.set(probation, '1', { PX: CONFIG.cooldownMs + CONFIG.windowMs });
+        await redis.del(failures);
+        logger.warn(`Circuit breaker opened for provider ${provider} (${count} failures)`);
+        return true;
+      }
+
+      return false;
+    } catch (error) {
+      logger.warn(`Circuit breaker state write failed, using local state: ${error.message}`);
+    }
+  }
+
+  const now = Date.now();
+  const state = getLocalState(provider);
+
+  if (state.windowEndsAt <= now) {
+    state.failures = 0;
+    state.windowEndsAt = now + CONFIG.windowMs;
+  }
+  state.failures += 1;
+
+  if (state.failures >= CONFIG.failureThreshold || state.probationUntil > now) {
+    state.openUntil = now + CONFIG.cooldownMs;
+    state.probationUntil = now + CONFIG.cooldownMs + CONFIG.windowMs;
+    logger.warn(`Circuit breaker opened for provider ${provider} (${state.failures} failures)`);
+    state.failures = 0;
+    return true;
+  }
+
+  return false;
+};
+
+/**
+ * 记录一次成功调用，重置失败计数并结束试探期
+ */
+exports.recordSuccess = async (provider) => {
+  const redis = getRedisClient();
+
+  if (redis) {
+    try {
+      const { failures, probation } = keys(provider);
+      await redis.del([failures, probation]);
+      return;
+    } catch (error) {
+      logger.warn(`Circuit breaker state write failed, using local state: ${error.message}`);
+    }
+  }
+
+  localState.set(provider, { failures: 0, windowEndsAt: 0, openUntil: 0, probationUntil: 0 });
+};
+
+/**
+ * 获取熔断器状态，用于健康检查和监控
+ */
+exports.getState = async (provider) => ({
+  provider,
+  open: await exports.isOpen(provider),
+  ...CONFIG
+});
@@ -0,0 +1,161 @@
+/**
+ * 上下文窗口预检
+ * 在调用提供方之前本地计算令牌数，确认 systemPrompt + history + prompt + maxTokens 不超过模型上下文长度
+ * 超出时按调用方选择的策略处理：reject（默认）、truncate、clamp、upgrade
+ */
+
+const providers = require('../providers');
+const { countChatTokens, truncateToTokens } = require('./tokenizer');
+
+const STRATEGIES = ['reject', 'truncate', 'clamp', 'upgrade'];
+
+// 调整后至少保留的输出令牌数，低于此值视为无法容纳
+const MIN_COMPLETION_TOKENS = 64;
+
+// 未指定 maxTokens 时的默认输出令牌数
+const DEFAULT_MAX_TOKENS = 1000;
+
+/**
+ * 规范化 maxTokens：接受整数或整数字符串，未指定时使用默认值
+ * 其他取值抛出 invalid_max_tokens
+ */
+function normalizeMaxTokens(maxTokens) {
+  if (maxTokens === undefined || maxTokens === null) {
+    return DEFAULT_MAX_TOKENS;
+  }
+
+  const value = typeof maxTokens === 'string' && /^\s*\d+\s*$/.test(maxTokens) ? Number(maxTokens) : maxTokens;
+  if (!Number.isInteger(value) || value <= 0) {
+    const err = new Error('maxTokens must be a positive integer');
+    err.code = 'invalid_max_tokens';
+    throw err;
+  }
+  return value;
+}
+
+/**
+ * 计算令牌预算明细
+ */
+function buildBreakdown({ model, prompt, systemPrompt, history, maxTokens }) {
+  const contextWindow = providers.getMaxContext(model);
+  const counts = countChatTokens({ prompt, systemPrompt, history, model });
+  const totalTokens = counts.inputTokens + maxTokens;
+
+  return {
+    model,
+    contextWindow,
+    ...counts,
+    maxTokens,
+    totalTokens,
+    remainingTokens: contextWindow - totalTokens,
+    fits: totalTokens <= contextWindow
+  };
+}
+
+/**
+ * 上下文超限错误，附带令牌明细
+ */
+function createContextError(breakdown, strategy) {
+  const err = new Error(
+    `Request needs ${breakdown.totalTokens} tokens (${breakdown.inputTokens} input + ${breakdown.maxTokens} max output) ` +
+    `but ${breakdown.model} allows ${breakdown.contextWindow}`
+  );
+  err.code = 'context_length_exceeded';
+  err.tokenBreakdown = breakdown;
+  err.strategy = strategy;
+  return err;
+}
+
+/**
+ * 计算令牌预算，供 /text/tokenize 使用
+ */
+exports.analyze = ({ model, prompt = '', systemPrompt = '', history = [], maxTokens = 0 }) => {
+  return buildBreakdown({ model, prompt, systemPrompt, history, maxTokens });
+};
+
+/**
+ * 预检生成参数
+ * 返回 { params, breakdown, adjustments }，params 为按策略调整后的参数，其中 maxTokens 已规范化为整数
+ * 无法容纳时抛出 context_length_exceeded 错误
+ */
+exports.preflight = (requestParams, strategy = 'reject') => {
+  const params = { ...requestParams, maxTokens: normalizeMaxTokens(requestParams.maxTokens) };
+  const { model, prompt, systemPrompt = '', history = [], maxTokens } = params;
+
+  if (!STRATEGIES.includes(strategy)) {
+    const err = new Error(`Unknown context strategy "${strategy}". Use one of: ${STRATEGIES.join(', ')}`);
+    err.code = 'invalid_context_strategy';
+    throw err;
+  }
+
+  const breakdown = buildBreakdown({ model, prompt, systemPrompt, history, maxTokens });
+  if (breakdown.fits) {
+    return { params, breakdown, adjustments: [] };
+  }
+
+  switch (strategy) {
+    case 'clamp': {
+      const available = breakdown.contextWindow - breakdown.inputTokens;
+      if (available < MIN_COMPLETION_TOKENS) {
+        break;
+      }
+
+      const adjusted = { ...params, maxTokens: available };
+      return {
+        params: adjusted,
+        breakdown: buildBreakdown({ ...adjusted, systemPrompt, history }),
+        adjustments: [{ type: 'clamp', field: 'maxTokens', from: maxTokens, to: available }]
+      };
+    }
+
+    case 'truncate': {
+      const promptBudget = breakdown.contextWindow - maxTokens - breakdown.systemPromptTokens -
+        breakdown.historyTokens - breakdown.overheadTokens;
+      if (promptBudget <= 0) {
+        break;
+      }
+
+      const truncatedPrompt = truncateToTokens(prompt, promptBudget, model);
+      const adjusted = { ...params, prompt: truncatedPrompt };
+      return {
+        params: adjusted,
+        breakdown: buildBreakdown({ ...adjusted, systemPrompt, history }),
+        adjustments: [{
+          type: 'truncate',
+          field: 'prompt',
+          fromTokens: breakdown.promptTokens,
+          toTokens: promptBudget,
+          removedCharacters: prompt.length - truncatedPrompt.length
+        }]
+      };
+    }
+
+    case 'upgrade': {
+      // 优先选择同一提供方中上下文最小但足够的模型
+      const currentProvider = providers.resolveProvider(model).name;
+      const candidates = providers.listModels()
+        .filter(entry => entry.maxContext >= breakdown.totalTokens && entry.model !== model.toLowerCase())
+        .sort((a, b) => (
+          (a.provider === currentProvider ? 0 : 1) - (b.provider === currentProvider ? 0 : 1) ||
+          a.maxContext - b.maxContext
+        ));
+
+      for (const candidate of candidates) {
+        const candidateBreakdown = buildBreakdown({ model: candidate.model, prompt, systemPrompt, history, maxTokens });
+        if (candidateBreakdown.fits) {
+          return {
+            params: { ...params, model: candidate.model },
+            breakdown: candidateBreakdown,
+            adjustments: [{ type: 'upgrade', field: 'model', from: model, to: candidate.model }]
+          };
+        }
+      }
+      break;
+    }
+  }
+
+  throw createContextError(breakdown, strategy);
+};
+
+exports.normalizeMaxTokens = normalizeMaxTokens;
+exports.STRATEGIES = STRATEGIES;
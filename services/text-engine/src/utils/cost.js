@@ -0,0 +1,67 @@
+/**
+ * 费用计算
+ * 根据价格表和令牌用量计算单次调用费用（美元）
+ */
+
+const { getModelPricing } = require('../config/pricing');
+const logger = require('./logger');
+
+// 费用保留到小数点后6位，避免浮点误差累积
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+/**
+ * 计算费用
+ * 用量未区分输入输出时，全部按输出价格计算，宁高勿低
+ */
+exports.calculateCost = (model, usage = {}) => {
+  const price = getModelPricing(model);
+
+  if (!price) {
+    logger.warn(`No pricing configured for model ${model}, cost recorded as 0`);
+    return { promptCost: 0, completionCost: 0, totalCost: 0, currency: 'USD', priced: false };
+  }
+
+  const hasSplit = usage.promptTokens !== undefined || usage.completionTokens !== undefined;
+  const promptTokens = hasSplit ? usage.promptTokens || 0 : 0;
+  const completionTokens = hasSplit ? usage.completionTokens || 0 : usage.totalTokens || 0;
+
+  const promptCost = round((promptTokens / 1000) * price.prompt);
+  const completionCost = round((completionTokens / 1000) * price.completion);
+
+  return {
+    promptCost,
+    completionCost,
+    totalCost: round(promptCost + completionCost),
+    currency: 'USD',
+    priced: true
+  };
+};
+
+/**
+ * 创建累计用量和费用的初始值
+ * 用于一次请求包含多次模型调用的场景（如结构化输出修复、工具调用循环）
+ */
+exports.createTotals = () => ({
+  usage: { promptTokens: 0, completionTokens: 0, totalTokens: 0 },
+  cost: { promptCost: 0, completionCost: 0, totalCost: 0, currency: 'USD', priced: true }
+});
+
+/**
+ * 累加一次调用的用量和费用
+ */
+exports.addToTotals = (totals, usage, cost) => {
+  if (usage) {
+    totals.usage.promptTokens += usage.promptTokens || 0;
+    totals.usage.completionTokens += usage.completionTokens || 0;
+    totals.usage.totalTokens += usage.totalTokens || 0;
+  }
+
+  if (cost) {
+    totals.cost.promptCost = round(totals.cost.promptCost + cost.promptCost);
+    totals.cost.completionCost = round(totals.cost.completionCost + cost.completionCost);
+    totals.cost.totalCost = round(totals.cost.totalCost + cost.totalCost);
+    totals.cost.priced = totals.cost.priced && cost.priced;
+  }
+
+  return totals;
+};
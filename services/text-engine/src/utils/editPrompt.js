@@ -0,0 +1,33 @@
+/**
+ * 文本编辑提示
+ * 供各提供方的编辑操作共用；指定范围编辑时附带前后文，模型只改写目标片段
+ */
+
+const EDIT_SYSTEM_PROMPT = '你是一个能够根据指令编辑文本的助手。请遵循用户的指令修改提供的文本。只返回修改后的完整文本，不要添加额外的解释。';
+
+const RANGE_EDIT_SYSTEM_PROMPT = '你是一个能够根据指令编辑文本的助手。用户会提供一段待修改的目标文本及其上下文。请只按指令修改目标文本，保持与上下文衔接自然；只返回修改后的目标文本，不要包含上下文，也不要添加额外的解释。';
+
+/**
+ * 构建编辑提示
+ * before/after 为目标片段前后的上下文，仅供参考，不应出现在输出中
+ * 返回 { systemPrompt, prompt }
+ */
+exports.buildEditPrompt = ({ text, instruction, before = '', after = '' }) => {
+  if (!before && !after) {
+    return {
+      systemPrompt: EDIT_SYSTEM_PROMPT,
+      prompt: `原文本:\n${text}\n\n指令:\n${instruction}\n\n修改后的文本:`
+    };
+  }
+
+  return {
+    systemPrompt: RANGE_EDIT_SYSTEM_PROMPT,
+    prompt: [
+      before && `上文（仅供参考，不要修改）:\n${before}`,
+      `目标文本:\n${text}`,
+      after && `下文（仅供参考，不要修改）:\n${after}`,
+      `指令:\n${instruction}`,
+      '修改后的目标文本:'
+    ].filter(Boolean).join('\n\n')
+  };
+};
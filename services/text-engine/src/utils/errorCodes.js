@@ -0,0 +1,48 @@
+/**
+ * 错误码定义
+ * 所有接口错误响应的 errorCode 字段取值，客户端据此区分错误类型
+ */
+
+const ERROR_CODES = Object.freeze({
+  // 请求错误
+  VALIDATION_ERROR: 'VALIDATION_ERROR',
+  CONTEXT_LENGTH_EXCEEDED: 'CONTEXT_LENGTH_EXCEEDED',
+  RESOURCE_NOT_FOUND: 'RESOURCE_NOT_FOUND',
+  TOO_MANY_REQUESTS: 'TOO_MANY_REQUESTS',
+
+  // 请求超过截止时间，或客户端断开、任务被取消
+  REQUEST_TIMEOUT: 'REQUEST_TIMEOUT',
+  REQUEST_CANCELLED: 'REQUEST_CANCELLED',
+
+  // 幂等键：同一键对应不同请求内容，或同一键的请求仍在处理中
+  IDEMPOTENCY_KEY_MISMATCH: 'IDEMPOTENCY_KEY_MISMATCH',
+  IDEMPOTENCY_REQUEST_IN_PROGRESS: 'IDEMPOTENCY_REQUEST_IN_PROGRESS',
+
+  // 认证与授权
+  UNAUTHORIZED: 'UNAUTHORIZED',
+  FORBIDDEN: 'FORBIDDEN',
+
+  // 配额与预算
+  RATE_LIMIT_EXCEEDED: 'RATE_LIMIT_EXCEEDED',
+  BUDGET_EXCEEDED: 'BUDGET_EXCEEDED',
+
+  // 模型与提供方
+  MODEL_UNAVAILABLE: 'MODEL_UNAVAILABLE',
+
+  // 结构化输出多次修复后仍不符合 JSON Schema
+  STRUCTURED_OUTPUT_INVALID: 'STRUCTURED_OUTPUT_INVALID',
+
+  // 内容审核策略阻止了提示或输出
+  CONTENT_BLOCKED: 'CONTENT_BLOCKED',
+
+  // 个人信息保护策略不允许发送请求中的某些实体类型
+  PII_BLOCKED: 'PII_BLOCKED',
+
+  // 工具调用循环达到最大轮数仍未给出最终回答
+  TOOL_ITERATION_LIMIT: 'TOOL_ITERATION_LIMIT',
+
+  // 依赖的存储或服务暂不可用
+  SERVICE_UNAVAILABLE: 'SERVICE_UNAVAILABLE'
+});
+
+module.exports = { ERROR_CODES };
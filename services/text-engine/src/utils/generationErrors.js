@@ -0,0 +1,160 @@
+/**
+ * 生成错误映射
+ * 将生成调度和上下文预检抛出的已分类错误转换为HTTP响应信息，供各控制器共用
+ */
+
+const { ERROR_CODES } = require('./errorCodes');
+
+/**
+ * 将生成错误映射为HTTP响应信息
+ * 无法识别的错误返回null，交由全局错误处理
+ */
+exports.mapGenerationError = (error) => {
+  if (error.code === 'context_length_exceeded') {
+    return {
+      status: 400,
+      message: 'The provided prompt is too long for the selected model.',
+      errorCode: ERROR_CODES.CONTEXT_LENGTH_EXCEEDED,
+      tokenBreakdown: error.tokenBreakdown
+    };
+  }
+
+  // 分层总结达到最大合并层数后部分总结仍超出模型上下文
+  if (error.code === 'summary_reduce_limit') {
+    return {
+      status: 422,
+      message: error.message,
+      errorCode: ERROR_CODES.CONTEXT_LENGTH_EXCEEDED
+    };
+  }
+
+  if (['model_not_supported', 'invalid_context_strategy', 'invalid_max_tokens', 'invalid_json_schema', 'tool_not_found', 'invalid_edit_range'].includes(error.code)) {
+    return {
+      status: 400,
+      message: error.message,
+      errorCode: ERROR_CODES.VALIDATION_ERROR
+    };
+  }
+
+  // 多次修复后输出仍不符合 JSON Schema，附带最后一次无效输出及其校验错误
+  if (error.code === 'structured_output_invalid') {
+    return {
+      status: 422,
+      message: error.message,
+      errorCode: ERROR_CODES.STRUCTURED_OUTPUT_INVALID,
+      details: {
+        attempts: error.attempts,
+        lastAttempt: error.lastAttempt,
+        cost: error.cost
+      }
+    };
+  }
+
+  // 工具调用循环达到最大轮数，附带已执行的调用轨迹
+  if (error.code === 'tool_iteration_limit') {
+    return {
+      status: 422,
+      message: error.message,
+      errorCode: ERROR_CODES.TOOL_ITERATION_LIMIT,
+      details: {
+        toolTrace: error.toolTrace,
+        cost: error.cost
+      }
+    };
+  }
+
+  // 匿名请求启用了读取用户数据的工具
+  if (error.code === 'tool_requires_auth') {
+    return {
+      status: 401,
+      message: error.message,
+      errorCode: ERROR_CODES.UNAUTHORIZED
+    };
+  }
+
+  // 审核策略阻止了提示或输出
+  if (error.code === 'content_blocked') {
+    return {
+      status: 400,
+      message: error.message,
+      errorCode: ERROR_CODES.CONTENT_BLOCKED,
+      details: {
+        stage: error.stage,
+        categories: error.categories,
+        auditId: error.auditId
+      }
+    };
+  }
+
+  // 个人信息保护策略不允许发送请求中的某些实体类型
+  if (error.code === 'pii_blocked') {
+    return {
+      status: 400,
+      message: error.message,
+      errorCode: ERROR_CODES.PII_BLOCKED,
+      details: {
+        entityTypes: error.entityTypes
+      }
+    };
+  }
+
+  // 接受的修订标记与当前文本不一致（文本已被修改或变更相互重叠）
+  if (error.code === 'change_conflict') {
+    return {
+      status: 409,
+      message: error.message,
+      errorCode: ERROR_CODES.VALIDATION_ERROR,
+      details: {
+        conflicts: error.conflicts
+      }
+    };
+  }
+
+  // 请求超过截止时间，上游调用已中止
+  if (error.code === 'deadline_exceeded') {
+    return {
+      status: 504,
+      message: error.message,
+      errorCode: ERROR_CODES.REQUEST_TIMEOUT
+    };
+  }
+
+  // 客户端已断开或任务被取消；499 沿用 Nginx 对客户端关闭连接的约定
+  if (error.code === 'request_cancelled') {
+    return {
+      status: 499,
+      message: error.message,
+      errorCode: ERROR_CODES.REQUEST_CANCELLED
+    };
+  }
+
+  if (error.code === 'model_not_available') {
+    return {
+      status: 503,
+      message: 'The requested model is currently not available.',
+      errorCode: ERROR_CODES.MODEL_UNAVAILABLE
+    };
+  }
+
+  return null;
+};
+
+/**
+ * 发送已映射的生成错误响应
+ * 返回true表示已发送响应
+ */
+exports.sendGenerationError = (res, error) => {
+  const mapped = exports.mapGenerationError(error);
+  if (!mapped) {
+    return false;
+  }
+
+  res.status(mapped.status).json({
+    success: false,
+    message: mapped.message,
+    errorCode: mapped.errorCode,
+    ...(mapped.tokenBreakdown && { tokenBreakdown: mapped.tokenBreakdown }),
+    ...(mapped.details && { details: mapped.details })
+  });
+  return true;
+};
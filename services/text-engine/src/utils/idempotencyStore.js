@@ -0,0 +1,171 @@
+/**
+ * 幂等键存储
+ * 记录每个幂等键的处理状态：先写入处理中标记，请求结束后替换为最终响应
+ * 状态保存在Redis中，所有副本共享；Redis不可用时退化为MongoDB
+ */
+
+const crypto = require('crypto');
+const logger = require('./logger');
+const { getRedisClient } = require('../config/redis');
+const IdempotencyRecord = require('../models/idempotencyRecord.model');
+
+const CONFIG = {
+  // 最终响应的保留时长
+  ttlSeconds: parseInt(process.env.IDEMPOTENCY_TTL_SECONDS || '86400'),
+  // 处理中标记的有效期，超过后视为持有者已崩溃
+  lockTtlMs: parseInt(process.env.IDEMPOTENCY_LOCK_TTL_MS || '300000')
+};
+
+const KEY_PREFIX = 'idempotency';
+
+const redisKey = (key) => `${KEY_PREFIX}:${key}`;
+
+/**
+ * 解析Redis中保存的记录
+ */
+function parseRecord(raw) {
+  try {
+    return raw ? JSON.parse(raw) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * 在Redis中尝试占用幂等键
+ */
+async function beginInRedis(redis, key, fingerprint, owner) {
+  const marker = JSON.stringify({ state: 'in_progress', fingerprint, owner });
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    if (await redis.set(redisKey(key), marker, { NX: true, PX: CONFIG.lockTtlMs }) === 'OK') {
+      return { state: 'acquired', owner };
+    }
+
+    const record = parseRecord(await redis.get(redisKey(key)));
+    // 读取前记录恰好过期时重试占用
+    if (record) {
+      return { state: record.state, fingerprint: record.fingerprint, response: record.response };
+    }
+  }
+
+  return { state: 'in_progress', fingerprint };
+}
+
+/**
+ * 在MongoDB中尝试占用幂等键，处理中标记过期时接管
+ */
+async function beginInMongo(key, fingerprint, owner) {
+  const now = Date.now();
+  const lock = {
+    fingerprint,
+    state: 'in_progress',
+    owner,
+    lockedUntil: new Date(now + CONFIG.lockTtlMs),
+    expiresAt: new Date(now + CONFIG.ttlSeconds * 1000)
+  };
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    try {
+      await IdempotencyRecord.create({ key, ...lock });
+      return { state: 'acquired', owner };
+    } catch (error) {
+      if (error.code !== 11000) {
+        throw error;
+      }
+    }
+
+    const takenOver = await IdempotencyRecord.findOneAndUpdate(
+      { key, fingerprint, state: 'in_progress', lockedUntil: { $lt: new Date(now) } },
+      { $set: lock },
+      { new: true }
+    );
+    if (takenOver) {
+      return { state: 'acquired', owner };
+    }
+
+    const record = await IdempotencyRecord.findOne({ key }).lean();
+    // 查询前记录恰好被删除时重试占用
+    if (record) {
+      return { state: record.state, fingerprint: record.fingerprint, response: record.response };
+    }
+  }
+
+  return { state: 'in_progress', fingerprint };
+}
+
+/**
+ * 尝试占用幂等键
+ * 返回 { state: 'acquired', owner } 表示由调用方处理请求，完成后须调用 complete 或 release；
+ * 否则返回已有记录 { state: 'in_progress' | 'completed', fingerprint, response }
+ */
+exports.begin = async (key, fingerprint) => {
+  const owner = crypto.randomUUID();
+  const redis = getRedisClient();
+
+  if (redis) {
+    try {
+      return await beginInRedis(redis, key, fingerprint, owner);
+    } catch (error) {
+      logger.warn(`Idempotency store read failed, using MongoDB: ${error.message}`);
+    }
+  }
+
+  return beginInMongo(key, fingerprint, owner);
+};
+
+/**
+ * 保存最终响应 { status, body, stream }
+ */
+exports.complete = async (key, { fingerprint, response, requestId }) => {
+  const redis = getRedisClient();
+
+  if (redis) {
+    try {
+      await redis.set(redisKey(key), JSON.stringify({ state: 'completed', fingerprint, response }), {
+        EX: CONFIG.ttlSeconds
+      });
+      return;
+    } catch (error) {
+      logger.warn(`Idempotency store write failed, using MongoDB: ${error.message}`);
+    }
+  }
+
+  await IdempotencyRecord.findOneAndUpdate(
+    { key },
+    {
+      $set: {
+        fingerprint,
+        state: 'completed',
+        response,
+        requestId,
+        expiresAt: new Date(Date.now() + CONFIG.ttlSeconds * 1000)
+      },
+      $unset: { owner: '', lockedUntil: '' }
+    },
+    { upsert: true }
+  );
+};
+
+/**
+ * 释放处理中标记，使重试可以重新处理；只释放自己持有的标记
+ */
+exports.release = async (key, owner) => {
+  const redis = getRedisClient();
+
+  if (redis) {
+    try {
+      const record = parseRecord(await redis.get(redisKey(key)));
+      if (record?.state === 'in_progress' && record.owner === owner) {
+        await redis.del(redisKey(key));
+      }
+      return;
+    } catch (error) {
+      logger.warn(`Idempotency store write failed, using MongoDB: ${error.message}`);
+    }
+  }
+
+  await IdempotencyRecord.deleteOne({ key, state: 'in_progress', owner });
+};
+
+exports.CONFIG = CONFIG;
@@ -0,0 +1,74 @@
+/**
+ * JSON Schema 工具
+ * 编译校验器、从模型输出中提取JSON、将校验错误整理为可读列表
+ */
+
+const Ajv = require('ajv');
+
+// 每次编译使用独立的实例：调用方的 schema 可能带 $id，共享实例再次编译同一 $id 会报错，
+// 且编译过的 schema 会一直留在实例中；校验器不再引用时随实例一起回收
+const createAjv = () => new Ajv({ allErrors: true, strict: false });
+
+// 反馈给模型和返回给调用方的错误条数上限
+const MAX_REPORTED_ERRORS = 20;
+
+/**
+ * 编译校验器
+ * schema 无效时抛出 invalid_json_schema
+ */
+exports.compileSchema = (schema) => {
+  if (!schema || typeof schema !== 'object' || Array.isArray(schema)) {
+    const err = new Error('JSON Schema must be an object');
+    err.code = 'invalid_json_schema';
+    throw err;
+  }
+
+  try {
+    return createAjv().compile(schema);
+  } catch (error) {
+    const err = new Error(`Invalid JSON Schema: ${error.message}`);
+    err.code = 'invalid_json_schema';
+    throw err;
+  }
+};
+
+/**
+ * 从模型输出中提取JSON
+ * 兼容 ```json 代码块和前后附带说明文字的输出
+ * 返回 { value } 或 { error }
+ */
+exports.extractJson = (text = '') => {
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = (fenced ? fenced[1] : text).trim();
+
+  try {
+    return { value: JSON.parse(candidate) };
+  } catch (error) {
+    // 截取第一个 { 或 [ 到最后一个 } 或 ] 之间的内容再试一次
+    const start = candidate.search(/[{[]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+
+    if (start !== -1 && end > start) {
+      try {
+        return { value: JSON.parse(candidate.slice(start, end + 1)) };
+      } catch (innerError) {
+        return { error: innerError.message };
+      }
+    }
+
+    return { error: error.message };
+  }
+};
+
+/**
+ * 整理校验错误
+ * 返回 [{ path, message }]
+ */
+exports.formatErrors = (errors = []) => {
+  return errors.slice(0, MAX_REPORTED_ERRORS).map(error => ({
+    path: error.instancePath || '/',
+    message: error.params?.additionalProperty
+      ? `${error.message}: "${error.params.additionalProperty}"`
+      : error.message
+  }));
+};
@@ -0,0 +1,207 @@
+/**
+ * 个人信息检测
+ * 识别邮箱、电话、证件号、银行卡号、地址以及自定义规则，返回互不重叠的片段
+ * 卡号按 Luhn 校验、身份证号按校验位过滤，降低误报
+ */
+
+// 每次匹配的片段长度；正则在片段内运行，超线性的（自定义）规则耗时随片段大小而非整段输入增长
+const CHUNK_SIZE = 4096;
+// 相邻片段的重叠长度，不小于内置规则的最长匹配
+const CHUNK_OVERLAP = 512;
+
+// 类型 -> [正则, 校验函数?]
+const DETECTORS = {
+  email: [
+    // 只从本地部分的开头起匹配，各部分限定长度，避免对长串字母数字逐位回溯
+    [/(?<![A-Z0-9._%+-])[A-Z0-9._%+-]{1,64}@(?:[A-Z0-9-]{1,63}\.){1,4}[A-Z]{2,24}(?![A-Z0-9-])/gi]
+  ],
+  phone: [
+    // 中国大陆手机号
+    [/(?<![\d+])(?:\+?86[\s-]?)?1[3-9]\d{9}(?!\d)/g],
+    // 带国家码的国际号码
+    [/(?<![\w+])\+\d{1,3}[\s.-]?\(?\d{1,4}\)?(?:[\s.-]?\d{2,4}){2,4}(?!\d)/g],
+    // 北美格式，要求有分隔符，避免误判普通数字
+    [/(?<!\d)\(?\d{3}\)?[\s.-]\d{3}[\s.-]\d{4}(?!\d)/g]
+  ],
+  id_number: [
+    // 中国居民身份证
+    [/(?<![\dA-Za-z])\d{17}[\dXx](?![\dA-Za-z])/g, isValidResidentId],
+    // 美国社会安全号
+    [/(?<!\d)(?!000|666|9\d\d)\d{3}-(?!00)\d{2}-(?!0000)\d{4}(?!\d)/g]
+  ],
+  card_number: [
+    [/(?<!\d)(?:\d[ -]?){12,18}\d(?!\d)/g, isValidCardNumber]
+  ],
+  address: [
+    [/\b\d{1,6}\s+(?:[A-Z][a-z]+\s+){1,4}(?:Street|St|Avenue|Ave|Road|Rd|Boulevard|Blvd|Lane|Ln|Drive|Dr|Court|Ct|Way|Place|Pl)\b\.?(?:,?\s+(?:Apt|Suite|Unit)\.?\s*[\w-]+)?/g],
+    // 行政区名不含省市区县，每级只有一种切分方式，连续的“市市市”不会引发回溯
+    [/(?:[^\P{Script=Han}省市区县]{2,9}(?:省|市|区|县)){1,3}\p{Script=Han}{0,20}?(?:路|街|大道|巷|弄)\d{1,6}(?:-\d{1,6})?号(?:\d{1,6}(?:栋|幢|单元|室|楼)){0,4}/gu]
+  ]
+};
+
+/**
+ * Luhn 校验
+ */
+function isValidCardNumber(value) {
+  const digits = value.replace(/\D/g, '');
+  if (digits.length < 13 || digits.length > 19) {
+    return false;
+  }
+
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = parseInt(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) {
+        digit -= 9;
+      }
+    }
+    sum += digit;
+  }
+
+  return sum % 10 === 0;
+}
+
+/**
+ * 身份证校验位
+ */
+function isValidResidentId(value) {
+  const weights = [7, 9, 10, 5, 8, 4, 2, 1, 6, 3, 7, 9, 10, 5, 8, 4, 2];
+  const checks = '10X98765432';
+  const sum = weights.reduce((total, weight, index) => total + weight * parseInt(value[index]), 0);
+  return checks[sum % 11] === value[17].toUpperCase();
+}
+
+/**
+ * 编译自定义规则，无效或未通过安全校验的正则（如校验收紧前保存的规则）被忽略
+ */
+function compileCustomPatterns(customPatterns = []) {
+  return customPatterns.flatMap(rule => {
+    if (!rule.pattern || exports.validatePattern(rule.pattern, rule.flags)) {
+      return [];
+    }
+    return [{ type: rule.name, pattern: new RegExp(rule.pattern, `g${(rule.flags || '').replace('g', '')}`) }];
+  });
+}
+
+/**
+ * 检测文本中的个人信息
+ * types 为需要检测的内置类型；返回按位置排序、互不重叠的 [{ type, start, end, value }]
+ * 重叠时保留更长的片段
+ */
+exports.detect = (text, { types = Object.keys(DETECTORS), customPatterns = [] } = {}) => {
+  if (!text) {
+    return [];
+  }
+
+  const candidates = [];
+  const rules = [
+    ...types.flatMap(type => (DETECTORS[type] || []).map(([pattern, validate]) => ({ type, pattern, validate }))),
+    ...compileCustomPatterns(customPatterns)
+  ];
+
+  // 分段扫描，相邻片段重叠，跨段边界的匹配在下一片段中完整出现
+  for (let offset = 0; offset < text.length; offset += CHUNK_SIZE - CHUNK_OVERLAP) {
+    const chunk = text.slice(offset, offset + CHUNK_SIZE);
+
+    for (const { type, pattern, validate } of rules) {
+      for (const match of chunk.matchAll(pattern)) {
+        if (match[0].length === 0 || (validate && !validate(match[0]))) {
+          continue;
+        }
+        candidates.push({ type, start: offset + match.index, end: offset + match.index + match[0].length, value: match[0] });
+      }
+    }
+
+    if (offset + CHUNK_SIZE >= text.length) {
+      break;
+    }
+  }
+
+  candidates.sort((a, b) => a.start - b.start || (b.end - b.start) - (a.end - a.start));
+
+  const spans = [];
+  for (const candidate of candidates) {
+    const last = spans[spans.length - 1];
+    if (!last || candidate.start >= last.end) {
+      spans.push(candidate);
+    } else if (candidate.end - candidate.start > last.end - last.start) {
+      spans[spans.length - 1] = candidate;
+    }
+  }
+
+  return spans;
+};
+
+// 自定义规则正则的最大长度
+const MAX_PATTERN_LENGTH = 200;
+
+/**
+ * 判断位置 i 处是否为可多次重复的量词（*、+、{n,} 和 {n,m}）
+ */
+function isRepeatingQuantifier(pattern, i) {
+  if (pattern[i] === '*' || pattern[i] === '+') {
+    return true;
+  }
+  const range = /^\{(\d+),(\d*)\}/.exec(pattern.slice(i, i + 16));
+  return Boolean(range) && (range[2] === '' || parseInt(range[2]) > 1);
+}
+
+/**
+ * 检查嵌套量词，如 (a+)+、(\w*\s?)*
+ * 被重复的分组内部还有重复量词时，回溯次数随输入长度指数增长（ReDoS）
+ */
+function hasNestedQuantifier(pattern) {
+  // 每层分组内是否出现过重复量词
+  const groups = [false];
+
+  for (let i = 0; i < pattern.length; i++) {
+    const char = pattern[i];
+
+    if (char === '\\') {
+      i++;
+    } else if (char === '[') {
+      i++;
+      while (i < pattern.length && pattern[i] !== ']') {
+        i += pattern[i] === '\\' ? 2 : 1;
+      }
+    } else if (char === '(') {
+      groups.push(false);
+    } else if (char === ')') {
+      const repeatsInside = groups.length > 1 ? groups.pop() : false;
+      if (repeatsInside && isRepeatingQuantifier(pattern, i + 1)) {
+        return true;
+      }
+      groups[groups.length - 1] = groups[groups.length - 1] || repeatsInside;
+    } else if (isRepeatingQuantifier(pattern, i)) {
+      groups[groups.length - 1] = true;
+    }
+  }
+
+  return false;
+}
+
+/**
+ * 校验自定义规则的正则
+ * 自定义规则会对每个请求的全部输入执行，拒绝过长或含嵌套量词的正则，避免灾难性回溯
+ * 返回错误信息，有效时返回null
+ */
+exports.validatePattern = (pattern, flags = '') => {
+  if (pattern.length > MAX_PATTERN_LENGTH) {
+    return `Pattern must be at most ${MAX_PATTERN_LENGTH} characters`;
+  }
+
+  try {
+    new RegExp(pattern, flags.replace('g', ''));
+  } catch (error) {
+    return error.message;
+  }
+
+  if (hasNestedQuantifier(pattern)) {
+    return 'Nested quantifiers such as (a+)+ are not allowed';
+  }
+  return null;
+};
+
+exports.BUILT_IN_TYPES = Object.keys(DETECTORS);
@@ -0,0 +1,200 @@
+/**
+ * Prometheus 指标注册表
+ * 提供计数器、仪表和直方图，按 Prometheus 文本格式（0.0.4）输出
+ * 指标保存在进程内存中，每个副本各自暴露，由 Prometheus 按实例聚合
+ */
+
+const CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+
+const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10];
+
+// 指标名 -> 指标
+const metrics = new Map();
+
+/**
+ * 转义标签值
+ */
+function escapeLabelValue(value) {
+  return String(value).replace(/\\/g, '\\\\').replace(/\n/g, '\\n').replace(/"/g, '\\"');
+}
+
+/**
+ * 格式化标签集合，如 {method="GET",route="/"}
+ */
+function formatLabels(labels) {
+  const entries = Object.entries(labels);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${name}="${escapeLabelValue(value)}"`).join(',')}}`;
+}
+
+/**
+ * 格式化样本值
+ */
+function formatValue(value) {
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return Number.isNaN(value) ? 'NaN' : String(value);
+}
+
+/**
+ * 按声明的标签名取出标签值，缺失的标签为空字符串
+ */
+function pickLabels(labelNames, labels = {}) {
+  return Object.fromEntries(labelNames.map(name => [name, labels[name] ?? '']));
+}
+
+/**
+ * 注册指标，同名指标只能注册一次
+ */
+function register(metric) {
+  if (metrics.has(metric.name)) {
+    throw new Error(`Metric ${metric.name} is already registered`);
+  }
+  metrics.set(metric.name, metric);
+  return metric;
+}
+
+/**
+ * 创建带标签的时间序列存储
+ */
+function createSeries(labelNames) {
+  const series = new Map();
+
+  return {
+    get(labels, create) {
+      const picked = pickLabels(labelNames, labels);
+      const key = labelNames.map(name => picked[name]).join('\u0000');
+      if (!series.has(key)) {
+        series.set(key, { labels: picked, value: create() });
+      }
+      return series.get(key).value;
+    },
+    entries: () => [...series.values()],
+    clear: () => series.clear()
+  };
+}
+
+/**
+ * 计数器：只增不减
+ */
+exports.createCounter = ({ name, help, labelNames = [] }) => {
+  const series = createSeries(labelNames);
+
+  return register({
+    name,
+    inc(labels = {}, value = 1) {
+      if (value < 0) {
+        throw new Error(`Counter ${name} cannot be decreased`);
+      }
+      series.get(labels, () => ({ count: 0 })).count += value;
+    },
+    reset: () => series.clear(),
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} counter`];
+      for (const { labels, value } of series.entries()) {
+        lines.push(`${name}${formatLabels(labels)} ${formatValue(value.count)}`);
+      }
+      return lines;
+    }
+  });
+};
+
+/**
+ * 仪表：可增可减；collect 在输出前调用，用于采集当前值
+ */
+exports.createGauge = ({ name, help, labelNames = [], collect = null }) => {
+  const series = createSeries(labelNames);
+  const gauge = {
+    name,
+    set(labels, value) {
+      series.get(labels, () => ({ current: 0 })).current = value;
+    },
+    inc(labels = {}, value = 1) {
+      series.get(labels, () => ({ current: 0 })).current += value;
+    },
+    dec(labels = {}, value = 1) {
+      series.get(labels, () => ({ current: 0 })).current -= value;
+    },
+    reset: () => series.clear(),
+    render() {
+      if (collect) {
+        collect(gauge);
+      }
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} gauge`];
+      for (const { labels, value } of series.entries()) {
+        lines.push(`${name}${formatLabels(labels)} ${formatValue(value.current)}`);
+      }
+      return lines;
+    }
+  };
+
+  return register(gauge);
+};
+
+/**
+ * 直方图：按上界累计观测值的分布
+ */
+exports.createHistogram = ({ name, help, labelNames = [], buckets = DEFAULT_BUCKETS }) => {
+  const series = createSeries(labelNames);
+  const bounds = [...buckets].sort((a, b) => a - b);
+
+  const histogram = {
+    name,
+    observe(labels, value) {
+      const entry = series.get(labels, () => ({ counts: bounds.map(() => 0), sum: 0, count: 0 }));
+      bounds.forEach((bound, index) => {
+        if (value <= bound) {
+          entry.counts[index] += 1;
+        }
+      });
+      entry.sum += value;
+      entry.count += 1;
+    },
+    /**
+     * 开始计时，返回结束函数；结束时可补充标签，返回耗时（秒）
+     */
+    startTimer(labels = {}) {
+      const start = process.hrtime.bigint();
+      return (extraLabels = {}) => {
+        const seconds = Number(process.hrtime.bigint() - start) / 1e9;
+        histogram.observe({ ...labels, ...extraLabels }, seconds);
+        return seconds;
+      };
+    },
+    reset: () => series.clear(),
+    render() {
+      const lines = [`# HELP ${name} ${help}`, `# TYPE ${name} histogram`];
+      for (const { labels, value } of series.entries()) {
+        bounds.forEach((bound, index) => {
+          lines.push(`${name}_bucket${formatLabels({ ...labels, le: formatValue(bound) })} ${value.counts[index]}`);
+        });
+        lines.push(`${name}_bucket${formatLabels({ ...labels, le: '+Inf' })} ${value.count}`);
+        lines.push(`${name}_sum${formatLabels(labels)} ${formatValue(value.sum)}`);
+        lines.push(`${name}_count${formatLabels(labels)} ${value.count}`);
+      }
+      return lines;
+    }
+  };
+
+  return register(histogram);
+};
+
+/**
+ * 输出全部指标的文本格式
+ */
+exports.render = () => `${[...metrics.values()].flatMap(metric => metric.render()).join('\n')}\n`;
+
+/**
+ * 清空全部指标的样本
+ */
+exports.resetAll = () => {
+  metrics.forEach(metric => metric.reset());
+};
+
+exports.CONTENT_TYPE = CONTENT_TYPE;
@@ -0,0 +1,31 @@
+/**
+ * 提供方错误分类
+ * 统一判断上游错误是否可重试，供重试机制和熔断器共用
+ */
+
+/**
+ * 判断错误是否可重试
+ */
+exports.isRetryableError = (error) => {
+  // 已分类的错误直接使用分类结果
+  if (typeof error.retryable === 'boolean') {
+    return error.retryable;
+  }
+  
+  // 处理超时错误
+  if (error.message?.includes('timed out') || error.code === 'ETIMEDOUT') {
+    return true;
+  }
+  
+  // 处理OpenAI特定错误：SDK 的 APIError 带 status，兼容带 response 的HTTP错误
+  const status = error.status ?? error.response?.status;
+  if (status) {
+    // 429 (速率限制), 500, 502, 503, 504 (服务器错误) 可重试
+    return [429, 500, 502, 503, 504].includes(status);
+  }
+  
+  // 网络错误通常可重试
+  return error.code === 'ECONNRESET' || 
+         error.code === 'ECONNREFUSED' || 
+         error.code === 'ENOTFOUND';
+};
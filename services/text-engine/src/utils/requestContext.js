@@ -0,0 +1,49 @@
+/**
+ * 请求上下文
+ * 通过 AsyncLocalStorage 在一次请求的所有异步调用中传递 requestId 和当前追踪 span，
+ * 日志、指标记录、修订和上游调用据此关联到同一请求
+ */
+
+const { AsyncLocalStorage } = require('async_hooks');
+const winston = require('winston');
+
+const storage = new AsyncLocalStorage();
+
+/**
+ * 在指定上下文中执行函数
+ */
+exports.run = (context, fn) => storage.run(context, fn);
+
+/**
+ * 当前上下文，不在请求中时返回 undefined
+ */
+exports.get = () => storage.getStore();
+
+/**
+ * 当前请求的 requestId
+ */
+exports.getRequestId = () => storage.getStore()?.requestId;
+
+/**
+ * 为日志附加 requestId、traceId 和 spanId 的 winston 格式
+ */
+exports.logFormat = winston.format((info) => {
+  const context = storage.getStore();
+  if (context) {
+    info.requestId = info.requestId || context.requestId;
+    if (context.span) {
+      info.traceId = context.span.traceId;
+      info.spanId = context.span.spanId;
+    }
+  }
+  return info;
+});
+
+/**
+ * 将上下文格式加到日志器已有格式之前
+ */
+exports.instrumentLogger = (logger) => {
+  logger.format = logger.format
+    ? winston.format.combine(exports.logFormat(), logger.format)
+    : exports.logFormat();
+};
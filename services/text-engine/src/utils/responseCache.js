@@ -0,0 +1,342 @@
+/**
+ * 模型响应缓存
+ * 提供按请求的缓存控制（bypass / refresh / 自定义TTL）、按操作和模型的命中统计、
+ * 按用户的键索引，以及供管理接口使用的检查与清除功能
+ * 条目以 cacheKey 生成的键直接写入Redis，检查与清除作用于同一批键；
+ * Redis不可用时条目保存在进程内，仅本进程可见，管理接口返回不可用
+ */
+
+const logger = require('./logger');
+const { getRedisClient } = require('../config/redis');
+const { parseCacheKey } = require('./cacheKey');
+const serviceMetrics = require('./serviceMetrics');
+const tracing = require('./tracing');
+
+const STATS_KEY = 'cache:stats';
+const USER_INDEX_PREFIX = 'cache:index:user:';
+// 用户索引的保留时间，与最长缓存时间一致
+const USER_INDEX_TTL = 24 * 60 * 60;
+// 缓存键的命名空间，清除操作只允许作用于这些前缀
+const NAMESPACES = ['openai'];
+const CACHE_MODES = ['default', 'bypass', 'refresh'];
+
+// Redis不可用时的进程内统计
+const localStats = new Map();
+// Redis不可用时的进程内条目: key -> { raw, expiresAt }，超出上限时淘汰最早写入的条目
+const localEntries = new Map();
+const LOCAL_MAX_ENTRIES = parseInt(process.env.RESPONSE_CACHE_LOCAL_MAX_ENTRIES || '500');
+
+/**
+ * 解析请求的缓存控制
+ * default: 读写缓存；refresh: 跳过读取但写入新结果；bypass: 完全不使用缓存
+ * 兼容旧参数 useCaching: false（等同于 bypass）
+ */
+exports.resolveControl = ({ useCaching = true, cache: control = {} } = {}) => {
+  const mode = useCaching === false ? 'bypass' : (CACHE_MODES.includes(control.mode) ? control.mode : 'default');
+  const ttl = parseInt(control.ttl);
+
+  return {
+    mode,
+    read: mode === 'default',
+    write: mode !== 'bypass',
+    ttl: ttl > 0 ? Math.min(ttl, USER_INDEX_TTL) : null
+  };
+};
+
+/**
+ * 记录统计计数
+ */
+async function recordStat(operation, model, outcome) {
+  serviceMetrics.cacheRequests.inc({ operation, model, outcome });
+
+  const field = `${operation}|${model}|${outcome}`;
+  const redis = getRedisClient();
+
+  if (redis) {
+    try {
+      await redis.hIncrBy(STATS_KEY, field, 1);
+      return;
+    } catch (error) {
+      logger.warn(`Cache stats update failed: ${error.message}`);
+    }
+  }
+
+  localStats.set(field, (localStats.get(field) || 0) + 1);
+}
+
+/**
+ * 读取条目原文，不存在或读取失败时返回null
+ */
+async function readEntry(key) {
+  const redis = getRedisClient();
+
+  if (redis) {
+    try {
+      return await redis.get(key);
+    } catch (error) {
+      logger.warn(`Cache read failed for ${key}: ${error.message}`);
+      return null;
+    }
+  }
+
+  const local = localEntries.get(key);
+  if (!local) {
+    return null;
+  }
+  if (local.expiresAt <= Date.now()) {
+    localEntries.delete(key);
+    return null;
+  }
+  return local.raw;
+}
+
+/**
+ * 写入条目原文，写入失败只记录日志
+ */
+async function writeEntry(key, raw, ttl) {
+  const redis = getRedisClient();
+
+  if (redis) {
+    try {
+      await redis.set(key, raw, { EX: ttl });
+    } catch (error) {
+      logger.warn(`Cache write failed for ${key}: ${error.message}`);
+    }
+    return;
+  }
+
+  localEntries.delete(key);
+  localEntries.set(key, { raw, expiresAt: Date.now() + ttl * 1000 });
+  if (localEntries.size > LOCAL_MAX_ENTRIES) {
+    localEntries.delete(localEntries.keys().next().value);
+  }
+}
+
+/**
+ * 查询缓存
+ * 命中返回缓存值，未命中或跳过读取返回null
+ */
+exports.lookup = async ({ key, operation, model, control }) => {
+  if (!control.read) {
+    await recordStat(operation, model, control.mode);
+    return null;
+  }
+
+  const raw = await tracing.withSpan('cache.lookup', { attributes: { 'cache.operation': operation, 'cache.model': model } }, async (span) => {
+    const value = await readEntry(key);
+    span.setAttribute('cache.hit', Boolean(value));
+    return value;
+  });
+  await recordStat(operation, model, raw ? 'hits' : 'misses');
+
+  if (!raw) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(raw).value ?? null;
+  } catch (error) {
+    logger.warn(`Discarding unreadable cache entry ${key}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * 写入缓存
+ * 条目附带元数据（操作、模型、用户、创建时间），便于检查；请求指定的TTL优先
+ */
+exports.store = async ({ key, operation, model, userId, value, ttl, control }) => {
+  if (!control.write) {
+    return;
+  }
+
+  const effectiveTtl = control.ttl || ttl || USER_INDEX_TTL;
+  const entry = {
+    value,
+    meta: {
+      operation,
+      model,
+      userId: userId || 'anonymous',
+      createdAt: new Date().toISOString(),
+      ttl: effectiveTtl
+    }
+  };
+
+  await writeEntry(key, JSON.stringify(entry), effectiveTtl);
+
+  // 记录用户与缓存键的关系，支持按用户清除
+  const redis = getRedisClient();
+  if (redis && userId && userId !== 'anonymous') {
+    try {
+      const indexKey = `${USER_INDEX_PREFIX}${userId}`;
+      await redis.sAdd(indexKey, key);
+      await redis.expire(indexKey, USER_INDEX_TTL);
+    } catch (error) {
+      logger.warn(`Cache user index update failed: ${error.message}`);
+    }
+  }
+};
+
+/**
+ * 获取命中统计，按操作和模型分组
+ */
+exports.getStats = async () => {
+  const redis = getRedisClient();
+  let raw = Object.fromEntries(localStats);
+
+  if (redis) {
+    raw = await redis.hGetAll(STATS_KEY);
+  }
+
+  const groups = new Map();
+  for (const [field, count] of Object.entries(raw)) {
+    const [operation, model, outcome] = field.split('|');
+    const groupKey = `${operation}|${model}`;
+    if (!groups.has(groupKey)) {
+      groups.set(groupKey, { operation, model, hits: 0, misses: 0, bypass: 0, refresh: 0 });
+    }
+    groups.get(groupKey)[outcome] = parseInt(count);
+  }
+
+  return [...groups.values()].map(group => ({
+    ...group,
+    hitRate: group.hits + group.misses > 0
+      ? Math.round((group.hits / (group.hits + group.misses)) * 10000) / 10000
+      : null
+  }));
+};
+
+/**
+ * 重置命中统计
+ */
+exports.resetStats = async () => {
+  localStats.clear();
+  const redis = getRedisClient();
+  if (redis) {
+    await redis.del(STATS_KEY);
+  }
+};
+
+/**
+ * 获取Redis客户端，不可用时抛出错误
+ * 进程内条目只对单个副本可见，管理操作不作用于进程内条目
+ */
+function requireRedis() {
+  const redis = getRedisClient();
+  if (!redis) {
+    const err = new Error('Cache store is not available');
+    err.code = 'cache_unavailable';
+    throw err;
+  }
+  return redis;
+}
+
+/**
+ * 构建扫描模式
+ */
+function buildPattern({ prefix, operation, model }) {
+  if (prefix) {
+    if (!NAMESPACES.some(namespace => prefix.startsWith(`${namespace}:`))) {
+      const err = new Error(`Prefix must start with one of: ${NAMESPACES.map(n => `${n}:`).join(', ')}`);
+      err.code = 'invalid_cache_prefix';
+      throw err;
+    }
+    return `${prefix}*`;
+  }
+
+  return `${NAMESPACES[0]}:${operation || '*'}:${model || '*'}:*`;
+}
+
+/**
+ * 删除一组键
+ */
+async function unlinkKeys(redis, keys) {
+  let deleted = 0;
+  for (let i = 0; i < keys.length; i += 500) {
+    deleted += await redis.unlink(keys.slice(i, i + 500));
+  }
+  return deleted;
+}
+
+/**
+ * 清除缓存
+ * 支持按用户、模型、操作或键前缀清除，返回删除的键数量
+ */
+exports.purge = async ({ userId, model, operation, prefix }) => {
+  const redis = requireRedis();
+
+  if (userId) {
+    const indexKey = `${USER_INDEX_PREFIX}${userId}`;
+    const keys = (await redis.sMembers(indexKey)).filter(key => {
+      const parsed = parseCacheKey(key);
+      return parsed &&
+        (!model || parsed.model === model) &&
+        (!operation || parsed.operation === operation) &&
+        (!prefix || key.startsWith(prefix));
+    });
+
+    const deleted = keys.length > 0 ? await unlinkKeys(redis, keys) : 0;
+    if (keys.length > 0) {
+      await redis.sRem(indexKey, keys);
+    }
+    return deleted;
+  }
+
+  const pattern = buildPattern({ prefix, operation, model });
+  const keys = [];
+  for await (const key of redis.scanIterator({ MATCH: pattern, COUNT: 500 })) {
+    keys.push(key);
+  }
+
+  return keys.length > 0 ? unlinkKeys(redis, keys) : 0;
+};
+
+/**
+ * 列出缓存条目（仅元数据）
+ */
+exports.listEntries = async ({ prefix, operation, model, limit = 100 }) => {
+  const redis = requireRedis();
+  const pattern = buildPattern({ prefix, operation, model });
+  const entries = [];
+
+  for await (const key of redis.scanIterator({ MATCH: pattern, COUNT: 200 })) {
+    entries.push(key);
+    if (entries.length >= limit) {
+      break;
+    }
+  }
+
+  return Promise.all(entries.map(key => exports.inspectEntry(key)));
+};
+
+/**
+ * 检查单个缓存条目：元数据、剩余TTL和大小，不返回缓存内容
+ */
+exports.inspectEntry = async (key) => {
+  const redis = requireRedis();
+
+  // 只允许检查缓存命名空间下的键
+  if (!NAMESPACES.includes(parseCacheKey(key)?.namespace)) {
+    return null;
+  }
+  const [raw, ttl] = await Promise.all([redis.get(key), redis.ttl(key)]);
+
+  if (raw === null) {
+    return null;
+  }
+
+  let meta = null;
+  try {
+    meta = JSON.parse(raw).meta || null;
+  } catch (error) {
+    meta = null;
+  }
+
+  return {
+    key,
+    ...parseCacheKey(key),
+    meta,
+    ttlSeconds: ttl,
+    sizeBytes: Buffer.byteLength(raw)
+  };
+};
@@ -0,0 +1,13 @@
+/**
+ * 服务层错误
+ * 服务抛出带 code 的错误，由控制器按 code 映射为HTTP响应
+ */
+
+/**
+ * 资源不存在错误，code 区分资源类型（如 template_not_found）
+ */
+exports.createNotFoundError = (code, message) => {
+  const err = new Error(message);
+  err.code = code;
+  return err;
+};
@@ -0,0 +1,122 @@
+/**
+ * 服务指标定义
+ * 统一声明本服务暴露的 Prometheus 指标，各模块按需引用并记录
+ * 标签只使用有限取值（路由模板、模型、提供方、错误码），避免高基数
+ */
+
+const prometheus = require('./prometheus');
+
+const PREFIX = 'text_engine_';
+
+// 模型调用耗时的分桶（秒），比HTTP请求更偏向长尾
+const GENERATION_BUCKETS = [0.1, 0.25, 0.5, 1, 2, 5, 10, 20, 30, 60, 120];
+
+exports.httpRequestDuration = prometheus.createHistogram({
+  name: `${PREFIX}http_request_duration_seconds`,
+  help: 'HTTP request latency by route template',
+  labelNames: ['method', 'route', 'status_code']
+});
+
+exports.httpRequestsInFlight = prometheus.createGauge({
+  name: `${PREFIX}http_requests_in_flight`,
+  help: 'HTTP requests currently being processed'
+});
+
+exports.rateLimitRejections = prometheus.createCounter({
+  name: `${PREFIX}rate_limit_rejections_total`,
+  help: 'Requests rejected with 429 by the rate limiter',
+  labelNames: ['method']
+});
+
+exports.generationDuration = prometheus.createHistogram({
+  name: `${PREFIX}generation_duration_seconds`,
+  help: 'Model call latency per provider attempt',
+  labelNames: ['operation', 'provider', 'model', 'outcome'],
+  buckets: GENERATION_BUCKETS
+});
+
+exports.generationsInFlight = prometheus.createGauge({
+  name: `${PREFIX}generations_in_flight`,
+  help: 'Generation requests currently waiting on a model',
+  labelNames: ['operation']
+});
+
+exports.tokens = prometheus.createCounter({
+  name: `${PREFIX}tokens_total`,
+  help: 'Tokens consumed by model calls, excluding cache hits',
+  labelNames: ['provider', 'model', 'type']
+});
+
+exports.providerErrors = prometheus.createCounter({
+  name: `${PREFIX}provider_errors_total`,
+  help: 'Failed provider calls by error code',
+  labelNames: ['provider', 'error_code']
+});
+
+exports.cancellations = prometheus.createCounter({
+  name: `${PREFIX}cancellations_total`,
+  help: 'Model calls abandoned because the request was cancelled (client_disconnected, deadline_exceeded, cancelled, lease_lost)',
+  labelNames: ['operation', 'provider', 'reason']
+});
+
+exports.providerRetries = prometheus.createCounter({
+  name: `${PREFIX}provider_retries_total`,
+  help: 'Retries of provider API calls after retryable errors',
+  labelNames: ['provider', 'error_code']
+});
+
+exports.fallbacks = prometheus.createCounter({
+  name: `${PREFIX}fallbacks_total`,
+  help: 'Requests served by a fallback model instead of the requested one',
+  labelNames: ['requested_model', 'model']
+});
+
+exports.circuitOpenSkips = prometheus.createCounter({
+  name: `${PREFIX}circuit_open_skips_total`,
+  help: 'Provider attempts skipped because the circuit breaker was open',
+  labelNames: ['provider']
+});
+
+exports.cacheRequests = prometheus.createCounter({
+  name: `${PREFIX}cache_requests_total`,
+  help: 'Response cache lookups by outcome (hits, misses, bypass, refresh)',
+  labelNames: ['operation', 'model', 'outcome']
+});
+
+prometheus.createGauge({
+  name: 'process_resident_memory_bytes',
+  help: 'Resident memory size in bytes',
+  collect: gauge => gauge.set({}, process.memoryUsage().rss)
+});
+
+prometheus.createGauge({
+  name: 'nodejs_heap_used_bytes',
+  help: 'V8 heap used in bytes',
+  collect: gauge => gauge.set({}, process.memoryUsage().heapUsed)
+});
+
+prometheus.createGauge({
+  name: 'process_uptime_seconds',
+  help: 'Process uptime in seconds',
+  collect: gauge => gauge.set({}, Math.round(process.uptime()))
+});
+
+/**
+ * 错误的指标标签：优先使用 ERROR_CODES 分类，其次为底层错误码，再次为HTTP状态
+ */
+exports.errorCodeOf = (error) => error?.errorCode
+  || error?.code
+  || ((error?.status ?? error?.response?.status) && `HTTP_${error.status ?? error.response.status}`)
+  || 'UNKNOWN';
+
+/**
+ * 记录一次模型调用的用量
+ */
+exports.recordTokens = ({ provider, model }, usage = {}) => {
+  if (usage.promptTokens) {
+    exports.tokens.inc({ provider, model, type: 'prompt' }, usage.promptTokens);
+  }
+  if (usage.completionTokens) {
+    exports.tokens.inc({ provider, model, type: 'completion' }, usage.completionTokens);
+  }
+};
@@ -0,0 +1,65 @@
+/**
+ * Server-Sent Events 工具
+ * 封装SSE响应头设置与事件写入，供流式生成接口使用
+ */
+
+/**
+ * 判断请求是否要求SSE流式响应
+ * 支持请求体中的 stream: true 或 Accept: text/event-stream
+ */
+exports.wantsEventStream = (req) => {
+  if (req.body?.stream === true || req.body?.stream === 'true') {
+    return true;
+  }
+
+  const accept = req.get('Accept') || '';
+  return accept.includes('text/event-stream');
+};
+
+/**
+ * 初始化SSE响应
+ */
+exports.initEventStream = (res) => {
+  res.status(200);
+  res.set({
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-cache, no-transform',
+    Connection: 'keep-alive',
+    // 禁用Nginx等反向代理的缓冲，保证令牌即时送达
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+};
+
+/**
+ * 写入单个SSE事件
+ * 连接已关闭时忽略写入，返回是否写入成功；done 事件的数据同时记录在 res.locals.streamResult，供幂等中间件保存
+ */
+exports.sendEvent = (res, event, data) => {
+  if (res.writableEnded || res.destroyed) {
+    return false;
+  }
+
+  res.write(`event: ${event}\n`);
+  res.write(`data: ${JSON.stringify(data)}\n\n`);
+
+  if (event === 'done') {
+    res.locals.streamResult = data;
+  }
+
+  // 兼容compression中间件
+  if (typeof res.flush === 'function') {
+    res.flush();
+  }
+
+  return true;
+};
+
+/**
+ * 结束SSE响应
+ */
+exports.endEventStream = (res) => {
+  if (!res.writableEnded) {
+    res.end();
+  }
+};
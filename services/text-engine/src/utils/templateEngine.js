@@ -0,0 +1,321 @@
+/**
+ * 提示模板引擎
+ * 支持的语法：
+ *   {{name}} / {{item.title}}               变量（数组以逗号连接输出）
+ *   {{#if name}}...{{else}}...{{/if}}        条件，亦支持 {{#if tone == "formal"}} 与 !=
+ *   {{#unless name}}...{{/unless}}           反向条件
+ *   {{#each items}}{{this}} {{@number}}{{/each}}  循环，@index 从0开始，@number 从1开始
+ * 独占一行的块标签连同换行一并移除，避免渲染结果出现多余空行
+ */
+
+const TAG_PATTERN = /\{\{\s*(.*?)\s*\}\}/g;
+const PATH_PATTERN = /^(?:@index|@number|this|[A-Za-z_]\w*)(?:\.[A-Za-z_]\w*)*$/;
+const CONDITION_PATTERN = /^(\S+)(?:\s*(==|!=)\s*("(?:[^"\\]|\\.)*"|'(?:[^'\\]|\\.)*'|-?\d+(?:\.\d+)?|true|false))?$/;
+const BLOCK_TYPES = ['if', 'unless', 'each'];
+
+/**
+ * 模板语法错误
+ */
+function createSyntaxError(message, source, index) {
+  const line = source.slice(0, index).split('\n').length;
+  const err = new Error(`${message} (line ${line})`);
+  err.code = 'template_syntax_error';
+  err.line = line;
+  return err;
+}
+
+/**
+ * 标签分类
+ */
+function classifyTag(content, source, index) {
+  if (content === 'else') {
+    return { kind: 'else' };
+  }
+
+  const open = content.match(/^#(\w+)\s+(.+)$/);
+  if (open) {
+    if (!BLOCK_TYPES.includes(open[1])) {
+      throw createSyntaxError(`Unknown block "#${open[1]}"`, source, index);
+    }
+    return { kind: 'open', block: open[1], expression: open[2].trim() };
+  }
+
+  const close = content.match(/^\/(\w+)$/);
+  if (close) {
+    return { kind: 'close', block: close[1] };
+  }
+
+  if (!PATH_PATTERN.test(content)) {
+    throw createSyntaxError(`Invalid expression "{{${content}}}"`, source, index);
+  }
+  return { kind: 'variable', path: content };
+}
+
+/**
+ * 解析条件表达式
+ */
+function parseCondition(expression, source, index) {
+  const match = expression.match(CONDITION_PATTERN);
+  if (!match || !PATH_PATTERN.test(match[1])) {
+    throw createSyntaxError(`Invalid condition "${expression}"`, source, index);
+  }
+
+  const condition = { path: match[1], operator: match[2] || null, value: undefined };
+  if (match[2]) {
+    const literal = match[3];
+    condition.value = /^["']/.test(literal)
+      ? literal.slice(1, -1).replace(/\\(.)/g, '$1')
+      : JSON.parse(literal);
+  }
+  return condition;
+}
+
+/**
+ * 扫描模板，得到文本与标签序列
+ * 独占一行的块标签会吞掉所在整行
+ */
+function scan(source) {
+  const tokens = [];
+  let position = 0;
+  let match;
+
+  TAG_PATTERN.lastIndex = 0;
+  while ((match = TAG_PATTERN.exec(source)) !== null) {
+    const start = match.index;
+    const end = TAG_PATTERN.lastIndex;
+    const tag = classifyTag(match[1], source, start);
+    let textEnd = start;
+
+    if (tag.kind !== 'variable') {
+      const lineStart = source.lastIndexOf('\n', start - 1) + 1;
+      const newline = source.indexOf('\n', end);
+      const lineEnd = newline === -1 ? source.length : newline + 1;
+
+      if (lineStart >= position &&
+          /^[ \t]*$/.test(source.slice(lineStart, start)) &&
+          /^[ \t]*\r?\n?$/.test(source.slice(end, lineEnd))) {
+        textEnd = lineStart;
+        TAG_PATTERN.lastIndex = lineEnd;
+      }
+    }
+
+    if (textEnd > position) {
+      tokens.push({ kind: 'text', value: source.slice(position, textEnd) });
+    }
+    tokens.push({ ...tag, index: start });
+    position = TAG_PATTERN.lastIndex;
+  }
+
+  if (position < source.length) {
+    tokens.push({ kind: 'text', value: source.slice(position) });
+  }
+  return tokens;
+}
+
+/**
+ * 编译模板为语法树
+ * 语法错误抛出 template_syntax_error
+ */
+exports.compile = (source = '') => {
+  const root = { type: 'root', body: [] };
+  const stack = [root];
+  // 当前写入位置（块的主体或 else 分支）
+  let target = root.body;
+
+  for (const token of scan(source)) {
+    const current = stack[stack.length - 1];
+
+    switch (token.kind) {
+      case 'text':
+        target.push({ type: 'text', value: token.value });
+        break;
+
+      case 'variable':
+        target.push({ type: 'variable', path: token.path });
+        break;
+
+      case 'open': {
+        const node = token.block === 'each'
+          ? { type: 'each', path: token.expression, body: [], elseBody: [] }
+          : { type: token.block, condition: parseCondition(token.expression, source, token.index), body: [], elseBody: [] };
+
+        if (node.type === 'each' && !PATH_PATTERN.test(node.path)) {
+          throw createSyntaxError(`Invalid loop target "${node.path}"`, source, token.index);
+        }
+
+        target.push(node);
+        stack.push(node);
+        target = node.body;
+        break;
+      }
+
+      case 'else':
+        if (current === root || target === current.elseBody) {
+          throw createSyntaxError('Unexpected {{else}}', source, token.index);
+        }
+        target = current.elseBody;
+        break;
+
+      case 'close':
+        if (current === root || current.type !== token.block) {
+          throw createSyntaxError(`Unexpected {{/${token.block}}}`, source, token.index);
+        }
+        stack.pop();
+        target = stack[stack.length - 1].body;
+        // 外层块若已进入 else 分支，需回到 else 分支继续写入
+        if (stack.length > 1 && stack[stack.length - 1].elseBody.includes(current)) {
+          target = stack[stack.length - 1].elseBody;
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  if (stack.length > 1) {
+    throw createSyntaxError(`Unclosed {{#${stack[stack.length - 1].type}}}`, source, source.length);
+  }
+  return root;
+};
+
+/**
+ * 收集模板引用的顶层变量名
+ * 循环体内的名称可能是数组元素的字段，只收集循环体外的引用和循环目标
+ */
+exports.collectVariables = (ast) => {
+  const names = new Set();
+
+  const visit = (nodes, inLoop) => {
+    for (const node of nodes) {
+      const path = node.path || node.condition?.path;
+      const rootName = path?.split('.')[0];
+      if (rootName && !inLoop && !rootName.startsWith('@') && rootName !== 'this') {
+        names.add(rootName);
+      }
+
+      if (node.body) {
+        visit(node.body, inLoop || node.type === 'each');
+        visit(node.elseBody, inLoop);
+      }
+    }
+  };
+
+  visit(ast.body, false);
+  return [...names];
+};
+
+/**
+ * 在作用域链中查找路径
+ */
+function lookup(scopes, path) {
+  const [head, ...rest] = path.split('.');
+
+  for (let i = scopes.length - 1; i >= 0; i--) {
+    if (Object.prototype.hasOwnProperty.call(scopes[i], head)) {
+      return rest.reduce((value, key) => (
+        value !== null && typeof value === 'object' && Object.prototype.hasOwnProperty.call(value, key)
+          ? value[key]
+          : undefined
+      ), scopes[i][head]);
+    }
+  }
+  return undefined;
+}
+
+/**
+ * 条件真值：空字符串、空数组、null/undefined、false、0 为假
+ */
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+/**
+ * 变量输出格式
+ */
+function stringify(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  if (Array.isArray(value)) {
+    return value.map(stringify).join(', ');
+  }
+  if (typeof value === 'object') {
+    return JSON.stringify(value);
+  }
+  return String(value);
+}
+
+/**
+ * 计算条件
+ */
+function evaluate(condition, scopes) {
+  const value = lookup(scopes, condition.path);
+
+  switch (condition.operator) {
+    case '==':
+      return value === condition.value;
+    case '!=':
+      return value !== condition.value;
+    default:
+      return isTruthy(value);
+  }
+}
+
+/**
+ * 渲染节点序列
+ */
+function renderNodes(nodes, scopes) {
+  let output = '';
+
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        output += node.value;
+        break;
+
+      case 'variable':
+        output += stringify(lookup(scopes, node.path));
+        break;
+
+      case 'if':
+      case 'unless': {
+        const passed = evaluate(node.condition, scopes) !== (node.type === 'unless');
+        output += renderNodes(passed ? node.body : node.elseBody, scopes);
+        break;
+      }
+
+      case 'each': {
+        const items = lookup(scopes, node.path);
+        if (!Array.isArray(items) || items.length === 0) {
+          output += renderNodes(node.elseBody, scopes);
+          break;
+        }
+
+        items.forEach((item, index) => {
+          const itemScope = {
+            ...(item !== null && typeof item === 'object' && !Array.isArray(item) ? item : {}),
+            this: item,
+            '@index': index,
+            '@number': index + 1
+          };
+          output += renderNodes(node.body, [...scopes, itemScope]);
+        });
+        break;
+      }
+
+      default:
+        break;
+    }
+  }
+
+  return output;
+}
+
+/**
+ * 渲染语法树或模板字符串
+ */
+exports.render = (template, values = {}) => {
+  const ast = typeof template === 'string' ? exports.compile(template) : template;
+  return renderNodes(ast.body, [values]);
+};
@@ -0,0 +1,167 @@
+/**
+ * 模板变量定义与输入校验
+ * 变量定义：{ name, type, required, default, values, maxLength, description }
+ *   type: string | number | boolean | enum | array
+ *   values: enum 的可选值；maxLength: 字符串的最大字符数或数组的最大元素数
+ */
+
+const VARIABLE_TYPES = ['string', 'number', 'boolean', 'enum', 'array'];
+const NAME_PATTERN = /^[A-Za-z_]\w{0,63}$/;
+const MAX_VARIABLES = 50;
+
+/**
+ * 带明细的校验错误
+ */
+function createValidationError(code, message, details) {
+  const err = new Error(message);
+  err.code = code;
+  err.details = details;
+  return err;
+}
+
+/**
+ * 校验单个值，返回错误信息或null
+ */
+function checkValue(definition, value) {
+  switch (definition.type) {
+    case 'string':
+      if (typeof value !== 'string') {
+        return 'must be a string';
+      }
+      break;
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value)) {
+        return 'must be a number';
+      }
+      break;
+    case 'boolean':
+      if (typeof value !== 'boolean') {
+        return 'must be a boolean';
+      }
+      break;
+    case 'enum':
+      if (!definition.values.includes(value)) {
+        return `must be one of: ${definition.values.join(', ')}`;
+      }
+      break;
+    case 'array':
+      if (!Array.isArray(value)) {
+        return 'must be an array';
+      }
+      break;
+    default:
+      return `has unknown type "${definition.type}"`;
+  }
+
+  if (definition.maxLength && (typeof value === 'string' || Array.isArray(value)) && value.length > definition.maxLength) {
+    return Array.isArray(value)
+      ? `must have at most ${definition.maxLength} items`
+      : `must be at most ${definition.maxLength} characters`;
+  }
+
+  return null;
+}
+
+/**
+ * 规范化并校验变量定义
+ * 定义无效时抛出 invalid_template_variables
+ */
+exports.normalizeDefinitions = (definitions = []) => {
+  const details = [];
+  const seen = new Set();
+
+  if (!Array.isArray(definitions) || definitions.length > MAX_VARIABLES) {
+    throw createValidationError('invalid_template_variables', `variables must be an array of at most ${MAX_VARIABLES} definitions`, []);
+  }
+
+  const normalized = definitions.map((definition, index) => {
+    const { name, type = 'string', required = false, values, maxLength, description = '' } = definition || {};
+    const problems = [];
+
+    if (!NAME_PATTERN.test(name || '')) {
+      problems.push('name must start with a letter or underscore and contain only letters, digits and underscores');
+    } else if (seen.has(name)) {
+      problems.push(`duplicate variable "${name}"`);
+    }
+    seen.add(name);
+
+    if (!VARIABLE_TYPES.includes(type)) {
+      problems.push(`type must be one of: ${VARIABLE_TYPES.join(', ')}`);
+    }
+    if (type === 'enum' && (!Array.isArray(values) || values.length === 0)) {
+      problems.push('enum variables require a non-empty values array');
+    }
+    if (maxLength !== undefined && (!Number.isInteger(maxLength) || maxLength < 1)) {
+      problems.push('maxLength must be a positive integer');
+    }
+
+    const result = {
+      name,
+      type,
+      required: Boolean(required),
+      ...(definition?.default !== undefined && { default: definition.default }),
+      ...(type === 'enum' && { values }),
+      ...(maxLength !== undefined && { maxLength }),
+      description
+    };
+
+    if (problems.length === 0 && result.default !== undefined) {
+      const problem = checkValue(result, result.default);
+      if (problem) {
+        problems.push(`default ${problem}`);
+      }
+    }
+
+    problems.forEach(message => details.push({ index, variable: name || null, message }));
+    return result;
+  });
+
+  if (details.length > 0) {
+    throw createValidationError('invalid_template_variables', 'Invalid template variable definitions', details);
+  }
+  return normalized;
+};
+
+/**
+ * 按定义校验输入并补全默认值
+ * 输入无效时抛出 invalid_template_inputs，details 列出每个问题
+ */
+exports.resolveInputs = (definitions, inputs = {}) => {
+  const details = [];
+  const values = {};
+  const known = new Set(definitions.map(definition => definition.name));
+
+  for (const name of Object.keys(inputs)) {
+    if (!known.has(name)) {
+      details.push({ variable: name, message: 'is not defined by this template' });
+    }
+  }
+
+  for (const definition of definitions) {
+    const provided = inputs[definition.name];
+    const missing = provided === undefined || provided === null || provided === '';
+
+    if (missing) {
+      if (definition.default !== undefined) {
+        values[definition.name] = definition.default;
+      } else if (definition.required) {
+        details.push({ variable: definition.name, message: 'is required' });
+      }
+      continue;
+    }
+
+    const problem = checkValue(definition, provided);
+    if (problem) {
+      details.push({ variable: definition.name, message: problem });
+    } else {
+      values[definition.name] = provided;
+    }
+  }
+
+  if (details.length > 0) {
+    throw createValidationError('invalid_template_inputs', 'Invalid template inputs', details);
+  }
+  return values;
+};
+
+exports.VARIABLE_TYPES = VARIABLE_TYPES;
@@ -0,0 +1,92 @@
+/**
+ * 修订标记（tracked changes）
+ * 将两段文本的词级差异转换为带原文偏移量的变更列表，并支持按需接受部分变更后应用到原文
+ * 变更的 start/end 为原文中的字符偏移（左闭右开），插入的 start 与 end 相同
+ */
+
+const { diffWords } = require('./textDiff');
+
+/**
+ * 计算变更列表
+ * offset 为 oldText 在完整文档中的起始位置，返回的偏移量均相对完整文档
+ * 相邻的删除和插入合并为一次替换；纯空白的未变更片段也会分隔变更
+ */
+exports.computeChanges = (oldText, newText, { offset = 0, idPrefix = 'c' } = {}) => {
+  const { segments } = diffWords(oldText, newText);
+  const changes = [];
+  let position = offset;
+  let pending = null;
+
+  const flush = () => {
+    if (!pending) {
+      return;
+    }
+    let type = 'replace';
+    if (!pending.oldText) {
+      type = 'insert';
+    } else if (!pending.newText) {
+      type = 'delete';
+    }
+    changes.push({ id: `${idPrefix}${changes.length + 1}`, type, ...pending });
+    pending = null;
+  };
+
+  for (const segment of segments) {
+    if (segment.type === 'equal') {
+      flush();
+      position += segment.text.length;
+      continue;
+    }
+
+    if (!pending) {
+      pending = { start: position, end: position, oldText: '', newText: '' };
+    }
+
+    if (segment.type === 'delete') {
+      pending.oldText += segment.text;
+      pending.end += segment.text.length;
+      position += segment.text.length;
+    } else {
+      pending.newText += segment.text;
+    }
+  }
+  flush();
+
+  return changes;
+};
+
+/**
+ * 将变更应用到文本
+ * 每个变更的 oldText 必须与文本在对应偏移处的内容一致，变更之间不能重叠，否则抛出 change_conflict
+ */
+exports.applyChanges = (text, changes) => {
+  const sorted = [...changes].sort((a, b) => a.start - b.start || a.end - b.end);
+  const conflicts = [];
+
+  sorted.forEach((change, index) => {
+    const previous = sorted[index - 1];
+    if (change.start < 0 || change.end < change.start || change.end > text.length) {
+      conflicts.push({ id: change.id, reason: 'out_of_range' });
+    } else if (text.slice(change.start, change.end) !== (change.oldText || '')) {
+      conflicts.push({ id: change.id, reason: 'text_mismatch' });
+    } else if (previous && change.start < previous.end) {
+      conflicts.push({ id: change.id, reason: 'overlapping' });
+    }
+  });
+
+  if (conflicts.length > 0) {
+    const err = new Error('Some changes no longer match the current text');
+    err.code = 'change_conflict';
+    err.conflicts = conflicts;
+    throw err;
+  }
+
+  let result = '';
+  let cursor = 0;
+  for (const change of sorted) {
+    result += text.slice(cursor, change.start) + (change.newText || '');
+    cursor = change.end;
+  }
+
+  return result + text.slice(cursor);
+};
@@ -0,0 +1,145 @@
+/**
+ * 长文本分块
+ * 优先按段落边界切分，段落过长时按句子切分，句子仍过长时按令牌硬切分
+ * 相邻分块之间保留一定令牌数的重叠，避免关键信息恰好落在切分点上
+ */
+
+const { countTokens, truncateToTokens } = require('./tokenizer');
+
+// 句子结束符：中英文句号、问号、感叹号及换行
+const SENTENCE_PATTERN = /[^.!?。！？\n]+(?:[.!?。！？]+["'”’）)]*|\n|$)/g;
+
+/**
+ * 拆分为段落
+ */
+function splitParagraphs(text) {
+  return text
+    .split(/\n\s*\n/)
+    .map(paragraph => paragraph.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 拆分为句子
+ */
+function splitSentences(paragraph) {
+  return (paragraph.match(SENTENCE_PATTERN) || [paragraph])
+    .map(sentence => sentence.trim())
+    .filter(Boolean);
+}
+
+/**
+ * 按令牌数硬切分超长文本
+ */
+function splitByTokens(text, maxTokens, model) {
+  const pieces = [];
+  let rest = text;
+
+  while (rest) {
+    const piece = truncateToTokens(rest, maxTokens, model);
+    // 保证每次至少前进一个字符
+    const taken = piece.length > 0 ? piece : rest.slice(0, 1);
+    pieces.push(taken);
+    rest = rest.slice(taken.length);
+  }
+
+  return pieces;
+}
+
+/**
+ * 将文本拆分为不超过 maxTokens 的最小单元（段落、句子或硬切片段）
+ */
+function splitUnits(text, maxTokens, model) {
+  const units = [];
+
+  for (const paragraph of splitParagraphs(text)) {
+    const paragraphTokens = countTokens(paragraph, model);
+    if (paragraphTokens <= maxTokens) {
+      units.push({ text: paragraph, tokens: paragraphTokens, separator: '\n\n' });
+      continue;
+    }
+
+    const sentences = splitSentences(paragraph);
+    sentences.forEach((sentence, index) => {
+      const separator = index === sentences.length - 1 ? '\n\n' : ' ';
+      const sentenceTokens = countTokens(sentence, model);
+
+      if (sentenceTokens <= maxTokens) {
+        units.push({ text: sentence, tokens: sentenceTokens, separator });
+        return;
+      }
+
+      splitByTokens(sentence, maxTokens, model).forEach(piece => {
+        units.push({ text: piece, tokens: countTokens(piece, model), separator: '' });
+      });
+    });
+  }
+
+  return units;
+}
+
+/**
+ * 组装分块文本
+ */
+function joinUnits(units) {
+  return units
+    .map((unit, index) => (index === units.length - 1 ? unit.text : unit.text + unit.separator))
+    .join('');
+}
+
+/**
+ * 将文本切分为带重叠的分块
+ * 返回 [{ index, text, tokens }]
+ */
+exports.splitIntoChunks = (text, { maxTokens, overlapTokens = 0, model = 'gpt-4' }) => {
+  const units = splitUnits(text, maxTokens, model);
+  const chunks = [];
+  let current = [];
+  let currentTokens = 0;
+
+  const flush = () => {
+    const chunkText = joinUnits(current);
+    chunks.push({ index: chunks.length, text: chunkText, tokens: countTokens(chunkText, model) });
+  };
+
+  for (const unit of units) {
+    if (current.length > 0 && currentTokens + unit.tokens > maxTokens) {
+      flush();
+
+      // 从上一分块末尾取若干单元作为重叠
+      const overlap = [];
+      let overlapSize = 0;
+      for (let i = current.length - 1; i >= 0; i--) {
+        if (overlapSize + current[i].tokens > overlapTokens || overlapSize + current[i].tokens + unit.tokens > maxTokens) {
+          break;
+        }
+        overlap.unshift(current[i]);
+        overlapSize += current[i].tokens;
+      }
+
+      current = overlap;
+      currentTokens = overlapSize;
+    }
+
+    current.push(unit);
+    currentTokens += unit.tokens;
+  }
+
+  if (current.length > 0) {
+    flush();
+  }
+
+  return chunks;
+};
+
+/**
+ * 统计字数：英文按单词计，中日韩文字按字符计
+ */
+exports.countWords = (text = '') => {
+  const cjk = (text.match(/[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]/g) || []).length;
+  const words = text
+    .replace(/[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]/g, ' ')
+    .split(/\s+/)
+    .filter(word => /[\p{L}\p{N}]/u.test(word)).length;
+  return cjk + words;
+};
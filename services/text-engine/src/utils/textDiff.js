@@ -0,0 +1,188 @@
+/**
+ * 文本差异比较
+ * 以词为单位（中日文按单字）计算两段文本的最小编辑差异，基于Myers差分算法
+ */
+
+// 中日文字符单独成词，其余按字母数字串、空白和单个标点切分
+const TOKEN_PATTERN = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}]|[\p{L}\p{N}_'’-]+|\s+|[^\s]/gu;
+
+// 编辑距离上限，超出时退化为整体替换；计算时间随编辑距离增长，上限避免差异很大的长文本占满CPU
+const MAX_EDIT_DISTANCE = parseInt(process.env.DIFF_MAX_EDIT_DISTANCE || '5000');
+
+/**
+ * 切分为词元
+ */
+function tokenize(text) {
+  return (text || '').match(TOKEN_PATTERN) || [];
+}
+
+/**
+ * 查找 a[a0, a0+n) 与 b[b0, b0+m) 最短编辑路径的中间蛇形段
+ * 正反两个方向同时推进，只保留当前一轮的对角线数组，内存与输入长度成正比
+ * 返回 { x, y, u, v, d }：(x, y) 到 (u, v) 为路径上的一段对角线，d 为编辑距离；超过 limit 时返回null
+ */
+function middleSnake(a, a0, n, b, b0, m, limit) {
+  const delta = n - m;
+  const odd = (delta & 1) !== 0;
+  const max = Math.ceil((n + m) / 2);
+  const offset = max + 1;
+  const forward = new Int32Array(2 * max + 3);
+  const backward = new Int32Array(2 * max + 3);
+
+  for (let d = 0; d <= max; d++) {
+    if (2 * d - 1 > limit) {
+      return null;
+    }
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && forward[offset + k - 1] < forward[offset + k + 1]))
+        ? forward[offset + k + 1]
+        : forward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+
+      while (x < n && y < m && a[a0 + x] === b[b0 + y]) {
+        x++;
+        y++;
+      }
+
+      forward[offset + k] = x;
+      // 反向对角线 delta-k 上一轮已推进到的位置与正向重叠
+      if (odd && k >= delta - (d - 1) && k <= delta + (d - 1) && x + backward[offset + delta - k] >= n) {
+        return { x: startX, y: startY, u: x, v: y, d: 2 * d - 1 };
+      }
+    }
+
+    for (let k = -d; k <= d; k += 2) {
+      let x = (k === -d || (k !== d && backward[offset + k - 1] < backward[offset + k + 1]))
+        ? backward[offset + k + 1]
+        : backward[offset + k - 1] + 1;
+      let y = x - k;
+      const startX = x;
+      const startY = y;
+
+      while (x < n && y < m && a[a0 + n - 1 - x] === b[b0 + m - 1 - y]) {
+        x++;
+        y++;
+      }
+
+      backward[offset + k] = x;
+      if (!odd && delta - k >= -d && delta - k <= d && x + forward[offset + delta - k] >= n) {
+        return { x: n - x, y: m - y, u: n - startX, v: m - startY, d: 2 * d };
+      }
+    }
+  }
+
+  return null;
+}
+
+/**
+ * 递归计算 a[a0, a0+n) 到 b[b0, b0+m) 的编辑操作，追加到 ops
+ * 以中间蛇形段为界分成两个编辑距离减半的子问题
+ */
+function diffRange(a, a0, n, b, b0, m, ops, limit = Infinity) {
+  if (n === 0 || m === 0) {
+    for (let i = 0; i < n; i++) {
+      ops.push(['delete', a[a0 + i]]);
+    }
+    for (let j = 0; j < m; j++) {
+      ops.push(['insert', b[b0 + j]]);
+    }
+    return true;
+  }
+
+  const snake = middleSnake(a, a0, n, b, b0, m, limit);
+  if (!snake) {
+    return false;
+  }
+
+  if (snake.d > 1) {
+    diffRange(a, a0, snake.x, b, b0, snake.y, ops);
+    for (let i = snake.x; i < snake.u; i++) {
+      ops.push(['equal', a[a0 + i]]);
+    }
+    diffRange(a, a0 + snake.u, n - snake.u, b, b0 + snake.v, m - snake.v, ops);
+    return true;
+  }
+
+  // 编辑距离不超过1：较短的一方是较长一方去掉一个词元
+  let i = 0;
+  while (i < n && i < m && a[a0 + i] === b[b0 + i]) {
+    ops.push(['equal', a[a0 + i]]);
+    i++;
+  }
+  if (n > m) {
+    ops.push(['delete', a[a0 + i]]);
+  } else if (m > n) {
+    ops.push(['insert', b[b0 + i]]);
+  }
+  for (let j = i; j < Math.min(n, m); j++) {
+    ops.push(['equal', n > m ? a[a0 + j + 1] : a[a0 + j]]);
+  }
+  return true;
+}
+
+/**
+ * Myers差分（线性空间版本），返回 [type, token] 操作序列
+ * 超过编辑距离上限时返回null
+ */
+function myersDiff(a, b) {
+  const ops = [];
+  return diffRange(a, 0, a.length, b, 0, b.length, ops, MAX_EDIT_DISTANCE) ? ops : null;
+}
+
+/**
+ * 计算两段文本的词级差异
+ * 返回合并后的片段序列和增删统计（统计不计空白）
+ */
+exports.diffWords = (oldText, newText) => {
+  const a = tokenize(oldText);
+  const b = tokenize(newText);
+
+  // 先剥离公共前后缀，缩小差分规模
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const middleA = a.slice(start, endA);
+  const middleB = b.slice(start, endB);
+  const middle = myersDiff(middleA, middleB) || [
+    ...middleA.map(token => ['delete', token]),
+    ...middleB.map(token => ['insert', token])
+  ];
+
+  const ops = [
+    ...a.slice(0, start).map(token => ['equal', token]),
+    ...middle,
+    ...a.slice(endA).map(token => ['equal', token])
+  ];
+
+  const segments = [];
+  const stats = { insertions: 0, deletions: 0, unchanged: 0 };
+  const statKey = { insert: 'insertions', delete: 'deletions', equal: 'unchanged' };
+
+  for (const [type, token] of ops) {
+    if (/\S/.test(token)) {
+      stats[statKey[type]]++;
+    }
+
+    const last = segments[segments.length - 1];
+    if (last && last.type === type) {
+      last.text += token;
+    } else {
+      segments.push({ type, text: token });
+    }
+  }
+
+  return { segments, stats };
+};
+
+exports.tokenize = tokenize;
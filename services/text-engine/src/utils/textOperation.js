@@ -0,0 +1,208 @@
+/**
+ * 文本操作变换（Operational Transformation）
+ * 操作为组件数组：正整数表示保留若干字符，字符串表示插入，负整数表示删除若干字符
+ * 操作必须覆盖整个文档：保留与删除的长度之和等于文档长度
+ */
+
+/**
+ * 无效操作错误
+ */
+function createOperationError(message) {
+  const err = new Error(message);
+  err.code = 'invalid_operation';
+  return err;
+}
+
+const isRetain = (component) => Number.isInteger(component) && component > 0;
+const isInsert = (component) => typeof component === 'string' && component.length > 0;
+const isDelete = (component) => Number.isInteger(component) && component < 0;
+
+/**
+ * 追加组件，合并相邻的同类组件
+ */
+function push(operation, component) {
+  if (component === 0 || component === '') {
+    return;
+  }
+
+  const last = operation[operation.length - 1];
+  if (isRetain(component) && isRetain(last)) {
+    operation[operation.length - 1] = last + component;
+  } else if (isDelete(component) && isDelete(last)) {
+    operation[operation.length - 1] = last + component;
+  } else if (isInsert(component) && isInsert(last)) {
+    operation[operation.length - 1] = last + component;
+  } else if (isInsert(component) && isDelete(last)) {
+    // 插入统一放在删除之前，便于比较和变换
+    const previous = operation[operation.length - 2];
+    if (isInsert(previous)) {
+      operation[operation.length - 2] = previous + component;
+    } else {
+      operation.splice(operation.length - 1, 0, component);
+    }
+  } else {
+    operation.push(component);
+  }
+}
+
+/**
+ * 校验并规范化操作
+ */
+exports.normalize = (operation) => {
+  if (!Array.isArray(operation)) {
+    throw createOperationError('Operation must be an array');
+  }
+
+  const normalized = [];
+  for (const component of operation) {
+    if (!isRetain(component) && !isInsert(component) && !isDelete(component)) {
+      throw createOperationError(`Invalid operation component: ${JSON.stringify(component)}`);
+    }
+    push(normalized, component);
+  }
+  return normalized;
+};
+
+/**
+ * 操作适用的文档长度
+ */
+exports.baseLength = (operation) => operation.reduce(
+  (length, component) => (isInsert(component) ? length : length + Math.abs(component)),
+  0
+);
+
+/**
+ * 操作后的文档长度
+ */
+exports.targetLength = (operation) => operation.reduce((length, component) => {
+  if (isInsert(component)) {
+    return length + component.length;
+  }
+  return isRetain(component) ? length + component : length;
+}, 0);
+
+/**
+ * 是否为不改变文档的空操作
+ */
+exports.isNoop = (operation) => operation.every(isRetain);
+
+/**
+ * 将操作应用到文本
+ */
+exports.apply = (text, operation) => {
+  if (exports.baseLength(operation) !== text.length) {
+    throw createOperationError(`Operation expects a document of length ${exports.baseLength(operation)}, got ${text.length}`);
+  }
+
+  let result = '';
+  let cursor = 0;
+  for (const component of operation) {
+    if (isRetain(component)) {
+      result += text.slice(cursor, cursor + component);
+      cursor += component;
+    } else if (isInsert(component)) {
+      result += component;
+    } else {
+      cursor -= component;
+    }
+  }
+  return result;
+};
+
+/**
+ * 变换两个基于同一文档的并发操作
+ * 返回 [a', b']，满足 apply(apply(doc, a), b') === apply(apply(doc, b), a')
+ * 同一位置的插入，a 的内容排在前面
+ */
+exports.transform = (a, b) => {
+  if (exports.baseLength(a) !== exports.baseLength(b)) {
+    throw createOperationError('Concurrent operations must have the same base length');
+  }
+
+  const aPrime = [];
+  const bPrime = [];
+  let i = 0;
+  let j = 0;
+  let componentA = a[i++];
+  let componentB = b[j++];
+
+  while (componentA !== undefined || componentB !== undefined) {
+    if (isInsert(componentA)) {
+      push(aPrime, componentA);
+      push(bPrime, componentA.length);
+      componentA = a[i++];
+      continue;
+    }
+    if (isInsert(componentB)) {
+      push(aPrime, componentB.length);
+      push(bPrime, componentB);
+      componentB = b[j++];
+      continue;
+    }
+
+    const lengthA = Math.abs(componentA);
+    const lengthB = Math.abs(componentB);
+    const length = Math.min(lengthA, lengthB);
+
+    if (isRetain(componentA) && isRetain(componentB)) {
+      push(aPrime, length);
+      push(bPrime, length);
+    } else if (isDelete(componentA) && isRetain(componentB)) {
+      push(aPrime, -length);
+    } else if (isRetain(componentA) && isDelete(componentB)) {
+      push(bPrime, -length);
+    }
+    // 双方删除同一段内容时都无需再删除
+
+    componentA = lengthA === length ? a[i++] : Math.sign(componentA) * (lengthA - length);
+    componentB = lengthB === length ? b[j++] : Math.sign(componentB) * (lengthB - length);
+  }
+
+  return [aPrime, bPrime];
+};
+
+/**
+ * 将文档中的位置变换到操作之后
+ * 位于插入点的位置在 before 为 true 时保持在插入内容之前（用于其他用户的光标）
+ */
+exports.transformIndex = (index, operation, { before = false } = {}) => {
+  let remaining = index;
+  let result = index;
+
+  for (const component of operation) {
+    if (isRetain(component)) {
+      remaining -= component;
+    } else if (isInsert(component)) {
+      if (remaining > 0 || !before) {
+        result += component.length;
+      }
+    } else {
+      result -= Math.min(remaining, -component);
+      remaining += component;
+    }
+
+    if (remaining < 0) {
+      break;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * 由修订标记（见 textChanges）生成操作
+ */
+exports.fromChanges = (length, changes) => {
+  const operation = [];
+  let cursor = 0;
+
+  for (const change of [...changes].sort((x, y) => x.start - y.start)) {
+    push(operation, change.start - cursor);
+    push(operation, change.newText || '');
+    push(operation, -(change.end - change.start));
+    cursor = change.end;
+  }
+  push(operation, length - cursor);
+
+  return operation;
+};
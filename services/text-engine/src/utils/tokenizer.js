@@ -0,0 +1,116 @@
+/**
+ * 本地令牌计数
+ * OpenAI模型使用tiktoken精确计数；其他提供方的模型没有公开的分词器，按字符类别估算
+ */
+
+const { getEncoding, getEncodingNameForModel } = require('js-tiktoken');
+
+// 聊天格式的固定开销：每条消息3个令牌，回复引导3个令牌
+const TOKENS_PER_MESSAGE = 3;
+const TOKENS_PER_REPLY = 3;
+
+// 编码器按编码名称缓存，创建成本较高
+const encoders = new Map();
+
+// 中日韩字符，估算时每个字符约1个令牌
+const CJK_PATTERN = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af\uf900-\ufaff]/g;
+
+/**
+ * 获取模型对应的tiktoken编码器，非OpenAI模型返回null
+ */
+function getEncoder(model) {
+  let encodingName;
+  try {
+    encodingName = getEncodingNameForModel(model);
+  } catch (error) {
+    // 未登记的GPT模型变体统一使用cl100k_base
+    if (!/^gpt-/i.test(model)) {
+      return null;
+    }
+    encodingName = 'cl100k_base';
+  }
+
+  if (!encoders.has(encodingName)) {
+    encoders.set(encodingName, getEncoding(encodingName));
+  }
+  return encoders.get(encodingName);
+}
+
+/**
+ * 估算令牌数：中日韩字符每个计1个，其余每4个字符计1个
+ */
+function estimateTokens(text) {
+  const cjkCount = (text.match(CJK_PATTERN) || []).length;
+  const otherLength = text.length - cjkCount;
+  return cjkCount + Math.ceil(otherLength / 4);
+}
+
+/**
+ * 计算文本的令牌数
+ */
+exports.countTokens = (text = '', model = 'gpt-4') => {
+  if (!text) {
+    return 0;
+  }
+
+  const encoder = getEncoder(model);
+  return encoder ? encoder.encode(text).length : estimateTokens(text);
+};
+
+/**
+ * 计数结果是否为精确值
+ */
+exports.isExactForModel = (model) => getEncoder(model) !== null;
+
+/**
+ * 计算聊天请求的输入令牌构成
+ * history 为位于系统提示和当前提示之间的历史消息 [{ role, content }]
+ */
+exports.countChatTokens = ({ prompt = '', systemPrompt = '', history = [], model = 'gpt-4' }) => {
+  const systemPromptTokens = exports.countTokens(systemPrompt, model);
+  const promptTokens = exports.countTokens(prompt, model);
+  const historyTokens = history.reduce((sum, message) => sum + exports.countTokens(message.content, model), 0);
+  const messageCount = (systemPrompt ? 2 : 1) + history.length;
+  const overheadTokens = messageCount * TOKENS_PER_MESSAGE + TOKENS_PER_REPLY;
+
+  return {
+    systemPromptTokens,
+    historyTokens,
+    promptTokens,
+    overheadTokens,
+    inputTokens: systemPromptTokens + historyTokens + promptTokens + overheadTokens,
+    exact: exports.isExactForModel(model)
+  };
+};
+
+/**
+ * 将文本截断到指定令牌数以内，保留开头部分
+ */
+exports.truncateToTokens = (text, maxTokens, model = 'gpt-4') => {
+  if (maxTokens <= 0) {
+    return '';
+  }
+
+  const encoder = getEncoder(model);
+  if (encoder) {
+    const tokens = encoder.encode(text);
+    return tokens.length <= maxTokens ? text : encoder.decode(tokens.slice(0, maxTokens));
+  }
+
+  // 无分词器时按估算值二分查找截断位置
+  if (estimateTokens(text) <= maxTokens) {
+    return text;
+  }
+
+  let low = 0;
+  let high = text.length;
+  while (low < high) {
+    const mid = Math.ceil((low + high) / 2);
+    if (estimateTokens(text.slice(0, mid)) <= maxTokens) {
+      low = mid;
+    } else {
+      high = mid - 1;
+    }
+  }
+  return text.slice(0, low);
+};
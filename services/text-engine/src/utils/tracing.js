@@ -0,0 +1,250 @@
+/**
+ * 分布式追踪
+ * 生成与 OpenTelemetry 兼容的 span（W3C traceparent 传播），批量以 OTLP/HTTP JSON 导出到采集器
+ * 当前 span 保存在请求上下文中，子 span 自动以其为父
+ *
+ * 配置：
+ *   OTEL_EXPORTER_OTLP_ENDPOINT  采集器地址，如 http://localhost:4318；未配置时不导出
+ *   OTEL_TRACES_EXPORTER         otlp（默认）、console 或 none
+ *   OTEL_SERVICE_NAME            服务名，默认 text-engine
+ *   OTEL_TRACES_SAMPLER_ARG      无上游采样决定时的采样率，默认 1
+ */
+
+const crypto = require('crypto');
+const axios = require('axios');
+const requestContext = require('./requestContext');
+const logger = require('./logger');
+
+const SPAN_KINDS = { internal: 1, server: 2, client: 3 };
+const STATUS_CODES = { unset: 0, ok: 1, error: 2 };
+
+const TRACEPARENT_PATTERN = /^00-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})$/;
+
+const CONFIG = {
+  endpoint: process.env.OTEL_EXPORTER_OTLP_ENDPOINT?.replace(/\/$/, ''),
+  exporter: process.env.OTEL_TRACES_EXPORTER || 'otlp',
+  serviceName: process.env.OTEL_SERVICE_NAME || 'text-engine',
+  sampleRatio: parseFloat(process.env.OTEL_TRACES_SAMPLER_ARG || '1'),
+  batchSize: 512,
+  flushIntervalMs: 5000,
+  maxQueueSize: 2048
+};
+
+// 等待导出的已结束 span
+let queue = [];
+let flushTimer = null;
+
+/**
+ * 是否需要导出
+ */
+function exportEnabled() {
+  return CONFIG.exporter === 'console' || (CONFIG.exporter === 'otlp' && Boolean(CONFIG.endpoint));
+}
+
+const randomHex = (bytes) => crypto.randomBytes(bytes).toString('hex');
+
+/**
+ * 解析 W3C traceparent 头，返回远程父 span { traceId, spanId, sampled }，无效时返回 null
+ */
+exports.parseTraceparent = (header) => {
+  const match = TRACEPARENT_PATTERN.exec(String(header || '').trim().toLowerCase());
+  if (!match || /^0+$/.test(match[1]) || /^0+$/.test(match[2])) {
+    return null;
+  }
+  return { traceId: match[1], spanId: match[2], sampled: (parseInt(match[3], 16) & 1) === 1 };
+};
+
+/**
+ * 生成 span 对应的 traceparent 头
+ */
+exports.formatTraceparent = (span) => `00-${span.traceId}-${span.spanId}-${span.sampled ? '01' : '00'}`;
+
+/**
+ * 将属性转换为 OTLP 的键值列表
+ */
+function toAttributes(attributes) {
+  return Object.entries(attributes)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => {
+      if (typeof value === 'boolean') {
+        return { key, value: { boolValue: value } };
+      }
+      if (Number.isInteger(value)) {
+        return { key, value: { intValue: value } };
+      }
+      if (typeof value === 'number') {
+        return { key, value: { doubleValue: value } };
+      }
+      return { key, value: { stringValue: String(value) } };
+    });
+}
+
+/**
+ * 转换为 OTLP span
+ */
+function toOtlpSpan(span) {
+  return {
+    traceId: span.traceId,
+    spanId: span.spanId,
+    ...(span.parentSpanId && { parentSpanId: span.parentSpanId }),
+    name: span.name,
+    kind: SPAN_KINDS[span.kind] || SPAN_KINDS.internal,
+    startTimeUnixNano: span.startTimeUnixNano.toString(),
+    endTimeUnixNano: span.endTimeUnixNano.toString(),
+    attributes: toAttributes(span.attributes),
+    events: span.events.map(event => ({
+      name: event.name,
+      timeUnixNano: event.timeUnixNano.toString(),
+      attributes: toAttributes(event.attributes)
+    })),
+    status: { code: STATUS_CODES[span.status.code], ...(span.status.message && { message: span.status.message }) }
+  };
+}
+
+/**
+ * 当前时间（纳秒）
+ */
+function nowNanos() {
+  return BigInt(Math.round((performance.timeOrigin + performance.now()) * 1000)) * 1000n;
+}
+
+/**
+ * 导出排队的 span
+ */
+exports.flush = async () => {
+  if (queue.length === 0) {
+    return;
+  }
+
+  const spans = queue;
+  queue = [];
+
+  if (CONFIG.exporter === 'console') {
+    spans.forEach(span => logger.info(`span ${span.name} ${span.traceId}/${span.spanId} ${span.status.code}`, { span: toOtlpSpan(span) }));
+    return;
+  }
+
+  try {
+    await axios.post(`${CONFIG.endpoint}/v1/traces`, {
+      resourceSpans: [{
+        resource: { attributes: toAttributes({ 'service.name': CONFIG.serviceName }) },
+        scopeSpans: [{ scope: { name: CONFIG.serviceName }, spans: spans.map(toOtlpSpan) }]
+      }]
+    }, { timeout: 5000 });
+  } catch (error) {
+    logger.warn(`Exporting ${spans.length} spans failed: ${error.message}`);
+  }
+};
+
+/**
+ * 加入导出队列，达到批量大小时立即导出
+ */
+function enqueue(span) {
+  if (queue.length >= CONFIG.maxQueueSize) {
+    return;
+  }
+  queue.push(span);
+
+  if (queue.length >= CONFIG.batchSize) {
+    exports.flush();
+  } else if (!flushTimer) {
+    flushTimer = setTimeout(() => {
+      flushTimer = null;
+      exports.flush();
+    }, CONFIG.flushIntervalMs);
+    flushTimer.unref();
+  }
+}
+
+/**
+ * 开始 span
+ * 默认以当前上下文的 span 为父；parent 可传入由 parseTraceparent 解析的远程父 span
+ * 返回的 span 需调用 end() 结束
+ */
+exports.startSpan = (name, { kind = 'internal', attributes = {}, parent } = {}) => {
+  const parentSpan = parent || requestContext.get()?.span;
+  const traceId = parentSpan?.traceId || randomHex(16);
+  const sampled = parentSpan ? parentSpan.sampled !== false : Math.random() < CONFIG.sampleRatio;
+
+  const span = {
+    traceId,
+    spanId: randomHex(8),
+    parentSpanId: parentSpan?.spanId,
+    sampled,
+    name,
+    kind,
+    attributes: { ...attributes },
+    events: [],
+    status: { code: 'unset' },
+    startTimeUnixNano: nowNanos(),
+    ended: false,
+    setAttribute(key, value) {
+      span.attributes[key] = value;
+      return span;
+    },
+    setAttributes(values) {
+      Object.assign(span.attributes, values);
+      return span;
+    },
+    recordException(error) {
+      span.events.push({
+        name: 'exception',
+        timeUnixNano: nowNanos(),
+        attributes: {
+          'exception.type': error.code || error.name,
+          'exception.message': error.message
+        }
+      });
+      span.status = { code: 'error', message: error.message };
+      return span;
+    },
+    end() {
+      if (span.ended) {
+        return;
+      }
+      span.ended = true;
+      span.endTimeUnixNano = nowNanos();
+      if (span.status.code === 'unset') {
+        span.status = { code: 'ok' };
+      }
+      if (span.sampled && exportEnabled()) {
+        enqueue(span);
+      }
+    }
+  };
+
+  return span;
+};
+
+/**
+ * 以新 span 执行函数，函数内的子调用以该 span 为父
+ * 函数抛错时记录异常并将 span 标记为错误
+ */
+exports.withSpan = async (name, options, fn) => {
+  const span = exports.startSpan(name, options);
+  const context = requestContext.get() || {};
+
+  try {
+    return await requestContext.run({ ...context, span }, () => fn(span));
+  } catch (error) {
+    span.recordException(error);
+    throw error;
+  } finally {
+    span.end();
+  }
+};
+
+/**
+ * 传给上游服务的追踪头
+ */
+exports.propagationHeaders = () => {
+  const context = requestContext.get();
+  if (!context) {
+    return {};
+  }
+
+  return {
+    ...(context.requestId && { 'X-Request-Id': context.requestId }),
+    ...(context.span && { traceparent: exports.formatTraceparent(context.span) })
+  };
+};
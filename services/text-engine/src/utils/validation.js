@@ -0,0 +1,25 @@
+/**
+ * 请求参数校验
+ * 汇总路由上 express-validator 的校验结果，供各控制器共用
+ */
+
+const { validationResult } = require('express-validator');
+const { ERROR_CODES } = require('./errorCodes');
+
+/**
+ * 参数校验失败时发送400响应
+ * 返回true表示已发送响应
+ */
+exports.rejectInvalidRequest = (req, res) => {
+  const errors = validationResult(req);
+  if (errors.isEmpty()) {
+    return false;
+  }
+
+  res.status(400).json({
+    success: false,
+    errors: errors.array(),
+    errorCode: ERROR_CODES.VALIDATION_ERROR
+  });
+  return true;
+};
@@ -0,0 +1,437 @@
+/**
+ * 批量生成任务工作进程
+ * 轮询数据库领取任务，以有限并发处理条目并对单个条目重试
+ * 通过租约（lockedUntil）保证同一任务只被一个副本处理；进程重启或崩溃后租约过期，任务被重新领取并从未完成的条目继续
+ * 任务被取消或租约丢失时中止进行中的模型调用：本副本上的取消立即生效，其他副本在下次续租时发现
+ * 每个条目开始前重新检查预算，超出硬限制时停止任务，剩余条目以 BUDGET_EXCEEDED 失败
+ */
+
+const os = require('os');
+const BatchJob = require('../models/batchJob.model');
+const generationService = require('../services/generation.service');
+const usageService = require('../services/usage.service');
+const { isRetryableError } = require('../utils/providerErrors');
+const cancellation = require('../utils/cancellation');
+const { preflight } = require('../utils/contextPreflight');
+const { createMetricsRecord } = require('../utils/metrics');
+const requestContext = require('../utils/requestContext');
+const tracing = require('../utils/tracing');
+const logger = require('../utils/logger');
+const { ERROR_CODES } = require('../utils/errorCodes');
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const CONFIG = {
+  pollIntervalMs: parseInt(process.env.BATCH_WORKER_POLL_MS || '5000'),
+  leaseMs: parseInt(process.env.BATCH_WORKER_LEASE_MS || '30000'),
+  maxParallelJobs: parseInt(process.env.BATCH_WORKER_MAX_JOBS || '2'),
+  retryDelayMs: parseInt(process.env.BATCH_WORKER_RETRY_DELAY_MS || '2000')
+};
+
+let pollTimer = null;
+let running = false;
+const activeJobs = new Map();
+// jobId -> 任务处理状态 { cancelled, leaseLost, controller, budgetExceeded, budgetCheck }
+const jobStates = new Map();
+
+/**
+ * 领取下一个可处理的任务（排队中，或租约已过期的运行中任务）
+ */
+async function claimNextJob() {
+  const now = Date.now();
+
+  return BatchJob.findOneAndUpdate(
+    {
+      status: { $in: ['queued', 'running'] },
+      jobId: { $nin: [...activeJobs.keys()] },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lt: new Date(now) } }]
+    },
+    {
+      $set: {
+        status: 'running',
+        lockedBy: WORKER_ID,
+        lockedUntil: new Date(now + CONFIG.leaseMs)
+      }
+    },
+    { sort: { createdAt: 1 }, new: true }
+  );
+}
+
+/**
+ * 续租并同步取消状态
+ * 租约被其他工作进程接管时返回 false
+ */
+async function renewLease(jobId, state) {
+  const job = await BatchJob.findOneAndUpdate(
+    { jobId, lockedBy: WORKER_ID },
+    { $set: { lockedUntil: new Date(Date.now() + CONFIG.leaseMs) } },
+    { new: true, projection: { status: 1 } }
+  );
+
+  if (!job) {
+    state.leaseLost = true;
+    state.controller.abort(cancellation.createCancellationError('lease_lost'));
+    return false;
+  }
+
+  if (job.status === 'cancelled') {
+    markCancelled(state);
+  }
+  return true;
+}
+
+/**
+ * 标记任务已取消并中止进行中的调用
+ */
+function markCancelled(state) {
+  state.cancelled = true;
+  state.controller.abort(cancellation.createCancellationError('cancelled'));
+}
+
+/**
+ * 检查任务所属用户及团队的预算，超出硬限制时记录在任务状态中
+ * 并发的执行者共用进行中的查询；查询失败不阻断处理，与请求入口的预算检查一致
+ */
+async function checkBudget(job, state) {
+  if (!state.budgetCheck) {
+    state.budgetCheck = usageService.checkBudget({ userId: job.userId, teamId: job.teamId })
+      .then(({ allowed, exceeded }) => {
+        if (!allowed) {
+          state.budgetExceeded = exceeded[0];
+        }
+      })
+      .catch(error => logger.error(`Batch job ${job.jobId} budget check failed: ${error.message}`))
+      .finally(() => {
+        state.budgetCheck = null;
+      });
+  }
+
+  await state.budgetCheck;
+  return !state.budgetExceeded;
+}
+
+/**
+ * 预算耗尽后将尚未开始的条目标记为失败
+ * 任务已被取消时不再修改
+ */
+async function failRemainingItems(job, items, budget) {
+  const indexes = items.map(item => item.index);
+  const message = `The ${budget.period} ${budget.scope} budget of $${budget.limitUsd} has been exhausted`;
+
+  await BatchJob.updateOne(
+    { jobId: job.jobId, status: 'running' },
+    {
+      $set: {
+        'items.$[item].status': 'failed',
+        'items.$[item].error': message,
+        'items.$[item].errorCode': ERROR_CODES.BUDGET_EXCEEDED,
+        'items.$[item].completedAt': new Date()
+      },
+      $inc: { 'progress.failed': indexes.length }
+    },
+    { arrayFilters: [{ 'item.status': 'pending', 'item.index': { $in: indexes } }] }
+  );
+  logger.warn(`Batch job ${job.jobId} stopped: ${message}, ${indexes.length} items not processed`);
+}
+
+/**
+ * 判断条目失败后是否值得重试
+ */
+function shouldRetryItem(error) {
+  return error.code === 'model_not_available' || isRetryableError(error);
+}
+
+/**
+ * 结束被中断的条目：任务取消时标记为已取消，停机时放回队列；
+ * 租约丢失时保持运行状态，由接管的工作进程重新排队
+ */
+async function releaseInterruptedItem(job, item, state) {
+  const path = `items.${item.index}`;
+
+  if (state.cancelled) {
+    await BatchJob.updateOne(
+      { jobId: job.jobId },
+      { $set: { [`${path}.status`]: 'cancelled', [`${path}.completedAt`]: new Date() } }
+    );
+  } else if (!state.leaseLost && !running) {
+    await BatchJob.updateOne(
+      { jobId: job.jobId },
+      { $set: { [`${path}.status`]: 'pending' } }
+    );
+  }
+
+  const reason = state.cancelled ? 'job cancelled' : (state.leaseLost ? 'lease lost' : 'shutdown');
+  logger.info(`Batch job ${job.jobId} item ${item.index} aborted (${reason})`);
+}
+
+/**
+ * 处理单个条目，失败时按任务配置重试
+ */
+async function processItem(job, item, state) {
+  const path = `items.${item.index}`;
+  let attempts = item.attempts;
+
+  while (running && !state.cancelled && !state.leaseLost) {
+    attempts += 1;
+    await BatchJob.updateOne(
+      { jobId: job.jobId },
+      { $set: { [`${path}.status`]: 'running', [`${path}.attempts`]: attempts, [`${path}.startedAt`]: new Date() } }
+    );
+
+    try {
+      const { params } = preflight({
+        prompt: item.prompt,
+        systemPrompt: item.systemPrompt,
+        temperature: job.temperature,
+        maxTokens: item.maxTokens,
+        model: job.model,
+        userId: job.userId
+      });
+      
+      const { result, routing, cost } = await generationService.execute({
+        operation: 'generate',
+        model: job.model,
+        params,
+        accounting: { userId: job.userId, teamId: job.teamId, operation: 'batch_job' },
+        signal: state.controller.signal
+      });
+
+      const tokensUsed = result.usage?.totalTokens || 0;
+      await BatchJob.updateOne(
+        { jobId: job.jobId },
+        {
+          $set: {
+            [`${path}.status`]: 'succeeded',
+            [`${path}.text`]: result.text,
+            [`${path}.model`]: routing.model,
+            [`${path}.provider`]: routing.provider,
+            [`${path}.tokensUsed`]: tokensUsed,
+            [`${path}.cost`]: cost.totalCost,
+            [`${path}.completedAt`]: new Date()
+          },
+          $unset: { [`${path}.error`]: '' },
+          $inc: { 'progress.succeeded': 1, tokensUsed, cost: cost.totalCost }
+        }
+      );
+      return;
+
+    } catch (error) {
+      if (cancellation.isCancellation(error)) {
+        await releaseInterruptedItem(job, item, state);
+        return;
+      }
+
+      const retry = attempts < job.maxAttempts && shouldRetryItem(error);
+      logger.warn(`Batch job ${job.jobId} item ${item.index} attempt ${attempts} failed${retry ? ', retrying' : ''}: ${error.message}`);
+
+      if (!retry) {
+        await BatchJob.updateOne(
+          { jobId: job.jobId },
+          {
+            $set: {
+              [`${path}.status`]: 'failed',
+              [`${path}.error`]: error.message,
+              [`${path}.completedAt`]: new Date()
+            },
+            $inc: { 'progress.failed': 1 }
+          }
+        );
+        return;
+      }
+
+      // 等待期间任务被取消时提前结束，由循环条件退出
+      await cancellation.delay(CONFIG.retryDelayMs * attempts, state.controller.signal).catch(() => {});
+    }
+  }
+
+  // 重试等待期间被取消、停机或丢失租约，循环退出时条目仍处于运行状态
+  await releaseInterruptedItem(job, item, state);
+}
+
+/**
+ * 处理整个任务
+ */
+async function processJob(job) {
+  const state = { cancelled: false, leaseLost: false, controller: new AbortController(), budgetExceeded: null, budgetCheck: null };
+  const startTime = Date.now();
+  jobStates.set(job.jobId, state);
+
+  // 上次中断时正在处理的条目重新排队
+  await BatchJob.updateOne(
+    { jobId: job.jobId },
+    {
+      $set: { 'items.$[item].status': 'pending' },
+      ...(job.startedAt ? {} : { $currentDate: { startedAt: true } })
+    },
+    { arrayFilters: [{ 'item.status': 'running' }] }
+  );
+
+  const queue = job.items
+    .filter(item => item.status === 'pending' || item.status === 'running')
+    .map(item => item.toObject());
+
+  const leaseTimer = setInterval(() => {
+    renewLease(job.jobId, state).catch(err => logger.warn(`Batch job ${job.jobId} lease renewal failed: ${err.message}`));
+  }, Math.floor(CONFIG.leaseMs / 3));
+
+  try {
+    // 有限并发：固定数量的执行者依次从队列取条目
+    const runners = Array.from({ length: Math.min(job.concurrency, queue.length) }, async () => {
+      while (running && queue.length > 0 && !state.cancelled && !state.leaseLost) {
+        if (!(await checkBudget(job, state))) {
+          break;
+        }
+        // 等待预算检查期间其他执行者可能已取完队列
+        const item = queue.shift();
+        if (!item) {
+          break;
+        }
+        await processItem(job, item, state);
+      }
+    });
+    await Promise.all(runners);
+  } finally {
+    clearInterval(leaseTimer);
+    jobStates.delete(job.jobId);
+  }
+
+  if (state.leaseLost) {
+    logger.warn(`Batch job ${job.jobId} lease lost, leaving it to another worker`);
+    return;
+  }
+
+  if (state.budgetExceeded && !state.cancelled && queue.length > 0) {
+    await failRemainingItems(job, queue, state.budgetExceeded);
+  }
+
+  // 停机时释放租约，剩余条目由下一个领取任务的工作进程继续处理
+  if (!running) {
+    await BatchJob.updateOne(
+      { jobId: job.jobId, lockedBy: WORKER_ID },
+      { $set: { lockedBy: null, lockedUntil: null } }
+    );
+    logger.info(`Batch job ${job.jobId} paused for shutdown`);
+    return;
+  }
+
+  // 仅在任务仍处于运行状态时标记完成，避免覆盖取消状态
+  const finished = await BatchJob.findOneAndUpdate(
+    { jobId: job.jobId, lockedBy: WORKER_ID, status: 'running' },
+    { $set: { status: 'completed', completedAt: new Date(), lockedBy: null, lockedUntil: null } },
+    { new: true, projection: { progress: 1, tokensUsed: 1, cost: 1 } }
+  );
+
+  await BatchJob.updateOne(
+    { jobId: job.jobId, lockedBy: WORKER_ID },
+    { $set: { lockedBy: null, lockedUntil: null } }
+  );
+
+  if (finished) {
+    await createMetricsRecord({
+      requestId: job.requestId,
+      userId: job.userId,
+      operation: 'batch_job',
+      model: job.model,
+      batchSize: finished.progress.total,
+      successCount: finished.progress.succeeded,
+      failureCount: finished.progress.failed,
+      tokensUsed: finished.tokensUsed,
+      costUsd: finished.cost,
+      processingTimeMs: Date.now() - startTime,
+      successful: true
+    });
+    logger.info(`Batch job ${job.jobId} completed - succeeded: ${finished.progress.succeeded}, failed: ${finished.progress.failed}`);
+  } else {
+    logger.info(`Batch job ${job.jobId} stopped after cancellation`);
+  }
+}
+
+/**
+ * 轮询并领取任务
+ */
+async function poll() {
+  if (!running) {
+    return;
+  }
+
+  try {
+    while (running && activeJobs.size < CONFIG.maxParallelJobs) {
+      const job = await claimNextJob();
+      if (!job) {
+        break;
+      }
+
+      logger.info(`Batch job ${job.jobId} claimed by ${WORKER_ID}`);
+      // 任务在创建请求的上下文中处理，日志和追踪可关联回该请求
+      const task = requestContext.run({ requestId: job.requestId || job.jobId }, () => tracing.withSpan(
+        'batch.job',
+        { attributes: { 'batch.job_id': job.jobId, 'batch.items': job.items.length } },
+        () => processJob(job)
+      ))
+        .catch(error => logger.error(`Batch job ${job.jobId} failed: ${error.message}`, { stack: error.stack }))
+        .finally(() => {
+          activeJobs.delete(job.jobId);
+          exports.notify();
+        });
+      activeJobs.set(job.jobId, task);
+    }
+  } catch (error) {
+    logger.error(`Batch worker poll failed: ${error.message}`);
+  }
+
+  schedule(CONFIG.pollIntervalMs);
+}
+
+function schedule(delay) {
+  clearTimeout(pollTimer);
+  if (running) {
+    pollTimer = setTimeout(poll, delay);
+  }
+}
+
+/**
+ * 启动工作进程
+ */
+exports.start = () => {
+  if (running) {
+    return;
+  }
+
+  running = true;
+  logger.info(`Batch worker ${WORKER_ID} started`);
+  schedule(0);
+};
+
+/**
+ * 有新任务时立即触发一次轮询
+ */
+exports.notify = () => {
+  if (running && activeJobs.size < CONFIG.maxParallelJobs) {
+    schedule(0);
+  }
+};
+
+/**
+ * 立即中止本进程中正在处理的任务，任务不在本进程处理时返回 false
+ * 调用方负责先将任务标记为已取消；其他副本在下次续租时发现取消
+ */
+exports.cancelJob = (jobId) => {
+  const state = jobStates.get(jobId);
+  if (!state) {
+    return false;
+  }
+
+  markCancelled(state);
+  return true;
+};
+
+/**
+ * 停止工作进程
+ * 进行中的条目处理完后释放任务租约，未完成的条目由其他副本或重启后的进程继续处理
+ */
+exports.stop = async () => {
+  running = false;
+  clearTimeout(pollTimer);
+  await Promise.allSettled(activeJobs.values());
+  logger.info(`Batch worker ${WORKER_ID} stopped`);
+};
@@ -0,0 +1,66 @@
+/**
+ * 批量任务接口测试：预算只限制创建任务，超出预算后仍可查询和取消
+ */
+
+const request = require('supertest');
+const BatchJob = require('../src/models/batchJob.model');
+const usageService = require('../src/services/usage.service');
+const batchJobRoutes = require('../src/routes/batchJobs.routes');
+const { ERROR_CODES } = require('../src/utils/errorCodes');
+const { createApp } = require('./helpers/app');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const user = { id: 'user-1', teamId: 'team-1' };
+
+const app = createApp(server => {
+  server.use('/api/v1/batch/jobs', batchJobRoutes);
+}, { user });
+
+let jobs;
+
+beforeEach(() => {
+  jobs = useMemoryModel(BatchJob);
+  jobs.insert({
+    jobId: 'job-1',
+    userId: user.id,
+    model: 'gpt-3.5-turbo',
+    status: 'running',
+    items: [{ index: 0, prompt: 'first', status: 'succeeded' }, { index: 1, prompt: 'second' }],
+    progress: { total: 2, succeeded: 1 }
+  });
+  jest.spyOn(usageService, 'checkBudget').mockResolvedValue({
+    allowed: false,
+    exceeded: [{ scope: 'user', scopeId: user.id, period: 'daily', limitUsd: 5, spentUsd: 5.5 }],
+    warnings: []
+  });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('batch job routes over budget', () => {
+  test('rejects creating a job', async () => {
+    const res = await request(app).post('/api/v1/batch/jobs').send({ prompts: ['one', 'two'] });
+
+    expect(res.status).toBe(402);
+    expect(res.body.errorCode).toBe(ERROR_CODES.BUDGET_EXCEEDED);
+    expect(jobs.docs).toHaveLength(1);
+  });
+
+  test('still cancels a running job', async () => {
+    const res = await request(app).post('/api/v1/batch/jobs/job-1/cancel');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data).toMatchObject({ jobId: 'job-1', status: 'cancelled' });
+    expect(jobs.get({ jobId: 'job-1' }).items.map(item => item.status)).toEqual(['succeeded', 'cancelled']);
+    expect(usageService.checkBudget).not.toHaveBeenCalled();
+  });
+
+  test('still reads a job', async () => {
+    const res = await request(app).get('/api/v1/batch/jobs/job-1');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.jobId).toBe('job-1');
+  });
+});
@@ -0,0 +1,238 @@
+/**
+ * 批量任务工作进程测试
+ * 任务保存在内存模型替身中，生成调用由替身代替
+ */
+
+process.env.BATCH_WORKER_POLL_MS = '20';
+process.env.BATCH_WORKER_LEASE_MS = '300';
+process.env.BATCH_WORKER_RETRY_DELAY_MS = '5';
+
+const BatchJob = require('../src/models/batchJob.model');
+const generationService = require('../src/services/generation.service');
+const usageService = require('../src/services/usage.service');
+const batchWorker = require('../src/workers/batchJob.worker');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+let jobs;
+let jobCounter = 0;
+
+const waitFor = async (predicate, timeoutMs = 3000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!predicate()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out waiting for the batch worker');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+const defer = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+const createJob = (prompts, overrides = {}) => jobs.insert({
+  jobId: `job-${++jobCounter}`,
+  userId: 'user-1',
+  model: 'gpt-3.5-turbo',
+  concurrency: 1,
+  maxAttempts: 3,
+  items: prompts.map((prompt, index) => ({ index, prompt })),
+  progress: { total: prompts.length },
+  ...overrides
+});
+
+const generated = (prompt) => ({
+  result: { text: `Answer to ${prompt}`, usage: { promptTokens: 4, completionTokens: 6, totalTokens: 10 } },
+  routing: { provider: 'openai', model: 'gpt-3.5-turbo', requestedModel: 'gpt-3.5-turbo', fallbackUsed: false, attempts: [] },
+  cost: { totalCost: 0.25 }
+});
+
+const retryableError = () => Object.assign(new Error('Service unavailable'), { retryable: true });
+
+const finished = (job) => () => ['completed', 'cancelled'].includes(jobs.get({ jobId: job.jobId }).status) && !jobs.get({ jobId: job.jobId }).lockedBy;
+
+beforeEach(() => {
+  jobs = useMemoryModel(BatchJob);
+  jest.spyOn(generationService, 'execute').mockImplementation(async ({ params }) => generated(params.prompt));
+  jest.spyOn(usageService, 'checkBudget').mockResolvedValue({ allowed: true, exceeded: [], warnings: [] });
+  batchWorker.start();
+});
+
+afterEach(async () => {
+  await batchWorker.stop();
+  jest.restoreAllMocks();
+});
+
+describe('batch job worker', () => {
+  test('processes every item within the job concurrency and completes the job', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    generationService.execute.mockImplementation(async ({ params }) => {
+      inFlight += 1;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      inFlight -= 1;
+      return generated(params.prompt);
+    });
+    const job = createJob(['one', 'two', 'three', 'four', 'five'], { concurrency: 2 });
+
+    batchWorker.notify();
+    await waitFor(finished(job));
+
+    const stored = jobs.get({ jobId: job.jobId });
+    expect(stored.status).toBe('completed');
+    expect(stored.progress).toMatchObject({ total: 5, succeeded: 5, failed: 0 });
+    expect(stored.tokensUsed).toBe(50);
+    expect(stored.cost).toBe(1.25);
+    expect(stored.items.map(item => item.text)).toEqual(['one', 'two', 'three', 'four', 'five'].map(prompt => `Answer to ${prompt}`));
+    expect(stored.items.every(item => item.status === 'succeeded' && item.provider === 'openai')).toBe(true);
+    expect(maxInFlight).toBe(2);
+  });
+
+  test('retries an item after a retryable error', async () => {
+    generationService.execute.mockRejectedValueOnce(retryableError());
+    const job = createJob(['flaky']);
+
+    batchWorker.notify();
+    await waitFor(finished(job));
+
+    const [item] = jobs.get({ jobId: job.jobId }).items;
+    expect(item).toMatchObject({ status: 'succeeded', attempts: 2, text: 'Answer to flaky' });
+    expect(generationService.execute).toHaveBeenCalledTimes(2);
+  });
+
+  test('fails an item once its attempts are used up or the error is not retryable', async () => {
+    generationService.execute.mockImplementation(async ({ params }) => {
+      if (params.prompt === 'always down') {
+        throw retryableError();
+      }
+      if (params.prompt === 'invalid') {
+        throw Object.assign(new Error('Invalid request'), { retryable: false });
+      }
+      return generated(params.prompt);
+    });
+    const job = createJob(['always down', 'invalid', 'fine'], { maxAttempts: 2 });
+
+    batchWorker.notify();
+    await waitFor(finished(job));
+
+    const stored = jobs.get({ jobId: job.jobId });
+    expect(stored.status).toBe('completed');
+    expect(stored.progress).toMatchObject({ succeeded: 1, failed: 2 });
+    expect(stored.items[0]).toMatchObject({ status: 'failed', attempts: 2, error: 'Service unavailable' });
+    expect(stored.items[1]).toMatchObject({ status: 'failed', attempts: 1, error: 'Invalid request' });
+    expect(stored.items[2]).toMatchObject({ status: 'succeeded', attempts: 1 });
+  });
+
+  test('leaves a job leased by another worker alone until the lease expires, then resumes it', async () => {
+    const job = createJob(['done already', 'interrupted', 'not started'], {
+      status: 'running',
+      lockedBy: 'other-host:1',
+      lockedUntil: new Date(Date.now() + 60000),
+      startedAt: new Date()
+    });
+    const stored = jobs.get({ jobId: job.jobId });
+    Object.assign(stored.items[0], { status: 'succeeded', attempts: 1, text: 'Earlier answer' });
+    Object.assign(stored.items[1], { status: 'running', attempts: 1 });
+    stored.progress.succeeded = 1;
+
+    batchWorker.notify();
+    await new Promise(resolve => setTimeout(resolve, 100));
+    expect(generationService.execute).not.toHaveBeenCalled();
+
+    stored.lockedUntil = new Date(Date.now() - 1);
+    batchWorker.notify();
+    await waitFor(finished(job));
+
+    expect(generationService.execute.mock.calls.map(([call]) => call.params.prompt)).toEqual(['interrupted', 'not started']);
+    expect(stored.status).toBe('completed');
+    expect(stored.progress).toMatchObject({ succeeded: 3, failed: 0 });
+    expect(stored.items[0].text).toBe('Earlier answer');
+    expect(stored.items[1]).toMatchObject({ status: 'succeeded', attempts: 2 });
+  });
+
+  test('stops taking items once the job is cancelled', async () => {
+    const blocked = defer();
+    generationService.execute.mockImplementationOnce(async ({ params }) => {
+      await blocked.promise;
+      return generated(params.prompt);
+    });
+    const job = createJob(['first', 'second', 'third']);
+
+    batchWorker.notify();
+    await waitFor(() => generationService.execute.mock.calls.length === 1);
+
+    // 取消接口只修改任务状态，工作进程在续租时发现
+    const stored = jobs.get({ jobId: job.jobId });
+    Object.assign(stored, { status: 'cancelled', cancelledAt: new Date() });
+    await new Promise(resolve => setTimeout(resolve, 150));
+    blocked.resolve();
+    await waitFor(finished(job));
+
+    expect(generationService.execute).toHaveBeenCalledTimes(1);
+    expect(stored.status).toBe('cancelled');
+    expect(stored.items.slice(1).map(item => item.status)).toEqual(['pending', 'pending']);
+  });
+  test('aborts the in-flight item when the job is cancelled on this replica', async () => {
+    let signal;
+    generationService.execute.mockImplementationOnce((call) => new Promise((resolve, reject) => {
+      signal = call.signal;
+      signal.addEventListener('abort', () => reject(signal.reason));
+    }));
+    const job = createJob(['first', 'second']);
+
+    batchWorker.notify();
+    await waitFor(() => generationService.execute.mock.calls.length === 1);
+
+    Object.assign(jobs.get({ jobId: job.jobId }), { status: 'cancelled', cancelledAt: new Date() });
+    expect(batchWorker.cancelJob(job.jobId)).toBe(true);
+    await waitFor(finished(job));
+
+    const stored = jobs.get({ jobId: job.jobId });
+    expect(signal.aborted).toBe(true);
+    expect(generationService.execute).toHaveBeenCalledTimes(1);
+    expect(stored.items.map(item => item.status)).toEqual(['cancelled', 'pending']);
+    expect(batchWorker.cancelJob(job.jobId)).toBe(false);
+  });
+
+  test('aborts the in-flight item and leaves the job when another worker takes over the lease', async () => {
+    let signal;
+    generationService.execute.mockImplementationOnce((call) => new Promise((resolve, reject) => {
+      signal = call.signal;
+      signal.addEventListener('abort', () => reject(signal.reason));
+    }));
+    const job = createJob(['first', 'second']);
+
+    batchWorker.notify();
+    await waitFor(() => generationService.execute.mock.calls.length === 1);
+
+    const stored = jobs.get({ jobId: job.jobId });
+    Object.assign(stored, { lockedBy: 'other-host:1', lockedUntil: new Date(Date.now() + 60000) });
+    await waitFor(() => signal.aborted);
+    await new Promise(resolve => setTimeout(resolve, 20));
+
+    expect(stored).toMatchObject({ status: 'running', lockedBy: 'other-host:1' });
+    expect(stored.items.map(item => item.status)).toEqual(['running', 'pending']);
+  });
+  test('fails the items it has not started once a hard budget is exhausted', async () => {
+    usageService.checkBudget
+      .mockResolvedValueOnce({ allowed: true, exceeded: [], warnings: [] })
+      .mockResolvedValue({ allowed: false, exceeded: [{ scope: 'user', period: 'daily', limitUsd: 5 }], warnings: [] });
+    const job = createJob(['first', 'second', 'third']);
+
+    batchWorker.notify();
+    await waitFor(finished(job));
+
+    const stored = jobs.get({ jobId: job.jobId });
+    expect(generationService.execute).toHaveBeenCalledTimes(1);
+    expect(usageService.checkBudget).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user-1' }));
+    expect(stored.status).toBe('completed');
+    expect(stored.progress).toMatchObject({ succeeded: 1, failed: 2 });
+    expect(stored.items.slice(1)).toEqual([
+      expect.objectContaining({ status: 'failed', errorCode: 'BUDGET_EXCEEDED', error: 'The daily user budget of $5 has been exhausted' }),
+      expect.objectContaining({ status: 'failed', errorCode: 'BUDGET_EXCEEDED' })
+    ]);
+  });
+});
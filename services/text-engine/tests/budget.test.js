@@ -0,0 +1,85 @@
+/**
+ * 预算检查中间件测试
+ */
+
+const express = require('express');
+const request = require('supertest');
+const usageService = require('../src/services/usage.service');
+const { budgetGuard } = require('../src/middlewares/budget');
+const { ERROR_CODES } = require('../src/utils/errorCodes');
+
+const exhausted = {
+  scope: 'user',
+  scopeId: 'user-1',
+  period: 'daily',
+  limitUsd: 5,
+  spentUsd: 5.2
+};
+
+const createApp = (user = { id: 'user-1', teamId: 'team-1' }) => {
+  const app = express();
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use(budgetGuard());
+  app.all('/generate', (req, res) => res.json({ success: true }));
+  return app;
+};
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('budgetGuard', () => {
+  test('passes the request through while the budget allows it', async () => {
+    const checkBudget = jest.spyOn(usageService, 'checkBudget').mockResolvedValue({ allowed: true, exceeded: [], warnings: [] });
+
+    const res = await request(createApp()).post('/generate');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['x-budget-warning']).toBeUndefined();
+    expect(checkBudget).toHaveBeenCalledWith({ userId: 'user-1', teamId: 'team-1' });
+  });
+
+  test('rejects with 402 once a hard budget is exhausted', async () => {
+    jest.spyOn(usageService, 'checkBudget').mockResolvedValue({ allowed: false, exceeded: [exhausted], warnings: [] });
+
+    const res = await request(createApp()).post('/generate');
+
+    expect(res.status).toBe(402);
+    expect(res.body).toMatchObject({
+      success: false,
+      message: 'The daily user budget of $5 has been exhausted',
+      errorCode: ERROR_CODES.BUDGET_EXCEEDED,
+      budget: exhausted
+    });
+  });
+
+  test('sets X-Budget-Warning past the soft limit', async () => {
+    jest.spyOn(usageService, 'checkBudget').mockResolvedValue({
+      allowed: true,
+      exceeded: [],
+      warnings: [{ scope: 'team', period: 'monthly', spentUsd: 85, limitUsd: 100 }]
+    });
+
+    const res = await request(createApp()).post('/generate');
+
+    expect(res.status).toBe(200);
+    expect(res.headers['x-budget-warning']).toBe('team:monthly:85/100');
+  });
+
+  test('skips reads and anonymous requests', async () => {
+    const checkBudget = jest.spyOn(usageService, 'checkBudget');
+
+    expect((await request(createApp()).get('/generate')).status).toBe(200);
+    expect((await request(createApp(null)).post('/generate')).status).toBe(200);
+    expect(checkBudget).not.toHaveBeenCalled();
+  });
+
+  test('lets the request through when the budget lookup fails', async () => {
+    jest.spyOn(usageService, 'checkBudget').mockRejectedValue(new Error('Database unavailable'));
+
+    expect((await request(createApp()).post('/generate')).status).toBe(200);
+  });
+});
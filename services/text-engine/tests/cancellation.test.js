@@ -0,0 +1,170 @@
+/**
+ * 请求取消测试
+ */
+
+process.env.REQUEST_TIMEOUT_MS = '1000';
+process.env.REQUEST_TIMEOUT_MAX_MS = '2000';
+
+const express = require('express');
+const request = require('supertest');
+const { requestCancellation } = require('../src/middlewares/cancellation');
+const {
+  createCancellationError,
+  isCancellation,
+  raceSignal,
+  delay,
+  linkController,
+  abortableIterator
+} = require('../src/utils/cancellation');
+
+// 处理函数等待 req.signal 中止或 waitMs 到期，记录中止原因
+const createApp = (waitMs = 5000) => {
+  const aborted = [];
+  const app = express();
+  app.use(requestCancellation());
+  app.get('/work', async (req, res) => {
+    try {
+      await delay(waitMs, req.signal);
+      res.json({ success: true });
+    } catch (error) {
+      aborted.push(error);
+      if (!res.headersSent) {
+        res.status(504).json({ success: false, code: error.code });
+      }
+    }
+  });
+  return { app, aborted };
+};
+
+const waitFor = async (predicate) => {
+  const deadline = Date.now() + 3000;
+  while (!predicate()) {
+    if (Date.now() > deadline) {
+      throw new Error('Timed out');
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+};
+
+describe('requestCancellation middleware', () => {
+  test('aborts the request signal at the deadline the client asks for', async () => {
+    const { app, aborted } = createApp();
+
+    const started = Date.now();
+    const res = await request(app).get('/work').set('X-Request-Timeout', '50');
+
+    expect(res.status).toBe(504);
+    expect(res.body.code).toBe('deadline_exceeded');
+    expect(aborted[0]).toMatchObject({ reason: 'deadline_exceeded', retryable: false });
+    expect(Date.now() - started).toBeLessThan(1000);
+  });
+
+  test('uses the default deadline and caps the requested one', async () => {
+    const { app } = createApp(1500);
+
+    const defaulted = await request(app).get('/work');
+    const capped = await request(app).get('/work').set('X-Request-Timeout', '999999');
+
+    expect(defaulted.status).toBe(504);
+    expect(capped.status).toBe(200);
+  });
+
+  test('aborts with client_disconnected when the client goes away', async () => {
+    const { app, aborted } = createApp();
+
+    await expect(request(app).get('/work').timeout(50)).rejects.toThrow();
+    await waitFor(() => aborted.length > 0);
+
+    expect(aborted[0]).toMatchObject({ code: 'request_cancelled', reason: 'client_disconnected' });
+  });
+
+  test('leaves a completed request alone', async () => {
+    const { app, aborted } = createApp(10);
+
+    const res = await request(app).get('/work').set('X-Request-Timeout', '100');
+    await new Promise(resolve => setTimeout(resolve, 150));
+
+    expect(res.status).toBe(200);
+    expect(aborted).toHaveLength(0);
+  });
+});
+
+describe('cancellation helpers', () => {
+  test('recognises cancellation errors', () => {
+    expect(isCancellation(createCancellationError('client_disconnected'))).toBe(true);
+    expect(isCancellation(createCancellationError('deadline_exceeded'))).toBe(true);
+    expect(isCancellation(new Error('Upstream unavailable'))).toBe(false);
+  });
+
+  test('rejects a raced promise as soon as the signal aborts', async () => {
+    const controller = new AbortController();
+    const pending = raceSignal(new Promise(() => {}), controller.signal);
+
+    controller.abort(createCancellationError('lease_lost'));
+
+    await expect(pending).rejects.toMatchObject({ code: 'request_cancelled', reason: 'lease_lost' });
+  });
+
+  test('reports a plain abort as an explicit cancellation', async () => {
+    const controller = new AbortController();
+    controller.abort();
+
+    await expect(delay(1000, controller.signal)).rejects.toMatchObject({ code: 'request_cancelled', reason: 'cancelled' });
+  });
+
+  test('links a child controller to its parent until disposed', () => {
+    const parent = new AbortController();
+    const first = linkController(parent.signal);
+    const second = linkController(parent.signal);
+
+    second.dispose();
+    parent.abort(createCancellationError('deadline_exceeded'));
+
+    expect(first.controller.signal.reason).toMatchObject({ code: 'deadline_exceeded' });
+    expect(second.controller.signal.aborted).toBe(false);
+  });
+
+  test('stops an async iterator and closes its source on abort', async () => {
+    const controller = new AbortController();
+    let closed = false;
+    async function* source() {
+      try {
+        yield 'first';
+        yield 'second';
+      } finally {
+        closed = true;
+      }
+    }
+
+    const received = [];
+    const consume = (async () => {
+      for await (const chunk of abortableIterator(source(), controller.signal)) {
+        received.push(chunk);
+        controller.abort(createCancellationError('client_disconnected'));
+      }
+    })();
+
+    await expect(consume).rejects.toMatchObject({ reason: 'client_disconnected' });
+    expect(received).toEqual(['first']);
+    await waitFor(() => closed);
+  });
+
+  test('rejects while the source is still waiting for its next chunk', async () => {
+    const controller = new AbortController();
+    async function* source() {
+      yield 'first';
+      await new Promise(() => {});
+    }
+
+    const received = [];
+    const consume = (async () => {
+      for await (const chunk of abortableIterator(source(), controller.signal)) {
+        received.push(chunk);
+        setTimeout(() => controller.abort(createCancellationError('deadline_exceeded')), 10);
+      }
+    })();
+
+    await expect(consume).rejects.toMatchObject({ code: 'deadline_exceeded' });
+    expect(received).toEqual(['first']);
+  });
+});
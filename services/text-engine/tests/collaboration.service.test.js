@@ -0,0 +1,152 @@
+/**
+ * 实时协作测试：多个进程内客户端并发编辑、同步光标并触发AI编辑，最终内容一致
+ */
+
+const TextProject = require('../src/models/textProject.model');
+const ProjectCollaborator = require('../src/models/projectCollaborator.model');
+const revisionService = require('../src/services/projectRevision.service');
+const textEditService = require('../src/services/textEdit.service');
+const usageService = require('../src/services/usage.service');
+const collaborationService = require('../src/services/collaboration.service');
+const ot = require('../src/utils/textOperation');
+
+const INITIAL = 'The quick brown fox jumps over the lazy dog.';
+
+const project = { projectId: 'project-1', userId: 'owner-1', prompt: 'Write a pangram', model: 'gpt-4' };
+
+/**
+ * 进程内协作客户端
+ * 按协议维护本地内容、版本和至多一个未确认的操作；收到他人操作时以未确认的操作作为 transform 的第一个参数
+ */
+async function connectClient(user) {
+  const client = { content: null, version: null, pending: null, messages: [], opCount: 0 };
+
+  const transport = {
+    send: (message) => {
+      client.messages.push(message);
+      if (message.type === 'init') {
+        client.content = message.content;
+        client.version = message.version;
+      } else if (message.type === 'ack') {
+        client.pending = null;
+        client.version = message.version;
+      } else if (message.type === 'op') {
+        let remote = message.operation;
+        if (client.pending) {
+          [client.pending, remote] = ot.transform(client.pending, remote);
+        }
+        client.content = ot.apply(client.content, remote);
+        client.version = message.version;
+      }
+    },
+    close: jest.fn()
+  };
+
+  const connection = await collaborationService.connect({ projectId: project.projectId, user, transport });
+
+  return Object.assign(client, {
+    connection,
+
+    /**
+     * 在本地应用操作并提交（不等待确认，用于模拟并发）
+     */
+    edit(build) {
+      const operation = ot.normalize(build(client.content));
+      client.content = ot.apply(client.content, operation);
+      client.pending = operation;
+      return connection.receive({ type: 'op', opId: `${user.id}-${++client.opCount}`, version: client.version, operation });
+    },
+
+    received: (type) => client.messages.filter(message => message.type === type)
+  });
+}
+
+/**
+ * 在 position 处插入文本的操作
+ */
+const insertAt = (position, text) => (content) => [position, text, content.length - position].filter(component => component !== 0);
+
+beforeEach(() => {
+  TextProject.findOne.mockResolvedValue(project);
+  jest.spyOn(ProjectCollaborator, 'findOne').mockReturnValue({ lean: async () => ({ role: 'editor' }) });
+  jest.spyOn(revisionService, 'getRevision').mockResolvedValue({ content: INITIAL, revision: 1 });
+  jest.spyOn(revisionService, 'recordRevision').mockResolvedValue({ revision: 2 });
+  jest.spyOn(usageService, 'checkBudget').mockResolvedValue({ allowed: true });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('collaboration session', () => {
+  test('converges concurrent edits, presence and an AI edit across clients', async () => {
+    const alice = await connectClient({ id: 'owner-1' });
+    const bob = await connectClient({ id: 'editor-1' });
+
+    expect(alice.received('presence')).toContainEqual(expect.objectContaining({ event: 'join', collaborator: expect.objectContaining({ userId: 'editor-1' }) }));
+
+    // 两个客户端基于同一版本同时编辑
+    const aliceOp = alice.edit(insertAt(4, 'very '));
+    const bobOp = bob.edit(content => [content.length - 1, -1, ' again!']);
+    await Promise.all([aliceOp, bobOp]);
+
+    expect(alice.content).toBe('The very quick brown fox jumps over the lazy dog again!');
+    expect(bob.content).toBe(alice.content);
+    expect(alice.pending).toBeNull();
+    expect(bob.pending).toBeNull();
+
+    // Bob 的光标落在 "fox" 上，Alice 在其之前插入后光标随之移动
+    const foxAt = bob.content.indexOf('fox');
+    await bob.connection.receive({ type: 'cursor', version: bob.version, position: foxAt, selectionEnd: foxAt + 3 });
+    expect(alice.received('presence').pop()).toMatchObject({ event: 'cursor', collaborator: { userId: 'editor-1', cursor: { position: foxAt, selectionEnd: foxAt + 3 } } });
+
+    await alice.edit(insertAt(0, '>> '));
+    const bobCursor = collaborationService.getSessionInfo(project.projectId).collaborators.find(entry => entry.userId === 'editor-1').cursor;
+    expect(alice.content.slice(bobCursor.position, bobCursor.selectionEnd)).toBe('fox');
+
+    // AI 编辑进行中 Bob 继续修改，AI 的结果基于请求时的版本并被变换
+    let finishEdit;
+    jest.spyOn(textEditService, 'edit').mockImplementation(({ text }) => new Promise((resolve) => {
+      finishEdit = () => {
+        const start = text.indexOf('lazy');
+        resolve({
+          suggestions: [{ changes: [{ start, end: start + 4, newText: 'sleepy' }] }],
+          routing: { model: 'gpt-4' }
+        });
+      };
+    }));
+
+    const aiEdit = alice.connection.receive({ type: 'ai_edit', requestId: 'ai-1', instruction: 'Make the dog sleepy' });
+    await new Promise(setImmediate);
+    await bob.edit(insertAt(bob.content.indexOf('dog'), 'old '));
+    finishEdit();
+    await aiEdit;
+
+    const expected = '>> The very quick brown fox jumps over the sleepy old dog again!';
+    expect(alice.content).toBe(expected);
+    expect(bob.content).toBe(expected);
+    expect(bob.received('ai_edit').map(message => message.status)).toEqual(['started', 'completed']);
+    expect(collaborationService.getSessionInfo(project.projectId)).toMatchObject({ version: alice.version, unsaved: true });
+
+    // 最后一名协作者离开时保存修订
+    await alice.connection.disconnect();
+    expect(bob.received('presence').pop()).toMatchObject({ event: 'leave', collaborator: { userId: 'owner-1' } });
+    await bob.connection.disconnect();
+
+    expect(revisionService.recordRevision).toHaveBeenCalledWith(expect.objectContaining({ content: expected, source: 'collaboration' }));
+    expect(collaborationService.getSessionInfo(project.projectId)).toBeNull();
+  });
+
+  test('rejects edits from viewers', async () => {
+    ProjectCollaborator.findOne.mockReturnValue({ lean: async () => ({ role: 'viewer' }) });
+    const viewer = await connectClient({ id: 'viewer-1' });
+
+    await viewer.edit(insertAt(0, 'Hi '));
+
+    expect(viewer.received('error')).toContainEqual(expect.objectContaining({ code: 'read_only', opId: 'viewer-1-1' }));
+    expect(viewer.received('ack')).toHaveLength(0);
+
+    await viewer.connection.disconnect();
+    expect(revisionService.recordRevision).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,151 @@
+/**
+ * 模型对比接口测试：盲评视图、服务端判定的盲评标记、评分可见范围以及胜率的评分范围
+ */
+
+const request = require('supertest');
+const Comparison = require('../src/models/comparison.model');
+const ComparisonRating = require('../src/models/comparisonRating.model');
+const comparisonRoutes = require('../src/routes/comparisons.routes');
+const { createApp } = require('./helpers/app');
+
+const creator = { id: 'creator-1', teamId: 'team-1' };
+const reviewer = { id: 'reviewer-1', teamId: 'team-1' };
+
+const appFor = (user) => createApp(app => {
+  app.use('/api/v1/comparisons', comparisonRoutes);
+}, { user });
+
+const candidate = (candidateId, model) => ({
+  candidateId,
+  label: model,
+  model,
+  provider: 'openai',
+  parameters: { temperature: 0.7, maxTokens: 1000 },
+  status: 'succeeded',
+  text: `Output from ${candidateId}`,
+  latencyMs: 100,
+  usage: { promptTokens: 5, completionTokens: 10, totalTokens: 15 },
+  cost: 0.001,
+  cached: false
+});
+
+let comparison;
+
+beforeEach(() => {
+  comparison = {
+    comparisonId: 'cmp-1',
+    userId: creator.id,
+    teamId: 'team-1',
+    title: 'Taglines',
+    prompt: 'Write a tagline',
+    systemPrompt: '',
+    template: {},
+    candidates: [candidate('cand-a', 'gpt-4'), candidate('cand-b', 'claude-3-opus')],
+    revealedTo: [],
+    createdAt: new Date('2026-10-01T00:00:00Z')
+  };
+
+  jest.spyOn(Comparison, 'findOne').mockImplementation(async () => comparison);
+  jest.spyOn(Comparison, 'updateOne').mockResolvedValue({ modifiedCount: 1 });
+  jest.spyOn(ComparisonRating, 'findOneAndUpdate').mockImplementation(async (filter, update) => ({ ...filter, ...update.$set, updatedAt: new Date() }));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('GET /api/v1/comparisons/:comparisonId', () => {
+  test('serves the blind view to reviewers other than the creator by default', async () => {
+    const res = await request(appFor(reviewer)).get('/api/v1/comparisons/cmp-1');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.blind).toBe(true);
+    expect(JSON.stringify(res.body.data)).not.toMatch(/gpt-4|claude-3-opus/);
+    expect(res.body.data.candidates).toHaveLength(2);
+  });
+
+  test('serves the full view to the creator', async () => {
+    const res = await request(appFor(creator)).get('/api/v1/comparisons/cmp-1');
+
+    expect(res.body.data).toMatchObject({ blind: false, candidates: [{ model: 'gpt-4' }, { model: 'claude-3-opus' }] });
+  });
+
+  test('records the reviewer when they reveal the models', async () => {
+    const res = await request(appFor(reviewer)).get('/api/v1/comparisons/cmp-1?reveal=true');
+
+    expect(res.body.data).toMatchObject({ blind: false, candidates: [{ model: 'gpt-4' }, { model: 'claude-3-opus' }] });
+    expect(Comparison.updateOne).toHaveBeenCalledWith({ comparisonId: 'cmp-1' }, { $addToSet: { revealedTo: reviewer.id } });
+  });
+});
+
+describe('POST /api/v1/comparisons/:comparisonId/ratings', () => {
+  const rate = (user, body) => request(appFor(user)).post('/api/v1/comparisons/cmp-1/ratings').send(body);
+  const pairwise = { type: 'pairwise', candidates: ['cand-a', 'cand-b'], winner: 'cand-b' };
+
+  test('marks a rating blind when the reviewer has not seen the models, ignoring the client flag', async () => {
+    const res = await rate(reviewer, { ...pairwise, blind: false });
+
+    expect(res.status).toBe(201);
+    expect(res.body.data.blind).toBe(true);
+  });
+
+  test('marks ratings from the creator and from reviewers who revealed the models as not blind', async () => {
+    expect((await rate(creator, { ...pairwise, blind: true })).body.data.blind).toBe(false);
+
+    comparison.revealedTo = [reviewer.id];
+    expect((await rate(reviewer, pairwise)).body.data.blind).toBe(false);
+  });
+});
+
+describe('GET /api/v1/comparisons/:comparisonId/ratings', () => {
+  let find;
+  let select;
+
+  beforeEach(() => {
+    select = jest.fn(async () => []);
+    find = jest.spyOn(ComparisonRating, 'find').mockReturnValue({ sort: () => ({ select }) });
+  });
+
+  test('limits blind reviewers to their own ratings without models', async () => {
+    await request(appFor(reviewer)).get('/api/v1/comparisons/cmp-1/ratings');
+
+    expect(find).toHaveBeenCalledWith({ comparisonId: 'cmp-1', reviewerId: reviewer.id });
+    expect(select).toHaveBeenCalledWith(expect.stringContaining('-models -model'));
+  });
+
+  test('returns every rating with models to the creator', async () => {
+    await request(appFor(creator)).get('/api/v1/comparisons/cmp-1/ratings');
+
+    expect(find).toHaveBeenCalledWith({ comparisonId: 'cmp-1' });
+    expect(select).toHaveBeenCalledWith(expect.not.stringContaining('-models'));
+  });
+});
+
+describe('GET /api/v1/comparisons/win-rates', () => {
+  const emptyFacets = [{ pairwiseOverall: [], pairwiseByTemplate: [], scoresOverall: [], scoresByTemplate: [] }];
+
+  test('counts only blind ratings by default', async () => {
+    const aggregate = jest.spyOn(ComparisonRating, 'aggregate').mockResolvedValue(emptyFacets);
+
+    const res = await request(appFor(creator)).get('/api/v1/comparisons/win-rates');
+
+    expect(res.status).toBe(200);
+    expect(res.body.data.ratings).toBe('blind');
+    expect(aggregate.mock.calls[0][0][0].$match).toMatchObject({ userId: creator.id, blind: true });
+  });
+
+  test('lets callers include every rating', async () => {
+    const aggregate = jest.spyOn(ComparisonRating, 'aggregate').mockResolvedValue(emptyFacets);
+
+    await request(appFor(creator)).get('/api/v1/comparisons/win-rates?ratings=all');
+
+    expect(aggregate.mock.calls[0][0][0].$match).not.toHaveProperty('blind');
+  });
+
+  test('rejects an unknown rating filter', async () => {
+    const res = await request(appFor(creator)).get('/api/v1/comparisons/win-rates?ratings=mine');
+
+    expect(res.status).toBe(400);
+    expect(res.body.errorCode).toBe('VALIDATION_ERROR');
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * 上下文窗口预检测试
+ */
+
+const { preflight } = require('../src/utils/contextPreflight');
+
+describe('preflight maxTokens', () => {
+  test('coerces an integer string to a number', () => {
+    const { params, breakdown } = preflight({ model: 'gpt-4', prompt: 'Hello', maxTokens: '500' });
+
+    expect(params.maxTokens).toBe(500);
+    expect(breakdown.maxTokens).toBe(500);
+    expect(breakdown.totalTokens).toBe(breakdown.inputTokens + 500);
+  });
+
+  test('defaults to 1000 when omitted', () => {
+    const { params } = preflight({ model: 'gpt-4', prompt: 'Hello' });
+
+    expect(params.maxTokens).toBe(1000);
+  });
+
+  test.each(['abc', '12abc', '', -1, 0, 1.5, {}])('rejects %p', (maxTokens) => {
+    expect(() => preflight({ model: 'gpt-4', prompt: 'Hello', maxTokens })).toThrow(
+      expect.objectContaining({ code: 'invalid_max_tokens' })
+    );
+  });
+
+  test('clamps a string maxTokens numerically', () => {
+    const { params, adjustments } = preflight({ model: 'gpt-4', prompt: 'Hello', maxTokens: '9000' }, 'clamp');
+
+    expect(params.maxTokens).toBeLessThan(9000);
+    expect(adjustments).toEqual([expect.objectContaining({ type: 'clamp', from: 9000, to: params.maxTokens })]);
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * 对话服务测试
+ * 会话和消息保存在内存模型替身中，生成调用由替身代替
+ */
+
+const Conversation = require('../src/models/conversation.model');
+const ConversationMessage = require('../src/models/conversationMessage.model');
+const generationService = require('../src/services/generation.service');
+const projectService = require('../src/services/project.service');
+const conversationService = require('../src/services/conversation.service');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const user = { id: 'user-1', teamId: 'team-1' };
+
+let conversations;
+let messages;
+
+// 约 1500 令牌的消息，几条即可接近 gpt-4 的上下文上限
+const longText = (label) => `${label} ${'word '.repeat(1500)}`;
+
+const generated = (text, totalCost = 0.01) => ({
+  result: { text, usage: { promptTokens: 20, completionTokens: 10, totalTokens: 30 } },
+  routing: { provider: 'openai', model: 'gpt-4', requestedModel: 'gpt-4', fallbackUsed: false, attempts: [] },
+  cost: { promptCost: 0, completionCost: totalCost, totalCost, currency: 'USD', priced: true }
+});
+
+const createConversation = async (overrides = {}) => {
+  const conversation = await Conversation.create({
+    conversationId: 'conv-1',
+    userId: user.id,
+    title: 'Launch plan',
+    systemPrompt: 'You are a planner.',
+    ...overrides
+  });
+  return conversation;
+};
+
+const addMessages = (contents) => {
+  contents.forEach((content, sequence) => messages.insert({
+    messageId: `msg-${sequence}`,
+    conversationId: 'conv-1',
+    userId: user.id,
+    sequence,
+    role: sequence % 2 === 0 ? 'user' : 'assistant',
+    content,
+    model: sequence % 2 === 0 ? undefined : 'gpt-4'
+  }));
+  conversations.get({ conversationId: 'conv-1' }).messageCount = contents.length;
+};
+
+const send = async (content, options = {}) => conversationService.sendMessage({
+  conversation: await conversationService.getConversation(user.id, 'conv-1'),
+  content,
+  user,
+  ...options
+});
+
+beforeEach(() => {
+  conversations = useMemoryModel(Conversation);
+  messages = useMemoryModel(ConversationMessage);
+  jest.spyOn(generationService, 'execute').mockImplementation(async ({ params }) => generated(`Reply to ${params.prompt.slice(0, 20)}`));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('sendMessage', () => {
+  test('sends the stored history and saves both turns after the reply', async () => {
+    await createConversation();
+    addMessages(['First question', 'First answer']);
+
+    const { userMessage, assistantMessage } = await send('Second question');
+
+    const [{ params, accounting }] = generationService.execute.mock.calls[0];
+    expect(params).toMatchObject({ prompt: 'Second question', systemPrompt: 'You are a planner.' });
+    expect(params.history).toEqual([
+      { role: 'user', content: 'First question' },
+      { role: 'assistant', content: 'First answer' }
+    ]);
+    expect(accounting).toEqual({ userId: 'user-1', teamId: 'team-1', operation: 'conversation' });
+
+    expect(userMessage).toMatchObject({ sequence: 2, role: 'user', content: 'Second question' });
+    expect(assistantMessage).toMatchObject({ sequence: 3, role: 'assistant', content: 'Reply to Second question', tokensUsed: 30 });
+    expect(conversations.get({ conversationId: 'conv-1' })).toMatchObject({ messageCount: 4, tokensUsed: 30, cost: 0.01 });
+  });
+
+  test('saves nothing when generation fails', async () => {
+    await createConversation();
+    generationService.execute.mockRejectedValue(new Error('Upstream unavailable'));
+
+    await expect(send('Hello')).rejects.toThrow('Upstream unavailable');
+    expect(messages.docs).toHaveLength(0);
+    expect(conversations.get({ conversationId: 'conv-1' }).messageCount).toBe(0);
+  });
+
+  test('summarizes older messages into the system prompt near the context limit', async () => {
+    await createConversation();
+    addMessages(['one', 'two', 'three', 'four', 'five', 'six'].map(longText));
+    generationService.execute.mockResolvedValueOnce(generated('Summary of the early turns', 0.02));
+
+    const { historyManagement } = await send('Next question');
+
+    expect(generationService.execute).toHaveBeenCalledTimes(2);
+    const [[summaryCall], [replyCall]] = generationService.execute.mock.calls;
+    expect(summaryCall.accounting.operation).toBe('conversation_summary');
+    expect(summaryCall.params.prompt).toContain('one word');
+    expect(summaryCall.params.prompt).not.toContain('five word');
+
+    expect(replyCall.params.systemPrompt).toBe('You are a planner.\n\n以下是此前对话的摘要：\nSummary of the early turns');
+    expect(replyCall.params.history.map(message => message.content.split(' ')[0])).toEqual(['five', 'six']);
+    expect(historyManagement).toEqual({ strategy: 'summarize', affectedMessages: 4, keptMessages: 2, cost: 0.02 });
+
+    const stored = conversations.get({ conversationId: 'conv-1' });
+    expect(stored.summary).toMatchObject({ text: 'Summary of the early turns', throughSequence: 3 });
+    expect(stored.cost).toBe(0.03);
+  });
+
+  test('trims older messages without a summary call when the conversation trims', async () => {
+    await createConversation({ historyStrategy: 'trim' });
+    addMessages(['one', 'two', 'three', 'four', 'five', 'six'].map(longText));
+
+    const { historyManagement } = await send('Next question');
+
+    expect(generationService.execute).toHaveBeenCalledTimes(1);
+    const [[replyCall]] = generationService.execute.mock.calls;
+    expect(replyCall.params.systemPrompt).toBe('You are a planner.');
+    expect(replyCall.params.history).toHaveLength(2);
+    expect(historyManagement).toMatchObject({ strategy: 'trim', affectedMessages: 4, keptMessages: 2, cost: 0 });
+    expect(conversations.get({ conversationId: 'conv-1' }).summary.text).toBeNull();
+  });
+
+  test('does not resend messages an earlier summary already covers', async () => {
+    await createConversation({ summary: { text: 'Earlier summary', throughSequence: 1 } });
+    addMessages(['Covered question', 'Covered answer', 'Recent question', 'Recent answer']);
+
+    await send('Follow-up');
+
+    const [[{ params }]] = generationService.execute.mock.calls;
+    expect(params.systemPrompt).toContain('Earlier summary');
+    expect(params.history.map(message => message.content)).toEqual(['Recent question', 'Recent answer']);
+  });
+});
+
+describe('forkConversation', () => {
+  test('copies the messages up to the fork point and keeps the settings', async () => {
+    const conversation = await createConversation({ summary: { text: 'Earlier summary', throughSequence: 0 } });
+    addMessages(['Question', 'Answer', 'Another question', 'Another answer']);
+
+    const forked = await conversationService.forkConversation(user.id, conversation, 'msg-1');
+
+    expect(forked).toMatchObject({
+      title: 'Launch plan (fork)',
+      systemPrompt: 'You are a planner.',
+      messageCount: 2,
+      forkedFrom: { conversationId: 'conv-1', messageId: 'msg-1' }
+    });
+    expect(forked.summary.text).toBe('Earlier summary');
+    const copied = messages.docs.filter(message => message.conversationId === forked.conversationId);
+    expect(copied.map(message => [message.sequence, message.content, message.sourceMessageId])).toEqual([
+      [0, 'Question', 'msg-0'],
+      [1, 'Answer', 'msg-1']
+    ]);
+  });
+
+  test('drops a summary that reaches past the fork point', async () => {
+    const conversation = await createConversation({ summary: { text: 'Later summary', throughSequence: 2 } });
+    addMessages(['Question', 'Answer', 'Another question', 'Another answer']);
+
+    const forked = await conversationService.forkConversation(user.id, conversation, 'msg-1');
+
+    expect(forked.summary.text).toBeNull();
+  });
+
+  test('rejects a message from another conversation', async () => {
+    const conversation = await createConversation();
+
+    await expect(conversationService.forkConversation(user.id, conversation, 'missing'))
+      .rejects.toMatchObject({ code: 'message_not_found' });
+  });
+});
+
+describe('promoteToProject', () => {
+  test('promotes the latest assistant reply with the question before it', async () => {
+    const conversation = await createConversation();
+    addMessages(['Question', 'Answer', 'Another question', 'Another answer']);
+    const createProject = jest.spyOn(projectService, 'createProject').mockResolvedValue({ projectId: 'project-1' });
+
+    await conversationService.promoteToProject(user.id, conversation, { tags: ['launch'] });
+
+    expect(createProject).toHaveBeenCalledWith(expect.objectContaining({
+      userId: 'user-1',
+      title: 'Launch plan',
+      content: 'Another answer',
+      prompt: 'Another question',
+      tags: ['launch'],
+      metadata: expect.objectContaining({ conversationId: 'conv-1', messageId: 'msg-3' })
+    }));
+    expect(conversations.get({ conversationId: 'conv-1' }).projectId).toBe('project-1');
+  });
+
+  test('rejects a conversation without assistant replies', async () => {
+    const conversation = await createConversation();
+    addMessages(['Unanswered question']);
+
+    await expect(conversationService.promoteToProject(user.id, conversation))
+      .rejects.toMatchObject({ code: 'message_not_found' });
+  });
+});
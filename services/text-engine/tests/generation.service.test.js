@@ -0,0 +1,152 @@
+/**
+ * 回退链与熔断器测试
+ * 测试提供方以适配器形式注册到提供方注册表，回退链通过 FALLBACK_CHAINS 配置
+ */
+
+process.env.FALLBACK_CHAINS = JSON.stringify({ 'primary-model': ['backup-model', 'last-model'] });
+process.env.CIRCUIT_BREAKER_THRESHOLD = '2';
+process.env.CIRCUIT_BREAKER_COOLDOWN_MS = '1000';
+
+const providers = require('../src/providers');
+const createAdapter = require('../src/providers/createAdapter');
+const circuitBreaker = require('../src/utils/circuitBreaker');
+const generationService = require('../src/services/generation.service');
+const { getFallbackChain } = require('../src/config/fallbackChains');
+
+const PROVIDERS = { primary: 'primary-model', backup: 'backup-model', last: 'last-model' };
+
+const services = Object.fromEntries(Object.keys(PROVIDERS).map(name => [name, {
+  generateText: jest.fn()
+}]));
+
+for (const [name, model] of Object.entries(PROVIDERS)) {
+  providers.registerProvider(createAdapter({ name, service: services[name], models: [model] }));
+}
+
+const retryableError = () => Object.assign(new Error('Upstream unavailable'), { retryable: true });
+
+const succeed = (name) => services[name].generateText.mockImplementation(async ({ prompt, model }) => ({
+  text: `[${name}] ${prompt}`,
+  usage: { promptTokens: 3, completionTokens: 2, totalTokens: 5 },
+  model
+}));
+
+const fail = (name, error = retryableError()) => services[name].generateText.mockRejectedValue(error);
+
+const generate = (options = {}) => generationService.execute({
+  model: 'primary-model',
+  params: { prompt: 'Hello', maxTokens: 50 },
+  ...options
+});
+
+beforeEach(async () => {
+  jest.clearAllMocks();
+  Object.keys(PROVIDERS).forEach(succeed);
+  await Promise.all(Object.keys(PROVIDERS).map(name => circuitBreaker.recordSuccess(name)));
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('fallback chains', () => {
+  test('puts the requested model first and drops duplicates', () => {
+    expect(getFallbackChain('primary-model')).toEqual(['primary-model', 'backup-model', 'last-model']);
+    expect(getFallbackChain('unchained-model')).toEqual(['unchained-model']);
+  });
+
+  test('answers from the requested provider when it succeeds', async () => {
+    const { result, routing } = await generate();
+
+    expect(result.text).toBe('[primary] Hello');
+    expect(routing).toMatchObject({ provider: 'primary', model: 'primary-model', requestedModel: 'primary-model', fallbackUsed: false });
+    expect(services.backup.generateText).not.toHaveBeenCalled();
+  });
+
+  test('falls back to the next model after a retryable error', async () => {
+    fail('primary');
+
+    const { result, routing } = await generate();
+
+    expect(result.text).toBe('[backup] Hello');
+    expect(routing).toMatchObject({ provider: 'backup', model: 'backup-model', requestedModel: 'primary-model', fallbackUsed: true });
+    expect(routing.attempts.map(attempt => attempt.status)).toEqual(['failed', 'succeeded']);
+    expect(services.backup.generateText).toHaveBeenCalledWith(expect.objectContaining({ model: 'backup-model' }));
+  });
+
+  test('throws a non-retryable error without trying the chain', async () => {
+    fail('primary', Object.assign(new Error('Invalid request'), { retryable: false }));
+
+    await expect(generate()).rejects.toThrow('Invalid request');
+    expect(services.backup.generateText).not.toHaveBeenCalled();
+  });
+
+  test('does not fall back when fallback is disabled', async () => {
+    fail('primary');
+
+    await expect(generate({ allowFallback: false })).rejects.toMatchObject({ code: 'model_not_available' });
+    expect(services.backup.generateText).not.toHaveBeenCalled();
+  });
+
+  test('reports every attempt when the whole chain fails', async () => {
+    Object.keys(PROVIDERS).forEach(name => fail(name));
+
+    const error = await generate().catch(err => err);
+
+    expect(error.code).toBe('model_not_available');
+    expect(error.attempts.map(attempt => attempt.model)).toEqual(['primary-model', 'backup-model', 'last-model']);
+  });
+
+  test('rejects a model that no provider serves', async () => {
+    await expect(generate({ model: 'unknown-model' })).rejects.toMatchObject({ code: 'model_not_supported' });
+  });
+});
+
+describe('circuit breaker', () => {
+  test('opens after repeated retryable failures and skips the provider', async () => {
+    fail('primary');
+    await generate();
+    await generate();
+    services.primary.generateText.mockClear();
+
+    const { routing } = await generate();
+
+    expect(await circuitBreaker.isOpen('primary')).toBe(true);
+    expect(services.primary.generateText).not.toHaveBeenCalled();
+    expect(routing.attempts[0]).toMatchObject({ provider: 'primary', status: 'skipped_open_circuit' });
+    expect(routing.provider).toBe('backup');
+  });
+
+  test('does not count non-retryable errors', async () => {
+    fail('primary', Object.assign(new Error('Invalid request'), { retryable: false }));
+    await generate().catch(() => {});
+    await generate().catch(() => {});
+
+    expect(await circuitBreaker.isOpen('primary')).toBe(false);
+  });
+
+  test('resets the failure count after a success', async () => {
+    fail('primary');
+    await generate();
+    succeed('primary');
+    await generate();
+    fail('primary');
+    await generate();
+
+    expect(await circuitBreaker.isOpen('primary')).toBe(false);
+  });
+
+  test('closes after the cooldown and reopens on the first failure during probation', async () => {
+    const now = Date.now();
+    const clock = jest.spyOn(Date, 'now').mockReturnValue(now);
+
+    await circuitBreaker.recordFailure('primary');
+    expect(await circuitBreaker.recordFailure('primary')).toBe(true);
+
+    clock.mockReturnValue(now + 1001);
+    expect(await circuitBreaker.isOpen('primary')).toBe(false);
+
+    expect(await circuitBreaker.recordFailure('primary')).toBe(true);
+    expect(await circuitBreaker.isOpen('primary')).toBe(true);
+  });
+});
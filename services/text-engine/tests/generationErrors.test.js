@@ -0,0 +1,40 @@
+/**
+ * 生成错误映射测试：每个已分类的错误都映射到已定义的错误码
+ */
+
+const { mapGenerationError } = require('../src/utils/generationErrors');
+const { createCancellationError } = require('../src/utils/cancellation');
+const { ERROR_CODES } = require('../src/utils/errorCodes');
+
+const withCode = (code) => Object.assign(new Error(code), { code });
+
+describe('mapGenerationError', () => {
+  test.each([
+    ['context_length_exceeded', 400],
+    ['summary_reduce_limit', 422],
+    ['invalid_max_tokens', 400],
+    ['structured_output_invalid', 422],
+    ['tool_iteration_limit', 422],
+    ['tool_requires_auth', 401],
+    ['content_blocked', 400],
+    ['pii_blocked', 400],
+    ['change_conflict', 409],
+    ['deadline_exceeded', 504],
+    ['request_cancelled', 499],
+    ['model_not_available', 503]
+  ])('maps %s to %i with a defined error code', (code, status) => {
+    const mapped = mapGenerationError(withCode(code));
+
+    expect(mapped.status).toBe(status);
+    expect(Object.values(ERROR_CODES)).toContain(mapped.errorCode);
+  });
+
+  test('maps cancellation errors by their reason', () => {
+    expect(mapGenerationError(createCancellationError('deadline_exceeded'))).toMatchObject({ status: 504, errorCode: 'REQUEST_TIMEOUT' });
+    expect(mapGenerationError(createCancellationError('client_disconnected'))).toMatchObject({ status: 499, errorCode: 'REQUEST_CANCELLED' });
+  });
+
+  test('leaves unclassified errors to the global handler', () => {
+    expect(mapGenerationError(new Error('boom'))).toBeNull();
+  });
+});
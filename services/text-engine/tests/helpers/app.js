@@ -0,0 +1,34 @@
+/**
+ * 测试用应用
+ * 只挂载被测路由和与 server.js 相同的请求上下文、取消中间件；server.js 引入时即启动服务，测试中不使用
+ */
+
+const express = require('express');
+const { requestContext } = require('../../src/middlewares/requestContext');
+const { requestCancellation } = require('../../src/middlewares/cancellation');
+
+/**
+ * 创建应用
+ * mount(app) 挂载被测路由；user 非空时作为已认证用户注入 req.user
+ */
+exports.createApp = (mount, { user = null } = {}) => {
+  const app = express();
+
+  app.use(requestContext());
+  app.use('/api/', requestCancellation());
+  app.use(express.json());
+  app.use((req, res, next) => {
+    if (user) {
+      req.user = user;
+    }
+    next();
+  });
+
+  mount(app);
+
+  app.use((err, req, res, next) => {
+    res.status(err.status || 500).json({ error: err.message });
+  });
+
+  return app;
+};
@@ -0,0 +1,101 @@
+/**
+ * 进程内 Redis 替身
+ * 只实现响应缓存用到的命令，语义与 node-redis v4 一致（毫秒级过期在读取时检查）
+ */
+
+/**
+ * 将 SCAN 的 MATCH 模式转换为正则
+ */
+function patternToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map(char => (char === '*' ? '.*' : char === '?' ? '.' : char.replace(/[.+^${}()|[\]\\]/g, '\\$&')))
+    .join('');
+  return new RegExp(`^${source}$`);
+}
+
+exports.createFakeRedis = () => {
+  // key -> { value, expiresAt }，value 为字符串、Set 或 Map
+  const store = new Map();
+
+  const read = (key) => {
+    const entry = store.get(key);
+    if (entry && entry.expiresAt !== null && entry.expiresAt <= Date.now()) {
+      store.delete(key);
+      return undefined;
+    }
+    return entry;
+  };
+
+  const collection = (key, Type) => {
+    const entry = read(key);
+    if (entry) {
+      return entry.value;
+    }
+    const value = new Type();
+    store.set(key, { value, expiresAt: null });
+    return value;
+  };
+
+  const remove = (keys) => [].concat(keys).reduce((count, key) => count + (read(key) && store.delete(key) ? 1 : 0), 0);
+
+  return {
+    isReady: true,
+
+    async get(key) {
+      return read(key)?.value ?? null;
+    },
+    async set(key, value, options = {}) {
+      store.set(key, { value: String(value), expiresAt: options.EX ? Date.now() + options.EX * 1000 : null });
+      return 'OK';
+    },
+    async ttl(key) {
+      const entry = read(key);
+      if (!entry) {
+        return -2;
+      }
+      return entry.expiresAt === null ? -1 : Math.ceil((entry.expiresAt - Date.now()) / 1000);
+    },
+    async expire(key, seconds) {
+      const entry = read(key);
+      if (!entry) {
+        return false;
+      }
+      entry.expiresAt = Date.now() + seconds * 1000;
+      return true;
+    },
+    async del(keys) {
+      return remove(keys);
+    },
+    async unlink(keys) {
+      return remove(keys);
+    },
+    async *scanIterator({ MATCH = '*' } = {}) {
+      const regexp = patternToRegExp(MATCH);
+      for (const key of [...store.keys()]) {
+        if (read(key) && regexp.test(key)) {
+          yield key;
+        }
+      }
+    },
+    async sAdd(key, members) {
+      const set = collection(key, Set);
+      return [].concat(members).reduce((count, member) => count + (set.has(member) ? 0 : (set.add(member), 1)), 0);
+    },
+    async sMembers(key) {
+      return [...(read(key)?.value || [])];
+    },
+    async sRem(key, members) {
+      const set = read(key)?.value;
+      return set ? [].concat(members).reduce((count, member) => count + (set.delete(member) ? 1 : 0), 0) : 0;
+    },
+    async hIncrBy(key, field, increment) {
+      const hash = collection(key, Map);
+      hash.set(field, String(parseInt(hash.get(field) || '0') + increment));
+      return parseInt(hash.get(field));
+    },
+    async hGetAll(key) {
+      return Object.fromEntries(read(key)?.value || []);
+    }
+  };
+};
@@ -0,0 +1,226 @@
+/**
+ * 内存中的 mongoose 模型替身
+ * 以 jest.spyOn 替换模型的查询方法，文档保存在内存中；只实现被测代码用到的查询和更新操作符
+ */
+
+const getPath = (doc, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), doc);
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+const equals = (a, b) => {
+  if (b === null) {
+    return a === null || a === undefined;
+  }
+  return comparable(a) === comparable(b);
+};
+
+const OPERATORS = {
+  $in: (value, list) => list.some(entry => equals(value, entry)),
+  $nin: (value, list) => !list.some(entry => equals(value, entry)),
+  $ne: (value, expected) => !equals(value, expected),
+  $lt: (value, bound) => value != null && comparable(value) < comparable(bound),
+  $lte: (value, bound) => value != null && comparable(value) <= comparable(bound),
+  $gt: (value, bound) => value != null && comparable(value) > comparable(bound),
+  $gte: (value, bound) => value != null && comparable(value) >= comparable(bound)
+};
+
+const isOperatorObject = (condition) => condition && typeof condition === 'object' && !(condition instanceof Date)
+  && Object.keys(condition).length > 0 && Object.keys(condition).every(key => key.startsWith('$'));
+
+/**
+ * 判断文档是否满足查询条件
+ */
+function matches(doc, query = {}) {
+  return Object.entries(query).every(([key, condition]) => {
+    if (key === '$or') {
+      return condition.some(branch => matches(doc, branch));
+    }
+    if (key === '$and') {
+      return condition.every(branch => matches(doc, branch));
+    }
+
+    const value = getPath(doc, key);
+    if (isOperatorObject(condition)) {
+      return Object.entries(condition).every(([operator, operand]) => OPERATORS[operator](value, operand));
+    }
+    return equals(value, condition);
+  });
+}
+
+/**
+ * 解析路径对应的写入位置，支持数组下标和 $[name] 过滤位置
+ */
+function resolvePath(doc, path, arrayFilters) {
+  const [head, ...rest] = path.split('.');
+  const filter = head.match(/^\$\[(\w+)\]$/);
+
+  if (filter) {
+    const conditions = arrayFilters
+      .map(entry => Object.fromEntries(Object.entries(entry)
+        .filter(([key]) => key.startsWith(`${filter[1]}.`))
+        .map(([key, value]) => [key.slice(filter[1].length + 1), value])))
+      .find(entry => Object.keys(entry).length > 0) || {};
+    return doc.filter(element => matches(element, conditions))
+      .flatMap(element => resolvePath(element, rest.join('.'), arrayFilters));
+  }
+
+  if (rest.length === 0) {
+    return [{ target: doc, key: head }];
+  }
+  if (doc[head] == null) {
+    doc[head] = {};
+  }
+  return resolvePath(doc[head], rest.join('.'), arrayFilters);
+}
+
+/**
+ * 应用更新；先解析全部写入位置再写入，过滤条件按更新前的文档求值
+ */
+function applyUpdate(doc, update, { arrayFilters = [] } = {}) {
+  const writes = Object.entries(update).flatMap(([operator, fields]) => Object.entries(fields)
+    .flatMap(([path, value]) => resolvePath(doc, path, arrayFilters).map(location => ({ ...location, operator, value }))));
+
+  for (const { target, key, operator, value } of writes) {
+    if (operator === '$set') {
+      target[key] = value;
+    } else if (operator === '$unset') {
+      delete target[key];
+    } else if (operator === '$inc') {
+      target[key] = (target[key] || 0) + value;
+    } else if (operator === '$currentDate') {
+      target[key] = new Date();
+    } else if (operator === '$push') {
+      target[key] = [...(target[key] || []), value];
+    } else {
+      throw new Error(`Unsupported update operator ${operator}`);
+    }
+  }
+}
+
+/**
+ * 按字段排序，direction 为 1 或 -1
+ */
+function sortDocs(list, sort = {}) {
+  return [...list].sort((a, b) => {
+    for (const [key, direction] of Object.entries(sort)) {
+      const diff = comparable(getPath(a, key)) - comparable(getPath(b, key));
+      if (diff !== 0) {
+        return diff * direction;
+      }
+    }
+    return 0;
+  });
+}
+
+/**
+ * 查询结果：可直接 await，也支持 lean/select/sort/skip/limit 等链式调用（select 不裁剪字段）
+ * single 为 true 时返回排序后的第一条
+ */
+function createQuery(getDocs, hydrate, { single = false } = {}) {
+  const state = { sort: null, skip: 0, limit: 0 };
+  const resolve = () => {
+    const sorted = state.sort ? sortDocs(getDocs(), state.sort) : getDocs();
+    const page = sorted.slice(state.skip, state.limit ? state.skip + state.limit : undefined);
+    return single ? hydrate(page[0]) : page.map(hydrate);
+  };
+
+  const query = {
+    then: (onFulfilled, onRejected) => Promise.resolve().then(resolve).then(onFulfilled, onRejected),
+    catch: (onRejected) => query.then(undefined, onRejected)
+  };
+  for (const key of ['sort', 'skip', 'limit']) {
+    query[key] = (value) => {
+      state[key] = value;
+      return query;
+    };
+  }
+  for (const method of ['lean', 'select', 'exec']) {
+    query[method] = () => query;
+  }
+  return query;
+}
+
+/**
+ * 替换模型的查询方法
+ * 返回 { docs, insert(data), get(query), clear() }；docs 为内存中的原始文档
+ */
+exports.useMemoryModel = (Model) => {
+  const docs = [];
+  const hydrate = (doc) => (doc ? Model.hydrate(structuredClone(doc)) : null);
+  const matching = (query) => () => docs.filter(doc => matches(doc, query));
+
+  const uniqueIndexes = Model.schema.indexes()
+    .filter(([, options]) => options.unique)
+    .map(([fields]) => Object.keys(fields));
+
+  // 违反唯一索引时与 MongoDB 一样抛出 code 11000
+  const insert = (data) => {
+    const doc = { createdAt: new Date(), ...new Model(data).toObject() };
+    doc._id = doc._id.toString();
+    const duplicate = uniqueIndexes.find(fields => docs.some(existing => fields.every(field => equals(getPath(existing, field), getPath(doc, field)))));
+    if (duplicate) {
+      throw Object.assign(new Error(`E11000 duplicate key error on ${duplicate.join(', ')}`), { code: 11000 });
+    }
+    docs.push(doc);
+    return doc;
+  };
+
+  jest.spyOn(Model, 'findOne').mockImplementation((query) => createQuery(matching(query), hydrate, { single: true }));
+
+  jest.spyOn(Model, 'find').mockImplementation((query) => createQuery(matching(query), hydrate));
+
+  jest.spyOn(Model, 'countDocuments').mockImplementation(async (query) => matching(query)().length);
+
+  jest.spyOn(Model, 'create').mockImplementation(async (data) => hydrate(insert(data)));
+
+  jest.spyOn(Model, 'insertMany').mockImplementation(async (list) => list.map(data => hydrate(insert(data))));
+
+  jest.spyOn(Model, 'findOneAndUpdate').mockImplementation((query, update, options = {}) => createQuery(() => {
+    const doc = sortDocs(matching(query)(), options.sort)[0];
+    if (!doc) {
+      return [];
+    }
+    const before = structuredClone(doc);
+    applyUpdate(doc, update, options);
+    return [options.new ? doc : before];
+  }, hydrate, { single: true }));
+
+  jest.spyOn(Model, 'updateOne').mockImplementation((query, update, options = {}) => createQuery(() => {
+    const doc = docs.find(entry => matches(entry, query));
+    if (doc) {
+      applyUpdate(doc, update, options);
+    }
+    return [{ matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 }];
+  }, result => result, { single: true }));
+
+  jest.spyOn(Model, 'updateMany').mockImplementation((query, update, options = {}) => createQuery(() => {
+    const matched = matching(query)();
+    matched.forEach(doc => applyUpdate(doc, update, options));
+    return [{ matchedCount: matched.length, modifiedCount: matched.length }];
+  }, result => result, { single: true }));
+
+  jest.spyOn(Model, 'deleteOne').mockImplementation(async (query) => {
+    const index = docs.findIndex(doc => matches(doc, query));
+    if (index !== -1) {
+      docs.splice(index, 1);
+    }
+    return { deletedCount: index === -1 ? 0 : 1 };
+  });
+
+  jest.spyOn(Model, 'deleteMany').mockImplementation(async (query) => {
+    const removed = matching(query)();
+    removed.forEach(doc => docs.splice(docs.indexOf(doc), 1));
+    return { deletedCount: removed.length };
+  });
+
+  return {
+    docs,
+    insert,
+    get(query) {
+      return docs.find(doc => matches(doc, query)) || null;
+    },
+    clear() {
+      docs.length = 0;
+    }
+  };
+};
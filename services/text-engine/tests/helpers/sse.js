@@ -0,0 +1,20 @@
+/**
+ * SSE 响应解析
+ */
+
+/**
+ * 收集SSE响应体并解析为 [{ event, data }]
+ * req 为 supertest 请求
+ */
+exports.collectEvents = (req) => req
+  .set('Accept', 'text/event-stream')
+  .buffer(true)
+  .parse((res, callback) => {
+    let raw = '';
+    res.on('data', chunk => { raw += chunk; });
+    res.on('end', () => callback(null, raw));
+  })
+  .then(res => res.body.split('\n\n').filter(Boolean).map(block => {
+    const [eventLine, dataLine] = block.split('\n');
+    return { event: eventLine.slice('event: '.length), data: JSON.parse(dataLine.slice('data: '.length)) };
+  }));
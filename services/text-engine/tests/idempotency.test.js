@@ -0,0 +1,260 @@
+/**
+ * 幂等键中间件与存储测试
+ * 测试中未连接Redis，记录保存在 IdempotencyRecord 的内存模型替身中
+ */
+
+process.env.IDEMPOTENCY_WAIT_MS = '300';
+
+const express = require('express');
+const request = require('supertest');
+const IdempotencyRecord = require('../src/models/idempotencyRecord.model');
+const idempotencyStore = require('../src/utils/idempotencyStore');
+const { idempotency } = require('../src/middlewares/idempotency');
+const { initEventStream, sendEvent, endEventStream } = require('../src/utils/sse');
+const { ERROR_CODES } = require('../src/utils/errorCodes');
+const { useMemoryModel } = require('./helpers/memoryModel');
+const { collectEvents } = require('./helpers/sse');
+
+let records;
+let handled;
+
+const defer = () => {
+  let resolve;
+  const promise = new Promise(done => { resolve = done; });
+  return { promise, resolve };
+};
+
+const createApp = ({ user = { id: 'user-1' }, handler } = {}) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = user;
+    next();
+  });
+  app.use(idempotency());
+  app.post('/generate', handler || ((req, res) => {
+    handled += 1;
+    res.status(201).json({ success: true, data: { text: `Answer ${handled}`, prompt: req.body.prompt } });
+  }));
+  app.get('/generate', (req, res) => {
+    handled += 1;
+    res.json({ success: true });
+  });
+  return app;
+};
+
+const post = (app, key, body = { prompt: 'Hello' }) => {
+  const req = request(app).post('/generate').send(body);
+  return key === undefined ? req : req.set('Idempotency-Key', key);
+};
+
+// 等待 finish/close 之后的异步存储更新
+const settled = () => new Promise(resolve => setTimeout(resolve, 20));
+
+beforeEach(() => {
+  records = useMemoryModel(IdempotencyRecord);
+  handled = 0;
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('idempotency middleware', () => {
+  test('replays the stored response for a retried key', async () => {
+    const app = createApp();
+
+    const first = await post(app, 'key-1');
+    await settled();
+    const retry = await post(app, 'key-1');
+
+    expect(handled).toBe(1);
+    expect(retry.status).toBe(201);
+    expect(retry.body).toEqual(first.body);
+    expect(retry.headers['idempotent-replayed']).toBe('true');
+    expect(first.headers['idempotent-replayed']).toBeUndefined();
+  });
+
+  test('handles requests without a key, and reads, every time', async () => {
+    const app = createApp();
+
+    await post(app);
+    await post(app);
+    await request(app).get('/generate').set('Idempotency-Key', 'key-1');
+
+    expect(handled).toBe(3);
+    expect(records.docs).toHaveLength(0);
+  });
+
+  test('rejects a reused key with a different body', async () => {
+    const app = createApp();
+
+    await post(app, 'key-1');
+    await settled();
+    const res = await post(app, 'key-1', { prompt: 'Something else' });
+
+    expect(res.status).toBe(422);
+    expect(res.body.errorCode).toBe(ERROR_CODES.IDEMPOTENCY_KEY_MISMATCH);
+    expect(handled).toBe(1);
+  });
+
+  test('rejects malformed keys', async () => {
+    const res = await post(createApp(), 'x'.repeat(256));
+
+    expect(res.status).toBe(400);
+    expect(res.body.errorCode).toBe(ERROR_CODES.VALIDATION_ERROR);
+  });
+
+  test('scopes keys to the user', async () => {
+    await post(createApp({ user: { id: 'user-1' } }), 'shared-key');
+    await settled();
+    await post(createApp({ user: { id: 'user-2' } }), 'shared-key');
+
+    expect(handled).toBe(2);
+  });
+
+  test('answers 409 while the first request is still running', async () => {
+    const blocked = defer();
+    const app = createApp({
+      handler: async (req, res) => {
+        handled += 1;
+        await blocked.promise;
+        res.json({ success: true });
+      }
+    });
+
+    const first = post(app, 'key-1').then(res => res);
+    await new Promise(resolve => setTimeout(resolve, 50));
+    const concurrent = await post(app, 'key-1');
+    blocked.resolve();
+    await first;
+
+    expect(concurrent.status).toBe(409);
+    expect(concurrent.body.errorCode).toBe(ERROR_CODES.IDEMPOTENCY_REQUEST_IN_PROGRESS);
+    expect(concurrent.headers['retry-after']).toBe('1');
+    expect(handled).toBe(1);
+  });
+
+  test('waits for a first request that finishes shortly and replays it', async () => {
+    const app = createApp({
+      handler: async (req, res) => {
+        handled += 1;
+        await new Promise(resolve => setTimeout(resolve, 100));
+        res.json({ success: true, data: 'done' });
+      }
+    });
+
+    const [first, second] = await Promise.all([post(app, 'key-1'), new Promise(resolve => setTimeout(resolve, 20)).then(() => post(app, 'key-1'))]);
+
+    expect(handled).toBe(1);
+    expect(second.body).toEqual(first.body);
+    expect(second.headers['idempotent-replayed']).toBe('true');
+  });
+
+  test('does not store server errors or transient statuses, so a retry runs again', async () => {
+    const statuses = [500, 429, 200];
+    const app = createApp({
+      handler: (req, res) => {
+        handled += 1;
+        res.status(statuses.shift()).json({ success: handled === 3 });
+      }
+    });
+
+    for (let attempt = 0; attempt < 3; attempt++) {
+      await post(app, 'key-1');
+      await settled();
+    }
+    const replay = await post(app, 'key-1');
+
+    expect(handled).toBe(3);
+    expect(replay.body).toEqual({ success: true });
+  });
+
+  test('lets the request through when the store is unavailable', async () => {
+    jest.spyOn(idempotencyStore, 'begin').mockRejectedValue(new Error('Database unavailable'));
+
+    const res = await post(createApp(), 'key-1');
+
+    expect(res.status).toBe(201);
+    expect(handled).toBe(1);
+  });
+
+  test('replays the done event of a completed stream', async () => {
+    const app = createApp({
+      handler: (req, res) => {
+        handled += 1;
+        initEventStream(res);
+        sendEvent(res, 'token', { text: 'stream' });
+        sendEvent(res, 'done', { text: 'streamed', tokensUsed: 3 });
+        endEventStream(res);
+      }
+    });
+
+    await collectEvents(post(app, 'key-1', { prompt: 'Hello', stream: true }));
+    await settled();
+    const retry = post(app, 'key-1', { prompt: 'Hello', stream: true });
+    const events = await collectEvents(retry);
+
+    expect(events).toEqual([{ event: 'done', data: { text: 'streamed', tokensUsed: 3 } }]);
+    expect((await retry).headers['idempotent-replayed']).toBe('true');
+    expect(handled).toBe(1);
+    expect(records.get({ state: 'completed' }).response).toMatchObject({ status: 200, stream: true });
+  });
+
+  test('releases the key when a stream ends without a done event', async () => {
+    const app = createApp({
+      handler: (req, res) => {
+        handled += 1;
+        initEventStream(res);
+        sendEvent(res, 'error', { message: 'Upstream unavailable' });
+        endEventStream(res);
+      }
+    });
+
+    await collectEvents(post(app, 'key-1', { prompt: 'Hello', stream: true }));
+    await settled();
+    await collectEvents(post(app, 'key-1', { prompt: 'Hello', stream: true }));
+
+    expect(handled).toBe(2);
+  });
+});
+
+describe('idempotency store', () => {
+  test('lets one caller acquire a key and reports it in progress to others', async () => {
+    const first = await idempotencyStore.begin('key-1', 'fingerprint');
+    const second = await idempotencyStore.begin('key-1', 'fingerprint');
+
+    expect(first).toEqual({ state: 'acquired', owner: expect.any(String) });
+    expect(second).toMatchObject({ state: 'in_progress', fingerprint: 'fingerprint' });
+  });
+
+  test('takes over an in-progress key whose lock has expired', async () => {
+    await idempotencyStore.begin('key-1', 'fingerprint');
+    records.get({ key: 'key-1' }).lockedUntil = new Date(Date.now() - 1000);
+
+    await expect(idempotencyStore.begin('key-1', 'fingerprint')).resolves.toMatchObject({ state: 'acquired' });
+  });
+
+  test('returns the completed response', async () => {
+    await idempotencyStore.begin('key-1', 'fingerprint');
+    await idempotencyStore.complete('key-1', { fingerprint: 'fingerprint', response: { status: 200, body: { ok: true } }, requestId: 'req-1' });
+
+    await expect(idempotencyStore.begin('key-1', 'fingerprint')).resolves.toEqual({
+      state: 'completed',
+      fingerprint: 'fingerprint',
+      response: { status: 200, body: { ok: true } }
+    });
+    expect(records.get({ key: 'key-1' })).toMatchObject({ requestId: 'req-1' });
+    expect(records.get({ key: 'key-1' }).owner).toBeUndefined();
+  });
+
+  test('releases only a lock the caller still owns', async () => {
+    const { owner } = await idempotencyStore.begin('key-1', 'fingerprint');
+
+    await idempotencyStore.release('key-1', 'someone-else');
+    expect(records.docs).toHaveLength(1);
+
+    await idempotencyStore.release('key-1', owner);
+    expect(records.docs).toHaveLength(0);
+  });
+});
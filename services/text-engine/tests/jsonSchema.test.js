@@ -0,0 +1,35 @@
+/**
+ * JSON Schema 工具测试
+ */
+
+const { compileSchema } = require('../src/utils/jsonSchema');
+
+const PERSON_SCHEMA = {
+  $id: 'https://example.com/schemas/person.json',
+  type: 'object',
+  properties: { name: { type: 'string' } },
+  required: ['name']
+};
+
+describe('compileSchema', () => {
+  test('compiles the same $id schema more than once', () => {
+    const first = compileSchema(PERSON_SCHEMA);
+    const second = compileSchema(PERSON_SCHEMA);
+
+    expect(first({ name: 'Ada' })).toBe(true);
+    expect(second({})).toBe(false);
+  });
+
+  test('compiles a different schema reusing an $id without seeing the earlier one', () => {
+    compileSchema(PERSON_SCHEMA);
+    const validate = compileSchema({ ...PERSON_SCHEMA, required: ['age'], properties: { age: { type: 'integer' } } });
+
+    expect(validate({ age: 36 })).toBe(true);
+    expect(validate({ name: 'Ada' })).toBe(false);
+  });
+
+  test('rejects an invalid schema with invalid_json_schema', () => {
+    expect(() => compileSchema({ type: 'not-a-type' })).toThrow(expect.objectContaining({ code: 'invalid_json_schema' }));
+    expect(() => compileSchema(['array'])).toThrow(expect.objectContaining({ code: 'invalid_json_schema' }));
+  });
+});
@@ -0,0 +1,82 @@
+/**
+ * 内容审核服务测试：对话历史审核与流式输出的分段审核
+ */
+
+const ModerationAudit = require('../src/models/moderationAudit.model');
+const moderationService = require('../src/services/moderation.service');
+
+const context = { userId: 'user-1', operation: 'text_generation', model: 'gpt-4' };
+
+beforeEach(() => {
+  jest.spyOn(ModerationAudit, 'create').mockResolvedValue({});
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('moderateInput', () => {
+  test('redacts secrets in conversation history and tool results', async () => {
+    const key = 'sk-abcdefghijklmnopqrstuvwx';
+    const params = {
+      prompt: 'Continue',
+      history: [
+        { role: 'user', content: `My key is ${key}` },
+        { role: 'assistant', content: null, toolCalls: [{ id: 'call_1', name: 'lookup_template', arguments: {} }] },
+        { role: 'tool', toolCallId: 'call_1', content: `{"body":"use ${key}"}` }
+      ]
+    };
+
+    const { params: moderated, decision } = await moderationService.moderateInput('generate', params, context);
+
+    expect(decision.action).toBe('redact');
+    expect(moderated.history[0].content).toBe('My key is [REDACTED:secrets]');
+    expect(moderated.history[1]).toEqual(params.history[1]);
+    expect(moderated.history[2]).toMatchObject({ toolCallId: 'call_1', content: '{"body":"use [REDACTED:secrets]"}' });
+    expect(ModerationAudit.create).toHaveBeenCalledWith(expect.objectContaining({
+      categories: [expect.objectContaining({ category: 'secrets', fields: ['history.0', 'history.2'] })]
+    }));
+  });
+
+  test('blocks a request whose history contains blocked content', async () => {
+    const params = { prompt: 'Summarize the thread', history: [{ role: 'user', content: 'They are subhuman vermin, go back to your country.' }] };
+
+    await expect(moderationService.moderateInput('generate', params, context)).rejects.toMatchObject({ code: 'content_blocked', stage: 'input' });
+  });
+
+  test('returns the original params when nothing is changed', async () => {
+    const params = { prompt: 'Hello', history: [{ role: 'user', content: 'Hi there' }] };
+
+    const { params: moderated } = await moderationService.moderateInput('generate', params, context);
+
+    expect(moderated).toBe(params);
+  });
+});
+
+describe('createOutputModerator', () => {
+  test('holds text back until a segment boundary past the segment length', async () => {
+    const moderator = moderationService.createOutputModerator(context);
+    const sentence = 'This sentence is perfectly fine to show. ';
+
+    expect(await moderator.push(sentence)).toBe('');
+    expect(await moderator.push(sentence.repeat(5))).toBe(sentence.repeat(6).trimEnd());
+    expect(await moderator.push('Trailing words')).toBe('');
+    expect(await moderator.flush()).toBe(' Trailing words');
+  });
+
+  test('redacts a segment before it is released', async () => {
+    const moderator = moderationService.createOutputModerator(context);
+
+    await moderator.push('Well, shit happens');
+    expect(await moderator.flush()).toBe('Well, [REDACTED:profanity] happens');
+    expect(ModerationAudit.create).not.toHaveBeenCalled();
+  });
+
+  test('throws content_blocked and writes an audit record for a blocked segment', async () => {
+    const moderator = moderationService.createOutputModerator(context);
+
+    await moderator.push('Nobody likes you');
+    await expect(moderator.flush()).rejects.toMatchObject({ code: 'content_blocked', stage: 'output' });
+    expect(ModerationAudit.create).toHaveBeenCalledWith(expect.objectContaining({ stage: 'output', action: 'block' }));
+  });
+});
@@ -0,0 +1,114 @@
+/**
+ * OpenAI 服务测试：响应缓存和上游错误映射
+ */
+
+const fake = require('../src/clients/fake.client');
+const openaiService = require('../src/services/openai.service');
+
+const chatCalls = () => fake.getCalls().filter(call => call.operation === 'chat');
+
+beforeEach(() => {
+  fake.reset();
+});
+
+describe('generateText response cache', () => {
+  test('stores a miss and serves the identical request from cache', async () => {
+    fake.script([{ match: { operation: 'chat' }, respond: { text: 'Cached answer' } }]);
+
+    const first = await openaiService.generateText({ prompt: 'What is a cache?', temperature: 0.2 });
+    const second = await openaiService.generateText({ prompt: 'What is a cache?', temperature: 0.2 });
+
+    expect(first.cached).toBeUndefined();
+    expect(second).toMatchObject({ text: 'Cached answer', cached: true });
+    expect(chatCalls()).toHaveLength(1);
+  });
+
+  test('misses when any sampling parameter differs', async () => {
+    await openaiService.generateText({ prompt: 'Same prompt', temperature: 0.2 });
+    await openaiService.generateText({ prompt: 'Same prompt', temperature: 0.9 });
+    await openaiService.generateText({ prompt: 'Same prompt', temperature: 0.2, maxTokens: 50 });
+
+    expect(chatCalls()).toHaveLength(3);
+  });
+
+  test('useCaching: false neither reads nor writes the cache', async () => {
+    await openaiService.generateText({ prompt: 'Uncached', useCaching: false });
+    const second = await openaiService.generateText({ prompt: 'Uncached' });
+
+    expect(second.cached).toBeUndefined();
+    expect(chatCalls()).toHaveLength(2);
+  });
+
+  test('refresh mode skips the lookup but replaces the stored entry', async () => {
+    fake.script([
+      { match: { operation: 'chat' }, times: 1, respond: { text: 'Old answer' } },
+      { match: { operation: 'chat' }, respond: { text: 'New answer' } }
+    ]);
+
+    await openaiService.generateText({ prompt: 'Refresh me' });
+    const refreshed = await openaiService.generateText({ prompt: 'Refresh me', cache: { mode: 'refresh' } });
+    const cached = await openaiService.generateText({ prompt: 'Refresh me' });
+
+    expect(refreshed).toMatchObject({ text: 'New answer' });
+    expect(cached).toMatchObject({ text: 'New answer', cached: true });
+    expect(chatCalls()).toHaveLength(2);
+  });
+});
+
+describe('mapToServiceError', () => {
+  const failWith = (respond) => {
+    fake.script([{ match: { operation: 'chat' }, respond }]);
+    return openaiService.generateText({ prompt: 'Trigger an upstream error', useCaching: false });
+  };
+
+  test.each([
+    [401, 'Invalid API key', 'UNAUTHORIZED'],
+    [403, 'Permission denied', 'FORBIDDEN'],
+    [404, 'Requested resource not found', 'RESOURCE_NOT_FOUND']
+  ])('maps %i to %s without retrying', async (status, message, errorCode) => {
+    await expect(failWith({ status })).rejects.toMatchObject({ message, errorCode });
+    expect(chatCalls()).toHaveLength(1);
+  });
+
+  test('maps 429 to RATE_LIMIT_EXCEEDED after exhausting retries and keeps it retryable', async () => {
+    await expect(failWith({ error: 'rate_limit' })).rejects.toMatchObject({
+      message: 'Rate limit exceeded',
+      errorCode: 'RATE_LIMIT_EXCEEDED',
+      retryable: true
+    });
+    expect(chatCalls()).toHaveLength(3);
+  });
+
+  test('maps a 400 context_length_exceeded error to the context length code', async () => {
+    await expect(failWith({ error: 'context_length_exceeded' })).rejects.toMatchObject({
+      code: 'context_length_exceeded',
+      errorCode: 'CONTEXT_LENGTH_EXCEEDED',
+      retryable: false
+    });
+    expect(chatCalls()).toHaveLength(1);
+  });
+
+  test('passes other 400 errors through unchanged', async () => {
+    await expect(failWith({ status: 400, message: 'Invalid value for temperature' })).rejects.toMatchObject({
+      status: 400,
+      message: expect.stringContaining('Invalid value for temperature'),
+      retryable: false
+    });
+    expect(chatCalls()).toHaveLength(1);
+  });
+
+  test('passes server errors through as retryable after exhausting retries', async () => {
+    await expect(failWith({ error: 'server_error' })).rejects.toMatchObject({ status: 500, retryable: true });
+    expect(chatCalls()).toHaveLength(3);
+  });
+
+  test('retries connection resets', async () => {
+    fake.script([
+      { match: { operation: 'chat' }, times: 1, respond: { error: 'connection_reset' } },
+      { match: { operation: 'chat' }, respond: { text: 'Recovered' } }
+    ]);
+
+    await expect(openaiService.generateText({ prompt: 'Flaky network', useCaching: false })).resolves.toMatchObject({ text: 'Recovered' });
+    expect(chatCalls()).toHaveLength(2);
+  });
+});
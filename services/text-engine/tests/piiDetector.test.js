@@ -0,0 +1,93 @@
+/**
+ * 个人信息检测测试：内置规则、自定义规则的正则校验以及超长输入的耗时
+ */
+
+const { detect, validatePattern } = require('../src/utils/piiDetector');
+
+describe('validatePattern', () => {
+  test.each([
+    ['EMP-\\d{6}'],
+    ['(?:ACC|acct)-[A-Z]{2}\\d+'],
+    ['[(+*]\\d+'],
+    ['(\\d{3})-\\d{4}'],
+    ['(ab)+'],
+    ['(a?b)*']
+  ])('accepts %s', (pattern) => {
+    expect(validatePattern(pattern)).toBeNull();
+  });
+
+  test.each([
+    ['(a+)+$'],
+    ['(\\w*\\s?)*x'],
+    ['((ab)+c)+'],
+    ['(?:\\d+-?){2,}'],
+    ['(x+x+)+y']
+  ])('rejects the nested quantifier in %s', (pattern) => {
+    expect(validatePattern(pattern)).toMatch(/Nested quantifiers/);
+  });
+
+  test('rejects an invalid or overlong pattern', () => {
+    expect(validatePattern('(unclosed')).toMatch(/Invalid regular expression/);
+    expect(validatePattern('a'.repeat(201))).toMatch(/at most 200 characters/);
+  });
+});
+
+describe('detect', () => {
+  const values = (text, types) => detect(text, { types }).map(span => span.value);
+
+  test('finds email addresses', () => {
+    expect(values('Mail jane.doe+news@mail.example.co.uk or a@b.io, not user@localhost.', ['email']))
+      .toEqual(['jane.doe+news@mail.example.co.uk', 'a@b.io']);
+  });
+
+  test('finds Chinese street addresses', () => {
+    expect(values('寄到：北京市朝阳区建国路88号2栋301室，谢谢', ['address'])).toEqual(['北京市朝阳区建国路88号2栋301室']);
+    expect(values('地址：浙江省杭州市西湖区文三路12-3号', ['address'])).toEqual(['浙江省杭州市西湖区文三路12-3号']);
+  });
+
+  test('finds matches that straddle the scan windows', () => {
+    const email = 'straddle@example.com';
+    const card = '4111 1111 1111 1111';
+    const text = `${'x '.repeat(2040)}${email} ${'y '.repeat(1800)}${card} end`;
+
+    expect(detect(text, { types: ['email', 'card_number'] })).toEqual([
+      { type: 'email', start: 4080, end: 4080 + email.length, value: email },
+      { type: 'card_number', start: 4101 + 3600, end: 4101 + 3600 + card.length, value: card }
+    ]);
+  });
+
+  test('ignores stored custom patterns that fail validation', () => {
+    const text = `Employee EMP-123456 wrote ${'a'.repeat(30)}!`;
+    const spans = detect(text, {
+      types: [],
+      customPatterns: [
+        { name: 'employee_id', pattern: 'EMP-\\d{6}' },
+        { name: 'legacy', pattern: '(a+)+$' }
+      ]
+    });
+
+    expect(spans).toEqual([{ type: 'employee_id', start: 9, end: 19, value: 'EMP-123456' }]);
+  });
+});
+
+describe('detect on long inputs', () => {
+  // 每个输入在所有内置规则下的耗时上限；回溯失控时耗时以秒计
+  const LIMIT_MS = 500;
+
+  test.each([
+    ['100 KB of x', 'x'.repeat(100 * 1024)],
+    ['50 KB of a followed by @', `${'a'.repeat(50 * 1024)}@`],
+    ['40 KB of 市', '市'.repeat(40 * 1024)],
+    ['40 KB of 1-', '1-'.repeat(20 * 1024)]
+  ])('scans %s in linear time', (name, text) => {
+    const started = Date.now();
+    detect(text);
+    expect(Date.now() - started).toBeLessThan(LIMIT_MS);
+  });
+
+  test('bounds a superlinear custom pattern by the scan window', () => {
+    const started = Date.now();
+    detect(`${'a'.repeat(100 * 1024)}!`, { types: [], customPatterns: [{ name: 'handle', pattern: '\\w+@' }] });
+    expect(Date.now() - started).toBeLessThan(LIMIT_MS * 4);
+  });
+});
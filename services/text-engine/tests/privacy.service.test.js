@@ -0,0 +1,60 @@
+/**
+ * 个人信息保护服务测试：租户策略缓存在多副本间的失效
+ */
+
+const path = require('path');
+const { createFakeRedis } = require('./helpers/fakeRedis');
+
+jest.doMock(path.join(__dirname, '../src/config/redis'), () => ({ getRedisClient: jest.fn(() => null) }));
+
+const { getRedisClient } = require('../src/config/redis');
+const PrivacyPolicy = require('../src/models/privacyPolicy.model');
+const privacyService = require('../src/services/privacy.service');
+
+const storedPolicy = (email) => ({ tenantId: 'team-1', enabled: true, entities: { email }, customPatterns: [] });
+
+let redis;
+
+beforeEach(() => {
+  redis = createFakeRedis();
+  getRedisClient.mockReturnValue(redis);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('getPolicy', () => {
+  test('reloads the cached policy when another instance publishes a new version', async () => {
+    const findOne = jest.spyOn(PrivacyPolicy, 'findOne')
+      .mockReturnValueOnce({ lean: async () => storedPolicy('redact') })
+      .mockReturnValueOnce({ lean: async () => storedPolicy('block') });
+
+    expect((await privacyService.getPolicy('team-1')).entities.email).toBe('redact');
+    expect((await privacyService.getPolicy('team-1')).entities.email).toBe('redact');
+    expect(findOne).toHaveBeenCalledTimes(1);
+
+    // 其他副本更新策略后写入的版本号
+    await redis.set('privacy:policy:version:team-1', 'v2');
+
+    expect((await privacyService.getPolicy('team-1')).entities.email).toBe('block');
+    expect(findOne).toHaveBeenCalledTimes(2);
+  });
+
+  test('publishes a new version when the policy is updated', async () => {
+    jest.spyOn(PrivacyPolicy, 'findOneAndUpdate').mockResolvedValue(storedPolicy('allow'));
+
+    await privacyService.updatePolicy('team-2', { entities: { email: 'allow' } }, 'admin-1');
+
+    expect(await redis.get('privacy:policy:version:team-2')).toEqual(expect.any(String));
+    expect(await redis.ttl('privacy:policy:version:team-2')).toBeGreaterThan(0);
+  });
+
+  test('rejects a custom pattern with nested quantifiers', async () => {
+    const update = jest.spyOn(PrivacyPolicy, 'findOneAndUpdate');
+
+    await expect(privacyService.updatePolicy('team-3', { customPatterns: [{ name: 'order_id', pattern: '(\\d+)+-x' }] }, 'admin-1'))
+      .rejects.toMatchObject({ code: 'invalid_privacy_policy', details: [{ field: 'customPatterns[0].pattern' }] });
+    expect(update).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,108 @@
+/**
+ * 项目检索条件测试
+ */
+
+const TextProject = require('../src/models/textProject.model');
+const projectService = require('../src/services/project.service');
+
+// 按查询条件中的关键词正则筛选内存中的项目；与没有文本索引的 MongoDB 一样拒绝 $text
+const PROJECTS = [
+  { projectId: 'p1', title: '营销方案草稿', content: '', prompt: '' },
+  { projectId: 'p2', title: 'Launch plan', content: 'Q3 roadmap', prompt: 'Write a launch plan' },
+  { projectId: 'p3', title: '周报', content: '本周完成了营销计划', prompt: '' }
+];
+
+const matchesKeywords = (project, query) => (query.$and || []).every(({ $or }) => $or.some(branch => {
+  const [[field, { $regex, $options }]] = Object.entries(branch);
+  return new RegExp($regex, $options).test(project[field]);
+}));
+
+const stubFind = () => {
+  const run = (query) => {
+    if (query.$text) {
+      throw new Error('text index required for $text query');
+    }
+    return PROJECTS.filter(project => matchesKeywords(project, query));
+  };
+  TextProject.find = jest.fn((query) => {
+    const chain = {
+      sort: () => chain,
+      skip: () => chain,
+      limit: () => chain,
+      select: async () => run(query)
+    };
+    return chain;
+  });
+  TextProject.countDocuments = jest.fn(async (query) => run(query).length);
+};
+
+describe('buildSearchQuery', () => {
+  test('requires every term to appear in the title, content or prompt, ignoring case', () => {
+    const query = projectService.buildSearchQuery('user-1', { q: '  launch Plan ' });
+
+    const fields = (term) => ['title', 'content', 'prompt'].map(field => ({ [field]: { $regex: term, $options: 'i' } }));
+    expect(query).toEqual({
+      userId: 'user-1',
+      $and: [{ $or: fields('launch') }, { $or: fields('Plan') }],
+      archived: { $ne: true }
+    });
+    expect(query.$text).toBeUndefined();
+  });
+
+  test('escapes regular expression characters in terms', () => {
+    const query = projectService.buildSearchQuery('user-1', { q: 'a.b (c+)' });
+
+    expect(query.$and.map(({ $or }) => $or[0].title.$regex)).toEqual(['a\\.b', '\\(c\\+\\)']);
+  });
+
+  test('bounds the length and number of search terms', () => {
+    const query = projectService.buildSearchQuery('user-1', { q: `one two three four five six ${'x'.repeat(500)}` });
+
+    expect(query.$and).toHaveLength(5);
+    expect(projectService.buildSearchQuery('user-1', { q: 'y'.repeat(500) }).$and[0].$or[0].title.$regex).toHaveLength(100);
+  });
+
+  test('omits the keyword condition for a blank query', () => {
+    const query = projectService.buildSearchQuery('user-1', { q: '   ' });
+
+    expect(query.$and).toBeUndefined();
+  });
+
+  test('combines the search with the other filters', () => {
+    const query = projectService.buildSearchQuery('user-1', { q: 'roadmap', model: 'gpt-4', tags: 'Q3,planning', archived: 'all' });
+
+    expect(query).toMatchObject({
+      userId: 'user-1',
+      model: 'gpt-4',
+      tags: { $all: ['q3', 'planning'] }
+    });
+    expect(query.$and).toHaveLength(1);
+    expect(query.archived).toBeUndefined();
+  });
+});
+
+describe('searchProjects', () => {
+  const search = (q) => projectService.searchProjects('user-1', { q }, { sort: { createdAt: -1 }, page: 1, limit: 20 });
+
+  beforeEach(stubFind);
+
+  test('matches part of a Chinese title that has no spaces between words', async () => {
+    const { projects, total } = await search('方案');
+
+    expect(projects.map(project => project.projectId)).toEqual(['p1']);
+    expect(total).toBe(1);
+  });
+
+  test('matches terms across fields and case', async () => {
+    const { projects } = await search('LAUNCH roadmap');
+
+    expect(projects.map(project => project.projectId)).toEqual(['p2']);
+  });
+
+  test('works without a text index', async () => {
+    const { projects } = await search('营销');
+
+    expect(projects.map(project => project.projectId)).toEqual(['p1', 'p3']);
+    expect(TextProject.find).toHaveBeenCalledWith(expect.not.objectContaining({ $text: expect.anything() }));
+  });
+});
@@ -0,0 +1,84 @@
+/**
+ * 提示模板服务测试
+ * 模板和版本保存在内存模型替身中
+ */
+
+const PromptTemplate = require('../src/models/promptTemplate.model');
+const PromptTemplateVersion = require('../src/models/promptTemplateVersion.model');
+const promptTemplateService = require('../src/services/promptTemplate.service');
+const { useMemoryModel } = require('./helpers/memoryModel');
+
+const content = {
+  body: 'Write a {{tone}} post about {{topic}}.',
+  variables: [
+    { name: 'topic', required: true },
+    { name: 'tone', type: 'enum', values: ['formal', 'casual'], default: 'casual' }
+  ],
+  defaults: { model: 'gpt-4', temperature: 0.2, systemPrompt: 'You write {{tone}} copy.' }
+};
+
+let versions;
+
+beforeEach(() => {
+  useMemoryModel(PromptTemplate);
+  versions = useMemoryModel(PromptTemplateVersion);
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('prompt template service', () => {
+  test('creates a template with its first version', async () => {
+    const { template, version } = await promptTemplateService.createTemplate('user-1', { name: 'Blog post', ...content });
+
+    expect(template).toMatchObject({ userId: 'user-1', name: 'Blog post', latestVersion: 1 });
+    expect(version).toMatchObject({ templateId: template.templateId, version: 1, author: 'user-1' });
+    expect(version.defaults).toMatchObject({ model: 'gpt-4', temperature: 0.2 });
+  });
+
+  test('adds numbered versions and keeps earlier ones unchanged', async () => {
+    const { template } = await promptTemplateService.createTemplate('user-1', { name: 'Blog post', ...content });
+
+    const { version } = await promptTemplateService.createVersion('user-1', template.templateId, {
+      ...content,
+      body: 'Write a short {{tone}} post about {{topic}}.',
+      changelog: 'Shorter'
+    });
+
+    expect(version.version).toBe(2);
+    const latest = await promptTemplateService.getTemplate('user-1', template.templateId);
+    expect((await promptTemplateService.getVersion(latest, 'latest')).body).toBe('Write a short {{tone}} post about {{topic}}.');
+    expect((await promptTemplateService.getVersion(latest, '1')).body).toBe(content.body);
+    expect(versions.docs).toHaveLength(2);
+  });
+
+  test('rejects a body that uses undefined variables', async () => {
+    await expect(promptTemplateService.createTemplate('user-1', { name: 'Broken', ...content, body: 'About {{subject}}' }))
+      .rejects.toMatchObject({ code: 'invalid_template_variables', details: [{ variable: 'subject', message: 'is referenced but not defined' }] });
+  });
+
+  test('rejects a bound model that no provider serves', async () => {
+    await expect(promptTemplateService.createTemplate('user-1', { name: 'Broken', ...content, defaults: { model: 'unknown-model' } }))
+      .rejects.toMatchObject({ code: 'model_not_supported' });
+  });
+
+  test('hides other users\' and archived templates', async () => {
+    const { template } = await promptTemplateService.createTemplate('user-1', { name: 'Blog post', ...content });
+
+    await expect(promptTemplateService.getTemplate('user-2', template.templateId)).rejects.toMatchObject({ code: 'template_not_found' });
+    await promptTemplateService.archiveTemplate('user-1', template.templateId);
+    await expect(promptTemplateService.getTemplate('user-1', template.templateId)).rejects.toMatchObject({ code: 'template_not_found' });
+  });
+
+  test('renders the prompt and system prompt from validated inputs', async () => {
+    const { version } = await promptTemplateService.createTemplate('user-1', { name: 'Blog post', ...content });
+
+    expect(promptTemplateService.renderVersion(version, { topic: 'the launch' })).toEqual({
+      prompt: 'Write a casual post about the launch.',
+      systemPrompt: 'You write casual copy.',
+      values: { topic: 'the launch', tone: 'casual' }
+    });
+    expect(() => promptTemplateService.renderVersion(version, {})).toThrow(expect.objectContaining({ code: 'invalid_template_inputs' }));
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * 请求上下文与追踪测试
+ * span 导出到日志（OTEL_TRACES_EXPORTER=console），通过日志替身检查
+ */
+
+process.env.OTEL_TRACES_EXPORTER = 'console';
+
+const express = require('express');
+const request = require('supertest');
+const logger = require('../src/utils/logger');
+const requestContext = require('../src/utils/requestContext');
+const tracing = require('../src/utils/tracing');
+const { requestContext: requestContextMiddleware } = require('../src/middlewares/requestContext');
+
+const TRACE_ID = '4bf92f3577b34da6a3ce929d0e0e4736';
+const PARENT_SPAN_ID = '00f067aa0ba902b7';
+
+// 导出并返回已结束的 span
+const exportedSpans = async () => {
+  logger.info.mockClear();
+  await tracing.flush();
+  return logger.info.mock.calls.map(([, meta]) => meta.span);
+};
+
+const attribute = (span, key) => {
+  const entry = span.attributes.find(attr => attr.key === key);
+  return entry && Object.values(entry.value)[0];
+};
+
+const createApp = () => {
+  const app = express();
+  app.use(requestContextMiddleware());
+  app.get('/projects/:projectId', async (req, res) => {
+    await new Promise(resolve => setImmediate(resolve));
+    res.json({ requestId: requestContext.getRequestId(), propagated: tracing.propagationHeaders() });
+  });
+  app.get('/missing', (req, res) => res.status(404).json({ success: false, message: 'Not found' }));
+  app.get('/broken', (req, res) => res.status(500).json({ success: false, message: 'Broken' }));
+  return app;
+};
+
+beforeEach(async () => {
+  await tracing.flush();
+});
+
+describe('requestContext middleware', () => {
+  test('generates a request ID and carries it through async handlers', async () => {
+    const res = await request(createApp()).get('/projects/p-1');
+
+    const requestId = res.headers['x-request-id'];
+    expect(requestId).toMatch(/^[0-9a-f-]{36}$/);
+    expect(res.body.requestId).toBe(requestId);
+    expect(res.body.propagated['X-Request-Id']).toBe(requestId);
+  });
+
+  test('reuses a valid incoming X-Request-Id and replaces an invalid one', async () => {
+    const reused = await request(createApp()).get('/projects/p-1').set('X-Request-Id', 'client-123');
+    const replaced = await request(createApp()).get('/projects/p-1').set('X-Request-Id', 'bad id with spaces');
+
+    expect(reused.headers['x-request-id']).toBe('client-123');
+    expect(replaced.headers['x-request-id']).not.toBe('bad id with spaces');
+  });
+
+  test('adds the request ID to error bodies only', async () => {
+    const res = await request(createApp()).get('/missing').set('X-Request-Id', 'client-404');
+
+    expect(res.body).toEqual({ success: false, message: 'Not found', requestId: 'client-404' });
+  });
+
+  test('continues an incoming trace and returns its own traceparent', async () => {
+    const res = await request(createApp())
+      .get('/projects/p-1')
+      .set('traceparent', `00-${TRACE_ID}-${PARENT_SPAN_ID}-01`);
+
+    const returned = tracing.parseTraceparent(res.headers.traceparent);
+    expect(returned).toMatchObject({ traceId: TRACE_ID, sampled: true });
+    expect(returned.spanId).not.toBe(PARENT_SPAN_ID);
+    expect(res.body.propagated.traceparent).toBe(res.headers.traceparent);
+  });
+
+  test('names the server span by route template and records the status', async () => {
+    await request(createApp()).get('/projects/p-1').set('traceparent', `00-${TRACE_ID}-${PARENT_SPAN_ID}-01`);
+    await request(createApp()).get('/broken');
+
+    const [ok, failed] = await exportedSpans();
+    expect(ok).toMatchObject({ name: 'GET /projects/:projectId', traceId: TRACE_ID, parentSpanId: PARENT_SPAN_ID, kind: 2, status: { code: 1 } });
+    expect(attribute(ok, 'http.response.status_code')).toBe(200);
+    expect(failed).toMatchObject({ name: 'GET /broken', status: { code: 2, message: 'HTTP 500' } });
+  });
+});
+
+describe('tracing', () => {
+  test('parses valid traceparent headers and rejects malformed ones', () => {
+    expect(tracing.parseTraceparent(`00-${TRACE_ID}-${PARENT_SPAN_ID}-00`)).toEqual({ traceId: TRACE_ID, spanId: PARENT_SPAN_ID, sampled: false });
+    expect(tracing.parseTraceparent(`00-${'0'.repeat(32)}-${PARENT_SPAN_ID}-01`)).toBeNull();
+    expect(tracing.parseTraceparent('garbage')).toBeNull();
+    expect(tracing.parseTraceparent(undefined)).toBeNull();
+  });
+
+  test('nests spans under the current span and records exceptions', async () => {
+    await tracing.withSpan('outer', {}, async (outer) => {
+      await tracing.withSpan('inner', { attributes: { 'cache.hit': false } }, async (inner) => {
+        expect(inner.traceId).toBe(outer.traceId);
+        expect(inner.parentSpanId).toBe(outer.spanId);
+      });
+      await expect(tracing.withSpan('failing', {}, async () => {
+        throw Object.assign(new Error('Upstream unavailable'), { code: 'model_not_available' });
+      })).rejects.toThrow('Upstream unavailable');
+    });
+
+    const spans = await exportedSpans();
+    expect(spans.map(span => span.name)).toEqual(['inner', 'failing', 'outer']);
+    expect(attribute(spans[0], 'cache.hit')).toBe(false);
+    expect(spans[1].status).toEqual({ code: 2, message: 'Upstream unavailable' });
+    expect(spans[1].events[0].attributes).toContainEqual({ key: 'exception.type', value: { stringValue: 'model_not_available' } });
+  });
+
+  test('sends no propagation headers outside a request', () => {
+    expect(tracing.propagationHeaders()).toEqual({});
+  });
+});
@@ -0,0 +1,139 @@
+/**
+ * 响应缓存测试：写入的键与管理接口检查、清除的键一致
+ */
+
+const path = require('path');
+const { createFakeRedis } = require('./helpers/fakeRedis');
+
+jest.doMock(path.join(__dirname, '../src/config/redis'), () => ({ getRedisClient: jest.fn(() => null) }));
+
+const request = require('supertest');
+const { getRedisClient } = require('../src/config/redis');
+const responseCache = require('../src/utils/responseCache');
+const { buildCacheKey } = require('../src/utils/cacheKey');
+const cacheAdminRoutes = require('../src/routes/cacheAdmin.routes');
+const { createApp } = require('./helpers/app');
+
+const app = createApp(app => {
+  app.use('/api/v1/admin/cache', cacheAdminRoutes);
+}, { user: { id: 'admin-1', role: 'admin' } });
+
+const control = responseCache.resolveControl();
+
+/**
+ * 写入一条缓存并返回其键
+ */
+async function storeEntry({ operation = 'text', model = 'gpt-4', userId = 'user-1', prompt }) {
+  const key = buildCacheKey({ operation, model, params: { prompt } });
+  await responseCache.store({ key, operation, model, userId, value: { text: `answer to ${prompt}` }, ttl: 600, control });
+  return key;
+}
+
+let redis;
+
+beforeEach(() => {
+  redis = createFakeRedis();
+  getRedisClient.mockReturnValue(redis);
+});
+
+describe('responseCache with Redis', () => {
+  test('stores the entry under the key it was looked up by', async () => {
+    const key = await storeEntry({ prompt: 'stored' });
+
+    expect(await redis.get(key)).toContain('answer to stored');
+    await expect(responseCache.lookup({ key, operation: 'text', model: 'gpt-4', control })).resolves.toEqual({ text: 'answer to stored' });
+  });
+
+  test('inspects metadata, TTL and size without returning the cached value', async () => {
+    const key = await storeEntry({ prompt: 'inspect me', userId: 'user-7' });
+
+    const entry = await responseCache.inspectEntry(key);
+
+    expect(entry).toMatchObject({
+      key,
+      namespace: 'openai',
+      operation: 'text',
+      model: 'gpt-4',
+      meta: { operation: 'text', model: 'gpt-4', userId: 'user-7', ttl: 600 }
+    });
+    expect(entry.ttlSeconds).toBeGreaterThan(590);
+    expect(entry.sizeBytes).toBeGreaterThan(0);
+    expect(entry.value).toBeUndefined();
+  });
+
+  test('does not inspect keys outside the cache namespaces', async () => {
+    await redis.set('session:abc', 'secret');
+
+    await expect(responseCache.inspectEntry('session:abc')).resolves.toBeNull();
+  });
+
+  test('purges by model and leaves other models cached', async () => {
+    const gpt4 = await storeEntry({ model: 'gpt-4', prompt: 'a' });
+    const gpt35 = await storeEntry({ model: 'gpt-3.5-turbo', prompt: 'b' });
+
+    await expect(responseCache.purge({ model: 'gpt-4' })).resolves.toBe(1);
+
+    await expect(responseCache.lookup({ key: gpt4, operation: 'text', model: 'gpt-4', control })).resolves.toBeNull();
+    await expect(responseCache.lookup({ key: gpt35, operation: 'text', model: 'gpt-3.5-turbo', control })).resolves.not.toBeNull();
+  });
+
+  test('purges one user\'s entries through the user index', async () => {
+    const mine = await storeEntry({ userId: 'user-1', prompt: 'mine' });
+    const theirs = await storeEntry({ userId: 'user-2', prompt: 'theirs' });
+
+    await expect(responseCache.purge({ userId: 'user-1' })).resolves.toBe(1);
+
+    expect(await redis.get(mine)).toBeNull();
+    expect(await redis.get(theirs)).not.toBeNull();
+    expect(await redis.sMembers('cache:index:user:user-1')).toEqual([]);
+  });
+
+  test('lists entries filtered by operation', async () => {
+    await storeEntry({ operation: 'text', prompt: 'one' });
+    const editKey = await storeEntry({ operation: 'edit', prompt: 'two' });
+
+    const entries = await responseCache.listEntries({ operation: 'edit' });
+
+    expect(entries.map(entry => entry.key)).toEqual([editKey]);
+  });
+
+  test('rejects purge prefixes outside the cache namespaces', async () => {
+    await expect(responseCache.purge({ prefix: 'session:' })).rejects.toMatchObject({ code: 'invalid_cache_prefix' });
+  });
+});
+
+describe('responseCache without Redis', () => {
+  beforeEach(() => {
+    getRedisClient.mockReturnValue(null);
+  });
+
+  test('keeps entries in process', async () => {
+    const key = await storeEntry({ prompt: 'local only' });
+
+    await expect(responseCache.lookup({ key, operation: 'text', model: 'gpt-4', control })).resolves.toEqual({ text: 'answer to local only' });
+  });
+
+  test('admin purge responds 503 SERVICE_UNAVAILABLE', async () => {
+    const res = await request(app).post('/api/v1/admin/cache/purge').send({ model: 'gpt-4' });
+
+    expect(res.status).toBe(503);
+    expect(res.body).toMatchObject({ success: false, message: 'Cache store is not available', errorCode: 'SERVICE_UNAVAILABLE' });
+  });
+});
+
+describe('cache admin API', () => {
+  test('inspects and purges entries written by the response cache', async () => {
+    const key = await storeEntry({ prompt: 'via api' });
+
+    const inspected = await request(app).get(`/api/v1/admin/cache/entries/${encodeURIComponent(key)}`);
+    expect(inspected.status).toBe(200);
+    expect(inspected.body.data).toMatchObject({ key, meta: { userId: 'user-1' } });
+
+    const purged = await request(app).post('/api/v1/admin/cache/purge').send({ prefix: 'openai:text:gpt-4:' });
+    expect(purged.status).toBe(200);
+    expect(purged.body.data.deleted).toBe(1);
+
+    const missing = await request(app).get(`/api/v1/admin/cache/entries/${encodeURIComponent(key)}`);
+    expect(missing.status).toBe(404);
+  });
+});
@@ -0,0 +1,12 @@
+/**
+ * 测试环境变量
+ * 默认使用模拟客户端，缩短超时和重试间隔；各测试文件可在引入模块前覆盖
+ */
+
+process.env.NODE_ENV = 'test';
+process.env.OPENAI_MODE = process.env.OPENAI_MODE || 'fake';
+process.env.OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'sk-test';
+process.env.API_TIMEOUT = '200';
+process.env.OPENAI_RETRY_DELAY_MS = '1';
+// 避免故障注入用例打开熔断器而影响同一文件中的其他用例
+process.env.CIRCUIT_BREAKER_THRESHOLD = '1000';
@@ -0,0 +1,43 @@
+/**
+ * 测试模块替身
+ * 日志、指标以及非 OpenAI 提供方服务在测试中以替身代替；
+ * 未连接数据库时模型操作立即失败，不等待连接
+ */
+
+const path = require('path');
+const mongoose = require('mongoose');
+
+const SRC = path.join(__dirname, '../../src');
+
+mongoose.set('bufferCommands', false);
+
+jest.doMock(path.join(SRC, 'utils/logger'), () => ({
+  info: jest.fn(),
+  warn: jest.fn(),
+  error: jest.fn(),
+  debug: jest.fn()
+}), { virtual: true });
+
+jest.doMock(path.join(SRC, 'utils/metrics'), () => ({
+  createMetricsRecord: jest.fn(async () => {})
+}), { virtual: true });
+
+jest.doMock(path.join(SRC, 'models/userPreference.model'), () => ({
+  findOne: jest.fn(async () => null)
+}), { virtual: true });
+
+jest.doMock(path.join(SRC, 'models/textProject.model'), () => ({
+  findOne: jest.fn(async () => null),
+  findById: jest.fn(async () => null)
+}), { virtual: true });
+
+// 非 OpenAI 提供方：回显提示并返回固定用量
+for (const mockProvider of ['anthropic', 'palm', 'localLLM']) {
+  jest.doMock(path.join(SRC, `services/${mockProvider}.service`), () => ({
+    generateText: jest.fn(async ({ prompt, model }) => ({
+      text: `[${model}] ${prompt}`,
+      usage: { promptTokens: 10, completionTokens: 5, totalTokens: 15 },
+      model
+    }))
+  }), { virtual: true });
+}
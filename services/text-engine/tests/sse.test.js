@@ -0,0 +1,69 @@
+/**
+ * SSE 工具测试
+ */
+
+const express = require('express');
+const request = require('supertest');
+const { wantsEventStream, initEventStream, sendEvent, endEventStream } = require('../src/utils/sse');
+const { collectEvents } = require('./helpers/sse');
+
+describe('wantsEventStream', () => {
+  const fakeRequest = (body, accept) => ({ body, get: () => accept });
+
+  test('accepts stream: true in the body, as a boolean or a string', () => {
+    expect(wantsEventStream(fakeRequest({ stream: true }))).toBe(true);
+    expect(wantsEventStream(fakeRequest({ stream: 'true' }))).toBe(true);
+  });
+
+  test('accepts an Accept: text/event-stream header', () => {
+    expect(wantsEventStream(fakeRequest({}, 'text/event-stream'))).toBe(true);
+  });
+
+  test('defaults to a JSON response', () => {
+    expect(wantsEventStream(fakeRequest({}, 'application/json'))).toBe(false);
+    expect(wantsEventStream(fakeRequest({ stream: false }))).toBe(false);
+  });
+});
+
+describe('event stream responses', () => {
+  const results = [];
+
+  const app = express();
+  app.get('/stream', (req, res) => {
+    initEventStream(res);
+    sendEvent(res, 'token', { text: 'Hello' });
+    sendEvent(res, 'token', { text: ', 世界' });
+    sendEvent(res, 'done', { tokensUsed: 3 });
+    endEventStream(res);
+
+    // 响应结束后的写入被忽略，重复结束不报错
+    results.push(sendEvent(res, 'token', { text: 'late' }));
+    endEventStream(res);
+  });
+
+  test('sets SSE headers that disable proxy buffering', async () => {
+    const res = await request(app).get('/stream').buffer(true);
+
+    expect(res.status).toBe(200);
+    expect(res.headers['content-type']).toBe('text/event-stream; charset=utf-8');
+    expect(res.headers['cache-control']).toBe('no-cache, no-transform');
+    expect(res.headers['x-accel-buffering']).toBe('no');
+  });
+
+  test('writes named events with JSON data in order', async () => {
+    const events = await collectEvents(request(app).get('/stream'));
+
+    expect(events).toEqual([
+      { event: 'token', data: { text: 'Hello' } },
+      { event: 'token', data: { text: ', 世界' } },
+      { event: 'done', data: { tokensUsed: 3 } }
+    ]);
+  });
+
+  test('ignores events sent after the stream has ended', async () => {
+    results.length = 0;
+    await collectEvents(request(app).get('/stream'));
+
+    expect(results).toEqual([false]);
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * 提示模板引擎与变量校验测试
+ */
+
+const { compile, render, collectVariables } = require('../src/utils/templateEngine');
+const { normalizeDefinitions, resolveInputs } = require('../src/utils/templateVariables');
+
+describe('render', () => {
+  test('substitutes variables, nested fields and arrays', () => {
+    expect(render('Write for {{audience.name}} about {{topics}}.', {
+      audience: { name: 'developers' },
+      topics: ['APIs', 'SDKs']
+    })).toBe('Write for developers about APIs, SDKs.');
+  });
+
+  test('renders missing variables as empty text', () => {
+    expect(render('Hello {{name}}!', {})).toBe('Hello !');
+  });
+
+  test('evaluates if, else, comparisons and unless', () => {
+    const template = '{{#if tone == "formal"}}Dear reader{{else}}Hey{{/if}}{{#unless short}}, welcome{{/unless}}';
+
+    expect(render(template, { tone: 'formal', short: false })).toBe('Dear reader, welcome');
+    expect(render(template, { tone: 'casual', short: true })).toBe('Hey');
+    expect(render('{{#if items}}has items{{else}}empty{{/if}}', { items: [] })).toBe('empty');
+  });
+
+  test('loops with this, fields and counters, falling back to else for empty lists', () => {
+    const template = '{{#each steps}}{{@number}}. {{title}} ({{@index}}){{/each}}';
+
+    expect(render(template, { steps: [{ title: 'Plan' }, { title: 'Ship' }] })).toBe('1. Plan (0)2. Ship (1)');
+    expect(render('{{#each tags}}[{{this}}]{{else}}none{{/each}}', { tags: ['a', 'b'] })).toBe('[a][b]');
+    expect(render('{{#each tags}}[{{this}}]{{else}}none{{/each}}', { tags: [] })).toBe('none');
+  });
+
+  test('removes block tags that sit on their own line', () => {
+    const template = 'Intro\n{{#if extra}}\nExtra line\n{{/if}}\nOutro';
+
+    expect(render(template, { extra: true })).toBe('Intro\nExtra line\nOutro');
+    expect(render(template, { extra: false })).toBe('Intro\nOutro');
+  });
+
+  test('renders Chinese text around variables unchanged', () => {
+    expect(render('请为{{product}}写一段文案', { product: '新品耳机' })).toBe('请为新品耳机写一段文案');
+  });
+});
+
+describe('compile', () => {
+  test.each([
+    ['{{#if a}}open', 'Unclosed {{#if}}'],
+    ['{{/if}}', 'Unexpected {{/if}}'],
+    ['{{#if a}}x{{/each}}', 'Unexpected {{/each}}'],
+    ['{{#with a}}x{{/with}}', 'Unknown block "#with"'],
+    ['{{a b}}', 'Invalid expression "{{a b}}"'],
+    ['{{else}}', 'Unexpected {{else}}']
+  ])('rejects %s', (source, message) => {
+    expect(() => compile(source)).toThrow(expect.objectContaining({ code: 'template_syntax_error', message: expect.stringContaining(message) }));
+  });
+
+  test('reports the line of a syntax error', () => {
+    expect(() => compile('line one\nline two {{#if}}')).toThrow(expect.objectContaining({ line: 2 }));
+  });
+
+  test('collects top-level variables but not loop item fields', () => {
+    const ast = compile('{{title}} {{#if tone == "formal"}}x{{/if}}{{#each items}}{{name}} {{this}}{{/each}}');
+
+    expect(collectVariables(ast).sort()).toEqual(['items', 'title', 'tone']);
+  });
+});
+
+describe('template variables', () => {
+  const definitions = normalizeDefinitions([
+    { name: 'topic', type: 'string', required: true, maxLength: 20 },
+    { name: 'tone', type: 'enum', values: ['formal', 'casual'], default: 'casual' },
+    { name: 'words', type: 'number' },
+    { name: 'keywords', type: 'array', maxLength: 2 }
+  ]);
+
+  test('fills defaults and keeps valid inputs', () => {
+    expect(resolveInputs(definitions, { topic: 'Launch', words: 200 })).toEqual({ topic: 'Launch', tone: 'casual', words: 200 });
+  });
+
+  test('lists every invalid, missing or unknown input', () => {
+    const error = (() => {
+      try {
+        resolveInputs(definitions, { tone: 'angry', words: '200', keywords: ['a', 'b', 'c'], extra: true });
+      } catch (err) {
+        return err;
+      }
+      return null;
+    })();
+
+    expect(error.code).toBe('invalid_template_inputs');
+    expect(error.details).toEqual(expect.arrayContaining([
+      { variable: 'extra', message: 'is not defined by this template' },
+      { variable: 'topic', message: 'is required' },
+      { variable: 'tone', message: 'must be one of: formal, casual' },
+      { variable: 'words', message: 'must be a number' },
+      { variable: 'keywords', message: 'must have at most 2 items' }
+    ]));
+    expect(error.details).toHaveLength(5);
+  });
+
+  test('rejects invalid definitions', () => {
+    expect(() => normalizeDefinitions([
+      { name: '1st', type: 'string' },
+      { name: 'mode', type: 'enum' },
+      { name: 'size', type: 'number', default: 'large' }
+    ])).toThrow(expect.objectContaining({
+      code: 'invalid_template_variables',
+      details: [
+        expect.objectContaining({ index: 0, variable: '1st' }),
+        { index: 1, variable: 'mode', message: 'enum variables require a non-empty values array' },
+        { index: 2, variable: 'size', message: 'default must be a number' }
+      ]
+    }));
+  });
+});
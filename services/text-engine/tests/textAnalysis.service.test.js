@@ -0,0 +1,101 @@
+/**
+ * 文本分析服务测试
+ * 本地分析直接运行；深度分析的结构化输出调用由替身代替
+ */
+
+const structuredOutputService = require('../src/services/structuredOutput.service');
+const textAnalysisService = require('../src/services/textAnalysis.service');
+
+const ENGLISH = 'The new release is excellent and very fast. However, the setup was not easy. Users love the clean design of the dashboard.';
+const CHINESE = '这款产品非常好用，界面设计简洁美观。但是安装过程有点麻烦。总体来说我们很满意这款产品。';
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('local analysis', () => {
+  test('runs every analyzer by default', () => {
+    const { language, results } = textAnalysisService.analyze(ENGLISH);
+
+    expect(language).toBe('en');
+    expect(Object.keys(results)).toEqual(textAnalysisService.DEFAULT_ANALYSES);
+  });
+
+  test('detects languages by script and by function words', () => {
+    const detect = (text) => textAnalysisService.analyze(text, { analyses: ['language'] }).language;
+
+    expect(detect(ENGLISH)).toBe('en');
+    expect(detect(CHINESE)).toBe('zh');
+    expect(detect('Das ist ein kleiner Test und wir sind nicht sicher, ob die Sprache erkannt wird.')).toBe('de');
+    expect(detect('')).toBe('und');
+  });
+
+  test('counts English words and Chinese characters', () => {
+    const english = textAnalysisService.analyze(ENGLISH, { analyses: ['statistics'] }).results.statistics;
+    const chinese = textAnalysisService.analyze(CHINESE, { analyses: ['statistics'] }).results.statistics;
+
+    expect(english).toMatchObject({ words: 22, sentences: 3, paragraphs: 1, hanCharacters: 0 });
+    expect(chinese).toMatchObject({ words: 0, hanCharacters: 39, wordUnits: 39, sentences: 3 });
+  });
+
+  test('scores readability with the formulas for the detected language', () => {
+    const english = textAnalysisService.analyze(ENGLISH, { analyses: ['readability'] }).results.readability;
+    const chinese = textAnalysisService.analyze(CHINESE, { analyses: ['readability'] }).results.readability;
+
+    expect(english.chinese).toBeNull();
+    expect(english.english).toMatchObject({ fleschReadingEase: expect.any(Number), fleschKincaidGrade: expect.any(Number), level: 'standard' });
+    expect(chinese.english).toBeNull();
+    expect(chinese.chinese).toMatchObject({ averageSentenceLength: 13, level: 'easy' });
+  });
+
+  test('reads sentiment with negation in English and Chinese', () => {
+    const sentiment = (text) => textAnalysisService.analyze(text, { analyses: ['sentiment'] }).results.sentiment;
+
+    const english = sentiment(ENGLISH);
+    expect(english.label).toBe('positive');
+    expect(english.terms).toContainEqual(expect.objectContaining({ term: 'easy', value: expect.any(Number) }));
+    expect(english.terms.find(term => term.term === 'easy').value).toBeLessThan(0);
+
+    expect(sentiment('This is terrible. I hate it.').label).toBe('negative');
+    expect(sentiment(CHINESE).terms.map(term => term.term)).toEqual(expect.arrayContaining(['好用', '满意', '麻烦']));
+    expect(sentiment('').label).toBe('neutral');
+  });
+
+  test('extracts Chinese keywords without a dictionary and supports TextRank', () => {
+    const tfidf = textAnalysisService.analyze(CHINESE, { analyses: ['keywords'] }).results.keywords;
+    const textrank = textAnalysisService.analyze(ENGLISH, {
+      analyses: ['keywords'],
+      options: { keywordMethod: 'textrank', keywordLimit: 3 }
+    }).results.keywords;
+
+    expect(tfidf.keywords[0]).toEqual({ term: '产品', score: 1, count: 2 });
+    expect(textrank.method).toBe('textrank');
+    expect(textrank.keywords).toHaveLength(3);
+  });
+
+  test('rejects unknown analyses and lists the available ones', () => {
+    expect(() => textAnalysisService.analyze(ENGLISH, { analyses: ['sentiment', 'plagiarism'] })).toThrow(expect.objectContaining({
+      code: 'unknown_analysis',
+      message: 'Unknown analyses: plagiarism',
+      available: textAnalysisService.DEFAULT_ANALYSES
+    }));
+  });
+});
+
+describe('deep analysis', () => {
+  test('requests the editorial schema and returns the parsed analysis', async () => {
+    const analysis = { summary: 'A release note', tone: 'upbeat', audience: 'users', themes: [], strengths: [], weaknesses: [], suggestions: [] };
+    const generate = jest.spyOn(structuredOutputService, 'generate').mockResolvedValue({
+      result: { data: analysis, usage: { totalTokens: 120 } },
+      routing: { provider: 'openai', model: 'gpt-3.5-turbo' },
+      cost: { totalCost: 0.0002 }
+    });
+
+    const result = await textAnalysisService.deepAnalyze({ text: ENGLISH, accounting: { userId: 'user-1', operation: 'text_analysis' } });
+
+    const [[call]] = generate.mock.calls;
+    expect(call.params).toMatchObject({ prompt: ENGLISH, temperature: 0.2, maxTokens: 800 });
+    expect(call.schema.required).toEqual(['summary', 'tone', 'audience', 'themes', 'strengths', 'weaknesses', 'suggestions']);
+    expect(result).toMatchObject({ analysis, model: 'gpt-3.5-turbo', provider: 'openai', tokensUsed: 120 });
+  });
+});
@@ -0,0 +1,111 @@
+/**
+ * 词级文本差异测试
+ */
+
+process.env.DIFF_MAX_EDIT_DISTANCE = '50';
+
+const { diffWords, tokenize } = require('../src/utils/textDiff');
+
+// 由片段还原旧文本和新文本
+const rebuild = (segments) => ({
+  oldText: segments.filter(s => s.type !== 'insert').map(s => s.text).join(''),
+  newText: segments.filter(s => s.type !== 'delete').map(s => s.text).join('')
+});
+
+describe('tokenize', () => {
+  test('splits words, whitespace and punctuation, and Han characters one by one', () => {
+    expect(tokenize('Hello, world')).toEqual(['Hello', ',', ' ', 'world']);
+    expect(tokenize('营销方案 v2')).toEqual(['营', '销', '方', '案', ' ', 'v2']);
+    expect(tokenize('')).toEqual([]);
+  });
+});
+
+describe('diffWords', () => {
+  test('reports an unchanged text as one equal segment', () => {
+    expect(diffWords('Same text', 'Same text')).toEqual({
+      segments: [{ type: 'equal', text: 'Same text' }],
+      stats: { insertions: 0, deletions: 0, unchanged: 2 }
+    });
+  });
+
+  test('finds an inserted word', () => {
+    const { segments, stats } = diffWords('The fox jumps', 'The brown fox jumps');
+
+    expect(segments).toEqual([
+      { type: 'equal', text: 'The ' },
+      { type: 'insert', text: 'brown ' },
+      { type: 'equal', text: 'fox jumps' }
+    ]);
+    expect(stats).toEqual({ insertions: 1, deletions: 0, unchanged: 3 });
+  });
+
+  test('finds a deleted word', () => {
+    const { segments, stats } = diffWords('The quick brown fox', 'The brown fox');
+
+    expect(segments).toEqual([
+      { type: 'equal', text: 'The ' },
+      { type: 'delete', text: 'quick ' },
+      { type: 'equal', text: 'brown fox' }
+    ]);
+    expect(stats).toEqual({ insertions: 0, deletions: 1, unchanged: 3 });
+  });
+
+  test('reports a replaced word as a deletion and an insertion', () => {
+    const { segments, stats } = diffWords('The quick fox', 'The slow fox');
+
+    expect(segments).toEqual([
+      { type: 'equal', text: 'The ' },
+      { type: 'delete', text: 'quick' },
+      { type: 'insert', text: 'slow' },
+      { type: 'equal', text: ' fox' }
+    ]);
+    expect(stats).toEqual({ insertions: 1, deletions: 1, unchanged: 2 });
+  });
+
+  test('diffs Chinese text character by character', () => {
+    const { segments, stats } = diffWords('营销方案草稿', '营销计划草稿');
+
+    expect(segments).toEqual([
+      { type: 'equal', text: '营销' },
+      { type: 'delete', text: '方案' },
+      { type: 'insert', text: '计划' },
+      { type: 'equal', text: '草稿' }
+    ]);
+    expect(stats).toEqual({ insertions: 2, deletions: 2, unchanged: 4 });
+  });
+
+  test('handles empty texts on either side', () => {
+    expect(diffWords('', 'New text').segments).toEqual([{ type: 'insert', text: 'New text' }]);
+    expect(diffWords('Old text', null).segments).toEqual([{ type: 'delete', text: 'Old text' }]);
+  });
+
+  test('keeps both texts recoverable from scattered edits', () => {
+    const oldText = 'One two three four five six seven eight nine ten';
+    const newText = 'One 2 three four six seven eight, nine ten eleven';
+
+    expect(rebuild(diffWords(oldText, newText).segments)).toEqual({ oldText, newText });
+  });
+
+  test('finds the minimal diff of long texts within the edit distance limit', () => {
+    const words = Array.from({ length: 20000 }, (_, i) => `w${i}`);
+    const oldText = words.join(' ');
+    const newText = words.map((word, i) => (i % 1000 === 500 ? `x${i}` : word)).join(' ');
+
+    const { segments, stats } = diffWords(oldText, newText);
+
+    expect(stats).toEqual({ insertions: 20, deletions: 20, unchanged: 19980 });
+    expect(rebuild(segments)).toEqual({ oldText, newText });
+  });
+
+  test('falls back to replacing the changed span when the edit distance exceeds the limit', () => {
+    const oldText = `Intro ${Array.from({ length: 40 }, (_, i) => `a${i}`).join(' ')} outro`;
+    const newText = `Intro ${Array.from({ length: 40 }, (_, i) => `b${i}`).join(' ')} outro`;
+
+    const { segments } = diffWords(oldText, newText);
+
+    expect(segments.map(segment => segment.type)).toEqual(['equal', 'delete', 'insert', 'equal']);
+    expect(segments[0].text).toBe('Intro ');
+    expect(segments[3].text).toBe(' outro');
+    expect(rebuild(segments)).toEqual({ oldText, newText });
+  });
+});
@@ -0,0 +1,371 @@
+/**
+ * 文本生成接口测试
+ * OpenAI 调用由模拟客户端按脚本响应（OPENAI_MODE=fake），回退链上的其他提供方为替身服务
+ */
+
+const request = require('supertest');
+const fake = require('../src/clients/fake.client');
+const PrivacyPolicy = require('../src/models/privacyPolicy.model');
+const anthropicService = require('../src/services/anthropic.service');
+const localLLMService = require('../src/services/localLLM.service');
+const generationService = require('../src/services/generation.service');
+const { createMetricsRecord } = require('../src/utils/metrics');
+const textGenerationController = require('../src/controllers/textGeneration.controller');
+const { createApp } = require('./helpers/app');
+const { collectEvents } = require('./helpers/sse');
+
+const app = createApp(app => {
+  app.post('/api/v1/text/generate', textGenerationController.generateText);
+  app.post('/api/v1/batch/generate', textGenerationController.batchGenerate);
+});
+
+const generate = (body) => request(app).post('/api/v1/text/generate').send(body);
+const chatCalls = () => fake.getCalls().filter(call => call.operation === 'chat');
+
+beforeEach(() => {
+  fake.reset();
+  jest.clearAllMocks();
+  jest.spyOn(PrivacyPolicy, 'findOne').mockReturnValue({ lean: async () => null });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/v1/text/generate', () => {
+  test('returns the generated text with routing, usage and cost', async () => {
+    fake.script([
+      { match: { operation: 'chat' }, respond: { text: 'Fresh coffee, every morning.', usage: { prompt_tokens: 12, completion_tokens: 6, total_tokens: 18 } } }
+    ]);
+
+    const res = await generate({ prompt: 'Write a tagline for a coffee shop', model: 'gpt-4', options: { useCaching: false } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.success).toBe(true);
+    expect(res.body.result).toMatchObject({
+      text: 'Fresh coffee, every morning.',
+      model: 'gpt-4',
+      provider: 'openai',
+      requestedModel: 'gpt-4',
+      fallbackUsed: false,
+      tokensUsed: 18
+    });
+    expect(res.body.result.cost.totalCost).toBeGreaterThan(0);
+    expect(chatCalls()).toHaveLength(1);
+    expect(chatCalls()[0].request.messages).toContainEqual({ role: 'user', content: 'Write a tagline for a coffee shop' });
+    expect(createMetricsRecord).toHaveBeenCalledWith(expect.objectContaining({ provider: 'openai', successful: true, cacheHit: false }));
+  });
+
+  test('serves a repeated request from the response cache', async () => {
+    const body = { prompt: 'Name three primary colours', model: 'gpt-4', temperature: 0.2 };
+
+    const first = await generate(body);
+    const second = await generate(body);
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(second.body.result.text).toBe(first.body.result.text);
+    expect(chatCalls()).toHaveLength(1);
+    expect(createMetricsRecord).toHaveBeenNthCalledWith(1, expect.objectContaining({ cacheHit: false }));
+    expect(createMetricsRecord).toHaveBeenNthCalledWith(2, expect.objectContaining({ cacheHit: true }));
+  });
+
+  test('retries a rate-limited call and succeeds on the same provider', async () => {
+    fake.script([
+      { match: { operation: 'chat' }, times: 2, respond: { error: 'rate_limit' } },
+      { match: { operation: 'chat' }, respond: { text: 'Third time lucky.' } }
+    ]);
+
+    const res = await generate({ prompt: 'Retry until it works', options: { useCaching: false } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toMatchObject({ text: 'Third time lucky.', provider: 'openai', fallbackUsed: false });
+    expect(chatCalls()).toHaveLength(3);
+    expect(anthropicService.generateText).not.toHaveBeenCalled();
+  });
+
+  test('falls back to the next provider when rate limiting outlasts the retries', async () => {
+    fake.script([
+      { match: { operation: 'chat' }, respond: { error: 'rate_limit' } }
+    ]);
+
+    const res = await generate({ prompt: 'Summarise the quarter', model: 'gpt-4', options: { useCaching: false } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toMatchObject({
+      text: '[claude] Summarise the quarter',
+      model: 'claude',
+      provider: 'anthropic',
+      requestedModel: 'gpt-4',
+      fallbackUsed: true
+    });
+    // 首次调用加 maxRetries 次重试
+    expect(chatCalls()).toHaveLength(3);
+    expect(anthropicService.generateText).toHaveBeenCalledTimes(1);
+    expect(createMetricsRecord).toHaveBeenCalledWith(expect.objectContaining({
+      fallbackUsed: true,
+      fallbackAttempts: expect.arrayContaining([expect.objectContaining({ provider: 'openai', status: 'failed' })])
+    }));
+  });
+
+  test('returns 503 when rate limiting persists and fallback is disabled', async () => {
+    fake.script([
+      { match: { operation: 'chat' }, respond: { error: 'rate_limit' } }
+    ]);
+
+    const res = await generate({ prompt: 'No fallback please', options: { useCaching: false, fallback: false } });
+
+    expect(res.status).toBe(503);
+    expect(res.body).toMatchObject({ success: false, errorCode: 'MODEL_UNAVAILABLE' });
+    expect(anthropicService.generateText).not.toHaveBeenCalled();
+  });
+
+  test('maps an upstream context_length_exceeded error to 400 without retrying or falling back', async () => {
+    fake.script([
+      { match: { operation: 'chat' }, respond: { error: 'context_length_exceeded' } }
+    ]);
+
+    const res = await generate({ prompt: 'A prompt the provider rejects', options: { useCaching: false } });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ success: false, errorCode: 'CONTEXT_LENGTH_EXCEEDED' });
+    expect(chatCalls()).toHaveLength(1);
+    expect(anthropicService.generateText).not.toHaveBeenCalled();
+  });
+
+  test('rejects a prompt that cannot fit the context window before calling the provider', async () => {
+    const res = await generate({ prompt: 'lorem ipsum dolor '.repeat(5000), model: 'gpt-4' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errorCode).toBe('CONTEXT_LENGTH_EXCEEDED');
+    expect(res.body.tokenBreakdown).toBeDefined();
+    expect(chatCalls()).toHaveLength(0);
+  });
+
+  test('treats attempts that time out as retryable and falls back', async () => {
+    fake.script([
+      { match: { operation: 'chat' }, respond: { error: 'timeout' } }
+    ]);
+
+    const res = await generate({ prompt: 'Slow upstream', options: { useCaching: false } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toMatchObject({ provider: 'anthropic', fallbackUsed: true });
+    expect(chatCalls()).toHaveLength(3);
+  });
+
+  test('skips fallback models whose context window cannot hold the request', async () => {
+    anthropicService.generateText.mockRejectedValueOnce(Object.assign(new Error('Overloaded'), { status: 529, retryable: true }));
+
+    // 约 12000 令牌：claude 可容纳，回退链上的 gpt-4 和 local-mistral（8192）不能
+    const res = await generate({ prompt: 'lorem ipsum dolor '.repeat(4000), model: 'claude', maxTokens: 500 });
+
+    expect(res.status).toBe(503);
+    expect(res.body.errorCode).toBe('MODEL_UNAVAILABLE');
+    expect(anthropicService.generateText).toHaveBeenCalledTimes(1);
+    expect(localLLMService.generateText).not.toHaveBeenCalled();
+    expect(chatCalls()).toHaveLength(0);
+  });
+
+  test('returns PII_BLOCKED when the privacy policy blocks an entity in the prompt', async () => {
+    PrivacyPolicy.findOne.mockReturnValue({ lean: async () => ({ tenantId: 'user-pii', enabled: true, entities: { email: 'block' } }) });
+    const userApp = createApp(app => {
+      app.post('/api/v1/text/generate', textGenerationController.generateText);
+  app.post('/api/v1/batch/generate', textGenerationController.batchGenerate);
+    }, { user: { id: 'user-pii' } });
+
+    const res = await request(userApp)
+      .post('/api/v1/text/generate')
+      .send({ prompt: 'Write to jane.doe@example.com about the invoice', options: { useCaching: false } });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ success: false, errorCode: 'PII_BLOCKED', details: { entityTypes: ['email'] } });
+    expect(chatCalls()).toHaveLength(0);
+  });
+
+  test('rejects a maxTokens value that is not a positive integer', async () => {
+    const res = await generate({ prompt: 'Hello', maxTokens: 'lots' });
+
+    expect(res.status).toBe(400);
+    expect(res.body).toMatchObject({ message: 'maxTokens must be a positive integer', errorCode: 'VALIDATION_ERROR' });
+    expect(chatCalls()).toHaveLength(0);
+  });
+
+  test('returns 504 REQUEST_TIMEOUT when the request deadline passes before the provider answers', async () => {
+    fake.script([{ match: { operation: 'chat' }, respond: { text: 'Too late', latencyMs: 150 } }]);
+
+    const res = await request(app)
+      .post('/api/v1/text/generate')
+      .set('X-Request-Timeout', '50')
+      .send({ prompt: 'Answer within the deadline', options: { useCaching: false } });
+
+    expect(res.status).toBe(504);
+    expect(res.body).toMatchObject({ success: false, errorCode: 'REQUEST_TIMEOUT' });
+    expect(chatCalls()).toHaveLength(1);
+  });
+
+  test('returns 503 when every attempt times out and fallback is disabled', async () => {
+    fake.script([
+      { match: { operation: 'chat' }, respond: { error: 'timeout' } }
+    ]);
+
+    const res = await generate({ prompt: 'Slow upstream, no fallback', options: { useCaching: false, fallback: false } });
+
+    expect(res.status).toBe(503);
+    expect(res.body.errorCode).toBe('MODEL_UNAVAILABLE');
+    expect(res.body.message).toBe('The requested model is currently not available.');
+  });
+});
+
+describe('POST /api/v1/text/generate with responseFormat json_schema', () => {
+  const responseFormat = {
+    type: 'json_schema',
+    schema: {
+      $id: 'https://example.com/schemas/tagline.json',
+      type: 'object',
+      properties: { tagline: { type: 'string' } },
+      required: ['tagline'],
+      additionalProperties: false
+    }
+  };
+
+  test('accepts the same $id schema on consecutive requests', async () => {
+    fake.script([{ match: { operation: 'chat' }, respond: { text: '{"tagline":"Brewed for you"}' } }]);
+
+    const first = await generate({ prompt: 'Tagline please', responseFormat, options: { useCaching: false } });
+    const second = await generate({ prompt: 'Another tagline please', responseFormat, options: { useCaching: false } });
+
+    expect(first.status).toBe(200);
+    expect(second.status).toBe(200);
+    expect(second.body.result.data).toEqual({ tagline: 'Brewed for you' });
+  });
+
+  test('returns 422 STRUCTURED_OUTPUT_INVALID when repairs never satisfy the schema', async () => {
+    fake.script([{ match: { operation: 'chat' }, respond: { text: '{"slogan":"Wrong field"}' } }]);
+
+    const res = await generate({ prompt: 'Tagline with the wrong shape', responseFormat: { ...responseFormat, maxAttempts: 2 }, options: { useCaching: false } });
+
+    expect(res.status).toBe(422);
+    expect(res.body).toMatchObject({ success: false, errorCode: 'STRUCTURED_OUTPUT_INVALID', details: { attempts: 2 } });
+    expect(chatCalls()).toHaveLength(2);
+  });
+});
+
+describe('POST /api/v1/text/generate with tools', () => {
+  const userApp = createApp(app => {
+    app.post('/api/v1/text/generate', textGenerationController.generateText);
+  app.post('/api/v1/batch/generate', textGenerationController.batchGenerate);
+  }, { user: { id: 'user-1' } });
+
+  test('rejects user-scoped tools for anonymous callers', async () => {
+    const res = await generate({ prompt: 'Find my drafts about coffee', tools: ['search_projects'], options: { useCaching: false } });
+
+    expect(res.status).toBe(401);
+    expect(res.body).toMatchObject({ success: false, errorCode: 'UNAUTHORIZED' });
+    expect(res.body.message).toContain('search_projects');
+    expect(chatCalls()).toHaveLength(0);
+  });
+
+  test('runs tools without user data for anonymous callers', async () => {
+    fake.script([
+      { match: { operation: 'chat' }, times: 1, respond: { toolCalls: [{ name: 'calculate', arguments: { expression: '6 * 7' } }], usage: { prompt_tokens: 20, completion_tokens: 8, total_tokens: 28 } } },
+      { match: { operation: 'chat' }, respond: { text: 'The answer is 42.', usage: { prompt_tokens: 30, completion_tokens: 5, total_tokens: 35 } } }
+    ]);
+
+    const res = await generate({ prompt: 'What is six times seven?', tools: ['calculate'], options: { useCaching: false } });
+
+    expect(res.status).toBe(200);
+    expect(res.body.result.text).toBe('The answer is 42.');
+    expect(res.body.result.toolTrace).toEqual([
+      expect.objectContaining({ name: 'calculate', status: 'succeeded', output: expect.objectContaining({ result: 42 }) })
+    ]);
+  });
+
+  test('returns TOOL_ITERATION_LIMIT when the model keeps calling tools', async () => {
+    fake.script([
+      { match: { operation: 'chat' }, respond: { toolCalls: [{ name: 'calculate', arguments: { expression: '1 + 1' } }], usage: { prompt_tokens: 20, completion_tokens: 8, total_tokens: 28 } } }
+    ]);
+
+    const res = await request(userApp)
+      .post('/api/v1/text/generate')
+      .send({ prompt: 'Keep adding forever', tools: ['calculate', 'search_projects'], options: { useCaching: false, maxToolIterations: 2 } });
+
+    expect(res.status).toBe(422);
+    expect(res.body).toMatchObject({ success: false, errorCode: 'TOOL_ITERATION_LIMIT' });
+    expect(res.body.details.toolTrace).toHaveLength(2);
+  });
+});
+
+describe('POST /api/v1/text/generate with streaming', () => {
+  const opening = 'Thanks for the question, here is a short answer. '.repeat(5);
+
+  test('streams moderated segments and stops before a blocked segment is sent', async () => {
+    fake.script([
+      { match: { operation: 'chat', stream: true }, respond: { text: `${opening}Honestly, nobody likes you.` } }
+    ]);
+
+    const events = await collectEvents(request(app).post('/api/v1/text/generate').send({ prompt: 'Stream a reply that turns hostile', options: { useCaching: false } }));
+    const streamed = events.filter(event => event.event === 'token').map(event => event.data.text).join('');
+    const last = events[events.length - 1];
+
+    // 只推送了审核通过的片段，与被阻止内容同属一个片段的文本也不会发出
+    expect(streamed.length).toBeGreaterThan(0);
+    expect(opening.startsWith(streamed)).toBe(true);
+    expect(last.event).toBe('error');
+    expect(last.data).toMatchObject({ errorCode: 'CONTENT_BLOCKED', details: { stage: 'output', categories: [expect.objectContaining({ category: 'harassment' })] } });
+  });
+
+  test('streams the full text when every segment passes moderation', async () => {
+    fake.script([
+      { match: { operation: 'chat', stream: true }, respond: { text: `${opening}Hope that helps.` } }
+    ]);
+
+    const events = await collectEvents(request(app).post('/api/v1/text/generate').send({ prompt: 'Stream a friendly reply', options: { useCaching: false } }));
+    const streamed = events.filter(event => event.event === 'token').map(event => event.data.text).join('');
+
+    expect(streamed).toBe(`${opening}Hope that helps.`);
+    expect(events[events.length - 1]).toMatchObject({ event: 'done', data: { provider: 'openai' } });
+  });
+});
+
+describe('POST /api/v1/batch/generate', () => {
+  const batch = (prompts) => request(app).post('/api/v1/batch/generate').send({ prompts, model: 'gpt-4' });
+
+  test('points larger batches to the batch jobs endpoint', async () => {
+    const res = await batch(Array.from({ length: 11 }, (_, i) => `Prompt ${i}`));
+
+    expect(res.status).toBe(400);
+    expect(res.body.message).toContain('POST /api/v1/batch/jobs');
+    expect(res.headers.deprecation).toBe('true');
+    expect(res.headers.link).toBe('</api/v1/batch/jobs>; rel="successor-version"');
+  });
+
+  test('limits the model calls in flight and keeps results in prompt order', async () => {
+    let inFlight = 0;
+    let maxInFlight = 0;
+    jest.spyOn(generationService, 'execute').mockImplementation(async ({ params }) => {
+      inFlight += 1;
+      maxInFlight = Math.max(maxInFlight, inFlight);
+      await new Promise(resolve => setTimeout(resolve, 10));
+      inFlight -= 1;
+      if (params.prompt === 'Prompt 2') {
+        throw new Error('Upstream unavailable');
+      }
+      return {
+        result: { text: `Answer to ${params.prompt}`, usage: { totalTokens: 10 } },
+        routing: { model: 'gpt-4', provider: 'openai', fallbackUsed: false },
+        cost: { totalCost: 0.01 }
+      };
+    });
+
+    const prompts = Array.from({ length: 8 }, (_, i) => `Prompt ${i}`);
+    const res = await batch(prompts);
+
+    expect(res.status).toBe(200);
+    expect(maxInFlight).toBe(3);
+    expect(res.body.results.map(result => result.index)).toEqual(prompts.map((_, i) => i));
+    expect(res.body.results[0]).toMatchObject({ success: true, text: 'Answer to Prompt 0' });
+    expect(res.body.results[2]).toMatchObject({ success: false, error: 'Upstream unavailable' });
+    expect(res.body.totalSuccessful).toBe(7);
+  });
+});
@@ -0,0 +1,64 @@
+/**
+ * 文本生成接口回放测试
+ * OpenAI 响应来自 fixtures/cassettes/text-generation.json（OPENAI_MODE=replay），不访问网络
+ * 修改请求参数后需以 OPENAI_MODE=record 重新录制
+ */
+
+const path = require('path');
+
+process.env.OPENAI_MODE = 'replay';
+process.env.OPENAI_CASSETTE_DIR = path.join(__dirname, '../fixtures/cassettes');
+process.env.OPENAI_CASSETTE = 'text-generation';
+
+const request = require('supertest');
+const PrivacyPolicy = require('../src/models/privacyPolicy.model');
+const textGenerationController = require('../src/controllers/textGeneration.controller');
+const { createApp } = require('./helpers/app');
+
+const app = createApp(app => {
+  app.post('/api/v1/text/generate', textGenerationController.generateText);
+});
+
+const generate = (prompt, options = {}) => request(app)
+  .post('/api/v1/text/generate')
+  .send({ prompt, model: 'gpt-4', temperature: 0.7, maxTokens: 100, options: { useCaching: false, ...options } });
+
+beforeEach(() => {
+  jest.spyOn(PrivacyPolicy, 'findOne').mockReturnValue({ lean: async () => null });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/v1/text/generate (replay)', () => {
+  test('returns the recorded completion', async () => {
+    const res = await generate('Write a tagline for a coffee shop');
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toMatchObject({
+      text: 'Freshly roasted, right around the corner.',
+      provider: 'openai',
+      fallbackUsed: false,
+      tokensUsed: 25
+    });
+  });
+
+  test('replays a recorded 429 followed by a successful retry', async () => {
+    const res = await generate('Describe the weather in Lisbon');
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toMatchObject({
+      text: 'Sunny and mild, with a breeze off the Tagus.',
+      provider: 'openai',
+      fallbackUsed: false
+    });
+  });
+
+  test('fails an unrecorded request instead of reaching the network', async () => {
+    const res = await generate('A prompt that was never recorded', { fallback: false });
+
+    expect(res.status).toBe(500);
+    expect(res.body.error).toMatch(/No recorded chat interaction for model "gpt-4"/);
+  });
+});
@@ -0,0 +1,94 @@
+/**
+ * 文本操作变换测试：随机并发操作的收敛性
+ */
+
+const ot = require('../src/utils/textOperation');
+
+/**
+ * 可复现的伪随机数（mulberry32）
+ */
+function createRandom(seed) {
+  let state = seed;
+  return () => {
+    state = (state + 0x6D2B79F5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+const ALPHABET = 'abcde \n';
+
+function randomText(random, maxLength) {
+  const length = Math.floor(random() * (maxLength + 1));
+  return Array.from({ length }, () => ALPHABET[Math.floor(random() * ALPHABET.length)]).join('');
+}
+
+/**
+ * 生成适用于 text 的随机操作：交替保留、插入和删除
+ */
+function randomOperation(random, text) {
+  const operation = [];
+  let cursor = 0;
+
+  while (cursor < text.length) {
+    const length = 1 + Math.floor(random() * Math.min(text.length - cursor, 5));
+    const choice = random();
+    if (choice < 0.2) {
+      operation.push(randomText(random, 4) || 'x');
+    } else if (choice < 0.5) {
+      operation.push(-length);
+      cursor += length;
+    } else {
+      operation.push(length);
+      cursor += length;
+    }
+  }
+  if (random() < 0.3) {
+    operation.push(randomText(random, 4) || 'y');
+  }
+
+  return ot.normalize(operation);
+}
+
+describe('transform', () => {
+  test('converges for 5000 random concurrent operation pairs', () => {
+    const random = createRandom(20261019);
+
+    for (let run = 0; run < 5000; run++) {
+      const doc = randomText(random, 20);
+      const a = randomOperation(random, doc);
+      const b = randomOperation(random, doc);
+      const [aPrime, bPrime] = ot.transform(a, b);
+
+      const viaA = ot.apply(ot.apply(doc, a), bPrime);
+      const viaB = ot.apply(ot.apply(doc, b), aPrime);
+      if (viaA !== viaB) {
+        throw new Error(`Diverged for ${JSON.stringify({ doc, a, b })}: ${JSON.stringify(viaA)} !== ${JSON.stringify(viaB)}`);
+      }
+      expect(ot.baseLength(aPrime)).toBe(ot.targetLength(b));
+      expect(ot.baseLength(bPrime)).toBe(ot.targetLength(a));
+    }
+  });
+
+  test('places the first operation\'s insert first at the same position', () => {
+    const [aPrime, bPrime] = ot.transform(ot.normalize([2, 'A', 1]), ot.normalize([2, 'B', 1]));
+
+    expect(ot.apply(ot.apply('xyz', [2, 'A', 1]), bPrime)).toBe('xyABz');
+    expect(ot.apply(ot.apply('xyz', [2, 'B', 1]), aPrime)).toBe('xyABz');
+  });
+
+  test('rejects operations over documents of different lengths', () => {
+    expect(() => ot.transform([3], [4])).toThrow(expect.objectContaining({ code: 'invalid_operation' }));
+  });
+});
+
+describe('transformIndex', () => {
+  test('keeps other collaborators\' cursors before an insert at the same position', () => {
+    const operation = ot.normalize([2, 'AB', 3]);
+
+    expect(ot.transformIndex(2, operation, { before: true })).toBe(2);
+    expect(ot.transformIndex(2, operation)).toBe(4);
+    expect(ot.transformIndex(4, ot.normalize([1, -2, 2]))).toBe(2);
+  });
+});
@@ -0,0 +1,89 @@
+/**
+ * 文本总结接口测试：JSON 与 SSE 进度、中间结果以及合并层数上限
+ */
+
+const request = require('supertest');
+const fake = require('../src/clients/fake.client');
+const PrivacyPolicy = require('../src/models/privacyPolicy.model');
+const textSummarizationRoutes = require('../src/routes/textSummarization.routes');
+const { createApp } = require('./helpers/app');
+const { collectEvents } = require('./helpers/sse');
+
+const app = createApp(app => {
+  app.use('/api/v1/text/summarize', textSummarizationRoutes);
+});
+
+// 约 6000 令牌，超出 gpt-3.5-turbo 单次分块的容量；各用例使用不同主题，避免命中其他用例缓存的部分总结
+const longText = (topic) => Array.from({ length: 60 }, (_, index) =>
+  `Paragraph ${index + 1}. ` + `The quarterly report covers ${topic} across every region. `.repeat(8)
+).join('\n\n');
+
+const summarize = (body) => request(app).post('/api/v1/text/summarize').send(body);
+
+beforeEach(() => {
+  fake.reset();
+  jest.spyOn(PrivacyPolicy, 'findOne').mockReturnValue({ lean: async () => null });
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('POST /api/v1/text/summarize', () => {
+  test('summarizes short text in a single call', async () => {
+    fake.script([{ match: { operation: 'chat' }, respond: { text: 'A short summary.' } }]);
+
+    const res = await summarize({ text: 'A short note about the weekly sync.', maxLength: 20 });
+
+    expect(res.status).toBe(200);
+    expect(res.body.result).toMatchObject({
+      text: 'A short summary.',
+      format: 'paragraph',
+      provider: 'openai',
+      stats: { strategy: 'direct', calls: 1 }
+    });
+    expect(res.body.result.intermediate).toBeUndefined();
+  });
+
+  test('returns per-chunk and per-level summaries when includeIntermediate is set', async () => {
+    fake.script([{ match: { operation: 'chat' }, respond: { text: 'Revenue grew while churn fell.' } }]);
+
+    const res = await summarize({ text: longText('revenue and churn'), includeIntermediate: true });
+
+    expect(res.status).toBe(200);
+    expect(res.body.result.stats.strategy).toBe('map_reduce');
+    expect(res.body.result.stats.chunkCount).toBeGreaterThan(1);
+    expect(res.body.result.intermediate.chunks).toHaveLength(res.body.result.stats.chunkCount);
+    expect(res.body.result.intermediate.chunks[0]).toMatchObject({ index: 0, summary: 'Revenue grew while churn fell.' });
+  });
+
+  test('streams progress events followed by the result', async () => {
+    fake.script([{ match: { operation: 'chat' }, respond: { text: 'Revenue grew while churn fell.' } }]);
+
+    const events = await collectEvents(request(app).post('/api/v1/text/summarize').send({ text: longText('hiring and attrition') }));
+    const progress = events.filter(event => event.event === 'progress').map(event => event.data);
+    const done = events[events.length - 1];
+
+    expect(progress[0]).toMatchObject({ stage: 'map', completed: 0 });
+    expect(progress).toContainEqual(expect.objectContaining({ stage: 'map', completed: progress[0].total, total: progress[0].total }));
+    expect(progress[progress.length - 1]).toMatchObject({ stage: 'final', completed: 1, total: 1 });
+    expect(done.event).toBe('done');
+    expect(done.data).toMatchObject({ text: 'Revenue grew while churn fell.', stats: { strategy: 'map_reduce' } });
+  });
+
+  test('fails with a clear error when partial summaries never fit after the maximum merge levels', async () => {
+    // 默认回复回显输入，部分总结不会变短
+    const res = await summarize({ text: longText('office moves'), options: { fallback: false } });
+
+    expect(res.status).toBe(422);
+    expect(res.body.errorCode).toBe('CONTEXT_LENGTH_EXCEEDED');
+    expect(res.body.message).toMatch(/after 6 merge levels/);
+  });
+
+  test('rejects an unknown format', async () => {
+    const res = await summarize({ text: 'Some text', format: 'haiku' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.errorCode).toBe('VALIDATION_ERROR');
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * 费用计算与预算检查测试
+ * 用量记录的聚合查询和预算查询由替身代替
+ */
+
+const UsageRecord = require('../src/models/usageRecord.model');
+const Budget = require('../src/models/budget.model');
+const usageService = require('../src/services/usage.service');
+const { calculateCost } = require('../src/utils/cost');
+
+const budget = (overrides = {}) => ({
+  _id: `budget-${overrides.scope || 'user'}-${overrides.period || 'daily'}`,
+  scope: 'user',
+  scopeId: 'user-1',
+  period: 'daily',
+  limitUsd: 10,
+  softLimitRatio: 0.8,
+  hardStop: true,
+  ...overrides
+});
+
+// spend: { 'userId:user-1': 3 }，按 $match 中的用户或团队返回支出
+const useSpend = (spend) => jest.spyOn(UsageRecord, 'aggregate').mockImplementation(async ([{ $match }]) => {
+  const key = $match.teamId ? `teamId:${$match.teamId}` : `userId:${$match.userId}`;
+  return key in spend ? [{ _id: null, cost: spend[key] }] : [];
+});
+
+afterEach(() => {
+  jest.restoreAllMocks();
+});
+
+describe('calculateCost', () => {
+  test('prices prompt and completion tokens separately', () => {
+    expect(calculateCost('gpt-4', { promptTokens: 1000, completionTokens: 500 })).toEqual({
+      promptCost: 0.03,
+      completionCost: 0.03,
+      totalCost: 0.06,
+      currency: 'USD',
+      priced: true
+    });
+  });
+
+  test('prices an unsplit total at the completion rate', () => {
+    expect(calculateCost('gpt-3.5-turbo', { totalTokens: 2000 })).toMatchObject({ promptCost: 0, completionCost: 0.004, totalCost: 0.004 });
+  });
+
+  test('records unknown models at zero cost', () => {
+    expect(calculateCost('mystery-model', { totalTokens: 1000 })).toMatchObject({ totalCost: 0, priced: false });
+  });
+});
+
+describe('recordUsage', () => {
+  test('stores the computed cost with the record', async () => {
+    const create = jest.spyOn(UsageRecord, 'create').mockResolvedValue({});
+
+    const cost = await usageService.recordUsage({
+      userId: 'user-1',
+      operation: 'generate',
+      model: 'gpt-4',
+      provider: 'openai',
+      usage: { promptTokens: 1000, completionTokens: 1000, totalTokens: 2000 }
+    });
+
+    expect(cost.totalCost).toBe(0.09);
+    expect(create).toHaveBeenCalledWith(expect.objectContaining({ userId: 'user-1', operation: 'generate', totalTokens: 2000, cost: 0.09 }));
+  });
+
+  test('still returns the cost when the record cannot be saved', async () => {
+    jest.spyOn(UsageRecord, 'create').mockRejectedValue(new Error('Database unavailable'));
+
+    await expect(usageService.recordUsage({ operation: 'generate', model: 'gpt-4', usage: { completionTokens: 1000 } }))
+      .resolves.toMatchObject({ totalCost: 0.06 });
+  });
+});
+
+describe('checkBudget', () => {
+  test('allows calls under every budget', async () => {
+    jest.spyOn(Budget, 'find').mockResolvedValue([budget()]);
+    useSpend({ 'userId:user-1': 2 });
+
+    await expect(usageService.checkBudget({ userId: 'user-1' })).resolves.toEqual({ allowed: true, exceeded: [], warnings: [] });
+  });
+
+  test('warns once the soft limit is reached', async () => {
+    jest.spyOn(Budget, 'find').mockResolvedValue([budget()]);
+    useSpend({ 'userId:user-1': 8.5 });
+
+    const result = await usageService.checkBudget({ userId: 'user-1' });
+
+    expect(result.allowed).toBe(true);
+    expect(result.warnings).toEqual([expect.objectContaining({ scope: 'user', spentUsd: 8.5, softLimitUsd: 8, remainingUsd: 1.5 })]);
+  });
+
+  test('rejects once a hard-stop budget is exhausted, including a team budget', async () => {
+    const find = jest.spyOn(Budget, 'find').mockResolvedValue([
+      budget(),
+      budget({ scope: 'team', scopeId: 'team-1', period: 'monthly', limitUsd: 100 })
+    ]);
+    useSpend({ 'userId:user-1': 1, 'teamId:team-1': 120 });
+
+    const result = await usageService.checkBudget({ userId: 'user-1', teamId: 'team-1' });
+
+    expect(find).toHaveBeenCalledWith({ $or: [{ scope: 'user', scopeId: 'user-1' }, { scope: 'team', scopeId: 'team-1' }] });
+    expect(result.allowed).toBe(false);
+    expect(result.exceeded).toEqual([expect.objectContaining({ scope: 'team', period: 'monthly', remainingUsd: 0 })]);
+  });
+
+  test('only warns about an exhausted budget without a hard stop', async () => {
+    jest.spyOn(Budget, 'find').mockResolvedValue([budget({ hardStop: false })]);
+    useSpend({ 'userId:user-1': 12 });
+
+    const result = await usageService.checkBudget({ userId: 'user-1' });
+
+    expect(result.allowed).toBe(true);
+    expect(result.warnings).toEqual([expect.objectContaining({ exceeded: true })]);
+  });
+
+  test('counts spend from the start of the budget period', async () => {
+    jest.spyOn(Budget, 'find').mockResolvedValue([budget({ period: 'monthly' })]);
+    const aggregate = useSpend({});
+
+    await usageService.checkBudget({ userId: 'user-1' });
+
+    const [[[{ $match }]]] = aggregate.mock.calls;
+    const now = new Date();
+    expect($match.createdAt.$gte).toEqual(new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1)));
+  });
+});